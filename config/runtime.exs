@@ -23,6 +23,10 @@ end
 config :puma_bot, PumaBotWeb.Endpoint,
   http: [port: String.to_integer(System.get_env("PORT", "4000"))]
 
+# API token for the WhatsApp bridge (one of its WHATSAPP_BRIDGE_TOKEN(S));
+# unset when the bridge runs without authentication on localhost
+config :puma_bot, :whatsapp_bridge_token, System.get_env("WHATSAPP_BRIDGE_TOKEN")
+
 if config_env() == :prod do
   database_url =
     System.get_env("DATABASE_URL") ||
@@ -23,6 +23,7 @@
 #   OLLAMA_HOST        - Ollama API URL (default: http://localhost:11434)
 #   OLLAMA_CHAT_MODEL  - Chat model name (default: qwen3:latest)
 #   OLLAMA_EMBED_MODEL - Embedding model name (default: nomic-embed-text)
+#   WHATSAPP_BRIDGE_TOKEN - API token for the WhatsApp bridge (optional)
 #
 
 set -e
@@ -90,6 +91,15 @@ log_step() {
     echo -e "\n${CYAN}$1${NC}"
 }
 
+# curl against the WhatsApp bridge, sending its API token when one is set
+bridge_curl() {
+    if [ -n "$WHATSAPP_BRIDGE_TOKEN" ]; then
+        curl -H "Authorization: Bearer $WHATSAPP_BRIDGE_TOKEN" "$@"
+    else
+        curl "$@"
+    fi
+}
+
 # --- Environment Setup ---
 
 setup_mise() {
@@ -371,8 +381,8 @@ cmd_status() {
     # WhatsApp Bridge
     local bridge_url="${WHATSAPP_BRIDGE_URL:-http://localhost:3456}"
     echo -n "WhatsApp Bridge: "
-    if curl -s "$bridge_url/api/status" > /dev/null 2>&1; then
-        local buffered=$(curl -s "$bridge_url/api/status" | grep -o '"buffered_messages":[0-9]*' | cut -d: -f2)
+    if bridge_curl -s "$bridge_url/api/status" > /dev/null 2>&1; then
+        local buffered=$(bridge_curl -s "$bridge_url/api/status" | grep -o '"buffered_messages":[0-9]*' | cut -d: -f2)
         echo -e "${GREEN}Running${NC} ($buffered messages buffered)"
     else
         echo -e "${RED}Not running${NC}"
@@ -673,23 +683,43 @@ cmd_whatsapp() {
             rm -rf "$bridge_dir/auth"
             log_success "Auth cleaned - you'll need to scan QR code again"
             ;;
+        pair)
+            local phone="$1"
+            local bridge_url="${WHATSAPP_BRIDGE_URL:-http://localhost:3456}"
+            if [ -z "$phone" ]; then
+                log_error "Usage: ./launcher.sh whatsapp pair <phone number, e.g. 15551234567>"
+                exit 1
+            fi
+            bridge_curl -s -X POST -H "Content-Type: application/json" \
+                -d "{\"phone_number\": \"$phone\"}" \
+                "$bridge_url/api/auth/pairing-code"
+            echo ""
+            echo "On the phone: WhatsApp → Linked Devices → Link a device → Link with phone number, then enter the code"
+            ;;
+        logout)
+            local bridge_url="${WHATSAPP_BRIDGE_URL:-http://localhost:3456}"
+            bridge_curl -s -X POST "$bridge_url/api/auth/logout"
+            echo ""
+            ;;
         status)
             local bridge_url="${WHATSAPP_BRIDGE_URL:-http://localhost:3456}"
-            if curl -s "$bridge_url/api/status" > /dev/null 2>&1; then
+            if bridge_curl -s "$bridge_url/api/status" > /dev/null 2>&1; then
                 echo -e "${GREEN}WhatsApp Bridge is running${NC}"
-                curl -s "$bridge_url/api/status" | python3 -m json.tool 2>/dev/null || curl -s "$bridge_url/api/status"
+                bridge_curl -s "$bridge_url/api/status" | python3 -m json.tool 2>/dev/null || bridge_curl -s "$bridge_url/api/status"
             else
                 echo -e "${RED}WhatsApp Bridge is not running${NC}"
                 echo "Start with: ./launcher.sh whatsapp start"
             fi
             ;;
         *)
-            echo "Usage: ./launcher.sh whatsapp [start|install|clean|status]"
+            echo "Usage: ./launcher.sh whatsapp [start|install|clean|pair|logout|status]"
             echo ""
             echo "Commands:"
             echo "  start   - Start the WhatsApp Bridge (shows QR code)"
             echo "  install - Install Node.js dependencies"
             echo "  clean   - Remove auth state (logout)"
+            echo "  pair    - Link by phone number instead of QR (bridge must be running)"
+            echo "  logout  - Unlink the running bridge and wipe its credentials"
             echo "  status  - Check bridge status"
             ;;
     esac
@@ -708,7 +738,7 @@ Commands:
   gui         Start GUI and open in browser (kills existing if running)
   db          Manage local PostgreSQL (start, stop, status, init)
   import      Import all data sources (Claude Code, WhatsApp, etc.)
-  whatsapp    Manage WhatsApp Bridge (start, install, clean, status)
+  whatsapp    Manage WhatsApp Bridge (start, install, clean, pair, logout, status)
   server      Start the Phoenix web server
   iex         Start interactive Elixir shell with app loaded
   console     Alias for iex
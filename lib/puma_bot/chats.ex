@@ -57,6 +57,76 @@ defmodule PumaBot.Chats do
     |> Repo.aggregate(:count)
   end
 
+  @doc """
+  Pages through a WhatsApp chat by `{timestamp, id}` cursor (see `cursor/1`),
+  returning messages oldest first. Cursors keep pages stable while new
+  messages arrive, unlike offsets.
+
+  ## Options
+  - `:limit` - at most this many messages (default 100)
+  - `:before` - the newest messages before this cursor; without `:before` or
+    `:after`, the newest messages of the chat
+  - `:from` - with `:before`, go back no further than this cursor (inclusive)
+  - `:after` - the oldest messages after this cursor
+  """
+  def page_whatsapp_messages(chat_jid, opts \\ []) do
+    from(m in WhatsAppMessage, where: m.chat_jid == ^chat_jid)
+    |> page(:timestamp, opts)
+  end
+
+  @doc """
+  Gets one message of a WhatsApp chat by its WhatsApp message ID.
+  """
+  def get_whatsapp_message(chat_jid, message_id) do
+    from(m in WhatsAppMessage,
+      where: m.chat_jid == ^chat_jid and m.message_id == ^message_id,
+      limit: 1
+    )
+    |> Repo.one()
+  end
+
+  @doc """
+  Gets the messages of a WhatsApp chat with the given WhatsApp message IDs.
+  """
+  def get_whatsapp_messages_by_ids(_chat_jid, []), do: []
+
+  def get_whatsapp_messages_by_ids(chat_jid, message_ids) do
+    from(m in WhatsAppMessage, where: m.chat_jid == ^chat_jid and m.message_id in ^message_ids)
+    |> Repo.all()
+  end
+
+  @doc """
+  Emoji reactions to the given messages of a WhatsApp chat, as
+  `%{message_id => [emoji]}` in the order they were sent.
+  """
+  def whatsapp_reactions(_chat_jid, []), do: %{}
+
+  def whatsapp_reactions(chat_jid, message_ids) do
+    # The target is target_message_id since bridge schema v1, before that
+    # reaction_target_id or the raw Baileys key
+    from(m in WhatsAppMessage,
+      where: m.chat_jid == ^chat_jid and m.message_type == :reaction,
+      where:
+        fragment(
+          "coalesce(?->>'target_message_id', ?->>'reaction_target_id', ?#>>'{message,reactionMessage,key,id}') = ANY(?)",
+          m.raw_data,
+          m.raw_data,
+          m.raw_data,
+          ^message_ids
+        ),
+      order_by: [asc: m.timestamp, asc: m.id],
+      select:
+        {fragment(
+           "coalesce(?->>'target_message_id', ?->>'reaction_target_id', ?#>>'{message,reactionMessage,key,id}')",
+           m.raw_data,
+           m.raw_data,
+           m.raw_data
+         ), m.content}
+    )
+    |> Repo.all()
+    |> Enum.group_by(fn {target, _} -> target end, fn {_, emoji} -> emoji end)
+  end
+
   # --- Claude Conversations ---
 
   @doc """
@@ -99,6 +169,15 @@ defmodule PumaBot.Chats do
     |> Enum.reverse()
   end
 
+  @doc """
+  Pages through a Claude session by `{message_index, id}` cursor, with the
+  options of `page_whatsapp_messages/2`.
+  """
+  def page_claude_messages(session_id, opts \\ []) do
+    from(c in ClaudeConversation, where: c.session_id == ^session_id)
+    |> page(:message_index, opts)
+  end
+
   @doc """
   Counts total messages in a Claude session.
   """
@@ -107,6 +186,13 @@ defmodule PumaBot.Chats do
     |> Repo.aggregate(:count)
   end
 
+  @doc """
+  The paging cursor of a message: `{timestamp, id}` for WhatsApp messages,
+  `{message_index, id}` for Claude messages.
+  """
+  def cursor(%WhatsAppMessage{timestamp: timestamp, id: id}), do: {timestamp, id}
+  def cursor(%ClaudeConversation{message_index: index, id: id}), do: {index, id}
+
   # --- Search ---
 
   @doc """
@@ -204,4 +290,38 @@ defmodule PumaBot.Chats do
   end
 
   defp session_display_name(_), do: "Unknown Session"
+
+  # Keyset paging on (key, id); the id breaks ties between equal keys
+  defp page(query, key, opts) do
+    limit = Keyword.get(opts, :limit, 100)
+    query = limit(query, ^limit)
+
+    case Keyword.get(opts, :after) do
+      {value, id} ->
+        query
+        |> where([m], field(m, ^key) > ^value or (field(m, ^key) == ^value and m.id > ^id))
+        |> order_by([m], asc: field(m, ^key), asc: m.id)
+        |> Repo.all()
+
+      nil ->
+        query
+        |> before_cursor(key, Keyword.get(opts, :before))
+        |> from_cursor(key, Keyword.get(opts, :from))
+        |> order_by([m], desc: field(m, ^key), desc: m.id)
+        |> Repo.all()
+        |> Enum.reverse()
+    end
+  end
+
+  defp before_cursor(query, _key, nil), do: query
+
+  defp before_cursor(query, key, {value, id}) do
+    where(query, [m], field(m, ^key) < ^value or (field(m, ^key) == ^value and m.id < ^id))
+  end
+
+  defp from_cursor(query, _key, nil), do: query
+
+  defp from_cursor(query, key, {value, id}) do
+    where(query, [m], field(m, ^key) > ^value or (field(m, ^key) == ^value and m.id >= ^id))
+  end
 end
@@ -23,13 +23,32 @@ defmodule PumaBot.Data.WhatsAppMessage do
           media_mime_type: String.t() | nil,
           quoted_message_id: String.t() | nil,
           timestamp: DateTime.t(),
+          edited_at: DateTime.t() | nil,
+          deleted_at: DateTime.t() | nil,
           raw_data: map(),
           data_source_id: binary() | nil,
           inserted_at: DateTime.t(),
           updated_at: DateTime.t()
         }
 
-  @message_types [:text, :image, :video, :audio, :document, :sticker, :location, :contact, :reaction, :other]
+  @message_types [
+    :text,
+    :image,
+    :video,
+    :audio,
+    :document,
+    :sticker,
+    :location,
+    :live_location,
+    :contact,
+    :reaction,
+    :poll,
+    :poll_vote,
+    :button_response,
+    :edit,
+    :revoke,
+    :other
+  ]
 
   @primary_key {:id, :binary_id, autogenerate: true}
   @foreign_key_type :binary_id
@@ -47,6 +66,8 @@ defmodule PumaBot.Data.WhatsAppMessage do
     field :media_mime_type, :string
     field :quoted_message_id, :string
     field :timestamp, :utc_datetime
+    field :edited_at, :utc_datetime
+    field :deleted_at, :utc_datetime
     field :raw_data, :map, default: %{}
 
     # Link to the unified data source (once processed with embedding)
@@ -79,6 +100,8 @@ defmodule PumaBot.Data.WhatsAppMessage do
       :media_mime_type,
       :quoted_message_id,
       :timestamp,
+      :edited_at,
+      :deleted_at,
       :raw_data,
       :data_source_id
     ])
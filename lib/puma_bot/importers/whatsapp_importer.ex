@@ -44,6 +44,14 @@ defmodule PumaBot.Importers.WhatsAppImporter do
   @doc """
   Imports all buffered messages from the WhatsApp bridge.
 
+  Pages through the bridge buffer and acknowledges each page only after
+  its messages have been written, so a crash mid-import leaves the
+  remaining messages on the bridge to be picked up by the next run.
+  A message that fails validation can never be stored, so it is logged,
+  counted in `errors` and acknowledged like the rest. Any other failure
+  stops the import with `{:error, {:import_failed, reason}}`; only the
+  messages before it are acknowledged, so the next run retries it.
+
   ## Options
   - `:with_embeddings` - Generate embeddings during import (default: false)
   - `:user_only` - Only import messages from you to DataSource (default: true)
@@ -56,24 +64,12 @@ defmodule PumaBot.Importers.WhatsAppImporter do
     user_only = Keyword.get(opts, :user_only, true)
     quiet = Keyword.get(opts, :quiet, false)
 
-    case Client.get_buffered_messages() do
-      {:ok, messages} when is_list(messages) ->
-        unless quiet or length(messages) == 0 do
-          Logger.info("Fetched #{length(messages)} messages from WhatsApp bridge")
+    case import_buffer_pages(with_embeddings, user_only, %{messages: 0, errors: 0}) do
+      {:ok, stats} ->
+        unless quiet or stats.messages + stats.errors == 0 do
+          Logger.info("Imported #{stats.messages} messages from WhatsApp bridge")
         end
 
-        stats =
-          Enum.reduce(messages, %{messages: 0, errors: 0}, fn msg_data, acc ->
-            case import_message(msg_data, with_embeddings, user_only) do
-              {:ok, _} ->
-                %{acc | messages: acc.messages + 1}
-
-              {:error, reason} ->
-                Logger.debug("Failed to import message: #{inspect(reason)}")
-                %{acc | errors: acc.errors + 1}
-            end
-          end)
-
         # Auto-backfill chat names for any messages missing them
         backfill_stats = sync_chat_names(quiet)
 
@@ -81,7 +77,7 @@ defmodule PumaBot.Importers.WhatsAppImporter do
         {:ok, stats |> Map.put(:sessions, 1) |> Map.put(:chat_names_updated, backfill_stats)}
 
       {:error, reason} ->
-        Logger.error("Failed to fetch messages from bridge: #{inspect(reason)}")
+        Logger.error("Failed to import messages from bridge: #{inspect(reason)}")
         {:error, reason}
     end
   end
@@ -193,6 +189,78 @@ defmodule PumaBot.Importers.WhatsAppImporter do
 
   # --- Private Functions ---
 
+  # Imports one page at a time, acknowledging each page once it is stored
+  defp import_buffer_pages(with_embeddings, user_only, stats) do
+    case Client.get_buffered_messages() do
+      {:ok, %{"messages" => [_ | _] = messages} = page} ->
+        case import_page(messages, with_embeddings, user_only, stats) do
+          {:ok, stats} ->
+            with {:ok, _} <- Client.ack_messages(page["next_after"]) do
+              if page["has_more"] do
+                import_buffer_pages(with_embeddings, user_only, stats)
+              else
+                {:ok, stats}
+              end
+            end
+
+          {:error, reason, imported_seq} ->
+            # Keep what was stored before the failure; the failed message and
+            # everything after it stay on the bridge for the next run
+            if imported_seq, do: Client.ack_messages(imported_seq)
+            {:error, {:import_failed, reason}}
+        end
+
+      {:ok, _empty_page} ->
+        {:ok, stats}
+
+      {:error, reason} ->
+        {:error, reason}
+    end
+  end
+
+  # Imports a page in order, skipping messages that are already stored or
+  # fail validation, and stopping at the first other failure. Returns the
+  # updated stats, or the error with the seq of the last message that was
+  # handled (nil if none was).
+  defp import_page(messages, with_embeddings, user_only, stats) do
+    Enum.reduce_while(messages, {:ok, stats, nil}, fn msg_data, {:ok, acc, imported_seq} ->
+      case import_message(msg_data, with_embeddings, user_only) do
+        {:ok, _} ->
+          {:cont, {:ok, %{acc | messages: acc.messages + 1}, msg_data["seq"]}}
+
+        {:error, reason} ->
+          cond do
+            duplicate?(reason) ->
+              {:cont, {:ok, acc, msg_data["seq"]}}
+
+            match?(%Ecto.Changeset{}, reason) ->
+              Logger.warning(
+                "Skipping invalid message #{inspect(msg_data["message_id"])}: #{inspect(reason.errors)}"
+              )
+
+              {:cont, {:ok, %{acc | errors: acc.errors + 1}, msg_data["seq"]}}
+
+            true ->
+              Logger.error("Failed to import message #{inspect(msg_data["message_id"])}: #{inspect(reason)}")
+              {:halt, {:error, reason, imported_seq}}
+          end
+      end
+    end)
+    |> case do
+      {:ok, stats, _imported_seq} -> {:ok, stats}
+      error -> error
+    end
+  end
+
+  # A message that is already stored (raced with another import)
+  defp duplicate?(%Ecto.Changeset{errors: errors}) do
+    Enum.any?(errors, fn {field, {_message, opts}} ->
+      field == :message_id and opts[:constraint] == :unique
+    end)
+  end
+
+  defp duplicate?(_reason), do: false
+
   # Syncs chat names from the bridge to any messages missing them
   defp sync_chat_names(quiet) do
     import Ecto.Query
@@ -220,6 +288,10 @@ defmodule PumaBot.Importers.WhatsAppImporter do
           {:ok, %{results: results}} ->
             build_chat_map_from_results(results, quiet)
 
+          {:error, %PumaBot.WhatsApp.Error{code: :not_connected}} ->
+            Logger.debug("Skipping group name lookup: WhatsApp bridge is not connected")
+            %{}
+
           {:error, reason} ->
             unless quiet, do: Logger.warning("Could not fetch group names: #{inspect(reason)}")
             %{}
@@ -267,9 +339,73 @@ defmodule PumaBot.Importers.WhatsAppImporter do
 
   defp build_chat_map_from_results(_, _), do: %{}
 
+  # Edits and revokes update the message they target instead of adding a row.
+  # Message ids are only unique within a chat, so the target is looked up in
+  # the update's own chat. If it hasn't been imported, the update record is
+  # stored as-is.
   defp import_message(msg_data, with_embeddings, user_only) do
     attrs = transform_message(msg_data)
 
+    case attrs do
+      %{message_type: type, chat_jid: chat_jid, target_message_id: target_id}
+      when type in [:edit, :revoke] and is_binary(chat_jid) and is_binary(target_id) ->
+        case apply_update(attrs) do
+          {:ok, :not_found} -> insert_message(attrs, with_embeddings, user_only)
+          result -> result
+        end
+
+      _ ->
+        insert_message(attrs, with_embeddings, user_only)
+    end
+  end
+
+  defp apply_update(%{message_type: :edit} = attrs) do
+    case attrs |> update_target() |> Repo.update_all(set: [content: attrs.content, edited_at: attrs.timestamp]) do
+      {0, _} ->
+        {:ok, :not_found}
+
+      {_count, _} ->
+        # Keep the RAG copy in line with what the chat now shows
+        attrs
+        |> update_target_source()
+        |> Repo.update_all(set: [raw_content: attrs.content, processed_content: attrs.content])
+
+        {:ok, :updated}
+    end
+  end
+
+  defp apply_update(%{message_type: :revoke} = attrs) do
+    case attrs |> update_target() |> Repo.update_all(set: [deleted_at: attrs.timestamp]) do
+      {0, _} ->
+        {:ok, :not_found}
+
+      {_count, _} ->
+        # Deleted messages should no longer feed retrieval
+        attrs |> update_target_source() |> Repo.delete_all()
+
+        {:ok, :deleted}
+    end
+  end
+
+  # The message an edit or revoke targets, in the update's chat
+  defp update_target(%{chat_jid: chat_jid, target_message_id: target_id}) do
+    import Ecto.Query
+
+    from(m in WhatsAppMessage, where: m.chat_jid == ^chat_jid and m.message_id == ^target_id)
+  end
+
+  # The target's DataSource; its metadata records the chat it came from
+  defp update_target_source(%{chat_jid: chat_jid, target_message_id: target_id}) do
+    import Ecto.Query
+
+    from(ds in DataSource,
+      where:
+        ds.source_type == :whatsapp and ds.source_id == ^"whatsapp:#{target_id}" and
+          fragment("?->>'chat_jid' = ?", ds.metadata, ^chat_jid)
+    )
+  end
+
+  defp insert_message(attrs, with_embeddings, user_only) do
     # Insert into whatsapp_messages table
     message_result =
       %WhatsAppMessage{}
@@ -299,6 +435,8 @@ defmodule PumaBot.Importers.WhatsAppImporter do
       data[key] || data[to_string(key)]
     end
 
+    media = get.(:media) || %{}
+
     %{
       message_id: get.(:message_id),
       chat_jid: get.(:chat_jid),
@@ -310,6 +448,9 @@ defmodule PumaBot.Importers.WhatsAppImporter do
       is_from_me: get.(:is_from_me) || false,
       is_group: is_group_chat?(get.(:chat_jid)),
       quoted_message_id: get.(:quoted_message_id),
+      target_message_id: get.(:target_message_id),
+      media_url: media_url(media["id"] || media[:id]),
+      media_mime_type: media["mimetype"] || media[:mimetype],
       timestamp: parse_timestamp(get.(:timestamp)),
       raw_data: data
     }
@@ -322,10 +463,22 @@ defmodule PumaBot.Importers.WhatsAppImporter do
   defp parse_message_type("audio"), do: :audio
   defp parse_message_type("document"), do: :document
   defp parse_message_type("sticker"), do: :sticker
+  defp parse_message_type("location"), do: :location
+  defp parse_message_type("live_location"), do: :live_location
+  defp parse_message_type("contact"), do: :contact
   defp parse_message_type("reaction"), do: :reaction
+  defp parse_message_type("poll"), do: :poll
+  defp parse_message_type("poll_vote"), do: :poll_vote
+  defp parse_message_type("button_response"), do: :button_response
+  defp parse_message_type("edit"), do: :edit
+  defp parse_message_type("revoke"), do: :revoke
   defp parse_message_type(type) when is_atom(type), do: type
   defp parse_message_type(_), do: :other
 
+  # Downloaded media is served by the bridge, addressed by its sha256
+  defp media_url(nil), do: nil
+  defp media_url(id), do: "#{Client.bridge_url()}/api/media/#{id}"
+
   defp is_group_chat?(nil), do: false
   defp is_group_chat?(jid), do: String.ends_with?(jid, "@g.us")
 
@@ -345,8 +498,9 @@ defmodule PumaBot.Importers.WhatsAppImporter do
     content = attrs[:content] || ""
     has_content = String.trim(content) != ""
     is_from_me = attrs[:is_from_me] == true
+    is_update = attrs[:message_type] in [:edit, :revoke]
 
-    has_content and (not user_only or is_from_me)
+    has_content and not is_update and (not user_only or is_from_me)
   end
 
   defp create_data_source(message, attrs, with_embeddings) do
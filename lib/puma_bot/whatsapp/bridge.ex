@@ -154,7 +154,7 @@ defmodule PumaBot.WhatsApp.Bridge do
     |> Enum.each(fn line ->
       line = String.trim(line)
       unless line == "" do
-        Logger.debug("[Bridge] #{line}")
+        log_line(line)
       end
     end)
 
@@ -171,4 +171,36 @@ defmodule PumaBot.WhatsApp.Bridge do
   def handle_info(_msg, state) do
     {:noreply, state}
   end
+
+  # --- Helpers ---
+
+  # The bridge writes one JSON object per line; replay those at their own
+  # level. Anything else (npm output, crashes) stays at debug.
+  defp log_line(line) do
+    case Jason.decode(line) do
+      {:ok, %{"level" => level, "msg" => msg} = entry} ->
+        Logger.log(logger_level(level), "[Bridge] #{log_prefix(entry)}#{msg}#{log_details(entry)}")
+
+      _ ->
+        Logger.debug("[Bridge] #{line}")
+    end
+  end
+
+  defp logger_level(level) when level in ["fatal", "error"], do: :error
+  defp logger_level("warn"), do: :warning
+  defp logger_level("info"), do: :info
+  defp logger_level(_), do: :debug
+
+  defp log_prefix(%{"component" => component, "session" => session}), do: "#{component}[#{session}] "
+  defp log_prefix(%{"component" => component}), do: "#{component} "
+  defp log_prefix(_), do: ""
+
+  @log_fields ~w(level msg time service component session pid hostname)
+
+  defp log_details(entry) do
+    case Map.drop(entry, @log_fields) do
+      details when map_size(details) == 0 -> ""
+      details -> " " <> Jason.encode!(details)
+    end
+  end
 end
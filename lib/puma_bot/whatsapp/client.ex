@@ -14,6 +14,11 @@ defmodule PumaBot.WhatsApp.Client do
 
       config :puma_bot, :whatsapp_bridge_url, "http://localhost:3456"
 
+  If the bridge requires authentication, set a token with the `read`
+  scope (plus `send` to send messages and `admin` for the QR code):
+
+      config :puma_bot, :whatsapp_bridge_token, "s3cret"
+
   ## Usage
 
       # Check if bridge is running and connected
@@ -22,16 +27,33 @@ defmodule PumaBot.WhatsApp.Client do
       # Get QR code for authentication
       {:ok, %{qr: qr_string}} = Client.get_qr()
 
-      # Fetch new messages from buffer
-      {:ok, messages} = Client.get_buffered_messages()
+      # Fetch the next page of buffered messages, then acknowledge it
+      {:ok, %{"messages" => messages, "next_after" => seq}} = Client.get_buffered_messages()
+      {:ok, _} = Client.ack_messages(seq)
 
       # Get list of chats
       {:ok, chats} = Client.get_chats()
+
+  ## Errors
+
+  Error responses from the bridge come back as `{:error, %PumaBot.WhatsApp.Error{}}`
+  with a `code` such as `:not_connected`, `:invalid_jid` or `:rate_limited`;
+  `PumaBot.WhatsApp.Error.retryable?/1` tells whether trying again later can
+  help. A bridge that cannot be reached gives `{:error, {:request_failed, reason}}`.
+
+      case Client.fetch_missing_group_names() do
+        {:ok, result} -> result
+        {:error, %Error{code: :not_connected}} -> :wait_for_login
+        {:error, reason} -> {:error, reason}
+      end
   """
 
   require Logger
 
+  alias PumaBot.WhatsApp.Error
+
   @default_url "http://localhost:3456"
+  @default_consumer "puma_bot"
   @timeout 30_000
 
   # --- Configuration ---
@@ -43,6 +65,13 @@ defmodule PumaBot.WhatsApp.Client do
     Application.get_env(:puma_bot, :whatsapp_bridge_url, @default_url)
   end
 
+  @doc """
+  Returns the configured bridge API token, or nil when auth is disabled.
+  """
+  def bridge_token do
+    Application.get_env(:puma_bot, :whatsapp_bridge_token)
+  end
+
   # --- Status & Connection ---
 
   @doc """
@@ -83,23 +112,67 @@ defmodule PumaBot.WhatsApp.Client do
     end
   end
 
+  @doc """
+  Fetches the bridge's OpenAPI 3 document, describing every endpoint, its
+  parameters and the error codes.
+  """
+  @spec openapi() :: {:ok, map()} | {:error, term()}
+  def openapi do
+    get("/api/openapi.json")
+  end
+
   # --- QR Code ---
 
   @doc """
   Gets the QR code for WhatsApp authentication.
 
-  Returns nil if already connected or QR not yet generated.
+  QR codes rotate roughly every 20 seconds; fetch again after `expires_at`.
+  Returns a nil QR if already connected or while the next code is generated.
 
   ## Examples
 
       iex> Client.get_qr()
-      {:ok, %{qr: "2@abc123...", status: "waiting_for_scan"}}
+      {:ok, %{"qr" => "2@abc123...", "status" => "waiting_for_scan", "expires_at" => "2026-10-19T10:00:20.000Z"}}
   """
   @spec get_qr() :: {:ok, map()} | {:error, term()}
   def get_qr do
     get("/api/qr")
   end
 
+  @doc """
+  Requests a pairing code to link the bridge by phone number instead of QR.
+
+  The phone number is in international format (digits, optional `+`). Enter
+  the returned code on that phone under Linked Devices → Link with phone number.
+
+  ## Examples
+
+      iex> Client.request_pairing_code("+15551234567")
+      {:ok, %{"pairing_code" => "ABCD-EFGH", "phone_number" => "15551234567"}}
+  """
+  @spec request_pairing_code(String.t()) :: {:ok, map()} | {:error, term()}
+  def request_pairing_code(phone_number) do
+    post("/api/auth/pairing-code", %{phone_number: phone_number})
+  end
+
+  @doc """
+  Logs the bridge out of WhatsApp and wipes its credentials.
+
+  The bridge immediately starts a new login, so a fresh QR becomes available.
+  """
+  @spec logout() :: {:ok, map()} | {:error, term()}
+  def logout do
+    post("/api/auth/logout", %{})
+  end
+
+  @doc """
+  Restarts the bridge's WhatsApp socket, keeping its credentials.
+  """
+  @spec restart() :: {:ok, map()} | {:error, term()}
+  def restart do
+    post("/api/auth/restart", %{})
+  end
+
   # --- Chats ---
 
   @doc """
@@ -119,11 +192,46 @@ defmodule PumaBot.WhatsApp.Client do
     end
   end
 
+  @doc """
+  Fetches a single chat, including group participants, admins and
+  description for groups, or the contact entry for one-to-one chats.
+
+  ## Examples
+
+      iex> Client.get_chat("123@g.us")
+      {:ok, %{"jid" => "123@g.us", "name" => "Family Group", "admins" => ["456@s.whatsapp.net"]}}
+  """
+  @spec get_chat(String.t()) :: {:ok, map()} | {:error, term()}
+  def get_chat(jid) do
+    get("/api/chats/#{URI.encode_www_form(jid)}")
+  end
+
+  @doc """
+  Fetches contacts known to the bridge (push names, verified names, LIDs).
+
+  ## Options
+  - `:query` - Only contacts whose name or number contains this text
+  """
+  @spec get_contacts(keyword()) :: {:ok, [map()]} | {:error, term()}
+  def get_contacts(opts \\ []) do
+    path =
+      case Keyword.get(opts, :query) do
+        nil -> "/api/contacts"
+        query -> "/api/contacts?" <> URI.encode_query(q: query)
+      end
+
+    case get(path) do
+      {:ok, %{"contacts" => contacts}} -> {:ok, contacts}
+      error -> error
+    end
+  end
+
   @doc """
   Fetches missing group names from WhatsApp.
 
   This queries WhatsApp for group metadata for any groups that don't have
-  names yet. Useful for populating chat names after initial sync.
+  names yet. Useful for populating chat names after initial sync. Fails with
+  `:not_connected` while the bridge is logged out.
 
   ## Examples
 
@@ -139,7 +247,8 @@ defmodule PumaBot.WhatsApp.Client do
   Fetches group names for specific JIDs from WhatsApp.
 
   This is useful when the bridge's chat cache is empty (e.g., after reconnection)
-  but we have JIDs in the database that need names.
+  but we have JIDs in the database that need names. Fails with `:invalid_jid`
+  for malformed JIDs and `:not_connected` while the bridge is logged out.
 
   ## Examples
 
@@ -151,74 +260,509 @@ defmodule PumaBot.WhatsApp.Client do
     post("/api/chats/fetch-names-for-jids", %{jids: jids})
   end
 
+  @doc """
+  Asks the phone for older history of one chat.
+
+  The bridge pages back from the oldest message it has for the chat; fetched
+  messages land in the buffer like any other. Progress is reported in
+  `status/0` under `backfill` and by `get_backfill_job/1`. Needs a token
+  with the `send` scope.
+
+  ## Options
+  - `:count` - Stop after this many new messages
+  - `:until` - Stop once history reaches this `DateTime` or ISO 8601 string
+
+  ## Examples
+
+      iex> Client.backfill_chat("123@s.whatsapp.net", count: 200)
+      {:ok, %{"id" => "9a2e...", "status" => "queued", "fetched" => 0}}
+  """
+  @spec backfill_chat(String.t(), keyword()) :: {:ok, map()} | {:error, term()}
+  def backfill_chat(jid, opts) do
+    body =
+      %{
+        count: Keyword.get(opts, :count),
+        until:
+          case Keyword.get(opts, :until) do
+            %DateTime{} = until -> DateTime.to_iso8601(until)
+            until -> until
+          end
+      }
+      |> Map.reject(fn {_key, value} -> is_nil(value) end)
+
+    post("/api/chats/#{URI.encode_www_form(jid)}/backfill", body)
+  end
+
+  @doc """
+  Gets the progress of a backfill started with `backfill_chat/2`.
+  """
+  @spec get_backfill_job(String.t()) :: {:ok, map()} | {:error, term()}
+  def get_backfill_job(id) do
+    get("/api/backfill/#{URI.encode_www_form(id)}")
+  end
+
   # --- Messages ---
 
   @doc """
-  Fetches new messages from the buffer.
+  Fetches a page of messages from the bridge's durable buffer.
+
+  Messages carry a monotonically increasing `seq`. Reading does not remove
+  anything: once the messages are stored, call `ack_messages/2` with the
+  returned `next_after` so the bridge can compact them. Without `:after`,
+  reading resumes from the consumer's last acknowledged sequence.
 
-  The buffer contains messages received since the last fetch.
-  Calling this clears the buffer on the bridge side.
+  ## Options
+  - `:consumer` - Consumer name used for cursor tracking (default: "puma_bot")
+  - `:after` - Only return messages with a greater sequence number
+  - `:limit` - Maximum messages per page (default: 500)
+  - `:raw` - Also return each message's Baileys protobuf as `raw_data`
+
+  Messages follow the bridge's versioned schema (`GET /api/schema/message`).
 
   ## Examples
 
       iex> Client.get_buffered_messages()
-      {:ok, [%{message_id: "abc", content: "Hello!", ...}]}
+      {:ok, %{"messages" => [%{"seq" => 1, "message_id" => "abc", ...}], "next_after" => 1, "has_more" => false}}
   """
-  @spec get_buffered_messages() :: {:ok, [map()]} | {:error, term()}
-  def get_buffered_messages do
-    case get("/api/messages/buffer") do
-      {:ok, %{"messages" => messages}} -> {:ok, messages}
-      {:ok, %{messages: messages}} -> {:ok, messages}
-      error -> error
-    end
+  @spec get_buffered_messages(keyword()) :: {:ok, map()} | {:error, term()}
+  def get_buffered_messages(opts \\ []) do
+    query =
+      [
+        consumer: Keyword.get(opts, :consumer, @default_consumer),
+        after: Keyword.get(opts, :after),
+        limit: Keyword.get(opts, :limit, 500),
+        raw: if(Keyword.get(opts, :raw), do: "true")
+      ]
+      |> Enum.reject(fn {_key, value} -> is_nil(value) end)
+      |> URI.encode_query()
+
+    get("/api/messages/buffer?#{query}")
+  end
+
+  @doc """
+  Acknowledges buffered messages up to and including `seq`.
+
+  Acknowledged messages become eligible for compaction on the bridge.
+
+  ## Options
+  - `:consumer` - Consumer name used for cursor tracking (default: "puma_bot")
+
+  ## Examples
+
+      iex> Client.ack_messages(42)
+      {:ok, %{"consumer" => "puma_bot", "acked_seq" => 42, "compacted" => 42}}
+  """
+  @spec ack_messages(non_neg_integer(), keyword()) :: {:ok, map()} | {:error, term()}
+  def ack_messages(seq, opts \\ []) when is_integer(seq) do
+    consumer = Keyword.get(opts, :consumer, @default_consumer)
+    post("/api/messages/ack", %{consumer: consumer, seq: seq})
+  end
+
+  @doc """
+  Registers a buffer consumer so the bridge keeps messages for it before its
+  first `ack_messages/2` (which also registers it). Registering a known
+  consumer leaves its cursor alone.
+
+  Consumers that neither ack nor register again within the bridge's
+  `WHATSAPP_BUFFER_CONSUMER_TTL_MS` (default 7 days) are forgotten.
+
+  ## Examples
+
+      iex> Client.register_consumer("archiver")
+      {:ok, %{"consumer" => "archiver", "created" => true, "acked_seq" => 0, ...}}
+  """
+  @spec register_consumer(String.t()) :: {:ok, map()} | {:error, term()}
+  def register_consumer(consumer \\ @default_consumer) do
+    put("/api/messages/consumers/#{URI.encode_www_form(consumer)}", nil)
+  end
+
+  @doc """
+  Forgets a buffer consumer (admin scope), so messages only it had not
+  acknowledged can be compacted.
+  """
+  @spec delete_consumer(String.t()) :: {:ok, map()} | {:error, term()}
+  def delete_consumer(consumer) do
+    delete("/api/messages/consumers/#{URI.encode_www_form(consumer)}")
   end
 
   @doc """
   Fetches messages from a specific chat.
 
-  Note: Baileys doesn't support historical message fetch directly.
-  Messages are received in real-time via the buffer.
+  Reads from the bridge's per-chat message store, which is filled from
+  history sync and real-time messages and does not touch the import buffer.
+  Messages are returned oldest first.
 
   ## Options
   - `:limit` - Maximum messages to fetch (default: 50)
+  - `:before` - Only messages older than this ISO 8601 timestamp (pages backwards)
+  - `:after` - Only messages newer than this ISO 8601 timestamp (pages forwards)
   """
   @spec get_messages(String.t(), keyword()) :: {:ok, [map()]} | {:error, term()}
   def get_messages(chat_jid, opts \\ []) do
-    limit = Keyword.get(opts, :limit, 50)
-
-    case get("/api/messages/#{URI.encode(chat_jid)}?limit=#{limit}") do
+    query =
+      [
+        limit: Keyword.get(opts, :limit, 50),
+        before: Keyword.get(opts, :before),
+        after: Keyword.get(opts, :after)
+      ]
+      |> Enum.reject(fn {_key, value} -> is_nil(value) end)
+      |> URI.encode_query()
+
+    case get("/api/messages/#{URI.encode_www_form(chat_jid)}?#{query}") do
       {:ok, %{"messages" => messages}} -> {:ok, messages}
       {:ok, %{messages: messages}} -> {:ok, messages}
       error -> error
     end
   end
 
+  @doc """
+  Searches messages stored by the bridge across all chats.
+
+  Every word of `query` has to match, ignoring case and diacritics; words
+  also match as prefixes ("trail" finds "trailhead"). Results are ranked by
+  relevance and carry a `"snippet"` with `"highlights"` as `[start, end]`
+  offsets into it. Pass `nil` to list messages matching the filters, newest
+  first.
+
+  ## Options
+  - `:chat_jid` - Only messages in this chat
+  - `:sender_jid` - Only messages from this sender
+  - `:message_type` - Only these message types (string or list)
+  - `:is_from_me` - Only our own (`true`) or others' (`false`) messages
+  - `:after` / `:before` - ISO 8601 timestamps bounding the message time
+  - `:limit` - Results per page (default: 20, max: 100)
+  - `:offset` - Results to skip; use the previous page's `"next_offset"`
+
+  ## Examples
+
+      iex> Client.search_messages("cabin", chat_jid: "123@g.us")
+      {:ok, %{"results" => [%{"message" => %{...}, "score" => 1.2, "snippet" => "Did you book the cabin?", "highlights" => [[17, 22]]}], "total" => 1, "has_more" => false}}
+  """
+  @spec search_messages(String.t() | nil, keyword()) :: {:ok, map()} | {:error, term()}
+  def search_messages(query, opts \\ []) do
+    params =
+      [
+        q: query,
+        chat_jid: Keyword.get(opts, :chat_jid),
+        sender_jid: Keyword.get(opts, :sender_jid),
+        message_type: opts |> Keyword.get(:message_type) |> List.wrap() |> Enum.join(","),
+        is_from_me: Keyword.get(opts, :is_from_me),
+        after: Keyword.get(opts, :after),
+        before: Keyword.get(opts, :before),
+        limit: Keyword.get(opts, :limit),
+        offset: Keyword.get(opts, :offset)
+      ]
+      |> Enum.reject(fn {_key, value} -> value in [nil, ""] end)
+      |> URI.encode_query()
+
+    get("/api/search?#{params}")
+  end
+
+  @doc """
+  Exports a chat stored by the bridge and returns the file contents.
+
+  The default `txt` format is WhatsApp's own "Export chat" layout, which
+  `PumaBot.Importers.WhatsAppExportImporter` reads back; `jsonl` has one
+  schema record per line and `html` is a standalone page.
+
+  ## Options
+  - `:format` - `"txt"`, `"jsonl"` or `"html"` (default: `"txt"`)
+  - `:zip` - Bundle the chat with its downloaded media into a zip
+  - `:locale` - Locale for the date layout, e.g. `"en-GB"` (default: `"en-US"`)
+  - `:tz` - Time zone for timestamps (default: the bridge's)
+  - `:my_name` - Name for our own messages (default: our profile name)
+
+  ## Examples
+
+      iex> Client.export_chat("123456789@s.whatsapp.net", locale: "en-GB")
+      {:ok, "15/01/2024, 10:30 - Alice: Hello!\n"}
+  """
+  @spec export_chat(String.t(), keyword()) :: {:ok, binary()} | {:error, term()}
+  def export_chat(chat_jid, opts \\ []) do
+    query =
+      opts
+      |> Keyword.take([:format, :zip, :locale, :tz, :my_name])
+      |> URI.encode_query()
+
+    # Keep the body as-is; Req would otherwise unpack zips
+    get("/api/chats/#{URI.encode_www_form(chat_jid)}/export?#{query}", decode_body: false)
+  end
+
   @doc """
   Sends a message to a chat.
 
+  Sends go through the bridge's persistent outbound queue. While connected
+  this returns the WhatsApp message key and the formatted message as stored
+  by the bridge, so the reply can be linked back into the conversation.
+  While disconnected the message is queued and only `"outbox_id"` is
+  returned; poll it with `get_outbox_job/1`.
+
+  ## Options
+  - `:reply_to` - Message ID to quote-reply to
+  - `:mentions` - List of participant JIDs to @mention
+  - `:media` - Map with `:type` (image, video, document, audio, voice) and
+    either `:path` or `:base64`, plus optional `:mimetype` and `:file_name`.
+    `:path` is relative to the bridge's `WHATSAPP_MEDIA_UPLOAD_DIR` and is
+    rejected when that is not set
+  - `:simulate_typing` - Show "typing…" for a time proportional to the text
+    before sending (defaults to the bridge's `WHATSAPP_SIMULATE_TYPING`)
+
   ## Examples
 
       iex> Client.send_message("123456789@s.whatsapp.net", "Hello!")
-      {:ok, %{success: true}}
+      {:ok, %{"success" => true, "key" => %{"id" => "3EB0..."}, "message" => %{...}}}
+
+      iex> Client.send_message("123@g.us", "Agreed", reply_to: "3EB0ABC")
+      {:ok, %{"success" => true, ...}}
+  """
+  @spec send_message(String.t(), String.t() | nil, keyword()) :: {:ok, map()} | {:error, term()}
+  def send_message(chat_jid, text, opts \\ []) do
+    body =
+      %{
+        chat_jid: chat_jid,
+        text: text,
+        reply_to: Keyword.get(opts, :reply_to),
+        mentions: Keyword.get(opts, :mentions),
+        media: Keyword.get(opts, :media),
+        simulate_typing: Keyword.get(opts, :simulate_typing)
+      }
+      |> Map.reject(fn {_key, value} -> is_nil(value) end)
+
+    post("/api/messages/send", body)
+  end
+
+  @doc """
+  Reacts to a message with an emoji. An empty string removes the reaction.
+  """
+  @spec react(String.t(), String.t(), String.t()) :: {:ok, map()} | {:error, term()}
+  def react(chat_jid, message_id, emoji) do
+    post("/api/messages/react", %{chat_jid: chat_jid, message_id: message_id, emoji: emoji})
+  end
+
+  @doc """
+  Edits one of our own messages.
+  """
+  @spec edit_message(String.t(), String.t(), String.t()) :: {:ok, map()} | {:error, term()}
+  def edit_message(chat_jid, message_id, text) do
+    post("/api/messages/edit", %{chat_jid: chat_jid, message_id: message_id, text: text})
+  end
+
+  @doc """
+  Deletes one of our own messages for everyone in the chat.
+  """
+  @spec delete_message(String.t(), String.t()) :: {:ok, map()} | {:error, term()}
+  def delete_message(chat_jid, message_id) do
+    post("/api/messages/delete", %{chat_jid: chat_jid, message_id: message_id})
+  end
+
+  @doc """
+  Marks everything received in a chat since the last call as read, so the
+  chat no longer shows as unread on the phone and senders see blue ticks.
+  """
+  @spec mark_chat_read(String.t()) :: {:ok, map()} | {:error, term()}
+  def mark_chat_read(chat_jid) do
+    post("/api/chats/#{URI.encode_www_form(chat_jid)}/read", %{})
+  end
+
+  @doc """
+  Sends read receipts for specific messages.
+  """
+  @spec mark_read(String.t(), [String.t()]) :: {:ok, map()} | {:error, term()}
+  def mark_read(chat_jid, message_ids) when is_list(message_ids) do
+    post("/api/messages/read", %{chat_jid: chat_jid, message_ids: message_ids})
+  end
+
+  @doc """
+  Sends our presence to a chat: `"composing"`, `"recording"` or `"paused"`,
+  or `"available"` / `"unavailable"` for everyone.
+  """
+  @spec send_presence(String.t(), String.t()) :: {:ok, map()} | {:error, term()}
+  def send_presence(chat_jid, presence) do
+    post("/api/chats/#{URI.encode_www_form(chat_jid)}/presence", %{presence: presence})
+  end
+
+  @doc """
+  Creates a group with us as admin.
+
+  `participants` are phone numbers or JIDs. Each gets an entry in
+  `"results"`; people whose privacy settings refuse adds come back with
+  `"success" => false` and need the invite link instead.
+
+  ## Examples
+
+      iex> Client.create_group("Trip planning", ["15551234567"])
+      {:ok, %{"group" => %{"jid" => "1203...@g.us", ...}, "results" => [%{"jid" => "15551234567@s.whatsapp.net", "success" => true, ...}]}}
+  """
+  @spec create_group(String.t(), [String.t()]) :: {:ok, map()} | {:error, term()}
+  def create_group(subject, participants \\ []) when is_list(participants) do
+    post("/api/groups", %{subject: subject, participants: participants})
+  end
+
+  @doc """
+  Adds, removes, promotes or demotes group participants.
+
+  `action` is one of `"add"`, `"remove"`, `"promote"` or `"demote"`. The
+  response has one result per participant with an `"error"` code such as
+  `"not_allowed"`, `"recently_left"` or `"conflict"` for the ones that failed.
+  """
+  @spec update_group_participants(String.t(), String.t(), [String.t()]) :: {:ok, map()} | {:error, term()}
+  def update_group_participants(group_jid, action, participants) when is_list(participants) do
+    post("/api/groups/#{URI.encode_www_form(group_jid)}/participants/#{action}", %{participants: participants})
+  end
+
+  @doc """
+  Changes a group's subject, description or settings.
+
+  ## Options
+
+    * `:subject` - new group name
+    * `:description` - new description (`""` clears it)
+    * `:announce` - only admins can send messages
+    * `:locked` - only admins can edit group info
+  """
+  @spec update_group(String.t(), keyword()) :: {:ok, map()} | {:error, term()}
+  def update_group(group_jid, opts) do
+    body =
+      opts
+      |> Keyword.take([:subject, :description, :announce, :locked])
+      |> Map.new()
+
+    patch("/api/groups/#{URI.encode_www_form(group_jid)}", body)
+  end
+
+  @doc """
+  Gets a group's invite link (`"code"` and `"link"`).
   """
-  @spec send_message(String.t(), String.t()) :: {:ok, map()} | {:error, term()}
-  def send_message(chat_jid, text) do
-    post("/api/messages/send", %{chat_jid: chat_jid, text: text})
+  @spec get_group_invite(String.t()) :: {:ok, map()} | {:error, term()}
+  def get_group_invite(group_jid) do
+    get("/api/groups/#{URI.encode_www_form(group_jid)}/invite")
+  end
+
+  @doc """
+  Revokes a group's invite link and returns the new one.
+  """
+  @spec revoke_group_invite(String.t()) :: {:ok, map()} | {:error, term()}
+  def revoke_group_invite(group_jid) do
+    post("/api/groups/#{URI.encode_www_form(group_jid)}/invite/revoke", %{})
+  end
+
+  @doc """
+  Joins a group by invite code or `chat.whatsapp.com` link.
+
+  Groups that require admin approval answer with `"pending_approval" => true`.
+  """
+  @spec join_group(String.t()) :: {:ok, map()} | {:error, term()}
+  def join_group(code) do
+    post("/api/groups/join", %{code: code})
+  end
+
+  @doc """
+  Leaves a group. Its chat and messages stay, marked with `"left_at"`.
+  """
+  @spec leave_group(String.t()) :: {:ok, map()} | {:error, term()}
+  def leave_group(group_jid) do
+    post("/api/groups/#{URI.encode_www_form(group_jid)}/leave", %{})
+  end
+
+  @doc """
+  Gets the status of a queued outbound message.
+
+  Status moves through `queued`, `sending`, `sent`, `delivered` and `read`,
+  or ends in `failed`.
+
+  ## Examples
+
+      iex> Client.get_outbox_job("6f1c...")
+      {:ok, %{"id" => "6f1c...", "status" => "delivered", "message_id" => "3EB0..."}}
+  """
+  @spec get_outbox_job(String.t()) :: {:ok, map()} | {:error, term()}
+  def get_outbox_job(id) do
+    get("/api/outbox/#{URI.encode_www_form(id)}")
+  end
+
+  @doc """
+  Schedules a message for later, once at `:send_at` or repeatedly on `:cron`.
+
+  Jobs are stored by the bridge and survive restarts; when due, the message
+  goes through the outbound queue like `send_message/3`.
+
+  ## Options
+  - `:send_at` - `DateTime` or ISO 8601 string for a one-off send
+  - `:cron` - Five-field cron expression (or `@daily`, `@hourly`, ...)
+  - `:timezone` - IANA time zone the cron expression is read in (default UTC)
+  - `:missed_policy` - `"fire_once"` (send late once) or `"skip"` for fires
+    missed while the bridge was offline
+  - `:reply_to`, `:mentions`, `:media`, `:simulate_typing` - as for `send_message/3`
+
+  ## Examples
+
+      iex> Client.schedule_message("123@g.us", "Stand-up!", cron: "0 9 * * mon-fri", timezone: "Europe/Lisbon")
+      {:ok, %{"id" => "6f1c...", "status" => "scheduled", "next_run_at" => "2025-10-13T08:00:00.000Z"}}
+  """
+  @spec schedule_message(String.t(), String.t() | nil, keyword()) :: {:ok, map()} | {:error, term()}
+  def schedule_message(chat_jid, text, opts) do
+    send_at =
+      case Keyword.get(opts, :send_at) do
+        %DateTime{} = datetime -> DateTime.to_iso8601(datetime)
+        other -> other
+      end
+
+    body =
+      %{
+        chat_jid: chat_jid,
+        text: text,
+        send_at: send_at,
+        cron: Keyword.get(opts, :cron),
+        timezone: Keyword.get(opts, :timezone),
+        missed_policy: Keyword.get(opts, :missed_policy),
+        reply_to: Keyword.get(opts, :reply_to),
+        mentions: Keyword.get(opts, :mentions),
+        media: Keyword.get(opts, :media),
+        simulate_typing: Keyword.get(opts, :simulate_typing)
+      }
+      |> Map.reject(fn {_key, value} -> is_nil(value) end)
+
+    post("/api/scheduled", body)
+  end
+
+  @doc """
+  Lists scheduled messages.
+
+  ## Options
+  - `:status` - Only jobs with this status (`scheduled`, `completed`,
+    `missed`, `failed`, `cancelled`)
+  - `:chat_jid` - Only jobs for this chat
+  """
+  @spec list_scheduled(keyword()) :: {:ok, map()} | {:error, term()}
+  def list_scheduled(opts \\ []) do
+    query =
+      opts
+      |> Keyword.take([:status, :chat_jid])
+      |> URI.encode_query()
+
+    get("/api/scheduled?#{query}")
+  end
+
+  @doc """
+  Cancels a scheduled message. Messages it already queued are still sent.
+  """
+  @spec cancel_scheduled(String.t()) :: {:ok, map()} | {:error, term()}
+  def cancel_scheduled(id) do
+    delete("/api/scheduled/#{URI.encode_www_form(id)}")
   end
 
   # --- Private HTTP helpers ---
 
-  defp get(path) do
+  defp get(path, options \\ []) do
     url = bridge_url() <> path
 
     # Disable retries to avoid noisy warnings when bridge isn't running
-    case Req.get(url, receive_timeout: @timeout, retry: false) do
+    case Req.get(url, [receive_timeout: @timeout, retry: false] ++ options ++ auth_opts()) do
       {:ok, %Req.Response{status: 200, body: body}} ->
         {:ok, body}
 
       {:ok, %Req.Response{status: status, body: body}} ->
-        Logger.warning("WhatsApp bridge returned #{status}: #{inspect(body)}")
-        {:error, {:http_error, status, body}}
+        error_response(status, body)
 
       {:error, %Req.TransportError{reason: :econnrefused}} ->
         # Bridge not running - this is expected, log at debug level
@@ -231,16 +775,26 @@ defmodule PumaBot.WhatsApp.Client do
     end
   end
 
-  defp post(path, body) do
+  defp post(path, body), do: send_request(:post, path, body)
+
+  defp patch(path, body), do: send_request(:patch, path, body)
+
+  defp put(path, body), do: send_request(:put, path, body)
+
+  defp delete(path), do: send_request(:delete, path, nil)
+
+  defp send_request(method, path, body) do
     url = bridge_url() <> path
+    json = if is_nil(body), do: [], else: [json: body]
+    options = [method: method, receive_timeout: @timeout, retry: false] ++ json ++ auth_opts()
 
-    case Req.post(url, json: body, receive_timeout: @timeout, retry: false) do
-      {:ok, %Req.Response{status: 200, body: response}} ->
+    case Req.request(url, options) do
+      # 202 means the send was queued on the bridge (e.g. while disconnected)
+      {:ok, %Req.Response{status: status, body: response}} when status in [200, 201, 202] ->
         {:ok, response}
 
       {:ok, %Req.Response{status: status, body: response}} ->
-        Logger.warning("WhatsApp bridge returned #{status}: #{inspect(response)}")
-        {:error, {:http_error, status, response}}
+        error_response(status, response)
 
       {:error, %Req.TransportError{reason: :econnrefused}} ->
         Logger.debug("WhatsApp bridge not running (connection refused)")
@@ -251,4 +805,24 @@ defmodule PumaBot.WhatsApp.Client do
         {:error, {:request_failed, reason}}
     end
   end
+
+  defp error_response(status, body) do
+    error = Error.from_response(status, body)
+
+    # Expected while the bridge waits for a login; callers decide what to do
+    if error.code == :not_connected do
+      Logger.debug("WhatsApp bridge is not connected")
+    else
+      Logger.warning("WhatsApp bridge returned #{status} (#{error.code}): #{error.message}")
+    end
+
+    {:error, error}
+  end
+
+  defp auth_opts do
+    case bridge_token() do
+      nil -> []
+      token -> [auth: {:bearer, token}]
+    end
+  end
 end
@@ -0,0 +1,66 @@
+defmodule PumaBot.WhatsApp.Error do
+  @moduledoc """
+  An error response from the WhatsApp bridge.
+
+  The bridge answers every failure as `{"error": message, "code": code}`,
+  plus `"details"` for invalid requests (see `/api/openapi.json`). `code` is
+  one of:
+
+  - `:invalid_request` / `:invalid_jid` (400) - fix the request, don't retry
+  - `:unauthorized` (401) / `:forbidden` (403) - token missing or lacking a scope
+  - `:not_found` (404), `:conflict` (409), `:payload_too_large` (413)
+  - `:rate_limited` (429) - WhatsApp throttled us; retry later
+  - `:not_connected` (503) - the bridge is not logged in to WhatsApp
+  - `:unavailable` (503), `:internal_error` (500)
+  - `:unknown` - an answer without a known code (e.g. from a proxy)
+  """
+
+  defexception [:code, :status, :message, details: []]
+
+  @type t :: %__MODULE__{
+          code: atom(),
+          status: pos_integer(),
+          message: String.t(),
+          details: [map()]
+        }
+
+  @codes %{
+    "invalid_request" => :invalid_request,
+    "invalid_jid" => :invalid_jid,
+    "unauthorized" => :unauthorized,
+    "forbidden" => :forbidden,
+    "not_found" => :not_found,
+    "conflict" => :conflict,
+    "payload_too_large" => :payload_too_large,
+    "rate_limited" => :rate_limited,
+    "internal_error" => :internal_error,
+    "not_connected" => :not_connected,
+    "unavailable" => :unavailable
+  }
+
+  @retryable [:rate_limited, :not_connected, :unavailable, :internal_error]
+
+  @doc """
+  Builds the error for a non-success bridge response.
+  """
+  @spec from_response(pos_integer(), term()) :: t()
+  def from_response(status, %{"error" => message} = body) do
+    %__MODULE__{
+      code: Map.get(@codes, body["code"], :unknown),
+      status: status,
+      message: message,
+      details: body["details"] || []
+    }
+  end
+
+  def from_response(status, body) do
+    %__MODULE__{code: :unknown, status: status, message: "HTTP #{status}: #{inspect(body)}"}
+  end
+
+  @doc """
+  Whether the same request may succeed later without changes.
+  """
+  @spec retryable?(t()) :: boolean()
+  def retryable?(%__MODULE__{code: :unknown, status: status}), do: status >= 500
+  def retryable?(%__MODULE__{code: code}), do: code in @retryable
+end
@@ -5,6 +5,17 @@ defmodule PumaBotWeb.ChatBrowserLive do
   alias PumaBot.WhatsApp.Bridge
   alias PumaBot.Importers.WhatsAppImporter
 
+  # The open chat is a stream of messages paged by cursor (see
+  # Chats.cursor/1). It opens on the newest page; the ChatTimeline hook asks
+  # for the next page as either end of the timeline scrolls into view.
+  @page_size 200
+  # Most messages kept in the timeline: past it, rows drop off the far end
+  # (the stream limit) and can be paged back in
+  @window_size 1000
+  # Furthest back a jump to a quoted message extends the window; older
+  # targets open a new window starting at them
+  @max_jump_messages @window_size - @page_size
+
   @impl true
   def mount(_params, _session, socket) do
     # Subscribe to periodic updates if connected
@@ -25,13 +36,18 @@ defmodule PumaBotWeb.ChatBrowserLive do
       |> assign(:claude_sessions, claude_sessions)
       |> assign(:active_tab, :whatsapp)
       |> assign(:selected_chat, nil)
-      |> assign(:messages, [])
+      |> assign(:window, [])
+      |> assign(:has_older, false)
+      |> assign(:has_newer, false)
+      |> stream_configure(:messages, dom_id: &"msg-#{&1.id}")
+      |> stream(:messages, [])
       |> assign(:search_query, "")
       |> assign(:search_results, nil)
       |> assign(:bridge_status, bridge_status)
       |> assign(:show_settings, false)
       |> assign(:importing, false)
       |> assign(:qr_code, nil)
+      |> assign(:qr_expires_at, nil)
       |> assign(:show_qr_modal, false)
       |> assign(:total_message_count, 0)
 
@@ -50,28 +66,26 @@ defmodule PumaBotWeb.ChatBrowserLive do
 
   defp apply_action(socket, :show, %{"source" => "whatsapp", "id" => chat_jid}) do
     chat_jid = URI.decode(chat_jid)
-    messages = Chats.get_whatsapp_messages(chat_jid, limit: 500)
     total_count = Chats.count_whatsapp_messages(chat_jid)
     chat = Enum.find(socket.assigns.whatsapp_chats, &(&1.chat_jid == chat_jid))
 
     socket
     |> assign(:active_tab, :whatsapp)
     |> assign(:selected_chat, %{source: :whatsapp, id: chat_jid, name: chat && chat.display_name})
-    |> assign(:messages, messages)
     |> assign(:total_message_count, total_count)
+    |> open_timeline()
   end
 
   defp apply_action(socket, :show, %{"source" => "claude", "id" => session_id}) do
     session_id = URI.decode(session_id)
-    messages = Chats.get_claude_messages(session_id, limit: 500)
     total_count = Chats.count_claude_messages(session_id)
     session = Enum.find(socket.assigns.claude_sessions, &(&1.session_id == session_id))
 
     socket
     |> assign(:active_tab, :claude)
     |> assign(:selected_chat, %{source: :claude, id: session_id, name: session && session.display_name})
-    |> assign(:messages, messages)
     |> assign(:total_message_count, total_count)
+    |> open_timeline()
   end
 
   defp apply_action(socket, _, _), do: socket
@@ -147,15 +161,28 @@ defmodule PumaBotWeb.ChatBrowserLive do
 
   @impl true
   def handle_event("show_qr", _, socket) do
-    case PumaBot.WhatsApp.Client.get_qr() do
-      {:ok, %{"qr" => qr}} when is_binary(qr) ->
-        {:noreply, socket |> assign(:qr_code, qr) |> assign(:show_qr_modal, true)}
+    case fetch_qr() do
+      {:ok, qr, expires_at} ->
+        {:noreply,
+         socket
+         |> assign(:qr_code, qr)
+         |> assign(:qr_expires_at, expires_at)
+         |> assign(:show_qr_modal, true)}
+
+      :error ->
+        {:noreply, put_flash(socket, :error, "QR code not available")}
+    end
+  end
 
-      {:ok, %{qr: qr}} when is_binary(qr) ->
-        {:noreply, socket |> assign(:qr_code, qr) |> assign(:show_qr_modal, true)}
+  # Sent by the QRCode hook when the displayed code expires
+  @impl true
+  def handle_event("refresh_qr", _, socket) do
+    case fetch_qr() do
+      {:ok, qr, expires_at} ->
+        {:noreply, socket |> assign(:qr_code, qr) |> assign(:qr_expires_at, expires_at)}
 
-      _ ->
-        {:noreply, put_flash(socket, :error, "QR code not available")}
+      :error ->
+        {:noreply, socket |> assign(:qr_code, nil) |> assign(:qr_expires_at, nil)}
     end
   end
 
@@ -164,9 +191,45 @@ defmodule PumaBotWeb.ChatBrowserLive do
     {:noreply, assign(socket, :show_qr_modal, false)}
   end
 
+  # Sent by the ChatTimeline hook when the top of the timeline scrolls into
+  # view, or with "until" to load back to a quoted message before jumping to it
+  @impl true
+  def handle_event("load_older", %{"until" => message_id}, %{assigns: %{selected_chat: %{source: :whatsapp} = chat}} = socket) do
+    {loaded, socket} = load_until(socket, chat, message_id)
+    {:reply, %{loaded: loaded}, socket}
+  end
+
+  def handle_event("load_older", _params, %{assigns: %{selected_chat: %{} = chat, window: [oldest | _]}} = socket) do
+    {older, has_older} = fetch_page(chat, before: oldest)
+
+    socket =
+      socket
+      |> prepend_messages(chat, older)
+      |> assign(:has_older, has_older)
+
+    {:reply, %{loaded: length(older)}, socket}
+  end
+
+  def handle_event("load_older", _params, socket) do
+    {:reply, %{loaded: 0}, socket}
+  end
+
+  # Sent by the ChatTimeline hook when the bottom of a window that no longer
+  # reaches the newest message scrolls into view
+  @impl true
+  def handle_event("load_newer", _params, %{assigns: %{selected_chat: %{} = chat, has_newer: true}} = socket) do
+    {loaded, socket} = load_newer(socket, chat)
+    {:reply, %{loaded: loaded}, socket}
+  end
+
+  def handle_event("load_newer", _params, socket) do
+    {:reply, %{loaded: 0}, socket}
+  end
+
   @impl true
   def handle_info(:refresh_bridge_status, socket) do
     bridge_status = Bridge.status()
+    socket = follow_new_messages(socket)
 
     # Auto-close QR modal if connected
     socket =
@@ -336,7 +399,14 @@ defmodule PumaBotWeb.ChatBrowserLive do
           <div class="modal-box">
             <h3 class="font-bold text-lg mb-4">Scan QR Code with WhatsApp</h3>
             <div class="flex justify-center">
-              <div id="qr-code-container" phx-hook="QRCode" data-qr={@qr_code} class="bg-white p-4 rounded"></div>
+              <div
+                id="qr-code-container"
+                phx-hook="QRCode"
+                data-qr={@qr_code}
+                data-expires-at={@qr_expires_at}
+                class="bg-white p-4 rounded"
+              >
+              </div>
             </div>
             <p class="text-sm text-base-content/60 mt-4 text-center">
               Open WhatsApp on your phone → Settings → Linked Devices → Link a Device
@@ -394,8 +464,14 @@ defmodule PumaBotWeb.ChatBrowserLive do
         <!-- Main Content -->
         <main class="flex-1 flex flex-col overflow-hidden">
           <%= if @selected_chat do %>
-            <.message_header chat={@selected_chat} message_count={length(@messages)} total_count={@total_message_count} />
-            <.message_list messages={@messages} source={@selected_chat.source} />
+            <.message_header chat={@selected_chat} message_count={length(@window)} total_count={@total_message_count} />
+            <.message_list
+              messages={@streams.messages}
+              source={@selected_chat.source}
+              chat_id={@selected_chat.id}
+              has_older={@has_older}
+              has_newer={@has_newer}
+            />
           <% else %>
             <.empty_state stats={@stats} />
           <% end %>
@@ -409,7 +485,7 @@ defmodule PumaBotWeb.ChatBrowserLive do
 
   defp chat_list(assigns) do
     ~H"""
-    <ul class="menu menu-sm p-2">
+    <ul class="menu menu-sm p-2" data-chat-nav>
       <%= for chat <- @chats do %>
         <li id={"chat-#{chat.chat_jid}"}>
           <.link
@@ -421,9 +497,7 @@ defmodule PumaBotWeb.ChatBrowserLive do
                 <span class="font-medium truncate">{chat.display_name}</span>
                 <span class="badge badge-sm">{chat.message_count}</span>
               </div>
-              <span class="text-xs text-base-content/60">
-                {format_date(chat.last_message_at)}
-              </span>
+              <.local_time id={"chat-time-#{chat.chat_jid}"} datetime={chat.last_message_at} format="date" class="text-xs text-base-content/60" />
             </div>
           </.link>
         </li>
@@ -434,7 +508,7 @@ defmodule PumaBotWeb.ChatBrowserLive do
 
   defp session_list(assigns) do
     ~H"""
-    <ul class="menu menu-sm p-2">
+    <ul class="menu menu-sm p-2" data-chat-nav>
       <%= for session <- @sessions do %>
         <li id={"session-#{session.session_id}"}>
           <.link
@@ -446,9 +520,7 @@ defmodule PumaBotWeb.ChatBrowserLive do
                 <span class="font-medium truncate">{session.display_name}</span>
                 <span class="badge badge-sm">{session.message_count}</span>
               </div>
-              <span class="text-xs text-base-content/60">
-                {format_date(session.last_message_at)}
-              </span>
+              <.local_time id={"session-time-#{session.session_id}"} datetime={session.last_message_at} format="date" class="text-xs text-base-content/60" />
             </div>
           </.link>
         </li>
@@ -490,7 +562,7 @@ defmodule PumaBotWeb.ChatBrowserLive do
           <h2 class="font-semibold">{@chat.name || "Chat"}</h2>
           <span class="text-sm text-base-content/60">
             <%= if @total_count > @message_count do %>
-              Showing {@message_count} of {@total_count} messages (most recent)
+              Showing {@message_count} of {@total_count} messages (scroll for more)
             <% else %>
               {@message_count} messages
             <% end %>
@@ -504,51 +576,104 @@ defmodule PumaBotWeb.ChatBrowserLive do
     """
   end
 
+  # Stream entries carry the message plus, for WhatsApp, the message it
+  # quotes and its reactions (see entries/2)
   defp message_list(%{source: :whatsapp} = assigns) do
-    # Build lookup maps for quoted messages and reactions
-    msg_lookup = Map.new(assigns.messages, fn m -> {m.message_id, m} end)
-
-    # Group reactions by their target message ID
-    {reactions, regular_messages} =
-      Enum.split_with(assigns.messages, fn m -> m.message_type == :reaction end)
-
-    reaction_map =
-      Enum.reduce(reactions, %{}, fn r, acc ->
-        # Reaction's target is stored in raw_data -> reaction_target_id or raw_data -> message -> reactionMessage -> key -> id
-        target_id = get_reaction_target(r)
-        if target_id do
-          Map.update(acc, target_id, [r.content], fn existing -> existing ++ [r.content] end)
-        else
-          acc
-        end
-      end)
+    ~H"""
+    <.timeline chat_id={@chat_id} has_older={@has_older} has_newer={@has_newer}>
+      <.whatsapp_row :for={{dom_id, entry} <- @messages} id={dom_id} entry={entry} />
+    </.timeline>
+    """
+  end
+
+  defp message_list(assigns) do
+    ~H"""
+    <.timeline chat_id={@chat_id} has_older={@has_older} has_newer={@has_newer}>
+      <.message_bubble :for={{_dom_id, entry} <- @messages} message={entry.message} source={@source} />
+    </.timeline>
+    """
+  end
 
-    assigns =
-      assigns
-      |> assign(:regular_messages, regular_messages)
-      |> assign(:msg_lookup, msg_lookup)
-      |> assign(:reaction_map, reaction_map)
+  # Scrolling container for a chat's messages, driven by the ChatTimeline hook
+  # (windowed rendering, paging at both ends, scroll anchoring, quote jumps
+  # and keyboard navigation). Rows mark themselves with data-timeline-row.
+  attr :chat_id, :string, required: true
+  attr :has_older, :boolean, required: true
+  attr :has_newer, :boolean, required: true
+  slot :inner_block, required: true
 
+  defp timeline(assigns) do
     ~H"""
-    <div id="message-list" class="flex-1 overflow-y-auto p-4 space-y-2">
-      <%= for message <- @regular_messages do %>
-        <.whatsapp_bubble
-          message={message}
-          quoted={quoted_message(message, @msg_lookup)}
-          reactions={Map.get(@reaction_map, message.message_id, [])}
-        />
-      <% end %>
+    <div
+      id="message-list"
+      phx-hook="ChatTimeline"
+      data-chat-id={@chat_id}
+      data-has-older={to_string(@has_older)}
+      data-has-newer={to_string(@has_newer)}
+      class="flex-1 overflow-y-auto p-4"
+    >
+      <div :if={@has_older} data-timeline-top class="text-center text-xs text-base-content/50 py-2">
+        Loading older messages…
+      </div>
+      <div id="message-rows" phx-update="stream" class="space-y-2">
+        {render_slot(@inner_block)}
+      </div>
+      <div :if={@has_newer} data-timeline-bottom class="text-center text-xs text-base-content/50 py-2">
+        Loading newer messages…
+      </div>
     </div>
     """
   end
 
-  defp message_list(assigns) do
+  # Reactions show on the message they react to; they still get an empty row
+  # so the stream holds exactly the messages of the window
+  defp whatsapp_row(%{entry: %{message: %{message_type: :reaction}}} = assigns) do
     ~H"""
-    <div id="message-list" class="flex-1 overflow-y-auto p-4 space-y-2">
-      <%= for message <- @messages do %>
-        <.message_bubble message={message} source={@source} />
-      <% end %>
-    </div>
+    <div id={@id} hidden></div>
+    """
+  end
+
+  defp whatsapp_row(assigns) do
+    ~H"""
+    <.whatsapp_bubble message={@entry.message} quoted={@entry.quoted} reactions={@entry.reactions} />
+    """
+  end
+
+  # A timestamp the LocalTime hook shows in the browser's locale and time
+  # zone; the server-rendered text (UTC) is the fallback
+  attr :id, :string, required: true
+  attr :datetime, :any, required: true
+  attr :format, :string, default: "datetime"
+  attr :class, :string, default: nil
+
+  defp local_time(assigns) do
+    ~H"""
+    <time
+      id={@id}
+      phx-hook="LocalTime"
+      datetime={iso8601(@datetime)}
+      data-format={@format}
+      class={@class}
+    >{if @format == "date", do: format_date(@datetime), else: format_datetime(@datetime)}</time>
+    """
+  end
+
+  # Button copying the text of the element with id `from`
+  attr :id, :string, required: true
+  attr :from, :string, required: true
+
+  defp copy_button(assigns) do
+    ~H"""
+    <button
+      id={@id}
+      type="button"
+      phx-hook="CopyText"
+      data-copy-from={@from}
+      class="btn btn-ghost btn-xs opacity-50 hover:opacity-100"
+      title="Copy text"
+    >
+      Copy
+    </button>
     """
   end
 
@@ -557,7 +682,13 @@ defmodule PumaBotWeb.ChatBrowserLive do
     assigns = assign(assigns, :sender_id, sender_id)
 
     ~H"""
-    <div id={"msg-#{@message.id}"} class={"chat #{if @message.is_from_me, do: "chat-end", else: "chat-start"}"}>
+    <div
+      id={"msg-#{@message.id}"}
+      data-timeline-row
+      data-message-id={@message.message_id}
+      tabindex="-1"
+      class={"chat #{if @message.is_from_me, do: "chat-end", else: "chat-start"}"}
+    >
       <div class="chat-image avatar">
         <div class="w-8 rounded-full">
           <img src={avatar_url(@sender_id, @message.is_from_me)} alt="" />
@@ -565,16 +696,21 @@ defmodule PumaBotWeb.ChatBrowserLive do
       </div>
       <div class="chat-header">
         {sender_display_name(@message)}
-        <time class="text-xs opacity-50">{format_datetime(@message.timestamp)}</time>
+        <.local_time id={"msg-time-#{@message.id}"} datetime={@message.timestamp} class="text-xs opacity-50" />
+        <.copy_button id={"msg-copy-#{@message.id}"} from={"msg-content-#{@message.id}"} />
       </div>
       <div class={"chat-bubble #{if @message.is_from_me, do: "chat-bubble-primary", else: ""}"}>
         <%= if @quoted do %>
-          <div class="bg-base-300/30 rounded px-2 py-1 mb-1 border-l-2 border-accent text-xs">
+          <div
+            data-quoted-id={@message.quoted_message_id}
+            class={"bg-base-300/30 rounded px-2 py-1 mb-1 border-l-2 border-accent text-xs #{if @message.quoted_message_id, do: "cursor-pointer"}"}
+            title={if @message.quoted_message_id, do: "Jump to message"}
+          >
             <div class="font-semibold text-accent">{@quoted.sender}</div>
             <div class="opacity-80 truncate max-w-xs">{truncate(@quoted.content, 120)}</div>
           </div>
         <% end %>
-        {format_content(@message.content)}
+        <span id={"msg-content-#{@message.id}"}>{format_content(@message.content)}</span>
         <%= if @reactions != [] do %>
           <div class="flex gap-1 mt-1">
             <%= for {emoji, count} <- group_reactions(@reactions) do %>
@@ -592,7 +728,13 @@ defmodule PumaBotWeb.ChatBrowserLive do
     assigns = assign(assigns, :sender_id, sender_id)
 
     ~H"""
-    <div id={"msg-#{@message.id}"} class={"chat #{if @message.is_from_me, do: "chat-end", else: "chat-start"}"}>
+    <div
+      id={"msg-#{@message.id}"}
+      data-timeline-row
+      data-message-id={@message.message_id}
+      tabindex="-1"
+      class={"chat #{if @message.is_from_me, do: "chat-end", else: "chat-start"}"}
+    >
       <div class="chat-image avatar">
         <div class="w-8 rounded-full">
           <img src={avatar_url(@sender_id, @message.is_from_me)} alt="" />
@@ -600,10 +742,11 @@ defmodule PumaBotWeb.ChatBrowserLive do
       </div>
       <div class="chat-header">
         {sender_display_name(@message)}
-        <time class="text-xs opacity-50">{format_datetime(@message.timestamp)}</time>
+        <.local_time id={"msg-time-#{@message.id}"} datetime={@message.timestamp} class="text-xs opacity-50" />
+        <.copy_button id={"msg-copy-#{@message.id}"} from={"msg-content-#{@message.id}"} />
       </div>
       <div class={"chat-bubble #{if @message.is_from_me, do: "chat-bubble-primary", else: ""}"}>
-        {format_content(@message.content)}
+        <span id={"msg-content-#{@message.id}"}>{format_content(@message.content)}</span>
       </div>
     </div>
     """
@@ -611,7 +754,12 @@ defmodule PumaBotWeb.ChatBrowserLive do
 
   defp message_bubble(%{source: :claude} = assigns) do
     ~H"""
-    <div id={"msg-#{@message.id}"} class={"chat #{if @message.role == :user, do: "chat-end", else: "chat-start"}"}>
+    <div
+      id={"msg-#{@message.id}"}
+      data-timeline-row
+      tabindex="-1"
+      class={"chat #{if @message.role == :user, do: "chat-end", else: "chat-start"}"}
+    >
       <div class="chat-image avatar">
         <div class="w-8 rounded-full">
           <img src={claude_avatar_url(@message.role)} alt="" />
@@ -619,10 +767,11 @@ defmodule PumaBotWeb.ChatBrowserLive do
       </div>
       <div class="chat-header">
         {if @message.role == :user, do: "You", else: "Claude"}
-        <time class="text-xs opacity-50">{format_datetime(@message.timestamp)}</time>
+        <.local_time id={"msg-time-#{@message.id}"} datetime={@message.timestamp} class="text-xs opacity-50" />
+        <.copy_button id={"msg-copy-#{@message.id}"} from={"msg-content-#{@message.id}"} />
       </div>
       <div class={"chat-bubble #{if @message.role == :user, do: "chat-bubble-primary", else: "chat-bubble-secondary"} max-w-3xl"}>
-        <div class="prose prose-sm max-w-none">
+        <div id={"msg-content-#{@message.id}"} class="prose prose-sm max-w-none">
           {format_content(@message.content)}
         </div>
       </div>
@@ -721,6 +870,11 @@ defmodule PumaBotWeb.ChatBrowserLive do
     Calendar.strftime(datetime, "%Y-%m-%d %H:%M")
   end
 
+  # Timestamps are stored in UTC; aggregates (max/1) come back naive
+  defp iso8601(nil), do: nil
+  defp iso8601(%DateTime{} = datetime), do: DateTime.to_iso8601(datetime)
+  defp iso8601(%NaiveDateTime{} = datetime), do: NaiveDateTime.to_iso8601(datetime) <> "Z"
+
   defp truncate(nil, _), do: ""
   defp truncate(str, len) when byte_size(str) <= len, do: str
   defp truncate(str, len), do: String.slice(str, 0, len) <> "..."
@@ -750,34 +904,207 @@ defmodule PumaBotWeb.ChatBrowserLive do
       |> assign(:whatsapp_chats, whatsapp_chats)
       |> assign(:claude_sessions, claude_sessions)
 
-    # Refresh the currently selected chat's messages if one is selected
+    # Reopen the currently selected chat on its newest page, if one is
+    # selected; an import may have added messages anywhere in it
     case socket.assigns.selected_chat do
       %{source: :whatsapp, id: chat_jid} ->
-        messages = Chats.get_whatsapp_messages(chat_jid, limit: 500)
-        total_count = Chats.count_whatsapp_messages(chat_jid)
         chat = Enum.find(whatsapp_chats, &(&1.chat_jid == chat_jid))
 
         socket
-        |> assign(:messages, messages)
-        |> assign(:total_message_count, total_count)
+        |> assign(:total_message_count, Chats.count_whatsapp_messages(chat_jid))
         |> assign(:selected_chat, %{source: :whatsapp, id: chat_jid, name: chat && chat.display_name})
+        |> open_timeline()
 
       %{source: :claude, id: session_id} ->
-        messages = Chats.get_claude_messages(session_id, limit: 500)
-        total_count = Chats.count_claude_messages(session_id)
         session = Enum.find(claude_sessions, &(&1.session_id == session_id))
 
         socket
-        |> assign(:messages, messages)
-        |> assign(:total_message_count, total_count)
+        |> assign(:total_message_count, Chats.count_claude_messages(session_id))
         |> assign(:selected_chat, %{source: :claude, id: session_id, name: session && session.display_name})
+        |> open_timeline()
 
       _ ->
         socket
     end
   end
 
-  # Look up the quoted/replied-to message from the message lookup map
+  # --- Timeline ---
+  #
+  # `window` holds the cursors of the streamed messages, oldest first, so the
+  # server knows the ends of what the browser shows without keeping the
+  # messages. It is trimmed to @window_size exactly like the stream.
+
+  defp open_timeline(%{assigns: %{selected_chat: chat}} = socket) do
+    {messages, has_older} = fetch_page(chat, [])
+
+    socket
+    |> reset_window(chat, messages)
+    |> assign(:has_older, has_older)
+    |> assign(:has_newer, false)
+  end
+
+  defp reset_window(socket, chat, messages) do
+    socket
+    |> assign(:window, Enum.map(messages, &Chats.cursor/1))
+    |> stream(:messages, entries(chat, messages), reset: true)
+  end
+
+  # Up to @page_size messages in the direction of `opts` (the newest without
+  # a cursor), and whether there are more beyond them
+  defp fetch_page(chat, opts) do
+    messages = page_messages(chat, Keyword.put(opts, :limit, @page_size + 1))
+
+    cond do
+      length(messages) <= @page_size -> {messages, false}
+      Keyword.has_key?(opts, :after) -> {Enum.take(messages, @page_size), true}
+      true -> {Enum.drop(messages, 1), true}
+    end
+  end
+
+  defp page_messages(%{source: :whatsapp, id: chat_jid}, opts), do: Chats.page_whatsapp_messages(chat_jid, opts)
+  defp page_messages(%{source: :claude, id: session_id}, opts), do: Chats.page_claude_messages(session_id, opts)
+
+  defp older_messages?(chat, cursor), do: page_messages(chat, before: cursor, limit: 1) != []
+
+  # Older messages go on top, each inserted at 0 from the newest down; past
+  # @window_size the newest ones drop out
+  defp prepend_messages(socket, _chat, []), do: socket
+
+  defp prepend_messages(socket, chat, messages) do
+    window = Enum.map(messages, &Chats.cursor/1) ++ socket.assigns.window
+
+    socket =
+      chat
+      |> entries(messages)
+      |> Enum.reverse()
+      |> Enum.reduce(socket, &stream_insert(&2, :messages, &1, at: 0, limit: @window_size))
+
+    socket
+    |> assign(:window, Enum.take(window, @window_size))
+    |> update(:has_newer, &(&1 or length(window) > @window_size))
+  end
+
+  # Newer messages go at the bottom; past @window_size the oldest drop out
+  defp append_messages(socket, _chat, []), do: socket
+
+  defp append_messages(socket, chat, messages) do
+    window = socket.assigns.window ++ Enum.map(messages, &Chats.cursor/1)
+
+    socket
+    |> stream(:messages, entries(chat, messages), limit: -@window_size)
+    |> assign(:window, Enum.take(window, -@window_size))
+    |> update(:has_older, &(&1 or length(window) > @window_size))
+    |> update_reaction_targets(chat, messages)
+  end
+
+  # The page after the newest message in the window
+  defp load_newer(%{assigns: %{window: []}} = socket, chat) do
+    case fetch_page(chat, []) do
+      {[], _} -> {0, socket}
+      {messages, has_older} -> {length(messages), socket |> reset_window(chat, messages) |> assign(:has_older, has_older)}
+    end
+  end
+
+  defp load_newer(socket, chat) do
+    {newer, has_newer} = fetch_page(chat, after: List.last(socket.assigns.window))
+    {length(newer), socket |> append_messages(chat, newer) |> assign(:has_newer, has_newer)}
+  end
+
+  # Everything back to a quoted message when that is at most
+  # @max_jump_messages, otherwise a new window starting at it. Nothing when
+  # it isn't stored or isn't older than the window (e.g. a reaction).
+  defp load_until(%{assigns: %{window: [oldest | _]}} = socket, chat, message_id) do
+    with %{} = target <- Chats.get_whatsapp_message(chat.id, message_id),
+         cursor = Chats.cursor(target),
+         [_ | _] = older <- page_messages(chat, before: oldest, from: cursor, limit: @max_jump_messages + 1) do
+      if length(older) <= @max_jump_messages do
+        socket =
+          socket
+          |> prepend_messages(chat, older)
+          |> assign(:has_older, older_messages?(chat, cursor))
+
+        {length(older), socket}
+      else
+        {newer, has_newer} = fetch_page(chat, after: cursor)
+
+        socket =
+          socket
+          |> reset_window(chat, [target | newer])
+          |> assign(:has_older, older_messages?(chat, cursor))
+          |> assign(:has_newer, has_newer)
+
+        {length(newer) + 1, socket}
+      end
+    else
+      _ -> {0, socket}
+    end
+  end
+
+  defp load_until(socket, _chat, _message_id), do: {0, socket}
+
+  # Follow the open chat on the bridge refresh: only messages after the
+  # newest one shown, and only while the window reaches the end of the chat
+  defp follow_new_messages(%{assigns: %{selected_chat: %{} = chat, has_newer: false}} = socket) do
+    case load_newer(socket, chat) do
+      {0, socket} -> socket
+      {_loaded, socket} -> assign(socket, :total_message_count, count_messages(chat))
+    end
+  end
+
+  defp follow_new_messages(socket), do: socket
+
+  defp count_messages(%{source: :whatsapp, id: chat_jid}), do: Chats.count_whatsapp_messages(chat_jid)
+  defp count_messages(%{source: :claude, id: session_id}), do: Chats.count_claude_messages(session_id)
+
+  # Stream entries for a page; WhatsApp messages come with the message they
+  # quote and their reactions, looked up for the whole page at once
+  defp entries(%{source: :whatsapp, id: chat_jid}, messages) do
+    quoted_ids =
+      messages
+      |> Enum.map(& &1.quoted_message_id)
+      |> Enum.reject(&(&1 in [nil, ""]))
+      |> Enum.uniq()
+
+    quoted = chat_jid |> Chats.get_whatsapp_messages_by_ids(quoted_ids) |> Map.new(&{&1.message_id, &1})
+    reactions = Chats.whatsapp_reactions(chat_jid, Enum.map(messages, & &1.message_id))
+
+    Enum.map(messages, fn message ->
+      %{
+        id: message.id,
+        message: message,
+        quoted: quoted_message(message, quoted),
+        reactions: Map.get(reactions, message.message_id, [])
+      }
+    end)
+  end
+
+  defp entries(_chat, messages), do: Enum.map(messages, &%{id: &1.id, message: &1})
+
+  # Re-render messages in the window that new reactions point at, so the
+  # reactions show up on them (stream_insert updates a row in place)
+  defp update_reaction_targets(socket, %{source: :whatsapp, id: chat_jid} = chat, messages) do
+    target_ids =
+      messages
+      |> Enum.filter(&(&1.message_type == :reaction))
+      |> Enum.map(&get_reaction_target/1)
+      |> Enum.reject(&is_nil/1)
+
+    new_ids = MapSet.new(messages, & &1.message_id)
+    shown = MapSet.new(socket.assigns.window)
+
+    targets =
+      chat_jid
+      |> Chats.get_whatsapp_messages_by_ids(Enum.uniq(target_ids))
+      |> Enum.filter(&(MapSet.member?(shown, Chats.cursor(&1)) and not MapSet.member?(new_ids, &1.message_id)))
+
+    chat
+    |> entries(targets)
+    |> Enum.reduce(socket, &stream_insert(&2, :messages, &1))
+  end
+
+  defp update_reaction_targets(socket, _chat, _messages), do: socket
+
+  # The quoted/replied-to message, from the stored messages it may quote
   defp quoted_message(message, msg_lookup) do
     quoted_id = message.quoted_message_id
 
@@ -795,12 +1122,12 @@ defmodule PumaBotWeb.ChatBrowserLive do
           nil
         end
 
-      # Found in current message set
+      # Stored
       Map.has_key?(msg_lookup, quoted_id) ->
         quoted = Map.get(msg_lookup, quoted_id)
         %{sender: sender_display_name(quoted), content: quoted.content}
 
-      # Quoted message not in current window - check raw_data for inline quote
+      # Quoted message not stored - check raw_data for inline quote
       true ->
         quoted_content = get_in(message.raw_data, ["quoted_content"])
         quoted_sender = get_in(message.raw_data, ["quoted_sender"])
@@ -809,15 +1136,16 @@ defmodule PumaBotWeb.ChatBrowserLive do
           sender_name = if quoted_sender, do: format_sender(quoted_sender), else: "Someone"
           %{sender: sender_name, content: quoted_content}
         else
-          %{sender: "...", content: "[Original message not in view]"}
+          %{sender: "...", content: "[Original message not available]"}
         end
     end
   end
 
   # Get the target message ID for a reaction
   defp get_reaction_target(reaction) do
-    # Try bridge-provided field first
-    get_in(reaction.raw_data, ["reaction_target_id"]) ||
+    # Try bridge-provided fields first (target_message_id since schema v1)
+    get_in(reaction.raw_data, ["target_message_id"]) ||
+      get_in(reaction.raw_data, ["reaction_target_id"]) ||
       # Fall back to Baileys raw structure
       get_in(reaction.raw_data, ["message", "reactionMessage", "key", "id"])
   end
@@ -829,4 +1157,15 @@ defmodule PumaBotWeb.ChatBrowserLive do
     |> Enum.frequencies()
     |> Enum.sort_by(fn {_emoji, count} -> -count end)
   end
+
+  # Current login QR from the bridge, with the time it stops being valid
+  defp fetch_qr do
+    case PumaBot.WhatsApp.Client.get_qr() do
+      {:ok, %{"qr" => qr} = response} when is_binary(qr) ->
+        {:ok, qr, response["expires_at"]}
+
+      _ ->
+        :error
+    end
+  end
 end
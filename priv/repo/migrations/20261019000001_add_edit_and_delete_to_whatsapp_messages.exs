@@ -0,0 +1,11 @@
+defmodule PumaBot.Repo.Migrations.AddEditAndDeleteToWhatsappMessages do
+  use Ecto.Migration
+
+  def change do
+    alter table(:whatsapp_messages) do
+      # Set when the bridge reports an edit or revoke for this message
+      add :edited_at, :utc_datetime
+      add :deleted_at, :utc_datetime
+    end
+  end
+end
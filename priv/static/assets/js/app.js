@@ -2,6 +2,10 @@
 let Hooks = {};
 
 // QR Code rendering hook
+// WhatsApp rotates login QR codes, so the code is cleared as soon as it
+// expires and the LiveView is asked for the next one.
+const QR_RETRY_MS = 2000;
+
 Hooks.QRCode = {
   mounted() {
     this.renderQR();
@@ -9,9 +13,22 @@ Hooks.QRCode = {
   updated() {
     this.renderQR();
   },
+  destroyed() {
+    clearTimeout(this.refreshTimer);
+  },
   renderQR() {
+    clearTimeout(this.refreshTimer);
     const qrData = this.el.dataset.qr;
-    if (qrData && typeof QRCode !== 'undefined') {
+    const expiresAt = Date.parse(this.el.dataset.expiresAt);
+    const remaining = Number.isNaN(expiresAt) ? null : expiresAt - Date.now();
+
+    if (!qrData || (remaining !== null && remaining <= 0)) {
+      this.showWaiting();
+      this.refreshTimer = setTimeout(() => this.pushEvent("refresh_qr", {}), QR_RETRY_MS);
+      return;
+    }
+
+    if (typeof QRCode !== 'undefined') {
       this.el.innerHTML = '';
       QRCode.toCanvas(qrData, { width: 256, margin: 2 }, (error, canvas) => {
         if (!error) {
@@ -19,9 +36,355 @@ Hooks.QRCode = {
         }
       });
     }
+
+    if (remaining !== null) {
+      this.refreshTimer = setTimeout(() => {
+        this.showWaiting();
+        this.pushEvent("refresh_qr", {});
+      }, remaining);
+    }
+  },
+  showWaiting() {
+    this.el.innerHTML = '<p class="text-sm text-gray-500 w-64 h-64 flex items-center justify-center">Refreshing QR code…</p>';
   }
 };
 
+// Chat timeline hook (#message-list in the chat browser).
+//
+// The rows ([data-timeline-row]) are a LiveView stream holding a bounded
+// window of the chat; rows scrolled far out of view are also "windowed":
+// they keep their measured height but their content is not rendered (see
+// app.css). Reaching the top ([data-timeline-top]) or, once the window has
+// moved back from the newest message, the bottom ([data-timeline-bottom])
+// asks the LiveView for the next page; the viewport stays on the same
+// message while rows come and go around it, and follows new messages when
+// it was at the live end. Clicking a quote ([data-quoted-id]) jumps to the
+// quoted message, loading back to it first if needed.
+//
+// Keys (outside text inputs): j / k next and previous message, g / G oldest
+// and newest loaded message, Enter jumps to the focused message's quote,
+// c copies its text, Alt+↓ / Alt+↑ next and previous chat.
+const TIMELINE_OVERSCAN_PX = 1500;
+const TIMELINE_BOTTOM_SLACK_PX = 40;
+const TIMELINE_HIGHLIGHT_MS = 1600;
+
+Hooks.ChatTimeline = {
+  mounted() {
+    this.loading = { older: false, newer: false };
+    this.chatId = this.el.dataset.chatId;
+
+    this.rowObserver = new IntersectionObserver(
+      entries => this.windowRows(entries),
+      { root: this.el, rootMargin: `${TIMELINE_OVERSCAN_PX}px 0px` }
+    );
+    this.edgeObserver = new IntersectionObserver(
+      entries => {
+        for (const entry of entries) {
+          if (!entry.isIntersecting) continue;
+          if (entry.target === this.topMarker) this.loadOlder();
+          else if (entry.target === this.bottomMarker) this.loadNewer();
+        }
+      },
+      { root: this.el }
+    );
+
+    this.onClick = (event) => {
+      const quote = event.target.closest("[data-quoted-id]");
+      if (quote && quote.dataset.quotedId) this.jumpTo(quote.dataset.quotedId);
+    };
+    this.onKeydown = (event) => this.handleKey(event);
+    this.el.addEventListener("click", this.onClick);
+    window.addEventListener("keydown", this.onKeydown);
+
+    this.observeRows();
+    this.scrollToBottom();
+  },
+
+  beforeUpdate() {
+    this.wasAtBottom = this.isAtBottom() && this.el.dataset.hasNewer !== "true";
+    this.anchor = this.firstVisibleRow();
+    this.anchorTop = this.anchor && this.anchor.getBoundingClientRect().top;
+  },
+
+  updated() {
+    this.observeRows();
+
+    if (this.el.dataset.chatId !== this.chatId) {
+      // Another chat was opened in the same container
+      this.chatId = this.el.dataset.chatId;
+      this.loading = { older: false, newer: false };
+      this.pendingJump = null;
+      this.scrollToBottom();
+    } else if (this.wasAtBottom) {
+      this.scrollToBottom();
+    } else if (this.anchor && this.anchor.isConnected) {
+      this.el.scrollTop += this.anchor.getBoundingClientRect().top - this.anchorTop;
+    }
+
+    if (this.pendingJump && this.findRow(this.pendingJump)) {
+      this.jumpTo(this.pendingJump);
+    }
+  },
+
+  destroyed() {
+    this.rowObserver.disconnect();
+    this.edgeObserver.disconnect();
+    window.removeEventListener("keydown", this.onKeydown);
+  },
+
+  rows() {
+    return this.el.querySelectorAll("[data-timeline-row]");
+  },
+
+  // Watch new rows and the edge markers. A patch may also have re-rendered a
+  // windowed row in full (dropping data-windowed); the observer only reports
+  // changes, so those are windowed again here.
+  observeRows() {
+    const stale = [];
+    for (const row of this.rows()) {
+      this.rowObserver.observe(row);
+      if (row.timelineHidden && !row.hasAttribute("data-windowed")) stale.push(row);
+    }
+    const heights = stale.map(row => row.getBoundingClientRect().height);
+    stale.forEach((row, i) => this.hideRow(row, heights[i]));
+
+    this.topMarker = this.observeMarker(this.topMarker, this.el.querySelector("[data-timeline-top]"));
+    this.bottomMarker = this.observeMarker(this.bottomMarker, this.el.querySelector("[data-timeline-bottom]"));
+  },
+
+  observeMarker(previous, marker) {
+    if (marker !== previous) {
+      if (previous) this.edgeObserver.unobserve(previous);
+      if (marker) this.edgeObserver.observe(marker);
+    }
+    return marker;
+  },
+
+  windowRows(entries) {
+    for (const entry of entries) {
+      const row = entry.target;
+      if (entry.isIntersecting) {
+        row.timelineHidden = false;
+        row.removeAttribute("data-windowed");
+        row.style.height = "";
+      } else if (!row.timelineHidden && row.isConnected) {
+        this.hideRow(row, entry.boundingClientRect.height);
+      }
+    }
+  },
+
+  hideRow(row, height) {
+    row.timelineHidden = true;
+    row.style.height = `${height}px`;
+    row.setAttribute("data-windowed", "");
+  },
+
+  loadOlder() {
+    this.loadPage("older", "hasOlder", () => this.topMarker);
+  },
+
+  loadNewer() {
+    this.loadPage("newer", "hasNewer", () => this.bottomMarker);
+  },
+
+  // The observer only reports a marker entering view, so a page too short
+  // to push it back out is followed by the next one here
+  loadPage(direction, flag, marker) {
+    if (this.loading[direction] || this.el.dataset[flag] !== "true") return;
+    this.loading[direction] = true;
+    this.pushEvent(`load_${direction}`, {}, () => {
+      this.loading[direction] = false;
+      requestAnimationFrame(() => { if (this.markerInView(marker())) this.loadPage(direction, flag, marker); });
+    });
+  },
+
+  markerInView(marker) {
+    if (!marker || !marker.isConnected) return false;
+    const rect = marker.getBoundingClientRect();
+    const view = this.el.getBoundingClientRect();
+    return rect.bottom >= view.top && rect.top <= view.bottom;
+  },
+
+  isAtBottom() {
+    return this.el.scrollHeight - this.el.scrollTop - this.el.clientHeight <= TIMELINE_BOTTOM_SLACK_PX;
+  },
+
+  scrollToBottom() {
+    this.el.scrollTop = this.el.scrollHeight;
+  },
+
+  firstVisibleRow() {
+    const top = this.el.getBoundingClientRect().top;
+    return Array.from(this.rows()).find(row => row.getBoundingClientRect().bottom > top) || null;
+  },
+
+  findRow(messageId) {
+    return this.el.querySelector(`[data-message-id="${CSS.escape(messageId)}"]`);
+  },
+
+  // Scroll to and highlight a message; when it is older than what is
+  // loaded, ask the LiveView to load back to it (or open the window at it)
+  // and retry after the patch
+  jumpTo(messageId) {
+    const row = this.findRow(messageId);
+    if (!row) {
+      if (this.el.dataset.hasOlder !== "true" || this.pendingJump === messageId) return;
+      this.pendingJump = messageId;
+      this.pushEvent("load_older", { until: messageId }, (reply) => {
+        if (!reply.loaded) this.pendingJump = null;
+      });
+      return;
+    }
+
+    this.pendingJump = null;
+    this.focusRow(row, "center");
+    row.classList.remove("timeline-highlight");
+    void row.offsetWidth; // restart the animation
+    row.classList.add("timeline-highlight");
+    setTimeout(() => row.classList.remove("timeline-highlight"), TIMELINE_HIGHLIGHT_MS);
+  },
+
+  focusRow(row, block = "nearest") {
+    row.scrollIntoView({ block });
+    row.focus({ preventScroll: true });
+  },
+
+  // The focused row, or the last one in view
+  currentRow() {
+    const focused = document.activeElement && document.activeElement.closest("[data-timeline-row]");
+    if (focused && this.el.contains(focused)) return focused;
+    const bottom = this.el.getBoundingClientRect().bottom;
+    return Array.from(this.rows()).reverse().find(row => row.getBoundingClientRect().top < bottom) || null;
+  },
+
+  handleKey(event) {
+    const target = event.target;
+    if (target.closest && target.closest("input, textarea, select, [contenteditable]")) return;
+    if (event.ctrlKey || event.metaKey) return;
+
+    if (event.altKey) {
+      if (event.key === "ArrowDown" || event.key === "ArrowUp") {
+        event.preventDefault();
+        this.switchChat(event.key === "ArrowDown" ? 1 : -1);
+      }
+      return;
+    }
+
+    const rows = Array.from(this.rows());
+    const current = this.currentRow();
+    const index = current ? rows.indexOf(current) : rows.length - 1;
+
+    switch (event.key) {
+      case "j":
+      case "k": {
+        const next = rows[index + (event.key === "j" ? 1 : -1)];
+        if (next) this.focusRow(next);
+        else if (event.key === "k") this.loadOlder();
+        else this.loadNewer();
+        break;
+      }
+      case "g":
+        if (rows[0]) this.focusRow(rows[0], "start");
+        break;
+      case "G":
+        if (rows.length) this.focusRow(rows[rows.length - 1], "end");
+        break;
+      case "Enter": {
+        const quote = current && current.querySelector("[data-quoted-id]");
+        if (quote && quote.dataset.quotedId) this.jumpTo(quote.dataset.quotedId);
+        break;
+      }
+      case "c": {
+        const copy = current && current.querySelector("[data-copy-from]");
+        if (copy) copy.click();
+        break;
+      }
+      default:
+        return;
+    }
+    event.preventDefault();
+  },
+
+  // Follow the sidebar link before or after the open chat
+  switchChat(step) {
+    const links = Array.from(document.querySelectorAll("[data-chat-nav] a"));
+    const index = links.findIndex(link => link.classList.contains("active"));
+    const next = links[index === -1 ? 0 : index + step];
+    if (next) {
+      next.click();
+      next.scrollIntoView({ block: "nearest" });
+    }
+  }
+};
+
+// Local timestamp hook: shows <time datetime="..."> in the browser's locale
+// and time zone (data-format="date" for the date only). The server renders
+// UTC as a fallback.
+const DATE_FORMAT = new Intl.DateTimeFormat(undefined, { dateStyle: "medium" });
+const DATETIME_FORMAT = new Intl.DateTimeFormat(undefined, { dateStyle: "short", timeStyle: "short" });
+const FULL_FORMAT = new Intl.DateTimeFormat(undefined, { dateStyle: "full", timeStyle: "long" });
+
+Hooks.LocalTime = {
+  mounted() {
+    this.format();
+  },
+  updated() {
+    this.format();
+  },
+  format() {
+    const date = new Date(this.el.getAttribute("datetime"));
+    if (Number.isNaN(date.getTime())) return;
+
+    const format = this.el.dataset.format === "date" ? DATE_FORMAT : DATETIME_FORMAT;
+    this.el.textContent = format.format(date);
+    this.el.title = FULL_FORMAT.format(date);
+  }
+};
+
+// Copy hook: copies the text of the element named by data-copy-from and
+// briefly confirms on the button
+const COPY_FEEDBACK_MS = 1500;
+
+Hooks.CopyText = {
+  mounted() {
+    this.label = this.el.textContent;
+    this.onClick = () => {
+      const source = document.getElementById(this.el.dataset.copyFrom);
+      if (!source) return;
+      copyText(source.innerText.trim()).then(
+        () => this.feedback("Copied"),
+        () => this.feedback("Copy failed")
+      );
+    };
+    this.el.addEventListener("click", this.onClick);
+  },
+  destroyed() {
+    clearTimeout(this.feedbackTimer);
+  },
+  feedback(text) {
+    clearTimeout(this.feedbackTimer);
+    this.el.textContent = text;
+    this.feedbackTimer = setTimeout(() => { this.el.textContent = this.label; }, COPY_FEEDBACK_MS);
+  }
+};
+
+// The Clipboard API only exists in secure contexts (https or localhost);
+// fall back to a temporary textarea elsewhere
+function copyText(text) {
+  if (navigator.clipboard && window.isSecureContext) {
+    return navigator.clipboard.writeText(text);
+  }
+  const textarea = document.createElement("textarea");
+  textarea.value = text;
+  textarea.style.position = "fixed";
+  textarea.style.opacity = "0";
+  document.body.appendChild(textarea);
+  textarea.select();
+  const copied = document.execCommand("copy");
+  textarea.remove();
+  return copied ? Promise.resolve() : Promise.reject(new Error("copy failed"));
+}
+
 // Initialize LiveSocket with hooks
 let csrfToken = document.querySelector("meta[name='csrf-token']").getAttribute("content");
 let liveSocket = new LiveView.LiveSocket("/live", Phoenix.Socket, {
@@ -0,0 +1,58 @@
+import { BufferJSON, initAuthCreds, proto } from '@whiskeysockets/baileys';
+
+// Documents holding the Signal credentials and keys
+export const AUTH_PREFIX = 'auth/';
+
+// Baileys' useMultiFileAuthState on top of a Storage instead of a folder.
+//
+// Creds and each key are one document, named like the files
+// useMultiFileAuthState writes (`auth/creds`, `auth/pre-key-1`, ...), so a
+// file-backed store keeps reading auth/ directories linked before storage was
+// pluggable. Key updates are written in one transaction.
+export function useStorageAuthState(storage) {
+  const read = (name) => {
+    try {
+      return storage.readDocument(AUTH_PREFIX + name, { reviver: BufferJSON.reviver });
+    } catch {
+      return null;
+    }
+  };
+  const write = (name, value) => storage.writeDocument(AUTH_PREFIX + name, value, { replacer: BufferJSON.replacer });
+
+  const creds = read('creds') || initAuthCreds();
+
+  return {
+    state: {
+      creds,
+      keys: {
+        get: async (type, ids) => {
+          const data = {};
+          for (const id of ids) {
+            let value = read(keyName(type, id));
+            if (type === 'app-state-sync-key' && value) {
+              value = proto.Message.AppStateSyncKeyData.fromObject(value);
+            }
+            data[id] = value;
+          }
+          return data;
+        },
+        set: async (data) => {
+          storage.transaction(() => {
+            for (const [type, values] of Object.entries(data)) {
+              for (const [id, value] of Object.entries(values)) {
+                if (value) write(keyName(type, id), value);
+                else storage.deleteDocument(AUTH_PREFIX + keyName(type, id));
+              }
+            }
+          });
+        },
+      },
+    },
+    saveCreds: async () => write('creds', creds),
+  };
+}
+
+// The file name useMultiFileAuthState uses, without the .json extension
+function keyName(type, id) {
+  return `${type}-${id}`.replace(/\//g, '__').replace(/:/g, '-');
+}
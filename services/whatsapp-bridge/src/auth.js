@@ -0,0 +1,123 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import { createLogger } from './logger.js';
+import { apiError, sendError } from './errors.js';
+
+const log = createLogger('auth');
+
+export const SCOPES = ['read', 'send', 'admin'];
+
+// Bearer-token authentication, per-token scopes and an audit log.
+//
+// Tokens come from the environment:
+//   WHATSAPP_BRIDGE_TOKEN   a shared secret with every scope
+//   WHATSAPP_BRIDGE_TOKENS  named tokens with scopes, e.g.
+//                           "importer=s3cret:read,agent=0ther:read+send"
+// With no tokens configured, authentication is disabled; index.js only
+// allows that while bound to localhost.
+class Auth {
+  constructor({ tokens = [], auditFile = null }) {
+    this.tokens = tokens.map(t => ({ ...t, digest: digest(t.token) }));
+    this.auditFile = auditFile;
+    this.authenticate = this.authenticate.bind(this);
+  }
+
+  static fromEnv(env = process.env, { auditFile } = {}) {
+    const tokens = [];
+
+    if (env.WHATSAPP_BRIDGE_TOKEN) {
+      tokens.push({ name: 'shared', token: env.WHATSAPP_BRIDGE_TOKEN, scopes: [...SCOPES] });
+    }
+
+    for (const entry of (env.WHATSAPP_BRIDGE_TOKENS || '').split(',').map(e => e.trim()).filter(Boolean)) {
+      const match = entry.match(/^([^=]+)=([^:]+)(?::(.+))?$/);
+      if (!match) {
+        throw new Error(`Invalid WHATSAPP_BRIDGE_TOKENS entry: ${entry.split('=')[0]}`);
+      }
+      const scopes = match[3] ? match[3].split('+') : ['read'];
+      const unknown = scopes.filter(scope => !SCOPES.includes(scope));
+      if (unknown.length > 0) {
+        throw new Error(`Unknown scope(s) for token ${match[1]}: ${unknown.join(', ')}`);
+      }
+      tokens.push({ name: match[1], token: match[2], scopes });
+    }
+
+    return new Auth({ tokens, auditFile });
+  }
+
+  get enabled() {
+    return this.tokens.length > 0;
+  }
+
+  // Resolve the presented token (Authorization: Bearer, X-Bridge-Token, or
+  // ?access_token= for EventSource clients that cannot set headers)
+  identify(req) {
+    const header = req.get('Authorization') || '';
+    const presented = header.startsWith('Bearer ')
+      ? header.slice(7).trim()
+      : req.get('X-Bridge-Token') || req.query.access_token;
+    if (!presented) return null;
+
+    const presentedDigest = digest(presented);
+    return this.tokens.find(t => crypto.timingSafeEqual(t.digest, presentedDigest)) || null;
+  }
+
+  // Express middleware: reject requests without a valid token
+  authenticate(req, res, next) {
+    if (!this.enabled) {
+      req.principal = { name: 'anonymous', scopes: [...SCOPES] };
+      return next();
+    }
+
+    const token = this.identify(req);
+    if (!token) {
+      res.set('WWW-Authenticate', 'Bearer');
+      return sendError(res, apiError('unauthorized', 'Missing or invalid bearer token'));
+    }
+
+    req.principal = { name: token.name, scopes: token.scopes };
+    next();
+  }
+
+  // Express middleware factory: require a scope. Send and admin calls are audited.
+  requireScope(scope) {
+    return (req, res, next) => {
+      if (!req.principal?.scopes.includes(scope)) {
+        this.audit(req, 403, scope);
+        return sendError(res, apiError('forbidden', `Token lacks the '${scope}' scope`));
+      }
+
+      if (scope !== 'read') {
+        res.on('finish', () => this.audit(req, res.statusCode, scope));
+      }
+      next();
+    };
+  }
+
+  audit(req, status, scope) {
+    if (!this.auditFile) return;
+
+    const entry = {
+      timestamp: new Date().toISOString(),
+      principal: req.principal?.name || null,
+      scope,
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      status,
+      ip: req.ip,
+      chat_jid: req.body?.chat_jid || req.params?.jid || null,
+    };
+
+    try {
+      fs.appendFileSync(this.auditFile, JSON.stringify(entry) + '\n');
+    } catch (err) {
+      log.error({ err: err.message }, 'Failed to write audit log');
+    }
+  }
+}
+
+function digest(value) {
+  return crypto.createHash('sha256').update(value).digest();
+}
+
+export default Auth;
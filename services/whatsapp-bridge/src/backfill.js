@@ -0,0 +1,219 @@
+import crypto from 'crypto';
+import { createLogger } from './logger.js';
+
+const log = createLogger('backfill');
+
+// WhatsApp answers at most this many messages per on-demand history request
+const MAX_BATCH = 50;
+const FINISHED_RETENTION = 50;
+
+// On-demand history backfill for individual chats.
+//
+// Each job pages backwards from the oldest message we have stored for a chat,
+// asking the phone for up to `count` messages before it with
+// fetchHistory(count, anchor) (Baileys' fetchMessageHistory). Answers arrive
+// asynchronously as on-demand messaging-history.set events, which the client
+// ingests as usual (dedup, chat store, buffer) and reports back through
+// receive(). A job stops once `count` new messages arrived, the history
+// reaches `until`, the phone has nothing older, or `maxRequests` requests
+// were made. Jobs run one at a time.
+class Backfill {
+  constructor({
+    fetchHistory,
+    oldestMessage,
+    isConnected,
+    onUpdate = () => {},
+    responseTimeoutMs = 30000,
+    maxRequests = 100,
+  }) {
+    this.fetchHistory = fetchHistory;
+    this.oldestMessage = oldestMessage;
+    this.isConnected = isConnected;
+    this.onUpdate = onUpdate;
+    this.responseTimeoutMs = responseTimeoutMs;
+    this.maxRequests = maxRequests;
+
+    this.jobs = new Map();
+    this.queue = [];
+    this.active = null;
+    this.waiter = null;
+    this.finishWaiters = new Map();
+    this.running = false;
+    this.stopped = false;
+  }
+
+  // Queue a backfill for a chat; an unfinished job for the same chat is returned instead
+  enqueue(chatJid, { count = null, until = null } = {}) {
+    const existing = Array.from(this.jobs.values())
+      .find(job => job.chat_jid === chatJid && (job.status === 'queued' || job.status === 'running'));
+    if (existing) return existing;
+
+    const job = {
+      id: crypto.randomUUID(),
+      chat_jid: chatJid,
+      count,
+      until,
+      status: 'queued',
+      fetched: 0,
+      received: 0,
+      requests: 0,
+      oldest_timestamp: null,
+      reason: null,
+      error: null,
+      created_at: new Date().toISOString(),
+      started_at: null,
+      finished_at: null,
+    };
+
+    this.jobs.set(job.id, job);
+    this.queue.push(job);
+    this.prune();
+    this.run();
+    return job;
+  }
+
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  list() {
+    return Array.from(this.jobs.values());
+  }
+
+  // Resolves with the job once it has finished
+  waitFor(id) {
+    const job = this.jobs.get(id);
+    if (!job || isFinished(job)) return Promise.resolve(job || null);
+
+    return new Promise(resolve => {
+      this.finishWaiters.set(id, [...(this.finishWaiters.get(id) || []), resolve]);
+    });
+  }
+
+  // Results of an on-demand history response: [{ chat_jid, timestamp, added }]
+  receive(records) {
+    if (!this.waiter) return;
+    const forChat = records.filter(record => record.chat_jid === this.waiter.chatJid);
+    this.waiter.resolve(forChat);
+  }
+
+  async run() {
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      while (this.queue.length > 0) {
+        const job = this.queue.shift();
+        this.active = job;
+        await this.process(job);
+        this.active = null;
+
+        for (const resolve of this.finishWaiters.get(job.id) || []) resolve(job);
+        this.finishWaiters.delete(job.id);
+      }
+    } finally {
+      this.running = false;
+    }
+  }
+
+  async process(job) {
+    job.status = 'running';
+    job.started_at = new Date().toISOString();
+    this.onUpdate(job);
+
+    try {
+      job.reason = await this.fetchUntilDone(job);
+      job.status = 'completed';
+    } catch (err) {
+      job.status = 'failed';
+      job.error = err.message;
+      log.error({ job_id: job.id, chat_jid: job.chat_jid, err: err.message }, 'Backfill failed');
+    }
+
+    job.finished_at = new Date().toISOString();
+    log.info({ job_id: job.id, chat_jid: job.chat_jid, status: job.status, reason: job.reason, fetched: job.fetched }, 'Backfill finished');
+    this.onUpdate(job);
+  }
+
+  // Request batches until a stop condition holds; returns why it stopped
+  async fetchUntilDone(job) {
+    const untilMs = job.until ? Date.parse(job.until) : null;
+
+    for (;;) {
+      if (job.count !== null && job.fetched >= job.count) return 'count_reached';
+      if (untilMs !== null && job.oldest_timestamp && Date.parse(job.oldest_timestamp) <= untilMs) {
+        return 'until_reached';
+      }
+      if (job.requests >= this.maxRequests) return 'max_requests';
+      if (!this.isConnected()) throw new Error('Not connected');
+
+      const anchor = this.oldestMessage(job.chat_jid);
+      if (!anchor) throw new Error('No stored messages in this chat to page back from');
+
+      const batch = job.count !== null ? Math.min(MAX_BATCH, job.count - job.fetched) : MAX_BATCH;
+      const anchorMs = Date.parse(anchor.timestamp);
+      const response = this.waitForResponse(job.chat_jid);
+
+      job.requests++;
+      try {
+        await this.fetchHistory(batch, anchor);
+      } catch (err) {
+        this.waiter?.resolve(null);
+        throw err;
+      }
+      const records = await response;
+      if (this.stopped) throw new Error('Bridge is shutting down');
+      if (!records) throw new Error('Timed out waiting for history from the phone');
+
+      const older = records.filter(record => Date.parse(record.timestamp) < anchorMs);
+      job.received += records.length;
+      job.fetched += records.filter(record => record.added).length;
+      for (const record of older) {
+        if (!job.oldest_timestamp || record.timestamp < job.oldest_timestamp) job.oldest_timestamp = record.timestamp;
+      }
+      this.onUpdate(job);
+
+      if (older.length === 0) return 'no_more_history';
+    }
+  }
+
+  // The next receive() for this chat, or null after responseTimeoutMs
+  waitForResponse(chatJid) {
+    return new Promise(resolve => {
+      const timer = setTimeout(() => finish(null), this.responseTimeoutMs);
+      const finish = (records) => {
+        clearTimeout(timer);
+        this.waiter = null;
+        resolve(records);
+      };
+      this.waiter = { chatJid, resolve: finish };
+    });
+  }
+
+  // Drop the oldest finished jobs beyond the retention count
+  prune() {
+    const finished = this.list().filter(isFinished);
+    for (const job of finished.slice(0, Math.max(0, finished.length - FINISHED_RETENTION))) {
+      this.jobs.delete(job.id);
+    }
+  }
+
+  getStatus() {
+    return {
+      active: this.active,
+      queued: this.queue.length,
+    };
+  }
+
+  stop() {
+    this.stopped = true;
+    this.queue = [];
+    if (this.waiter) this.waiter.resolve(null);
+  }
+}
+
+function isFinished(job) {
+  return job.status === 'completed' || job.status === 'failed';
+}
+
+export default Backfill;
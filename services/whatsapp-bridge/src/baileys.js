@@ -1,320 +1,921 @@
 import makeWASocket, {
-  useMultiFileAuthState,
   DisconnectReason,
   fetchLatestBaileysVersion,
   makeCacheableSignalKeyStore,
+  downloadMediaMessage,
+  proto,
 } from '@whiskeysockets/baileys';
-import { Boom } from '@hapi/boom';
-import pino from 'pino';
 import qrcode from 'qrcode-terminal';
 import path from 'path';
-import fs from 'fs';
+import { EventEmitter } from 'events';
 import { fileURLToPath } from 'url';
+import { openStorage } from './storage.js';
+import { AUTH_PREFIX, useStorageAuthState } from './auth-state.js';
+import MessageLog from './message-log.js';
+import ChatStore from './chat-store.js';
+import MediaStore from './media-store.js';
+import Outbox from './outbox.js';
+import MetadataStore from './metadata-store.js';
+import PrivacyFilter from './privacy-filter.js';
+import { PRESENCE_TYPES } from './constants.js';
+import { MESSAGE_SCHEMA_VERSION } from './message-schema.js';
+import Backfill from './backfill.js';
+import ChatActivity from './chat-activity.js';
+import Scheduler from './scheduler.js';
+import ChatExporter from './chat-export.js';
+import {
+  PARTICIPANT_ACTIONS,
+  GROUP_SETTINGS,
+  toParticipantJid,
+  isGroupJid,
+  parseInviteCode,
+  inviteLink,
+  participantResults,
+  createResults,
+} from './groups.js';
+import { ReplaySocket, recordSocketEvents } from './replay.js';
+import { createLogger } from './logger.js';
+import { apiError } from './errors.js';
+import { metrics } from './metrics.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const AUTH_DIR = path.join(__dirname, '..', 'auth');
-const BUFFER_FILE = path.join(__dirname, '..', 'buffer.jsonl');
+const DEFAULT_DATA_DIR = path.join(__dirname, '..');
 
-const logger = pino({ level: 'warn' });
+// Where the state outside of storage lives, relative to the client's data
+// directory. Everything else (auth state, the buffer, chat history, metadata,
+// outbox, scheduled jobs, privacy rules and media) is in storage.
+export function dataPaths(dataDir) {
+  return {
+    legacyBufferFile: path.join(dataDir, 'buffer.jsonl'),
+  };
+}
+
+// Wrappers whose inner `.message` holds the actual content
+const MESSAGE_WRAPPERS = [
+  'ephemeralMessage',
+  'viewOnceMessage',
+  'viewOnceMessageV2',
+  'viewOnceMessageV2Extension',
+  'documentWithCaptionMessage',
+  'editedMessage',
+];
+
+const PROTOCOL_TYPES = proto.Message.ProtocolMessage.Type;
+// History sync answering a fetchMessageHistory() request
+const ON_DEMAND_SYNC = proto.HistorySync.HistorySyncType.ON_DEMAND;
+
+// Message types whose payload can be downloaded, and the protobuf field holding it
+const MEDIA_FIELDS = {
+  image: 'imageMessage',
+  video: 'videoMessage',
+  audio: 'audioMessage',
+  document: 'documentMessage',
+  sticker: 'stickerMessage',
+};
+
+// WhatsApp rotates the login QR about every 20 seconds (the first lasts longer)
+const QR_TTL_MS = 20000;
+// How long to wait for a fresh socket to offer a login before pairing
+const LOGIN_READY_TIMEOUT_MS = 15000;
+// Records that are not messages of their own and never get read receipts
+const NON_READABLE_TYPES = new Set(['reaction', 'edit', 'revoke']);
+// Receipts per readMessages() call when marking a whole chat read
+const READ_BATCH_SIZE = 100;
+
+// Give up on looking up the current WhatsApp Web version after this long
+const VERSION_LOOKUP_TIMEOUT_MS = 10000;
+
+// Disconnects that need a person to act rather than another reconnect attempt
+const TERMINAL_DISCONNECTS = {
+  [DisconnectReason.connectionReplaced]: {
+    status: 'connection_replaced',
+    hint: 'another client is using this session; POST /api/auth/restart to take it back',
+  },
+  [DisconnectReason.badSession]: {
+    status: 'bad_session',
+    hint: 'session state is corrupt; POST /api/auth/logout and link again',
+  },
+};
 
-class BaileysClient {
-  constructor() {
+// Emits 'event' ({ type, data }) for live messages, reactions, chat and
+// connection changes so they can be pushed to subscribers.
+//
+// Modes: 'live' talks to WhatsApp; 'record' does too, and also writes every
+// socket event to `fixtureFile`; 'replay' plays `fixtureFile` back through a
+// fake socket instead of connecting, for tests and offline development.
+//
+// Each client is one WhatsApp account (session); `id` names it and `dataDir`
+// holds its auth state, buffer and stores. `storage` defaults to the one
+// WHATSAPP_STORAGE configures for `dataDir` (see storage.js).
+class BaileysClient extends EventEmitter {
+  constructor({
+    id = 'default',
+    dataDir = DEFAULT_DATA_DIR,
+    mode = process.env.WHATSAPP_BRIDGE_MODE || 'live',
+    fixtureFile = process.env.WHATSAPP_FIXTURE_FILE || null,
+    replaySpeed = parseFloat(process.env.WHATSAPP_REPLAY_SPEED) || 0,
+    storage = null,
+  } = {}) {
+    super();
+    this.id = id;
+    this.dataDir = dataDir;
+    this.paths = dataPaths(dataDir);
+    this.storage = storage || openStorage(dataDir);
+    this.mode = mode;
+    this.fixtureFile = fixtureFile;
+    this.replaySpeed = replaySpeed;
+    this.replayFinished = null;
+    this.closing = false;
     this.sock = null;
     this.qrCode = null;
+    this.qrExpiresAt = 0;
+    this.pairingCode = null;
     this.status = 'disconnected';
-    this.messageBuffer = [];
-    this.maxBufferSize = 50000;
+    this.waVersion = null;
+    this.reconnectTimer = null;
+    this.reconnectAttempts = 0;
+    this.nextReconnectAt = null;
+    this.lastDisconnect = null;
+    this.reconnectBaseMs = parseInt(process.env.WHATSAPP_RECONNECT_BASE_MS, 10) || 2000;
+    this.reconnectMaxMs = parseInt(process.env.WHATSAPP_RECONNECT_MAX_MS, 10) || 5 * 60 * 1000;
     this.historySyncComplete = false;
     this.historySyncProgress = { chats: 0, messages: 0 };
-    this.chats = new Map();
+    this.log = createLogger('whatsapp', { session: id });
+    // Baileys' own logs are noisy; only warnings and up unless WHATSAPP_BAILEYS_LOG_LEVEL says otherwise
+    this.socketLogger = createLogger('baileys', { session: id }, { level: process.env.WHATSAPP_BAILEYS_LOG_LEVEL || 'warn' });
+
+    // Chats, group metadata and contacts survive restarts
+    this.metadata = new MetadataStore({ storage: this.storage });
+    this.chats = this.metadata.chats;
+
+    // Privacy rules (allow/deny lists, redaction) applied before anything is stored
+    this.filter = new PrivacyFilter({ storage: this.storage });
+
+    // Durable message log; entries stay until every consumer acknowledges them
+    this.messageLog = new MessageLog({
+      storage: this.storage,
+      legacyLogFile: this.paths.legacyBufferFile,
+      maxEntries: parseInt(process.env.WHATSAPP_BUFFER_MAX_ENTRIES, 10) || 50000,
+      compactIntervalMs: parseInt(process.env.WHATSAPP_BUFFER_COMPACT_INTERVAL_MS, 10) || 60000,
+      consumerTtlMs: parseInt(process.env.WHATSAPP_BUFFER_CONSUMER_TTL_MS, 10) || 7 * 24 * 60 * 60 * 1000,
+    });
+
+    // Per-chat history for paging through conversations (independent of the buffer)
+    this.chatStore = new ChatStore({ storage: this.storage });
+
+    // Downloaded media; history sync downloads are opt-in since old media often expired
+    this.mediaStore = new MediaStore({
+      storage: this.storage,
+      maxBytes: parseInt(process.env.WHATSAPP_MEDIA_MAX_BYTES, 10) || 25 * 1024 * 1024,
+      optOutChats: (process.env.WHATSAPP_MEDIA_OPTOUT_CHATS || '').split(',').filter(Boolean),
+      uploadDir: process.env.WHATSAPP_MEDIA_UPLOAD_DIR || null,
+    });
+    this.downloadHistoryMedia = process.env.WHATSAPP_MEDIA_HISTORY === 'true';
+
+    // Outbound sends are queued on disk and flushed (rate limited) while connected
+    this.outbox = new Outbox({
+      storage: this.storage,
+      send: (job) => this.dispatchOutboxJob(job),
+      isConnected: () => this.status === 'connected',
+      onFinish: (job) => this.releaseUpload(job.payload),
+      globalIntervalMs: parseInt(process.env.WHATSAPP_SEND_INTERVAL_MS, 10) || 1000,
+      perChatIntervalMs: parseInt(process.env.WHATSAPP_CHAT_SEND_INTERVAL_MS, 10) || 3000,
+    });
 
-    // Load any persisted messages from disk
-    this.loadBufferFromDisk();
+    // Scheduled and recurring messages, handed to the outbox when due
+    this.scheduler = new Scheduler({
+      storage: this.storage,
+      send: (job) => this.enqueueSend('message', job.chat_jid, job.payload),
+      isConnected: () => this.status === 'connected',
+      onUpdate: (job) => {
+        if (job.status !== 'scheduled') this.releaseUpload(job.payload);
+        this.publish('scheduled.update', job);
+      },
+      missedPolicy: process.env.WHATSAPP_SCHEDULE_MISSED_POLICY || 'fire_once',
+      graceMs: parseInt(process.env.WHATSAPP_SCHEDULE_GRACE_MS, 10) || 60000,
+    });
+
+    // Presence and receipts per chat, and how long simulated typing lasts before a send
+    this.activity = new ChatActivity();
+    this.simulateTypingByDefault = process.env.WHATSAPP_SIMULATE_TYPING === 'true';
+    this.typing = {
+      msPerChar: parseInt(process.env.WHATSAPP_TYPING_MS_PER_CHAR, 10) || 60,
+      minMs: 1000,
+      maxMs: parseInt(process.env.WHATSAPP_TYPING_MAX_MS, 10) || 10000,
+    };
+
+    // On-demand history for chats the initial sync missed
+    this.backfill = new Backfill({
+      fetchHistory: (count, anchor) => this.sock.fetchMessageHistory(
+        count,
+        this.messageKeyFor(anchor.chat_jid, anchor.message_id),
+        Math.floor(Date.parse(anchor.timestamp) / 1000)
+      ),
+      oldestMessage: chatJid => this.chatStore.oldest(chatJid),
+      isConnected: () => this.status === 'connected',
+      onUpdate: job => this.publish('backfill.update', job),
+      responseTimeoutMs: parseInt(process.env.WHATSAPP_BACKFILL_TIMEOUT_MS, 10) || 30000,
+    });
   }
 
-  // Persist a message to the buffer file
-  appendToBufferFile(msg) {
-    try {
-      fs.appendFileSync(BUFFER_FILE, JSON.stringify(msg) + '\n');
-    } catch (err) {
-      console.error('[WhatsApp] Failed to write to buffer file:', err.message);
+  async connect() {
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.nextReconnectAt = null;
+    this.status = 'connecting';
+
+    if (this.mode === 'replay') {
+      if (!this.fixtureFile) throw new Error('Replay mode requires WHATSAPP_FIXTURE_FILE');
+      this.log.info({ fixture: this.fixtureFile }, 'Replaying socket events');
+      this.sock = new ReplaySocket({ fixtureFile: this.fixtureFile, speed: this.replaySpeed });
+      this.attachHandlers();
+      this.replayFinished = this.sock.start();
+      return this;
     }
+
+    const { state, saveCreds } = useStorageAuthState(this.storage);
+    const version = await this.resolveVersion();
+
+    this.sock = this.createSocket({
+      // Without a looked-up version Baileys falls back to the one it ships with
+      ...(version && { version }),
+      logger: this.socketLogger,
+      auth: {
+        creds: state.creds,
+        keys: makeCacheableSignalKeyStore(state.keys, this.socketLogger),
+      },
+      generateHighQualityLinkPreview: false,
+      syncFullHistory: true,
+    });
+
+    if (this.mode === 'record') {
+      if (!this.fixtureFile) throw new Error('Record mode requires WHATSAPP_FIXTURE_FILE');
+      recordSocketEvents(this.sock.ev, this.fixtureFile);
+    }
+
+    this.attachHandlers({ saveCreds });
+    return this;
   }
 
-  // Load persisted messages on startup
-  loadBufferFromDisk() {
+  // The Baileys socket for live and record modes
+  createSocket(options) {
+    return makeWASocket(options);
+  }
+
+  // Current WhatsApp Web version, looked up once. A failed lookup (e.g. no
+  // network at startup) is not fatal: the socket uses Baileys' bundled version.
+  async resolveVersion() {
+    if (this.waVersion) return this.waVersion;
+
     try {
-      if (fs.existsSync(BUFFER_FILE)) {
-        const content = fs.readFileSync(BUFFER_FILE, 'utf8');
-        const lines = content.split('\n').filter(line => line.trim());
-        this.messageBuffer = lines.map(line => {
-          try {
-            return JSON.parse(line);
-          } catch {
-            return null;
-          }
-        }).filter(msg => msg !== null);
-        console.log(`[WhatsApp] Loaded ${this.messageBuffer.length} messages from buffer file`);
-      }
+      const timeout = new Promise((_, reject) => {
+        setTimeout(() => reject(new Error('timed out')), VERSION_LOOKUP_TIMEOUT_MS).unref();
+      });
+      const { version, error } = await Promise.race([fetchLatestBaileysVersion(), timeout]);
+      if (error) throw error;
+      this.waVersion = version;
     } catch (err) {
-      console.error('[WhatsApp] Failed to load buffer file:', err.message);
-      this.messageBuffer = [];
+      this.log.warn({ err: err.message }, 'Could not look up the latest WhatsApp Web version; using the bundled one');
     }
+    return this.waVersion;
+  }
+
+  // Reconnect after an unexpected disconnect, backing off exponentially
+  // with jitter; the attempt counter resets once a connection opens
+  scheduleReconnect() {
+    clearTimeout(this.reconnectTimer);
+    const delay = Math.min(this.reconnectBaseMs * 2 ** this.reconnectAttempts, this.reconnectMaxMs) *
+      (0.5 + Math.random() / 2);
+    this.reconnectAttempts++;
+    this.status = 'reconnecting';
+    this.nextReconnectAt = new Date(Date.now() + delay).toISOString();
+
+    metrics.reconnects.inc({ session: this.id, status_code: this.lastDisconnect?.status_code ?? 'none' });
+    this.log.info({ delay_ms: Math.round(delay), attempt: this.reconnectAttempts }, 'Reconnecting');
+    this.publish('connection.update', { status: this.status, attempt: this.reconnectAttempts, next_retry_at: this.nextReconnectAt });
+
+    this.reconnectTimer = setTimeout(() => this.reconnect(), delay);
   }
 
-  // Clear the buffer file after messages are consumed
-  clearBufferFile() {
+  async reconnect() {
+    this.detachSocket()?.end(undefined);
     try {
-      fs.writeFileSync(BUFFER_FILE, '');
+      await this.connect();
     } catch (err) {
-      console.error('[WhatsApp] Failed to clear buffer file:', err.message);
+      this.log.error({ err: err.message }, 'Reconnect failed');
+      this.scheduleReconnect();
     }
   }
 
-  async connect() {
-    const { state, saveCreds } = await useMultiFileAuthState(AUTH_DIR);
-    const { version } = await fetchLatestBaileysVersion();
+  // Wire socket events into the stores; shared by live, record and replay
+  // modes. `saveCreds` persists credential and key updates (live and record
+  // sockets; a replay has no auth state).
+  attachHandlers({ saveCreds } = {}) {
+    const sock = this.sock;
 
-    this.sock = makeWASocket({
-      version,
-      logger,
-      auth: {
-        creds: state.creds,
-        keys: makeCacheableSignalKeyStore(state.keys, logger),
-      },
-      generateHighQualityLinkPreview: false,
-      syncFullHistory: true,
-    });
+    if (saveCreds) this.sock.ev.on('creds.update', saveCreds);
 
     // Handle connection updates
     this.sock.ev.on('connection.update', async (update) => {
+      // Ignore a socket we have already replaced (restart, logout)
+      if (sock !== this.sock) return;
       const { connection, lastDisconnect, qr } = update;
 
       if (qr) {
         this.qrCode = qr;
+        this.qrExpiresAt = Date.now() + QR_TTL_MS;
         this.status = 'waiting_for_qr';
-        console.log('\n[WhatsApp] Scan QR code to login:');
-        qrcode.generate(qr, { small: true });
+        this.log.info({ expires_at: new Date(this.qrExpiresAt).toISOString() }, 'Waiting for QR code scan');
+        // Only draw the QR when someone is watching; it would break the JSON log stream otherwise
+        if (process.stdout.isTTY) qrcode.generate(qr, { small: true });
+        this.publish('connection.update', {
+          status: this.status,
+          qr,
+          expires_at: new Date(this.qrExpiresAt).toISOString(),
+        });
       }
 
       if (connection === 'close') {
-        const shouldReconnect =
-          lastDisconnect?.error instanceof Boom &&
-          lastDisconnect.error.output?.statusCode !== DisconnectReason.loggedOut;
+        // Boom errors carry a status code; anything else is treated as a dropped connection
+        const statusCode = lastDisconnect?.error?.output?.statusCode ?? null;
+        const reason = lastDisconnect?.error?.message || null;
+        const terminal = TERMINAL_DISCONNECTS[statusCode];
 
-        console.log('[WhatsApp] Connection closed:', lastDisconnect?.error?.message);
-        this.status = 'disconnected';
+        this.log.info({ status_code: statusCode, reason }, 'Connection closed');
+        this.lastDisconnect = { status_code: statusCode, reason, at: new Date().toISOString() };
+        this.qrCode = null;
+        this.pairingCode = null;
 
-        if (shouldReconnect) {
-          console.log('[WhatsApp] Reconnecting...');
-          setTimeout(() => this.connect(), 3000);
+        if (this.closing || this.mode === 'replay') {
+          this.status = 'disconnected';
+          this.log.info('Session closed');
+        } else if (statusCode === DisconnectReason.loggedOut) {
+          this.log.warn('Logged out from the phone; clearing credentials for a new login');
+          await this.startFresh().catch((err) => {
+            this.log.error({ err: err.message }, 'Failed to restart login');
+            this.scheduleReconnect();
+          });
+          return;
+        } else if (statusCode === DisconnectReason.restartRequired) {
+          // Expected right after linking: WhatsApp asks for a fresh socket
+          this.status = 'restart_required';
+          this.publish('connection.update', { status: this.status, reason });
+          await this.reconnect();
+          return;
+        } else if (terminal) {
+          this.status = terminal.status;
+          this.log.error({ status: terminal.status, hint: terminal.hint }, 'Not reconnecting');
         } else {
-          console.log('[WhatsApp] Logged out. Delete auth/ folder to re-authenticate.');
+          this.scheduleReconnect();
+          return;
         }
+
+        this.publish('connection.update', { status: this.status, reason, status_code: statusCode });
       } else if (connection === 'open') {
-        console.log('[WhatsApp] Connected successfully!');
+        this.log.info('Connected');
         this.status = 'connected';
         this.qrCode = null;
+        this.pairingCode = null;
+        this.reconnectAttempts = 0;
+        this.publish('connection.update', { status: this.status });
+        this.outbox.kick();
+        this.scheduler.kick();
       }
     });
 
-    // Save credentials on update
-    this.sock.ev.on('creds.update', saveCreds);
-
     // Handle history sync - THIS IS THE KEY PART
-    this.sock.ev.on('messaging-history.set', async ({ chats, contacts, messages, isLatest }) => {
-      console.log(`[WhatsApp] History sync: ${chats?.length || 0} chats, ${messages?.length || 0} messages, isLatest: ${isLatest}`);
+    this.sock.ev.on('messaging-history.set', async ({ chats, contacts, messages, isLatest, syncType }) => {
+      if (syncType === ON_DEMAND_SYNC) {
+        await this.ingestBackfill(messages || []);
+        return;
+      }
+
+      this.log.info({ chats: chats?.length || 0, messages: messages?.length || 0, is_latest: isLatest }, 'History sync batch');
 
       this.historySyncProgress.chats += (chats?.length || 0);
       this.historySyncProgress.messages += (messages?.length || 0);
 
       // Store chat metadata
       if (chats) {
-        for (const chat of chats) {
+        for (const chat of chats.filter(chat => this.filter.allowsChat(chat.id))) {
           const chatName = chat.name || chat.subject || null;
-          this.chats.set(chat.id, {
-            jid: chat.id,
-            name: chatName || chat.id,
-            hasRealName: !!chatName,
-            type: chat.id.endsWith('@g.us') ? 'group' : 'individual',
-          });
-          // Debug: log groups with actual names
-          if (chatName && chat.id.endsWith('@g.us')) {
-            console.log(`[WhatsApp] History group: ${chat.id} -> "${chatName}"`);
-          }
+          this.metadata.upsertChat(chat.id, { name: chatName || undefined });
+        }
+      }
+
+      // Store contacts (push names, verified names, LID mappings)
+      if (contacts) {
+        for (const contact of contacts.filter(contact => this.filter.allowsChat(contact.id))) {
+          this.metadata.upsertContact(contact);
         }
       }
 
       // Process synced messages
       if (messages) {
         for (const msg of messages) {
-          const formatted = this.formatMessage(msg);
-          if (formatted) {
-            // Check for duplicates
-            const exists = this.messageBuffer.some(m => m.message_id === formatted.message_id);
-            if (!exists) {
-              this.messageBuffer.push(formatted);
-              // Persist to disk immediately
-              this.appendToBufferFile(formatted);
-            }
-          }
+          await this.ingestMessage(msg, { downloadMedia: this.downloadHistoryMedia, source: 'history' });
         }
       }
 
-      // Trim buffer if too large
-      while (this.messageBuffer.length > this.maxBufferSize) {
-        this.messageBuffer.shift();
-      }
-
       if (isLatest) {
         this.historySyncComplete = true;
-        console.log(`[WhatsApp] History sync complete! Total: ${this.historySyncProgress.messages} messages from ${this.historySyncProgress.chats} chats`);
-        console.log(`[WhatsApp] Buffered ${this.messageBuffer.length} messages for import`);
+        this.log.info({ ...this.historySyncProgress, buffered: this.messageLog.size }, 'History sync complete');
       }
     });
 
     // Handle real-time messages
     this.sock.ev.on('messages.upsert', async ({ messages, type }) => {
-      console.log(`[WhatsApp] messages.upsert: ${messages.length} messages, type: ${type}`);
+      this.log.debug({ count: messages.length, type }, 'messages.upsert');
 
       for (const msg of messages) {
-        const formatted = this.formatMessage(msg);
+        const formatted = await this.ingestMessage(msg, { downloadMedia: true });
         if (formatted) {
-          // Avoid duplicates
-          const exists = this.messageBuffer.some(m => m.message_id === formatted.message_id);
-          if (!exists) {
-            this.messageBuffer.push(formatted);
-            // Persist to disk immediately
-            this.appendToBufferFile(formatted);
-            if (this.messageBuffer.length > this.maxBufferSize) {
-              this.messageBuffer.shift();
-            }
-          }
+          this.publish(formatted.message_type === 'reaction' ? 'message.reaction' : 'message.new', formatted);
+        }
+      }
+    });
+
+    // Track delivery/read receipts for messages we sent
+    this.sock.ev.on('messages.update', (updates) => {
+      for (const { key, update } of updates) {
+        if (update.status === undefined || update.status === null) continue;
+        this.outbox.updateReceipt(key.id, update.status);
+        if (key.fromMe && this.filter.allowsChat(key.remoteJid)) {
+          this.activity.updateStatus(key, update.status);
+          this.publish('message.status', { chat_jid: key.remoteJid, message_id: key.id, status: update.status });
         }
       }
     });
 
+    // Per-participant delivery/read times (groups)
+    this.sock.ev.on('message-receipt.update', (updates) => {
+      for (const update of updates.filter(update => this.filter.allowsChat(update.key.remoteJid))) {
+        this.publish('message.receipt', this.activity.updateUserReceipt(update));
+      }
+    });
+
+    // Typing / recording / online state of chats we subscribed to
+    this.sock.ev.on('presence.update', (update) => {
+      if (!this.filter.allowsChat(update.id)) return;
+      this.publish('presence.update', this.activity.updatePresence(update));
+    });
+
     // Handle chat updates
-    this.sock.ev.on('chats.upsert', (chats) => {
-      console.log(`[WhatsApp] ${chats.length} chats synced`);
+    this.sock.ev.on('chats.upsert', (upserts) => {
+      this.log.debug({ count: upserts.length }, 'chats.upsert');
+      const chats = upserts.filter(chat => this.filter.allowsChat(chat.id));
+      if (chats.length === 0) return;
       for (const chat of chats) {
         const chatName = chat.name || chat.subject || null;
-        this.chats.set(chat.id, {
-          jid: chat.id,
-          name: chatName || chat.id,
-          hasRealName: !!chatName,
-          type: chat.id.endsWith('@g.us') ? 'group' : 'individual',
-        });
-        // Debug: log groups with actual names
-        if (chatName && chat.id.endsWith('@g.us')) {
-          console.log(`[WhatsApp] Group: ${chat.id} -> "${chatName}"`);
-        }
+        this.metadata.upsertChat(chat.id, { name: chatName || undefined });
       }
+      this.publish('chat.upsert', chats.map(chat => this.chats.get(chat.id)));
     });
 
     // Handle group metadata updates (subject changes, etc)
     this.sock.ev.on('groups.upsert', (groups) => {
-      console.log(`[WhatsApp] ${groups.length} groups metadata received`);
-      for (const group of groups) {
-        const existing = this.chats.get(group.id);
-        const chatName = group.subject || group.name || (existing?.name !== group.id ? existing?.name : null);
-        this.chats.set(group.id, {
-          jid: group.id,
-          name: chatName || group.id,
-          hasRealName: !!chatName,
-          type: 'group',
-        });
-        if (chatName) {
-          console.log(`[WhatsApp] Group metadata: ${group.id} -> "${chatName}"`);
-        }
+      this.log.debug({ count: groups.length }, 'groups.upsert');
+      for (const group of groups.filter(group => this.filter.allowsChat(group.id))) {
+        this.metadata.upsertGroupMetadata(group);
       }
     });
 
     // Handle group updates (when subject changes)
-    this.sock.ev.on('groups.update', (updates) => {
+    this.sock.ev.on('groups.update', (allUpdates) => {
+      const updates = allUpdates.filter(update => this.filter.allowsChat(update.id));
+      if (updates.length === 0) return;
       for (const update of updates) {
+        this.metadata.upsertChat(update.id, {
+          name: update.subject || undefined,
+          description: update.desc ?? undefined,
+          announce: update.announce ?? undefined,
+          restrict: update.restrict ?? undefined,
+        });
         if (update.subject) {
-          const existing = this.chats.get(update.id);
-          if (existing) {
-            existing.name = update.subject;
-            existing.hasRealName = true;
-            console.log(`[WhatsApp] Group updated: ${update.id} -> "${update.subject}"`);
-          }
+          this.log.debug({ jid: update.id, name: update.subject }, 'Group subject changed');
         }
       }
+      this.publish('chat.update', updates);
     });
 
-    return this;
+    // Keep group participant lists and admins current
+    this.sock.ev.on('group-participants.update', ({ id, participants, action }) => {
+      if (!this.filter.allowsChat(id)) return;
+      const chat = this.metadata.updateParticipants(id, participants, action);
+      this.publish('chat.update', [{ id, participants: chat.participants, action }]);
+    });
+
+    // Contacts: new entries and changes to names / LIDs
+    this.sock.ev.on('contacts.upsert', (contacts) => {
+      for (const contact of contacts.filter(contact => this.filter.allowsChat(contact.id))) {
+        this.metadata.upsertContact(contact);
+      }
+    });
+
+    this.sock.ev.on('contacts.update', (updates) => {
+      for (const update of updates.filter(update => this.filter.allowsChat(update.id))) {
+        this.metadata.upsertContact(update);
+      }
+    });
+  }
+
+  // Stop listening to the current socket and forget its login prompt
+  detachSocket() {
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    const sock = this.sock;
+    this.sock = null;
+    this.qrCode = null;
+    this.pairingCode = null;
+    return sock;
+  }
+
+  // Restart the socket without logging out (e.g. after a network change)
+  async restart() {
+    const sock = this.detachSocket();
+    sock?.end(undefined);
+    this.reconnectAttempts = 0;
+    this.status = 'connecting';
+    this.publish('connection.update', { status: this.status });
+    await this.connect();
+  }
+
+  // Log out on the phone (if linked), wipe credentials and start a new login
+  async logout() {
+    const sock = this.detachSocket();
+    if (sock) {
+      try {
+        if (this.status === 'connected') await sock.logout();
+        else sock.end(undefined);
+      } catch (err) {
+        this.log.error({ err: err.message }, 'Logout failed');
+      }
+    }
+    await this.startFresh();
+  }
+
+  // Delete the auth state and connect again, which offers a new QR / pairing code
+  async startFresh() {
+    this.detachSocket()?.end(undefined);
+    this.storage.deletePrefix(AUTH_PREFIX);
+    this.status = 'logged_out';
+    this.publish('connection.update', { status: this.status });
+    await this.connect();
+  }
+
+  // Link this session by phone number instead of QR: WhatsApp shows a
+  // notification on that phone asking for the returned 8-character code.
+  async requestPairingCode(phoneNumber) {
+    const digits = String(phoneNumber || '').replace(/\D/g, '');
+    if (!/^\d{7,15}$/.test(digits)) {
+      throw apiError('invalid_request', 'phone_number must be a full international number, e.g. 15551234567');
+    }
+    if (this.status === 'connected') {
+      throw apiError('conflict', 'Already logged in; log out first to link another number');
+    }
+
+    await this.waitForLoginPrompt(LOGIN_READY_TIMEOUT_MS);
+    const code = await this.sock.requestPairingCode(digits);
+
+    this.pairingCode = {
+      code,
+      phone_number: digits,
+      requested_at: new Date().toISOString(),
+    };
+    this.status = 'waiting_for_pairing';
+    this.publish('connection.update', { status: this.status, phone_number: digits });
+    return {
+      pairing_code: code.length === 8 ? `${code.slice(0, 4)}-${code.slice(4)}` : code,
+      phone_number: digits,
+    };
+  }
+
+  // Resolve once the socket is ready for a login (it has offered a QR)
+  waitForLoginPrompt(timeoutMs) {
+    if (this.sock && ['waiting_for_qr', 'waiting_for_pairing'].includes(this.status)) {
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+      const onEvent = ({ type, data }) => {
+        if (type === 'connection.update' && data.qr) finish(resolve);
+      };
+      const timer = setTimeout(
+        () => finish(reject, apiError('unavailable', 'WhatsApp did not offer a login in time; try again')),
+        timeoutMs
+      );
+      const finish = (settle, value) => {
+        clearTimeout(timer);
+        this.off('event', onEvent);
+        settle(value);
+      };
+      this.on('event', onEvent);
+    });
   }
 
+  // End the socket and flush local state. With `logout`, the linked device is
+  // also removed from the phone, so the session needs a new QR scan.
+  async close({ logout = false } = {}) {
+    this.closing = true;
+    clearTimeout(this.reconnectTimer);
+    this.outbox.stop();
+    this.scheduler.stop();
+    this.backfill.stop();
+    this.scheduler.save();
+
+    if (this.sock) {
+      try {
+        if (logout && this.status === 'connected') {
+          await this.sock.logout();
+        } else {
+          this.sock.end(undefined);
+        }
+      } catch (err) {
+        this.log.error({ err: err.message }, 'Failed to close session');
+      }
+    }
+
+    this.status = 'disconnected';
+    this.messageLog.close();
+    this.metadata.save();
+    this.storage.close();
+  }
+
+  // Emit a bridge event for SSE and webhook subscribers
+  publish(type, data) {
+    this.emit('event', { type, data });
+  }
+
+  // Format an incoming message, apply the privacy filter and record it in the
+  // chat store and import buffer. Returns the formatted message if it was new,
+  // null otherwise (including when the filter drops it).
+  async ingestMessage(msg, { downloadMedia = false, source = 'live' } = {}) {
+    const unfiltered = this.formatMessage(msg);
+    if (!unfiltered) return null;
+
+    const formatted = this.filter.apply(unfiltered, { vcards: this.extractVcards(msg.message) });
+    if (!formatted) return null;
+
+    if (msg.pushName && !formatted.is_from_me) {
+      this.metadata.upsertContact({ id: formatted.sender_jid, notify: msg.pushName });
+    }
+
+    if (downloadMedia && formatted.media && !this.chatStore.get(formatted.chat_jid, formatted.message_id)) {
+      formatted.media = await this.downloadMedia(msg, formatted);
+    }
+
+    // Only the chat store keeps the raw protobuf (for ?raw=true and quoted replies)
+    const stored = this.filter.keepsRaw(formatted) ? { ...formatted, raw_data: msg } : formatted;
+    const isNew = this.chatStore.add(stored);
+    if (isNew) {
+      metrics.messagesReceived.inc({ session: this.id, type: formatted.message_type, source });
+    } else {
+      metrics.dedupHits.inc({ session: this.id });
+    }
+    // Skip duplicates (including ones already acknowledged and compacted away);
+    // append persists to disk immediately
+    if (isNew && !this.messageLog.has(formatted.chat_jid, formatted.message_id)) {
+      this.messageLog.append(formatted);
+    }
+    return isNew ? formatted : null;
+  }
+
+  // Messages as the API returns them: without raw_data unless `raw` is set,
+  // in which case it is read from the chat store (null if not kept), one
+  // read per chat
+  presentMessages(messages, { raw = false } = {}) {
+    const rawByChat = new Map();
+    if (raw) {
+      const idsByChat = new Map();
+      for (const { chat_jid: chatJid, message_id: messageId } of messages) {
+        idsByChat.set(chatJid, [...(idsByChat.get(chatJid) || []), messageId]);
+      }
+      for (const [chatJid, messageIds] of idsByChat) {
+        rawByChat.set(chatJid, this.chatStore.rawData(chatJid, messageIds));
+      }
+    }
+
+    return messages.map(({ raw_data: _raw, ...message }) => {
+      if (!raw) return message;
+      return { ...message, raw_data: rawByChat.get(message.chat_jid).get(message.message_id) ?? null };
+    });
+  }
+
+  // Messages answering a backfill request go through the normal ingest path
+  async ingestBackfill(messages) {
+    this.log.info({ messages: messages.length }, 'On-demand history received');
+
+    const records = [];
+    for (const msg of messages) {
+      const formatted = await this.ingestMessage(msg, { downloadMedia: this.downloadHistoryMedia, source: 'backfill' });
+      records.push({ chat_jid: msg.key.remoteJid, timestamp: this.extractTimestamp(msg), added: !!formatted });
+    }
+    this.backfill.receive(records);
+  }
+
+  // Queue an on-demand history fetch for a chat, paging back from its oldest stored message
+  backfillChat(chatJid, { count = null, until = null } = {}) {
+    if (this.status !== 'connected') {
+      throw apiError('not_connected', 'Not connected');
+    }
+    if (!this.chatStore.oldest(chatJid)) {
+      throw apiError('not_found', `No stored messages in ${chatJid} to page back from`);
+    }
+    return this.backfill.enqueue(chatJid, { count, until });
+  }
+
+  // Download a message's media into the media store, returning the updated media info
+  async downloadMedia(msg, formatted) {
+    const media = { ...formatted.media };
+
+    if (this.mediaStore.isOptedOut(formatted.chat_jid)) {
+      return { ...media, skipped: 'opted_out' };
+    }
+    if (media.size && media.size > this.mediaStore.maxBytes) {
+      return { ...media, skipped: 'too_large' };
+    }
+
+    try {
+      const buffer = await downloadMediaMessage(msg, 'buffer', {}, {
+        logger: this.socketLogger,
+        reuploadRequest: this.sock.updateMediaMessage,
+      });
+      if (buffer.length > this.mediaStore.maxBytes) {
+        return { ...media, skipped: 'too_large' };
+      }
+
+      const record = this.mediaStore.save(buffer, {
+        mimetype: media.mimetype,
+        fileName: media.file_name,
+      });
+      return { ...media, id: record.id, sha256: record.sha256, size: record.size };
+    } catch (err) {
+      this.log.warn({ message_id: formatted.message_id, err: err.message }, 'Failed to download media');
+      return { ...media, error: err.message };
+    }
+  }
+
+  // Media metadata from the protobuf; id is filled in once downloaded
+  extractMediaInfo(message, type) {
+    const node = message[MEDIA_FIELDS[type]];
+    if (!node) return null;
+
+    return {
+      id: null,
+      mimetype: node.mimetype || null,
+      size: toNumber(node.fileLength),
+      // Raw bytes from the socket, base64 once a message has been through JSON
+      sha256: node.fileSha256
+        ? Buffer.from(node.fileSha256, typeof node.fileSha256 === 'string' ? 'base64' : undefined).toString('hex')
+        : null,
+      file_name: node.fileName || null,
+      path: null,
+    };
+  }
+
+  // Format a WAMessage as a schema_version 1 record (see schema/message.v1.json).
+  // The raw protobuf is not part of the record; ingestMessage keeps it in the
+  // chat store for ?raw=true reads and quoted replies.
   formatMessage(msg) {
     if (!msg.message) return null;
 
-    // Handle reaction messages specially - they reference a target message
-    if (msg.message.reactionMessage) {
-      const reaction = msg.message.reactionMessage;
-      const chatJid = msg.key.remoteJid;
-      const chatInfo = this.chats.get(chatJid);
+    const { message, isEphemeral, isViewOnce } = this.unwrapMessage(msg.message);
 
-      return {
-        message_id: msg.key.id,
-        chat_jid: chatJid,
-        chat_name: chatInfo?.name || null,
-        sender_jid: msg.key.participant || chatJid,
-        is_from_me: msg.key.fromMe || false,
-        content: reaction.text || '',
+    // Reactions reference a target message, like edits and revokes
+    if (message.reactionMessage) {
+      const targetId = message.reactionMessage.key?.id || null;
+      return this.buildRecord(msg, message, {
+        content: message.reactionMessage.text || '',
         message_type: 'reaction',
-        timestamp: new Date().toISOString(),
-        push_name: msg.pushName || null,
-        quoted_message_id: null,
-        quoted_content: null,
-        quoted_sender: null,
-        reaction_target_id: reaction.key?.id || null,
-        raw_data: msg,
-      };
+        target_message_id: targetId,
+        reaction_target_id: targetId,
+      });
+    }
+
+    // Edits and revokes become update records pointing at the original message
+    if (message.protocolMessage) {
+      return this.formatProtocolMessage(msg, message.protocolMessage);
     }
 
-    const content = this.extractContent(msg.message);
+    const content = this.extractContent(message);
     if (!content) return null;
 
-    // Handle timestamp - could be number or Long object
-    let timestamp;
-    if (typeof msg.messageTimestamp === 'number') {
-      timestamp = new Date(msg.messageTimestamp * 1000).toISOString();
-    } else if (msg.messageTimestamp?.low !== undefined) {
-      // Long object from protobuf
-      timestamp = new Date(msg.messageTimestamp.low * 1000).toISOString();
-    } else if (msg.messageTimestamp?.toNumber) {
-      timestamp = new Date(msg.messageTimestamp.toNumber() * 1000).toISOString();
-    } else {
-      timestamp = new Date().toISOString();
-    }
+    // Extract quoted message info if this is a reply
+    const quotedInfo = this.extractQuotedMessage(message);
 
-    // Look up chat name from our stored chats
+    return this.buildRecord(msg, message, {
+      content: content.text,
+      message_type: content.type,
+      quoted_message_id: quotedInfo?.stanzaId || null,
+      quoted_content: quotedInfo?.content || null,
+      quoted_sender: quotedInfo?.participant || null,
+      target_message_id: content.targetMessageId || null,
+      is_ephemeral: isEphemeral,
+      is_view_once: isViewOnce,
+      location: content.location || null,
+      poll: content.poll || null,
+      selected_option: content.selectedOption || null,
+      media: this.extractMediaInfo(message, content.type),
+    });
+  }
+
+  // Every field of the message schema, with `fields` filled in by the caller
+  buildRecord(msg, message, fields) {
     const chatJid = msg.key.remoteJid;
     const chatInfo = this.chats.get(chatJid);
-    const chatName = chatInfo?.name || null;
-
-    // Extract quoted message info if this is a reply
-    const quotedInfo = this.extractQuotedMessage(msg.message);
+    const timestamp = this.extractTimestamp(msg);
+    const context = this.extractContextInfo(message);
+    const isEphemeral = fields.is_ephemeral || !!context?.expiration;
+    const expiration = isEphemeral ? (context?.expiration || toNumber(msg.ephemeralDuration) || null) : null;
 
     return {
+      schema_version: MESSAGE_SCHEMA_VERSION,
       message_id: msg.key.id,
       chat_jid: chatJid,
-      chat_name: chatName,
+      chat_name: chatInfo?.name || null,
       sender_jid: msg.key.participant || chatJid,
       is_from_me: msg.key.fromMe || false,
-      content: content.text,
-      message_type: content.type,
-      timestamp: timestamp,
+      content: '',
+      message_type: 'text',
+      timestamp,
       push_name: msg.pushName || null,
-      quoted_message_id: quotedInfo?.stanzaId || null,
-      quoted_content: quotedInfo?.content || null,
-      quoted_sender: quotedInfo?.participant || null,
-      raw_data: msg,
+      quoted_message_id: null,
+      quoted_content: null,
+      quoted_sender: null,
+      target_message_id: null,
+      mentions: context?.mentionedJid || [],
+      is_forwarded: !!context?.isForwarded,
+      forwarding_score: context?.forwardingScore || 0,
+      is_view_once: false,
+      location: null,
+      poll: null,
+      selected_option: null,
+      media: null,
+      ...fields,
+      is_ephemeral: isEphemeral,
+      ephemeral_expiration: expiration,
+      expires_at: expiration ? new Date(Date.parse(timestamp) + expiration * 1000).toISOString() : null,
     };
   }
 
+  // Strip ephemeral / view-once / caption wrappers, remembering which were present
+  unwrapMessage(message) {
+    let isEphemeral = false;
+    let isViewOnce = false;
+
+    for (let depth = 0; depth < 5; depth++) {
+      const wrapper = MESSAGE_WRAPPERS.find(key => message[key]?.message);
+      if (!wrapper) break;
+
+      if (wrapper === 'ephemeralMessage') isEphemeral = true;
+      if (wrapper.startsWith('viewOnce')) isViewOnce = true;
+      message = message[wrapper].message;
+    }
+
+    return { message, isEphemeral, isViewOnce };
+  }
+
+  // Send time from the message (seconds as a number, Long or string); reactions
+  // without one fall back to their own sender timestamp (ms)
+  extractTimestamp(msg) {
+    const seconds = toNumber(msg.messageTimestamp);
+    if (seconds) return new Date(seconds * 1000).toISOString();
+
+    const reactionMs = toNumber(msg.message?.reactionMessage?.senderTimestampMs);
+    if (reactionMs) return new Date(reactionMs).toISOString();
+
+    return new Date().toISOString();
+  }
+
+  // Revokes and edits; other protocol messages (key shares, history sync notices) are skipped
+  formatProtocolMessage(msg, protocolMessage) {
+    const type = typeof protocolMessage.type === 'string'
+      ? PROTOCOL_TYPES[protocolMessage.type]
+      : protocolMessage.type;
+
+    let messageType;
+    let content = '';
+    if (type === PROTOCOL_TYPES.REVOKE) {
+      messageType = 'revoke';
+    } else if (type === PROTOCOL_TYPES.MESSAGE_EDIT) {
+      messageType = 'edit';
+      const edited = protocolMessage.editedMessage
+        ? this.extractContent(this.unwrapMessage(protocolMessage.editedMessage).message)
+        : null;
+      content = edited?.text || '';
+    } else {
+      return null;
+    }
+
+    // Mentions in an edit live in the edited message's contextInfo
+    const editedMessage = protocolMessage.editedMessage ? this.unwrapMessage(protocolMessage.editedMessage).message : {};
+    return this.buildRecord(msg, editedMessage, {
+      content,
+      message_type: messageType,
+      target_message_id: protocolMessage.key?.id || null,
+    });
+  }
+
   extractContent(message) {
     if (message.conversation) {
       return { type: 'text', text: message.conversation };
@@ -332,7 +933,8 @@ class BaileysClient {
       return { type: 'audio', text: '[Audio]' };
     }
     if (message.documentMessage) {
-      return { type: 'document', text: message.documentMessage.fileName || '[Document]' };
+      const doc = message.documentMessage;
+      return { type: 'document', text: doc.caption || doc.fileName || '[Document]' };
     }
     if (message.stickerMessage) {
       return { type: 'sticker', text: '[Sticker]' };
@@ -340,8 +942,79 @@ class BaileysClient {
     if (message.contactMessage) {
       return { type: 'contact', text: message.contactMessage.displayName || '[Contact]' };
     }
+    if (message.contactsArrayMessage) {
+      return { type: 'contact', text: message.contactsArrayMessage.displayName || '[Contacts]' };
+    }
     if (message.locationMessage) {
-      return { type: 'location', text: '[Location]' };
+      const loc = message.locationMessage;
+      return {
+        type: 'location',
+        text: loc.name || loc.address || '[Location]',
+        location: {
+          latitude: loc.degreesLatitude ?? null,
+          longitude: loc.degreesLongitude ?? null,
+          name: loc.name || null,
+          address: loc.address || null,
+        },
+      };
+    }
+    if (message.liveLocationMessage) {
+      const loc = message.liveLocationMessage;
+      return {
+        type: 'live_location',
+        text: loc.caption || '[Live Location]',
+        location: {
+          latitude: loc.degreesLatitude ?? null,
+          longitude: loc.degreesLongitude ?? null,
+          accuracy_meters: loc.accuracyInMeters ?? null,
+          sequence_number: loc.sequenceNumber ?? null,
+        },
+      };
+    }
+    const poll = message.pollCreationMessage || message.pollCreationMessageV2 || message.pollCreationMessageV3;
+    if (poll) {
+      return {
+        type: 'poll',
+        text: poll.name || '[Poll]',
+        poll: {
+          name: poll.name || null,
+          options: (poll.options || []).map(option => option.optionName),
+          selectable_count: poll.selectableOptionsCount || 0,
+        },
+      };
+    }
+    if (message.pollUpdateMessage) {
+      // Votes are encrypted against the poll's secret; record which poll was voted on
+      return {
+        type: 'poll_vote',
+        text: '[Poll vote]',
+        targetMessageId: message.pollUpdateMessage.pollCreationMessageKey?.id || null,
+      };
+    }
+    if (message.buttonsResponseMessage) {
+      const response = message.buttonsResponseMessage;
+      return {
+        type: 'button_response',
+        text: response.selectedDisplayText || response.selectedButtonId || '[Button]',
+        selectedOption: response.selectedButtonId || null,
+      };
+    }
+    if (message.templateButtonReplyMessage) {
+      const response = message.templateButtonReplyMessage;
+      return {
+        type: 'button_response',
+        text: response.selectedDisplayText || response.selectedId || '[Button]',
+        selectedOption: response.selectedId || null,
+      };
+    }
+    if (message.listResponseMessage) {
+      const response = message.listResponseMessage;
+      const selectedId = response.singleSelectReply?.selectedRowId || null;
+      return {
+        type: 'button_response',
+        text: response.title || selectedId || '[List selection]',
+        selectedOption: selectedId,
+      };
     }
     if (message.reactionMessage) {
       return { type: 'reaction', text: message.reactionMessage.text || '' };
@@ -349,101 +1022,133 @@ class BaileysClient {
     return null;
   }
 
-  extractQuotedMessage(message) {
-    // Check all message types that can contain contextInfo with a quoted message
-    const containers = [
-      message.extendedTextMessage,
-      message.imageMessage,
-      message.videoMessage,
-      message.audioMessage,
-      message.documentMessage,
-      message.stickerMessage,
-      message.contactMessage,
-      message.locationMessage,
-    ];
-
-    for (const container of containers) {
-      const ctx = container?.contextInfo;
-      if (ctx?.quotedMessage && ctx?.stanzaId) {
-        const quotedContent = this.extractContent(ctx.quotedMessage);
-        return {
-          stanzaId: ctx.stanzaId,
-          participant: ctx.participant || null,
-          content: quotedContent?.text || null,
-        };
-      }
-    }
+  // Contact cards of a contact message; they are not part of the record
+  extractVcards(message) {
+    const { message: inner } = this.unwrapMessage(message);
+    const contacts = inner.contactMessage ? [inner.contactMessage] : (inner.contactsArrayMessage?.contacts || []);
+    return contacts.map(contact => contact.vcard).filter(Boolean);
+  }
 
+  // Any message type can carry contextInfo (quotes, mentions, forwarding, expiry)
+  extractContextInfo(message) {
+    for (const container of Object.values(message)) {
+      if (container?.contextInfo) return container.contextInfo;
+    }
     return null;
   }
 
+  extractQuotedMessage(message) {
+    const ctx = this.extractContextInfo(message);
+    if (!ctx?.quotedMessage || !ctx?.stanzaId) return null;
+
+    const quotedContent = this.extractContent(this.unwrapMessage(ctx.quotedMessage).message);
+    return {
+      stanzaId: ctx.stanzaId,
+      participant: ctx.participant || null,
+      content: quotedContent?.text || null,
+    };
+  }
+
   getStatus() {
     return {
       status: this.status,
       connected: this.status === 'connected',
-      has_qr: !!this.qrCode,
-      buffered_messages: this.messageBuffer.length,
+      has_qr: !!this.getQRCode(),
+      has_pairing_code: !!this.pairingCode,
+      connection: {
+        reconnect_attempts: this.reconnectAttempts,
+        next_retry_at: this.nextReconnectAt,
+        last_disconnect: this.lastDisconnect,
+        wa_version: this.waVersion?.join('.') || null,
+      },
+      buffered_messages: this.messageLog.size,
+      buffer_last_seq: this.messageLog.lastSeq,
+      consumers: this.messageLog.getConsumerStatus(),
       history_sync_complete: this.historySyncComplete,
       history_sync_progress: this.historySyncProgress,
       chats_count: this.chats.size,
+      contacts_count: this.metadata.contacts.size,
+      media: this.mediaStore.getStatus(),
+      outbox: this.outbox.getStatus(),
+      scheduled: this.scheduler.getStatus(),
+      backfill: this.backfill.getStatus(),
     };
   }
 
+  // Copy current state into the /metrics gauges
+  collectMetrics() {
+    const session = { session: this.id };
+    metrics.connected.set(session, this.status === 'connected' ? 1 : 0);
+    metrics.bufferSize.set(session, this.messageLog.size);
+    metrics.historySyncMessages.set(session, this.historySyncProgress.messages);
+    metrics.historySyncChats.set(session, this.historySyncProgress.chats);
+    metrics.historySyncComplete.set(session, this.historySyncComplete ? 1 : 0);
+    for (const [status, count] of Object.entries(this.outbox.getStatus())) {
+      metrics.outboxJobs.set({ ...session, status }, count);
+    }
+  }
+
+  // The current login QR, or null once it has expired (a fresh one follows shortly)
   getQRCode() {
+    if (!this.qrCode || Date.now() >= this.qrExpiresAt) return null;
     return this.qrCode;
   }
 
-  getBufferedMessages(clear = true) {
-    const messages = [...this.messageBuffer];
-    if (clear) {
-      this.messageBuffer = [];
-      this.clearBufferFile();
-    }
-    return messages;
+  getQRExpiresAt() {
+    return this.getQRCode() ? new Date(this.qrExpiresAt).toISOString() : null;
   }
 
-  peekBufferedMessages() {
-    return [...this.messageBuffer];
+  // Read buffered messages after a sequence number (does not remove them)
+  readBufferedMessages({ after, limit, consumer, raw = false } = {}) {
+    const page = this.messageLog.read({ after, limit, consumer });
+    return { ...page, messages: this.presentMessages(page.messages, { raw }) };
   }
 
-  async getChats() {
-    const chats = Array.from(this.chats.values());
-    const withNames = chats.filter(c => c.hasRealName);
-    const groups = chats.filter(c => c.type === 'group');
-    const groupsWithNames = groups.filter(c => c.hasRealName);
+  // Acknowledge messages up to `seq`, making them eligible for compaction
+  ackBufferedMessages(consumer, seq) {
+    return this.messageLog.ack(consumer, seq);
+  }
+
+  // Retain buffered messages for a consumer from now on, before its first ack
+  registerBufferConsumer(consumer) {
+    const created = this.messageLog.register(consumer);
+    return { consumer, created, ...this.messageLog.getConsumerStatus()[consumer] };
+  }
 
-    console.log(`[WhatsApp] getChats: ${chats.length} total, ${withNames.length} with names, ${groups.length} groups (${groupsWithNames.length} named)`);
+  // Stop retaining messages for a consumer; false if it is not known
+  removeBufferConsumer(consumer) {
+    return this.messageLog.removeConsumer(consumer);
+  }
 
-    return chats;
+  peekBufferedMessages({ raw = false } = {}) {
+    return this.presentMessages(this.messageLog.peek(), { raw });
+  }
+
+  async getChats() {
+    return Array.from(this.chats.values());
   }
 
   // Fetch group metadata for groups missing names
   async fetchMissingGroupNames() {
-    if (!this.sock || this.status !== 'connected') {
-      return { fetched: 0, error: 'Not connected' };
-    }
+    this.assertConnected();
 
     const groups = Array.from(this.chats.values()).filter(
       c => c.type === 'group' && !c.hasRealName
     );
 
-    console.log(`[WhatsApp] Fetching metadata for ${groups.length} groups without names`);
+    this.log.info({ groups: groups.length }, 'Fetching metadata for groups without names');
     let fetched = 0;
 
     for (const group of groups) {
       try {
         const metadata = await this.sock.groupMetadata(group.jid);
         if (metadata.subject) {
-          this.chats.set(group.jid, {
-            ...group,
-            name: metadata.subject,
-            hasRealName: true,
-          });
-          console.log(`[WhatsApp] Fetched: ${group.jid} -> "${metadata.subject}"`);
+          this.metadata.upsertGroupMetadata(metadata);
+          this.log.debug({ jid: group.jid, name: metadata.subject }, 'Fetched group name');
           fetched++;
         }
       } catch (err) {
-        console.log(`[WhatsApp] Could not fetch metadata for ${group.jid}: ${err.message}`);
+        this.log.warn({ jid: group.jid, err: err.message }, 'Could not fetch group metadata');
       }
       // Small delay to avoid rate limiting
       await new Promise(resolve => setTimeout(resolve, 100));
@@ -452,23 +1157,454 @@ class BaileysClient {
     return { fetched, total: groups.length };
   }
 
-  async sendMessage(chatJid, text) {
+  // A chat's metadata, plus the contact entry for one-to-one chats
+  getChat(jid) {
+    const chat = this.chats.get(jid);
+    if (!chat) return null;
+    if (chat.type === 'group') return chat;
+    return { ...chat, contact: this.metadata.getContact(jid) };
+  }
+
+  getContacts({ query } = {}) {
+    return this.metadata.listContacts({ query });
+  }
+
+  // A stored message in API form (no raw_data), or null
+  getMessage(chatJid, messageId, { raw = false } = {}) {
+    const message = this.chatStore.get(chatJid, messageId);
+    return message ? this.presentMessages([message], { raw })[0] : null;
+  }
+
+  // Page through a chat's stored messages (timestamps in ms since epoch)
+  async fetchMessagesFromChat(chatJid, { limit = 100, before, after, raw = false } = {}) {
+    const page = this.chatStore.list(chatJid, { limit, before, after });
+    return { ...page, messages: this.presentMessages(page.messages, { raw }) };
+  }
+
+  // Search stored messages across chats (see ChatStore.search for the
+  // options), one page of results at a time
+  searchMessages(options, { limit = 20, offset = 0 } = {}) {
+    const results = this.chatStore.search(options);
+    const page = results.slice(offset, offset + limit);
+    return {
+      results: page.map(result => ({ ...result, message: this.presentMessages([result.message])[0] })),
+      total: results.length,
+      has_more: offset + page.length < results.length,
+      next_offset: offset + page.length < results.length ? offset + page.length : null,
+    };
+  }
+
+  // Exporter for this session's stored chats; our messages carry our profile
+  // name unless options.ownName says otherwise
+  createExporter(options = {}) {
+    return new ChatExporter({
+      chatStore: this.chatStore,
+      metadata: this.metadata,
+      mediaStore: this.mediaStore,
+      ownName: this.sock?.user?.name || undefined,
+      ...options,
+    });
+  }
+
+  // Queue an outbound action; kind is one of message, reaction, edit, delete
+  enqueueSend(kind, chatJid, payload) {
+    return this.outbox.enqueue(kind, chatJid, payload);
+  }
+
+  // Remove the uploaded media of a message payload unless a pending outbox
+  // job or a scheduled job still sends it
+  releaseUpload(payload) {
+    const id = payload?.media?.id;
+    if (!id) return;
+
+    const sendsIt = job => job.payload?.media?.id === id;
+    if (this.outbox.pending().some(sendsIt) || this.scheduler.list({ status: 'scheduled' }).some(sendsIt)) return;
+    if (this.mediaStore.removeUpload(id)) this.log.debug({ media_id: id }, 'Removed uploaded media');
+  }
+
+  // Perform a queued outbound action against the socket, timing it for /metrics
+  async dispatchOutboxJob(job) {
+    const labels = { session: this.id, kind: job.kind };
+    const start = process.hrtime.bigint();
+    try {
+      const result = await this.performOutboxJob(job);
+      metrics.sendDuration.observeSince(labels, start);
+      return result;
+    } catch (err) {
+      metrics.sendFailures.inc(labels);
+      throw err;
+    }
+  }
+
+  performOutboxJob(job) {
+    const { chat_jid: chatJid, payload } = job;
+    switch (job.kind) {
+      case 'message':
+        return this.sendMessage(chatJid, payload);
+      case 'reaction':
+        return this.sendReaction(chatJid, payload.message_id, payload.emoji);
+      case 'edit':
+        return this.editMessage(chatJid, payload.message_id, payload.text);
+      case 'delete':
+        return this.deleteMessage(chatJid, payload.message_id);
+      default:
+        throw apiError('invalid_request', `Unknown outbox job kind: ${job.kind}`);
+    }
+  }
+
+  // Send a text and/or media message, optionally quoting a reply target and mentioning participants.
+  // Returns the WhatsApp message key and the persisted formatted message.
+  async sendMessage(chatJid, { text, reply_to, mentions, media, simulate_typing } = {}) {
+    this.assertConnected();
+
+    if (simulate_typing ?? this.simulateTypingByDefault) {
+      await this.simulateTyping(chatJid, text || '', media?.type === 'audio' ? 'recording' : 'composing');
+    }
+
+    const content = media ? this.buildMediaContent(media, text) : { text };
+    if (mentions?.length) content.mentions = mentions;
+
+    const options = {};
+    if (reply_to) {
+      options.quoted = this.buildQuotedMessage(chatJid, reply_to);
+    }
+
+    return this.sendContent(chatJid, content, options);
+  }
+
+  // React to a message; an empty emoji removes a previous reaction
+  async sendReaction(chatJid, messageId, emoji) {
+    this.assertConnected();
+    const key = this.messageKeyFor(chatJid, messageId);
+    return this.sendContent(chatJid, { react: { text: emoji, key } });
+  }
+
+  async editMessage(chatJid, messageId, text) {
+    this.assertConnected();
+    const key = this.ownMessageKeyFor(chatJid, messageId);
+    return this.sendContent(chatJid, { text, edit: key });
+  }
+
+  // Delete one of our own messages for everyone
+  async deleteMessage(chatJid, messageId) {
+    this.assertConnected();
+    const key = this.ownMessageKeyFor(chatJid, messageId);
+    return this.sendContent(chatJid, { delete: key });
+  }
+
+  assertConnected() {
     if (!this.sock || this.status !== 'connected') {
-      throw new Error('Not connected');
+      throw apiError('not_connected', 'Not connected');
+    }
+  }
+
+  async sendContent(chatJid, content, options = {}) {
+    const sent = await this.sock.sendMessage(chatJid, content, options);
+
+    // Our own sends also arrive via messages.upsert; ingesting here is deduplicated
+    await this.ingestMessage(sent);
+    const message = this.getMessage(chatJid, sent.key.id) || this.formatMessage(sent);
+
+    return { success: true, key: sent.key, message };
+  }
+
+  // Show "typing…" (or "recording…") for a time proportional to the text, then pause
+  async simulateTyping(chatJid, text, presence = 'composing') {
+    const { msPerChar, minMs, maxMs } = this.typing;
+    const duration = Math.min(maxMs, Math.max(minMs, text.length * msPerChar));
+
+    await this.sock.sendPresenceUpdate(presence, chatJid);
+    await new Promise(resolve => setTimeout(resolve, duration));
+    await this.sock.sendPresenceUpdate('paused', chatJid);
+    return duration;
+  }
+
+  // Send our presence to a chat (composing, recording, paused) or everyone (available, unavailable)
+  async sendPresence(chatJid, presence) {
+    if (!PRESENCE_TYPES.includes(presence)) {
+      throw apiError('invalid_request', `presence must be one of ${PRESENCE_TYPES.join(', ')}`);
+    }
+    this.assertConnected();
+    await this.sock.sendPresenceUpdate(presence, chatJid);
+    return { success: true, chat_jid: chatJid, presence };
+  }
+
+  // Ask WhatsApp to send us presence updates for a chat
+  async subscribePresence(chatJid) {
+    this.assertConnected();
+    await this.sock.presenceSubscribe(chatJid);
+    return { success: true, chat_jid: chatJid };
+  }
+
+  // Send read receipts for specific incoming messages
+  async markRead(chatJid, messageIds) {
+    this.assertConnected();
+    const keys = messageIds.map(id => {
+      if (!this.chatStore.get(chatJid, id)) {
+        throw apiError('not_found', `Message ${id} not found in ${chatJid}`);
+      }
+      return this.messageKeyFor(chatJid, id);
+    });
+
+    await this.sock.readMessages(keys);
+    return { success: true, chat_jid: chatJid, marked: keys.length };
+  }
+
+  // Mark a chat read: receipts for every incoming message not yet marked, in
+  // batches. The position is kept with the chat metadata so it survives
+  // restarts: the newest timestamp marked (read_up_to) and the ids marked at
+  // that timestamp (read_ids). Timestamps only have whole seconds, so messages
+  // sharing the boundary second are checked by id rather than skipped.
+  async markChatRead(chatJid) {
+    this.assertConnected();
+    const chat = this.chats.get(chatJid);
+    let readUpTo = Date.parse(chat?.read_up_to) || 0;
+    let readIds = new Set(chat?.read_ids || []);
+    const unread = this.chatStore.list(chatJid, { after: readUpTo - 1, limit: Infinity }).messages.filter(message => (
+      !message.is_from_me && !NON_READABLE_TYPES.has(message.message_type) &&
+      !(Date.parse(message.timestamp) === readUpTo && readIds.has(message.message_id))
+    ));
+
+    // The position moves with each batch, so a failure part way resumes after it
+    for (let i = 0; i < unread.length; i += READ_BATCH_SIZE) {
+      const batch = unread.slice(i, i + READ_BATCH_SIZE);
+      await this.sock.readMessages(batch.map(message => this.messageKeyFor(chatJid, message.message_id)));
+
+      const last = batch[batch.length - 1].timestamp;
+      if (Date.parse(last) !== readUpTo) readIds = new Set();
+      readUpTo = Date.parse(last);
+      for (const message of batch) {
+        if (Date.parse(message.timestamp) === readUpTo) readIds.add(message.message_id);
+      }
+      this.metadata.upsertChat(chatJid, { read_up_to: last, read_ids: [...readIds] });
+    }
+    return { success: true, chat_jid: chatJid, marked: unread.length };
+  }
+
+  // Group administration. Each action also updates the local chats cache
+  // right away instead of waiting for WhatsApp's notification about it.
+
+  // Create a group with us as admin; participants WhatsApp refused are reported per JID
+  async createGroup(subject, participants = []) {
+    this.assertConnected();
+    const jids = participantJids(participants);
+    const metadata = await socketCall(() => this.sock.groupCreate(subject, jids));
+
+    this.metadata.upsertGroupMetadata(metadata);
+    const chat = this.metadata.upsertChat(metadata.id, { left_at: null });
+    this.publish('chat.upsert', [chat]);
+    return { success: true, group: chat, results: createResults(jids, metadata) };
+  }
+
+  // Fresh metadata for a group we are in
+  async getGroup(groupJid) {
+    assertGroupJid(groupJid);
+    this.assertConnected();
+    const metadata = await socketCall(() => this.sock.groupMetadata(groupJid));
+    return this.metadata.upsertGroupMetadata(metadata);
+  }
+
+  // Add, remove, promote or demote participants; one result per participant
+  async updateGroupParticipants(groupJid, participants, action) {
+    if (!PARTICIPANT_ACTIONS.includes(action)) {
+      throw apiError('invalid_request', `action must be one of ${PARTICIPANT_ACTIONS.join(', ')}`);
+    }
+    assertGroupJid(groupJid);
+    this.assertConnected();
+    const jids = participantJids(participants);
+    const answers = await socketCall(() => this.sock.groupParticipantsUpdate(groupJid, jids, action));
+
+    const results = participantResults(answers);
+    const changed = results.filter(result => result.success).map(result => result.jid);
+    if (changed.length > 0) {
+      const chat = this.metadata.updateParticipants(groupJid, changed, action);
+      this.publish('chat.update', [{ id: groupJid, participants: chat.participants, action }]);
+    }
+
+    return {
+      success: changed.length === results.length,
+      group_jid: groupJid,
+      action,
+      succeeded: changed.length,
+      failed: results.length - changed.length,
+      results,
+    };
+  }
+
+  // Change subject, description and settings (announce: only admins send,
+  // locked: only admins edit group info). Fields are applied in that order;
+  // if one fails the ones before it stay applied and cached.
+  async updateGroup(groupJid, { subject, description, announce, locked } = {}) {
+    assertGroupJid(groupJid);
+    this.assertConnected();
+    const apply = async (call, fields, update) => {
+      await socketCall(call);
+      this.metadata.upsertChat(groupJid, fields);
+      this.publish('chat.update', [{ id: groupJid, ...update }]);
+    };
+
+    if (subject !== undefined) {
+      await apply(() => this.sock.groupUpdateSubject(groupJid, subject), { name: subject }, { subject });
+    }
+    if (description !== undefined) {
+      await apply(
+        () => this.sock.groupUpdateDescription(groupJid, description || undefined),
+        { description: description || null },
+        { desc: description || null }
+      );
+    }
+    if (announce !== undefined) {
+      const [on, off] = GROUP_SETTINGS.announce;
+      await apply(() => this.sock.groupSettingUpdate(groupJid, announce ? on : off), { announce }, { announce });
+    }
+    if (locked !== undefined) {
+      const [on, off] = GROUP_SETTINGS.locked;
+      await apply(() => this.sock.groupSettingUpdate(groupJid, locked ? on : off), { restrict: locked }, { restrict: locked });
+    }
+
+    return { success: true, group: this.getChat(groupJid) };
+  }
+
+  async getGroupInvite(groupJid) {
+    assertGroupJid(groupJid);
+    this.assertConnected();
+    const code = await socketCall(() => this.sock.groupInviteCode(groupJid));
+    return { group_jid: groupJid, code, link: inviteLink(code) };
+  }
+
+  // Invalidate the current invite link; answers with the new one
+  async revokeGroupInvite(groupJid) {
+    assertGroupJid(groupJid);
+    this.assertConnected();
+    const code = await socketCall(() => this.sock.groupRevokeInvite(groupJid));
+    return { success: true, group_jid: groupJid, code, link: inviteLink(code) };
+  }
+
+  // What an invite code leads to, without joining
+  async getInviteInfo(invite) {
+    const code = requireInviteCode(invite);
+    this.assertConnected();
+    const metadata = await socketCall(() => this.sock.groupGetInviteInfo(code));
+    return {
+      code,
+      group_jid: metadata.id,
+      subject: metadata.subject || null,
+      description: metadata.desc ?? null,
+      owner: metadata.owner ?? null,
+      size: metadata.size ?? metadata.participants?.length ?? null,
+      created_at: metadata.creation ? new Date(metadata.creation * 1000).toISOString() : null,
+    };
+  }
+
+  // Join by invite code or link. Groups that need admin approval answer
+  // without a JID; those joins are reported as pending.
+  async joinGroup(invite) {
+    const code = requireInviteCode(invite);
+    this.assertConnected();
+    const groupJid = await socketCall(() => this.sock.groupAcceptInvite(code));
+    if (!groupJid) return { success: true, pending_approval: true, group: null };
+
+    try {
+      this.metadata.upsertGroupMetadata(await this.sock.groupMetadata(groupJid));
+    } catch (err) {
+      this.log.warn({ jid: groupJid, err: err.message }, 'Could not fetch metadata for joined group');
+    }
+    const chat = this.metadata.upsertChat(groupJid, { left_at: null });
+    this.publish('chat.upsert', [chat]);
+    return { success: true, pending_approval: false, group: chat };
+  }
+
+  // Leave a group; its chat and messages stay, marked with left_at
+  async leaveGroup(groupJid) {
+    assertGroupJid(groupJid);
+    this.assertConnected();
+    await socketCall(() => this.sock.groupLeave(groupJid));
+
+    const ownJid = this.sock.user?.id?.replace(/:\d+@/, '@');
+    if (ownJid) this.metadata.updateParticipants(groupJid, [ownJid], 'remove');
+    const chat = this.metadata.upsertChat(groupJid, { left_at: new Date().toISOString() });
+    this.publish('chat.update', [{ id: groupJid, left_at: chat.left_at }]);
+    return { success: true, group: chat };
+  }
+
+  // Baileys media content from a local path, an uploaded file in the media
+  // store or (for jobs queued by older versions) a base64 payload
+  buildMediaContent(media, caption) {
+    let source;
+    if (media.path) {
+      source = { url: media.path };
+    } else if (media.id) {
+      source = this.mediaStore.read(media.id);
+      if (!source) throw apiError('not_found', `Media not found: ${media.id}`);
+    } else {
+      source = Buffer.from(media.base64, 'base64');
+    }
+
+    switch (media.type) {
+      case 'image':
+        return { image: source, caption, mimetype: media.mimetype };
+      case 'video':
+        return { video: source, caption, mimetype: media.mimetype };
+      case 'document':
+        return {
+          document: source,
+          caption,
+          mimetype: media.mimetype || 'application/octet-stream',
+          fileName: media.file_name || 'document',
+        };
+      case 'audio':
+        return { audio: source, mimetype: media.mimetype || 'audio/mp4' };
+      case 'voice':
+        return { audio: source, mimetype: media.mimetype || 'audio/ogg; codecs=opus', ptt: true };
+      default:
+        throw apiError('invalid_request', `Unsupported media type: ${media.type}`);
+    }
+  }
+
+  // Key for a message we have stored; unknown messages are assumed to be from the other side
+  messageKeyFor(chatJid, messageId) {
+    const stored = this.chatStore.get(chatJid, messageId);
+    const fromMe = stored?.is_from_me || false;
+
+    const key = { remoteJid: chatJid, id: messageId, fromMe };
+    if (chatJid.endsWith('@g.us') && !fromMe && stored?.sender_jid) {
+      key.participant = stored.sender_jid;
     }
+    return key;
+  }
 
-    await this.sock.sendMessage(chatJid, { text });
-    return { success: true };
+  ownMessageKeyFor(chatJid, messageId) {
+    const stored = this.chatStore.get(chatJid, messageId);
+    if (!stored) {
+      throw apiError('not_found', `Message ${messageId} not found in ${chatJid}`);
+    }
+    if (!stored.is_from_me) {
+      throw apiError('forbidden', 'Only our own messages can be edited or deleted');
+    }
+    return { remoteJid: chatJid, id: messageId, fromMe: true };
+  }
+
+  // Baileys needs the full quoted WAMessage; rebuild one from the store if the raw copy is gone
+  buildQuotedMessage(chatJid, messageId) {
+    const stored = this.chatStore.get(chatJid, messageId);
+    if (!stored) {
+      throw apiError('not_found', `Message ${messageId} not found in ${chatJid}`);
+    }
+    const raw = this.chatStore.rawData(chatJid, [messageId]).get(messageId);
+    if (raw?.message) return raw;
+
+    return {
+      key: this.messageKeyFor(chatJid, messageId),
+      message: { conversation: stored.content },
+    };
   }
 
   // Fetch metadata for specific JIDs (provided by caller)
   async fetchGroupNamesForJids(jids) {
-    if (!this.sock || this.status !== 'connected') {
-      return { fetched: 0, results: [], error: 'Not connected' };
-    }
+    this.assertConnected();
 
     const groupJids = jids.filter(jid => jid.endsWith('@g.us'));
-    console.log(`[WhatsApp] Fetching metadata for ${groupJids.length} groups from provided JIDs`);
+    this.log.info({ groups: groupJids.length }, 'Fetching metadata for provided group JIDs');
 
     const results = [];
     let fetched = 0;
@@ -477,21 +1613,16 @@ class BaileysClient {
       try {
         const metadata = await this.sock.groupMetadata(jid);
         if (metadata.subject) {
-          // Update our local cache too
-          this.chats.set(jid, {
-            jid: jid,
-            name: metadata.subject,
-            hasRealName: true,
-            type: 'group',
-          });
+          // Update our local cache too, unless the chat is filtered out
+          if (this.filter.allowsChat(jid)) this.metadata.upsertGroupMetadata(metadata);
           results.push({ jid, name: metadata.subject, success: true });
-          console.log(`[WhatsApp] Fetched: ${jid} -> "${metadata.subject}"`);
+          this.log.debug({ jid, name: metadata.subject }, 'Fetched group name');
           fetched++;
         } else {
           results.push({ jid, name: null, success: false, error: 'No subject' });
         }
       } catch (err) {
-        console.log(`[WhatsApp] Could not fetch metadata for ${jid}: ${err.message}`);
+        this.log.warn({ jid, err: err.message }, 'Could not fetch group metadata');
         results.push({ jid, name: null, success: false, error: err.message });
       }
       // Small delay to avoid rate limiting
@@ -502,4 +1633,44 @@ class BaileysClient {
   }
 }
 
+// Protobuf numbers arrive as numbers, Longs, { low, high } after JSON, or strings
+function toNumber(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && /^\d+$/.test(value)) return parseInt(value, 10);
+  if (value?.toNumber) return value.toNumber();
+  if (value?.low !== undefined) return (value.high || 0) * 2 ** 32 + (value.low >>> 0);
+  return null;
+}
+
+// Run a socket query, passing WhatsApp's 4xx answers (not-authorized,
+// item-not-found, ...) on as client errors with the same status
+async function socketCall(call) {
+  try {
+    return await call();
+  } catch (err) {
+    const status = err.output?.statusCode;
+    if (status >= 400 && status < 500) throw Object.assign(new Error(err.message), { status });
+    throw err;
+  }
+}
+
+function assertGroupJid(jid) {
+  if (!isGroupJid(jid)) throw apiError('invalid_jid', `${jid} is not a group JID`);
+}
+
+function participantJids(participants) {
+  if (!Array.isArray(participants)) throw apiError('invalid_request', 'participants must be an array');
+  return participants.map(participant => {
+    const jid = toParticipantJid(participant);
+    if (!jid) throw apiError('invalid_jid', `Invalid participant: ${participant}`);
+    return jid;
+  });
+}
+
+function requireInviteCode(invite) {
+  const code = parseInviteCode(invite);
+  if (!code) throw apiError('invalid_request', 'code must be an invite code or a chat.whatsapp.com link');
+  return code;
+}
+
 export default BaileysClient;
@@ -0,0 +1,104 @@
+// Receipt levels from Baileys' WebMessageInfo.Status
+const RECEIPT_STATUS = { 2: 'sent', 3: 'delivered', 4: 'read', 5: 'played' };
+const RECEIPT_ORDER = ['sent', 'delivered', 'read', 'played'];
+const MAX_RECEIPTS_PER_CHAT = 500;
+
+// Presence and receipts seen per chat.
+//
+// Presence (typing, recording, online, last seen) comes from presence.update
+// for chats we subscribed to; receipts come from messages.update (overall
+// status of our own messages) and message-receipt.update (per-participant
+// read/delivery times in groups). Everything is in memory: presence is only
+// meaningful while connected, and receipts are kept for the most recent
+// messages of each chat.
+class ChatActivity {
+  constructor() {
+    this.chats = new Map();
+  }
+
+  chat(chatJid) {
+    let chat = this.chats.get(chatJid);
+    if (!chat) {
+      chat = { presences: new Map(), receipts: new Map() };
+      this.chats.set(chatJid, chat);
+    }
+    return chat;
+  }
+
+  // presence.update: { id, presences: { [participant]: { lastKnownPresence, lastSeen } } }
+  updatePresence({ id, presences }) {
+    const chat = this.chat(id);
+    const now = new Date().toISOString();
+    const updated = [];
+
+    for (const [participant, { lastKnownPresence, lastSeen }] of Object.entries(presences || {})) {
+      const entry = {
+        jid: participant,
+        presence: lastKnownPresence || 'unavailable',
+        last_seen: lastSeen ? new Date(lastSeen * 1000).toISOString() : null,
+        updated_at: now,
+      };
+      chat.presences.set(participant, entry);
+      updated.push(entry);
+    }
+    return { chat_jid: id, presences: updated };
+  }
+
+  // Overall status of one of our messages; levels only move forward.
+  // Returns the receipt if it changed, null otherwise.
+  updateStatus(key, statusCode) {
+    const status = RECEIPT_STATUS[statusCode];
+    if (!status) return null;
+
+    const receipt = this.receipt(key);
+    if (RECEIPT_ORDER.indexOf(status) <= RECEIPT_ORDER.indexOf(receipt.status)) return null;
+    receipt.status = status;
+    receipt.updated_at = new Date().toISOString();
+    return receipt;
+  }
+
+  // message-receipt.update: { key, receipt: { userJid, receiptTimestamp, readTimestamp, playedTimestamp } }
+  updateUserReceipt({ key, receipt: { userJid, receiptTimestamp, readTimestamp, playedTimestamp } }) {
+    const receipt = this.receipt(key);
+    const user = receipt.users[userJid] || { delivered_at: null, read_at: null, played_at: null };
+
+    if (receiptTimestamp) user.delivered_at = toIso(receiptTimestamp);
+    if (readTimestamp) user.read_at = toIso(readTimestamp);
+    if (playedTimestamp) user.played_at = toIso(playedTimestamp);
+    receipt.users[userJid] = user;
+    receipt.updated_at = new Date().toISOString();
+    return { ...receipt, user_jid: userJid };
+  }
+
+  receipt(key) {
+    const { receipts } = this.chat(key.remoteJid);
+    let receipt = receipts.get(key.id);
+    if (!receipt) {
+      receipt = { chat_jid: key.remoteJid, message_id: key.id, status: null, users: {}, updated_at: null };
+      receipts.set(key.id, receipt);
+      // Forget the oldest receipts first (Map keeps insertion order)
+      if (receipts.size > MAX_RECEIPTS_PER_CHAT) receipts.delete(receipts.keys().next().value);
+    }
+    return receipt;
+  }
+
+  getPresence(chatJid) {
+    return Array.from(this.chats.get(chatJid)?.presences.values() || []);
+  }
+
+  // Receipts for a chat, or for specific message ids
+  getReceipts(chatJid, messageIds = null) {
+    const receipts = this.chats.get(chatJid)?.receipts;
+    if (!receipts) return [];
+    if (!messageIds) return Array.from(receipts.values());
+    return messageIds.map(id => receipts.get(id)).filter(Boolean);
+  }
+}
+
+// Receipt timestamps are seconds as numbers, Longs or { low, high }
+function toIso(seconds) {
+  const value = typeof seconds === 'number' ? seconds : (seconds?.toNumber?.() ?? seconds?.low ?? Number(seconds));
+  return new Date(value * 1000).toISOString();
+}
+
+export default ChatActivity;
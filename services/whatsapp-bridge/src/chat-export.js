@@ -0,0 +1,334 @@
+import path from 'path';
+import { createZip } from './zip.js';
+
+export const EXPORT_FORMATS = ['txt', 'jsonl', 'html'];
+
+const CONTENT_TYPES = {
+  txt: 'text/plain; charset=utf-8',
+  jsonl: 'application/x-ndjson; charset=utf-8',
+  html: 'text/html; charset=utf-8',
+  zip: 'application/zip',
+};
+
+// Records that change an earlier message (or vote on it) rather than being
+// one; WhatsApp's own export leaves them out
+const SKIPPED_TYPES = new Set(['edit', 'revoke', 'reaction', 'poll_vote']);
+
+// Placeholder text formatMessage stores for media without a caption
+const MEDIA_PLACEHOLDERS = new Set(['[Image]', '[Video]', '[Audio]', '[Document]', '[Sticker]']);
+
+// Native attachment names: IMG-20240115-WA0001.jpg
+const MEDIA_PREFIXES = { image: 'IMG', video: 'VID', audio: 'AUD', sticker: 'STK', document: 'DOC' };
+
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif',
+  'video/mp4': 'mp4',
+  'audio/ogg': 'opus',
+  'audio/mpeg': 'mp3',
+  'audio/mp4': 'm4a',
+  'application/pdf': 'pdf',
+};
+
+const OMITTED_NAMES = { image: 'image', video: 'video', audio: 'audio', sticker: 'sticker', document: 'document', contact: 'Contact card' };
+
+// Writes stored chats the way WhatsApp's "Export chat" does, plus JSONL and
+// HTML archives, optionally bundled with their media into a zip.
+//
+// The text layout follows the locale's date order, which also matches what
+// PumaBot's WhatsAppExportImporter reads back:
+//   month first (en-US): [1/15/24, 10:30:15 AM] Alice: Hello
+//   day first (en-GB):   15/01/2024, 10:30 - Alice: Hello
+//   year first (sv-SE):  [2024-01-15, 10:30:15] Alice: Hello
+// Our own messages are attributed to `ownName`.
+class ChatExporter {
+  constructor({ chatStore, metadata, mediaStore, locale = 'en-US', timeZone, ownName = 'You' }) {
+    this.chatStore = chatStore;
+    this.metadata = metadata;
+    this.mediaStore = mediaStore;
+    this.locale = locale;
+    this.timeZone = timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+    this.ownName = ownName;
+    this.dateOrder = dateOrder(locale);
+    this.parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: this.timeZone,
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit',
+      second: '2-digit',
+      hourCycle: 'h23',
+    });
+  }
+
+  // Chats that have stored messages
+  chatJids() {
+    return this.chatStore.chatJids().filter(jid => this.messages(jid).length > 0);
+  }
+
+  messages(chatJid) {
+    return this.chatStore.loadChat(chatJid).messages;
+  }
+
+  chatName(chatJid) {
+    const chat = this.metadata.chats.get(chatJid);
+    const contact = this.metadata.getContact(chatJid);
+    return chat?.name || contact?.name || contact?.verified_name || contact?.push_name || phoneNumber(chatJid);
+  }
+
+  senderName(message) {
+    if (message.is_from_me) return this.ownName;
+    const contact = this.metadata.getContact(message.sender_jid);
+    return contact?.name || contact?.verified_name || message.push_name || contact?.push_name || phoneNumber(message.sender_jid);
+  }
+
+  // Base file name for a chat, as WhatsApp names its exports
+  fileName(chatJid) {
+    return `WhatsApp Chat with ${safeFileName(this.chatName(chatJid))}`;
+  }
+
+  // One chat as { fileName, contentType, body }; with `zip`, body is a stream
+  // of a zip holding the chat file and (for txt and html) its downloaded media
+  exportChat(chatJid, { format = 'txt', zip = false } = {}) {
+    const base = this.fileName(chatJid);
+    if (!zip) {
+      const body = this.render(chatJid, format, { attachments: null });
+      return { fileName: `${base}.${format}`, contentType: CONTENT_TYPES[format], body };
+    }
+    return {
+      fileName: `${base}.zip`,
+      contentType: CONTENT_TYPES.zip,
+      body: createZip(this.zipEntries(chatJid, format, '')),
+    };
+  }
+
+  // Several chats (default: all) in one zip stream, a folder per chat; each
+  // chat is rendered only when the zip gets to it
+  exportAll({ format = 'txt', chatJids = this.chatJids() } = {}) {
+    const entries = chatJids.flatMap(chatJid =>
+      this.zipEntries(chatJid, format, `${this.fileName(chatJid)}/`)
+    );
+    return { fileName: 'WhatsApp Chats.zip', contentType: CONTENT_TYPES.zip, body: createZip(entries) };
+  }
+
+  zipEntries(chatJid, format, folder) {
+    const attachments = format === 'jsonl' ? null : this.attachments(chatJid);
+    const entries = [{
+      name: `${folder}${this.fileName(chatJid)}.${format}`,
+      data: () => this.render(chatJid, format, { attachments }),
+    }];
+    for (const [message, fileName] of attachments || []) {
+      const { id, size } = this.mediaStore.get(message.media.id);
+      entries.push({ name: `${folder}${fileName}`, data: () => this.mediaStore.read(id), size, date: new Date(message.timestamp) });
+    }
+    return entries;
+  }
+
+  render(chatJid, format, { attachments }) {
+    const messages = this.messages(chatJid);
+    if (format === 'jsonl') return renderJsonl(messages);
+    if (format === 'html') return this.renderHtml(chatJid, messages, attachments);
+    return this.renderText(messages, attachments);
+  }
+
+  // Native attachment file names for a chat's downloaded media, by message
+  attachments(chatJid) {
+    const names = new Map();
+    const counters = new Map();
+    for (const message of this.messages(chatJid)) {
+      if (SKIPPED_TYPES.has(message.message_type) || message.is_deleted) continue;
+      if (!message.media?.id || !this.mediaStore.get(message.media.id)) continue;
+
+      const day = this.dateParts(message.timestamp);
+      const stamp = `${day.year}${day.month}${day.day}`;
+      const prefix = MEDIA_PREFIXES[message.message_type] || 'DOC';
+      const count = (counters.get(`${prefix}${stamp}`) || 0) + 1;
+      counters.set(`${prefix}${stamp}`, count);
+
+      const fileName = message.message_type === 'document' && message.media.file_name
+        ? `${prefix}-${stamp}-WA${String(count).padStart(4, '0')}-${safeFileName(message.media.file_name)}`
+        : `${prefix}-${stamp}-WA${String(count).padStart(4, '0')}.${extension(message.media)}`;
+      names.set(message, fileName);
+    }
+    return names;
+  }
+
+  // --- txt ---
+
+  renderText(messages, attachments) {
+    const lines = [];
+    for (const message of messages) {
+      if (SKIPPED_TYPES.has(message.message_type)) continue;
+      const text = this.messageText(message, attachments?.get(message));
+      lines.push(`${this.linePrefix(message.timestamp)}${this.senderName(message)}: ${text}`);
+    }
+    return lines.join('\n') + (lines.length ? '\n' : '');
+  }
+
+  linePrefix(timestamp) {
+    const { year, month, day, hour, minute, second } = this.dateParts(timestamp);
+    if (this.dateOrder === 'ymd') {
+      return `[${year}-${month}-${day}, ${hour}:${minute}:${second}] `;
+    }
+    if (this.dateOrder === 'dmy') {
+      return `${day}/${month}/${year}, ${hour}:${minute} - `;
+    }
+    const hour12 = Number(hour) % 12 || 12;
+    const suffix = Number(hour) < 12 ? 'AM' : 'PM';
+    return `[${Number(month)}/${Number(day)}/${year.slice(2)}, ${hour12}:${minute}:${second} ${suffix}] `;
+  }
+
+  // Message body as the native export writes it
+  messageText(message, attachment) {
+    if (message.is_deleted) {
+      return message.is_from_me ? 'You deleted this message' : 'This message was deleted';
+    }
+
+    let text;
+    if (attachment) {
+      text = this.dateOrder === 'dmy' ? `${attachment} (file attached)` : `<attached: ${attachment}>`;
+      const caption = captionOf(message);
+      if (caption) text += `\n${caption}`;
+    } else if (OMITTED_NAMES[message.message_type] && (message.media || message.message_type === 'contact')) {
+      text = this.dateOrder === 'dmy' ? '<Media omitted>' : `${OMITTED_NAMES[message.message_type]} omitted`;
+      const caption = captionOf(message);
+      if (caption && message.message_type !== 'contact') text += `\n${caption}`;
+    } else if (message.message_type === 'location' && message.location) {
+      const { latitude, longitude } = message.location;
+      text = `location: https://maps.google.com/?q=${latitude},${longitude}`;
+    } else if (message.message_type === 'poll' && message.poll) {
+      text = ['POLL:', message.poll.name, ...message.poll.options.map(option => `OPTION: ${option}`)].join('\n');
+    } else {
+      text = message.content || '';
+    }
+
+    return message.edited_at ? `${text} <This message was edited>` : text;
+  }
+
+  dateParts(timestamp) {
+    const parts = Object.fromEntries(
+      this.parts.formatToParts(new Date(timestamp)).map(part => [part.type, part.value])
+    );
+    return {
+      year: parts.year,
+      month: parts.month.padStart(2, '0'),
+      day: parts.day.padStart(2, '0'),
+      hour: parts.hour.padStart(2, '0'),
+      minute: parts.minute,
+      second: parts.second,
+    };
+  }
+
+  // --- html ---
+
+  renderHtml(chatJid, messages, attachments) {
+    const dateTime = new Intl.DateTimeFormat(this.locale, {
+      timeZone: this.timeZone,
+      dateStyle: 'medium',
+      timeStyle: 'short',
+    });
+    const title = escapeHtml(this.chatName(chatJid));
+
+    const items = messages
+      .filter(message => !SKIPPED_TYPES.has(message.message_type))
+      .map(message => {
+        const attachment = attachments?.get(message);
+        const body = message.is_deleted
+          ? `<em>${escapeHtml(this.messageText(message))}</em>`
+          : attachment
+            ? mediaHtml(message, attachment) + (captionOf(message) ? `<p>${escapeHtml(captionOf(message))}</p>` : '')
+            : `<p>${escapeHtml(this.messageText(message))}</p>`;
+        const edited = message.edited_at && !message.is_deleted ? ' <span class="edited">edited</span>' : '';
+        return `<li class="${message.is_from_me ? 'message me' : 'message'}" id="${escapeHtml(message.message_id)}">
+  <div class="meta"><strong>${escapeHtml(this.senderName(message))}</strong> <time datetime="${escapeHtml(message.timestamp)}">${escapeHtml(dateTime.format(new Date(message.timestamp)))}</time>${edited}</div>
+  ${body}
+</li>`;
+      });
+
+    return `<!DOCTYPE html>
+<html lang="${escapeHtml(this.locale)}">
+<head>
+<meta charset="utf-8">
+<title>WhatsApp Chat with ${title}</title>
+<style>
+body { font-family: system-ui, sans-serif; background: #efeae2; margin: 0; }
+h1 { background: #075e54; color: #fff; font-size: 1.2em; margin: 0; padding: 1em; }
+ol { list-style: none; margin: 0 auto; max-width: 48em; padding: 1em; }
+.message { background: #fff; border-radius: 8px; margin: 0.5em 20% 0.5em 0; padding: 0.5em 0.75em; }
+.message.me { background: #d9fdd3; margin: 0.5em 0 0.5em 20%; }
+.meta { color: #667781; font-size: 0.8em; }
+.edited { font-style: italic; }
+p { margin: 0.25em 0 0; white-space: pre-wrap; }
+img, video { max-width: 100%; border-radius: 4px; }
+</style>
+</head>
+<body>
+<h1>${title}</h1>
+<ol>
+${items.join('\n')}
+</ol>
+</body>
+</html>
+`;
+  }
+}
+
+function renderJsonl(messages) {
+  return messages.map(({ raw_data: _raw, ...message }) => JSON.stringify(message) + '\n').join('');
+}
+
+function mediaHtml(message, attachment) {
+  const src = encodeURI(attachment);
+  if (message.message_type === 'image' || message.message_type === 'sticker') {
+    return `<p><img src="${src}" alt="${escapeHtml(attachment)}"></p>`;
+  }
+  if (message.message_type === 'video') return `<p><video src="${src}" controls></video></p>`;
+  if (message.message_type === 'audio') return `<p><audio src="${src}" controls></audio></p>`;
+  return `<p><a href="${src}">${escapeHtml(attachment)}</a></p>`;
+}
+
+// A media message's caption, if it has one beyond the stored placeholder
+function captionOf(message) {
+  const text = message.content;
+  if (!text || MEDIA_PLACEHOLDERS.has(text) || text === message.media?.file_name) return null;
+  return text;
+}
+
+// 'mdy', 'dmy' or 'ymd', from how the locale writes a numeric date
+function dateOrder(locale) {
+  const order = new Intl.DateTimeFormat(locale, { year: 'numeric', month: 'numeric', day: 'numeric' })
+    .formatToParts(new Date(2024, 0, 15))
+    .filter(part => ['year', 'month', 'day'].includes(part.type))
+    .map(part => part.type[0])
+    .join('');
+  return ['mdy', 'dmy', 'ymd'].includes(order) ? order : 'dmy';
+}
+
+function extension(media) {
+  const fromName = media.file_name && path.extname(media.file_name).slice(1);
+  return fromName || EXTENSIONS[media.mimetype?.split(';')[0]] || 'bin';
+}
+
+// +15550000001 for a phone JID, the bare id otherwise
+function phoneNumber(jid) {
+  const [user, server] = (jid || '').split('@');
+  return server === 's.whatsapp.net' ? `+${user.split(':')[0]}` : user;
+}
+
+function safeFileName(name) {
+  return String(name).replace(/[/\\:*?"<>|\x00-\x1f]/g, '_').trim() || 'chat';
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+export default ChatExporter;
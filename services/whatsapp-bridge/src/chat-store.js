@@ -0,0 +1,251 @@
+import { createLogger } from './logger.js';
+import SearchIndex from './search-index.js';
+
+const log = createLogger('chat-store');
+
+// Record types that modify an earlier message rather than adding a new one
+const UPDATE_TYPES = new Set(['edit', 'revoke']);
+// Each chat is the storage log `store/messages/<URI-encoded JID>`
+const CHAT_PREFIX = 'store/messages/';
+
+// Per-chat message store, persisted as one storage log per chat.
+//
+// Messages are indexed by chat_jid and kept sorted by timestamp so a chat can
+// be paged through with `before` / `after` cursors, and by message_id for
+// dedup and lookups. Edits and revokes are applied to the message they target,
+// including when they arrive first (history and backfill are out of order):
+// they wait in `pending` until the target is added. Chats are loaded lazily on first access, so startup cost
+// does not grow with the number of chats. The search index is only built
+// (loading every chat) once the first search comes in.
+//
+// The raw protobuf a message may carry (raw_data) is written to storage but
+// left out of the in-memory copy, so memory does not grow with it; rawData()
+// reads it back when asked for.
+class ChatStore {
+  constructor({ storage }) {
+    this.storage = storage;
+    this.chats = new Map();
+    this.index = null;
+  }
+
+  chatLog(chatJid) {
+    return CHAT_PREFIX + encodeURIComponent(chatJid);
+  }
+
+  // Load (or return the cached) index for a chat
+  loadChat(chatJid) {
+    let chat = this.chats.get(chatJid);
+    if (chat) return chat;
+
+    chat = { messages: [], ids: new Map(), pending: new Map() };
+
+    try {
+      for (const { raw_data: _raw, ...msg } of this.storage.readLog(this.chatLog(chatJid))) {
+        if (!chat.ids.has(msg.message_id)) {
+          chat.ids.set(msg.message_id, msg);
+          chat.messages.push(msg);
+        }
+      }
+      chat.messages.sort((a, b) => timeOf(a) - timeOf(b));
+      for (const msg of chat.messages) {
+        this.applyUpdate(chat, msg);
+      }
+    } catch (err) {
+      log.error({ chat_jid: chatJid, err: err.message }, 'Failed to load chat');
+    }
+
+    this.chats.set(chatJid, chat);
+    if (this.index) {
+      for (const msg of chat.messages) this.index.add(msg);
+    }
+    return chat;
+  }
+
+  // JIDs of every chat with stored messages, loaded or not
+  chatJids() {
+    const jids = new Set(this.chats.keys());
+    try {
+      for (const name of this.storage.listLogs(CHAT_PREFIX)) {
+        jids.add(decodeURIComponent(name.slice(CHAT_PREFIX.length)));
+      }
+    } catch (err) {
+      log.error({ err: err.message }, 'Failed to list chats');
+    }
+    return [...jids];
+  }
+
+  // Add a formatted message (with raw_data, if it is to be kept); returns
+  // false if it was already stored
+  add(stored) {
+    const chat = this.loadChat(stored.chat_jid);
+    if (chat.ids.has(stored.message_id)) return false;
+
+    try {
+      this.storage.appendLog(this.chatLog(stored.chat_jid), stored);
+    } catch (err) {
+      log.error({ chat_jid: stored.chat_jid, err: err.message }, 'Failed to persist message');
+    }
+
+    const { raw_data: _raw, ...message } = stored;
+    chat.ids.set(message.message_id, message);
+    // History arrives out of order, so insert at the sorted position
+    const index = upperBound(chat.messages, timeOf(message));
+    chat.messages.splice(index, 0, message);
+    this.applyUpdate(chat, message);
+    this.index?.add(message);
+    this.applyPending(chat, message);
+    return true;
+  }
+
+  // Reflect an edit or revoke record on the message it targets, or keep it
+  // until that message arrives
+  applyUpdate(chat, record) {
+    if (!UPDATE_TYPES.has(record.message_type) || !record.target_message_id) return;
+    const target = chat.ids.get(record.target_message_id);
+    if (!target) {
+      const waiting = chat.pending.get(record.target_message_id) || [];
+      chat.pending.set(record.target_message_id, [...waiting, record]);
+      return;
+    }
+
+    if (record.message_type === 'edit') {
+      target.content = record.content;
+      target.edited_at = record.timestamp;
+    } else {
+      target.is_deleted = true;
+      target.deleted_at = record.timestamp;
+    }
+    this.index?.add(target);
+  }
+
+  // Apply updates that arrived before `message`, oldest first so the latest edit wins
+  applyPending(chat, message) {
+    const updates = chat.pending.get(message.message_id);
+    if (!updates) return;
+
+    chat.pending.delete(message.message_id);
+    for (const record of updates.sort((a, b) => timeOf(a) - timeOf(b))) {
+      this.applyUpdate(chat, record);
+    }
+  }
+
+  get(chatJid, messageId) {
+    return this.loadChat(chatJid).ids.get(messageId) || null;
+  }
+
+  // The raw protobufs stored for `messageIds` of a chat, as a Map by message
+  // id (messages stored without one are missing from it). Reads the chat's log.
+  rawData(chatJid, messageIds) {
+    const wanted = new Set(messageIds);
+    const found = new Map();
+    if (wanted.size === 0) return found;
+
+    try {
+      for (const msg of this.storage.readLog(this.chatLog(chatJid))) {
+        if (msg.raw_data && wanted.has(msg.message_id) && !found.has(msg.message_id)) {
+          found.set(msg.message_id, msg.raw_data);
+        }
+      }
+    } catch (err) {
+      log.error({ chat_jid: chatJid, err: err.message }, 'Failed to read raw messages');
+    }
+    return found;
+  }
+
+  // The earliest stored message in a chat, or null
+  oldest(chatJid) {
+    return this.loadChat(chatJid).messages[0] || null;
+  }
+
+  // List messages in ascending timestamp order.
+  // - `before`: the newest `limit` messages older than this timestamp
+  // - `after`: the oldest `limit` messages newer than this timestamp
+  // - neither: the newest `limit` messages in the chat
+  list(chatJid, { limit = 100, before, after } = {}) {
+    const { messages } = this.loadChat(chatJid);
+
+    let start = 0;
+    let end = messages.length;
+    if (after !== undefined) start = upperBound(messages, after);
+    if (before !== undefined) end = lowerBound(messages, before);
+    if (end <= start) return { messages: [], has_more: false };
+
+    if (after !== undefined && before === undefined) {
+      const page = messages.slice(start, Math.min(end, start + limit));
+      return { messages: page, has_more: start + page.length < end };
+    }
+
+    const from = Math.max(start, end - limit);
+    return { messages: messages.slice(from, end), has_more: from > start };
+  }
+
+  // Search every stored message. With a `query`, results are ranked by
+  // SearchIndex; with filters only, they are the matching messages newest
+  // first. Returns { message, score, snippet, highlights } entries.
+  // - `chatJid`, `senderJid`: exact JIDs
+  // - `messageTypes`: array of message types
+  // - `isFromMe`: boolean
+  // - `after`, `before`: timestamps in ms since epoch (exclusive)
+  search({ query, chatJid, senderJid, messageTypes, isFromMe, after, before } = {}) {
+    const index = this.searchIndex();
+    const filter = message =>
+      (!chatJid || message.chat_jid === chatJid) &&
+      (!senderJid || message.sender_jid === senderJid) &&
+      (!messageTypes || messageTypes.includes(message.message_type)) &&
+      (isFromMe === undefined || message.is_from_me === isFromMe) &&
+      (after === undefined || timeOf(message) > after) &&
+      (before === undefined || timeOf(message) < before);
+
+    if (query) return index.search(query, { filter });
+
+    const chats = chatJid ? [this.loadChat(chatJid)] : [...this.chats.values()];
+    return chats
+      .flatMap(chat => chat.messages)
+      .filter(message => !UPDATE_TYPES.has(message.message_type) && !message.is_deleted && filter(message))
+      .sort((a, b) => timeOf(b) - timeOf(a))
+      .map(message => ({ message, score: null, snippet: null, highlights: [] }));
+  }
+
+  // The search index, built from every chat on first use
+  searchIndex() {
+    if (this.index) return this.index;
+
+    const index = new SearchIndex();
+    for (const chatJid of this.chatJids()) {
+      for (const message of this.loadChat(chatJid).messages) index.add(message);
+    }
+    this.index = index;
+    log.info({ chats: this.chats.size, messages: index.size }, 'Built search index');
+    return index;
+  }
+}
+
+function timeOf(message) {
+  return Date.parse(message.timestamp) || 0;
+}
+
+// Index of the first message with timestamp >= time
+function lowerBound(messages, time) {
+  let lo = 0;
+  let hi = messages.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >>> 1;
+    if (timeOf(messages[mid]) < time) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+// Index of the first message with timestamp > time
+function upperBound(messages, time) {
+  let lo = 0;
+  let hi = messages.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >>> 1;
+    if (timeOf(messages[mid]) <= time) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+export default ChatStore;
@@ -0,0 +1,5 @@
+// Values shared by the client and the API contract, kept apart from
+// baileys.js so the contract does not pull in the socket.
+
+// Presence states we can send
+export const PRESENCE_TYPES = ['available', 'unavailable', 'composing', 'recording', 'paused'];
@@ -0,0 +1,165 @@
+// Five-field cron expressions (minute hour day-of-month month day-of-week)
+// evaluated in an IANA time zone.
+//
+// Fields take `*`, numbers, ranges (`1-5`), steps (`*/15`, `8-18/2`), lists
+// (`1,15`) and month / weekday names (`jan`, `mon-fri`); 0 and 7 are Sunday.
+// As in classic cron, when both day fields are restricted a day matches
+// either of them.
+
+const MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *',
+};
+
+// The most days each month can have (February in leap years)
+const DAYS_IN_MONTH = [31, 29, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTHS, offset: 1 },
+  { name: 'day of week', min: 0, max: 7, names: WEEKDAYS, offset: 0 },
+];
+
+// How far ahead nextRun() looks before deciding an expression never matches
+const SEARCH_YEARS = 5;
+const MINUTE = 60 * 1000;
+
+const formatters = new Map();
+
+export function parseCron(expression) {
+  if (typeof expression !== 'string') throw cronError('cron must be a string');
+  const source = MACROS[expression.trim().toLowerCase()] || expression.trim();
+  const parts = source.split(/\s+/);
+  if (parts.length !== 5) {
+    throw cronError('cron must have five fields: minute hour day-of-month month day-of-week');
+  }
+
+  const [minutes, hours, days, months, weekdays] = parts.map((part, index) => parseField(part, FIELDS[index]));
+  // 7 is another name for Sunday
+  if (weekdays.has(7)) weekdays.add(0);
+  // Days that none of the months have (`30 2`) never come, unless weekdays match instead
+  if (parts[4] === '*' && ![...months].some(month => [...days].some(day => day <= DAYS_IN_MONTH[month - 1]))) {
+    throw cronError(`cron never matches: no month ${parts[3]} has day ${parts[2]}`);
+  }
+
+  return {
+    expression: expression.trim(),
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    anyDay: parts[2] === '*',
+    anyWeekday: parts[4] === '*',
+  };
+}
+
+// The first matching minute strictly after `after` (ms), or null if there is none within SEARCH_YEARS
+export function nextRun(schedule, after, timeZone = 'UTC') {
+  let t = Math.floor(after / MINUTE) * MINUTE + MINUTE;
+  const limit = after + SEARCH_YEARS * 366 * 24 * 60 * MINUTE;
+
+  // Skip days until the month and day match, then hours, then minutes. A day
+  // is skipped to its last hour rather than to midnight: with a DST change in
+  // between, a fixed step could overshoot the start of the next day.
+  while (t <= limit) {
+    const local = localParts(t, timeZone);
+    if (!schedule.months.has(local.month) || !dayMatches(schedule, local)) {
+      t += Math.max(60 - local.minute, (23 - local.hour) * 60 - local.minute) * MINUTE;
+    } else if (!schedule.hours.has(local.hour)) {
+      t += (60 - local.minute) * MINUTE;
+    } else if (!schedule.minutes.has(local.minute)) {
+      t += MINUTE;
+    } else {
+      return t;
+    }
+  }
+  return null;
+}
+
+export function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function parseField(part, { name, min, max, names, offset }) {
+  const values = new Set();
+
+  for (const item of part.split(',')) {
+    const match = item.toLowerCase().match(/^(\*|[a-z0-9]+(?:-[a-z0-9]+)?)(?:\/(\d+))?$/);
+    if (!match) throw cronError(`Invalid ${name} field: ${part}`);
+
+    const [, range, stepText] = match;
+    const step = stepText ? parseInt(stepText, 10) : 1;
+    let [from, to] = range === '*' ? [min, max] : range.split('-').map(value => toValue(value, names, offset));
+    // A single value with a step runs to the end of the range, as in `5/15`
+    if (to === undefined) to = stepText ? max : from;
+
+    if ([from, to].some(value => Number.isNaN(value) || value < min || value > max) || from > to || step < 1) {
+      throw cronError(`Invalid ${name} field: ${part}`);
+    }
+    for (let value = from; value <= to; value += step) values.add(value);
+  }
+  return values;
+}
+
+function toValue(text, names, offset) {
+  if (/^\d+$/.test(text)) return parseInt(text, 10);
+  const index = names ? names.indexOf(text) : -1;
+  return index === -1 ? NaN : index + offset;
+}
+
+function dayMatches(schedule, { day, weekday }) {
+  const dayOk = schedule.days.has(day);
+  const weekdayOk = schedule.weekdays.has(weekday);
+  if (schedule.anyDay && schedule.anyWeekday) return true;
+  if (schedule.anyDay) return weekdayOk;
+  if (schedule.anyWeekday) return dayOk;
+  return dayOk || weekdayOk;
+}
+
+// Wall-clock fields of an instant in a time zone
+function localParts(time, timeZone) {
+  let formatter = formatters.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      weekday: 'short',
+    });
+    formatters.set(timeZone, formatter);
+  }
+
+  const parts = {};
+  for (const { type, value } of formatter.formatToParts(time)) parts[type] = value;
+  return {
+    month: parseInt(parts.month, 10),
+    day: parseInt(parts.day, 10),
+    hour: parseInt(parts.hour, 10),
+    minute: parseInt(parts.minute, 10),
+    weekday: WEEKDAYS.indexOf(parts.weekday.toLowerCase()),
+  };
+}
+
+function cronError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
@@ -0,0 +1,70 @@
+import { createLogger } from './logger.js';
+
+const log = createLogger('http');
+
+// The API's error model: every failure is answered with
+//
+//   { "error": "<message>", "code": "<error code>", "details": [...] }
+//
+// and the HTTP status belonging to the code. `details` is only present for
+// validation failures, as [{ in, path, message }].
+export const ERROR_CODES = {
+  invalid_request: 400,
+  invalid_jid: 400,
+  unauthorized: 401,
+  forbidden: 403,
+  not_found: 404,
+  conflict: 409,
+  payload_too_large: 413,
+  rate_limited: 429,
+  internal_error: 500,
+  not_connected: 503,
+  unavailable: 503,
+};
+
+// Code for errors that only carry a status (from modules that predate codes,
+// body-parser, or WhatsApp's own answers)
+const STATUS_CODES = {
+  400: 'invalid_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  413: 'payload_too_large',
+  429: 'rate_limited',
+  503: 'unavailable',
+};
+
+// An error with one of ERROR_CODES, carrying its status like the other
+// errors routes turn into responses
+export function apiError(code, message, details) {
+  const err = new Error(message);
+  err.status = ERROR_CODES[code];
+  err.code = code;
+  if (details) err.details = details;
+  return err;
+}
+
+export function errorStatus(err) {
+  return err.status || err.statusCode || 500;
+}
+
+export function errorBody(err) {
+  const status = errorStatus(err);
+  const code = Object.hasOwn(ERROR_CODES, err.code) ? err.code : STATUS_CODES[status] || 'internal_error';
+  return { error: err.message, code, ...(err.details && { details: err.details }) };
+}
+
+export function sendError(res, err) {
+  res.status(errorStatus(err)).json(errorBody(err));
+}
+
+// Express error handler for what routes do not catch themselves: malformed
+// JSON, oversized bodies and unexpected exceptions
+export function errorHandler(err, req, res, next) {
+  if (res.headersSent) return next(err);
+  if (errorStatus(err) >= 500) {
+    (req.log || log).error({ err, method: req.method, path: req.originalUrl.split('?')[0] }, 'Request failed');
+  }
+  sendError(res, err);
+}
@@ -0,0 +1,163 @@
+import crypto from 'crypto';
+import { createLogger } from './logger.js';
+
+const log = createLogger('events');
+
+const HEARTBEAT_INTERVAL = 25000;
+const REPLAY_SIZE = 500;
+
+// Fan-out of bridge events to Server-Sent Events clients and webhooks.
+//
+// Every event gets an incrementing id. SSE clients that reconnect with a
+// `Last-Event-ID` header are replayed whatever they missed from a small ring
+// buffer. Webhook deliveries are signed with HMAC-SHA256 over
+// `<timestamp>.<body>` and retried with exponential backoff. Events carry the
+// id of the session (WhatsApp account) they came from.
+class EventHub {
+  constructor({ webhookUrls = [], webhookSecret = null, webhookEvents = null, maxRetries = 5 } = {}) {
+    this.webhookUrls = webhookUrls;
+    this.webhookSecret = webhookSecret;
+    this.webhookEvents = webhookEvents;
+    this.maxRetries = maxRetries;
+    this.nextId = 1;
+    this.recent = [];
+    this.clients = new Set();
+    this.deliveryStats = { delivered: 0, failed: 0, pending: 0 };
+  }
+
+  // Build a hub from WHATSAPP_WEBHOOK_* environment variables
+  static fromEnv(env = process.env) {
+    const list = (value) => (value ? value.split(',').map(v => v.trim()).filter(Boolean) : []);
+    const events = list(env.WHATSAPP_WEBHOOK_EVENTS);
+
+    return new EventHub({
+      webhookUrls: list(env.WHATSAPP_WEBHOOK_URLS),
+      webhookSecret: env.WHATSAPP_WEBHOOK_SECRET || null,
+      webhookEvents: events.length > 0 ? events : null,
+      maxRetries: parseInt(env.WHATSAPP_WEBHOOK_MAX_RETRIES, 10) || 5,
+    });
+  }
+
+  publish(type, data, session = null) {
+    const event = { id: this.nextId++, type, session, timestamp: new Date().toISOString(), data };
+
+    this.recent.push(event);
+    if (this.recent.length > REPLAY_SIZE) this.recent.shift();
+
+    for (const client of this.clients) {
+      if (wants(client, event)) writeEvent(client.res, event);
+    }
+
+    if (matches(this.webhookEvents, type)) {
+      for (const url of this.webhookUrls) {
+        this.deliver(url, event);
+      }
+    }
+
+    return event;
+  }
+
+  // Attach an SSE response; `types` and `session` optionally restrict which events are sent
+  addClient(req, res, { types = null, session = null } = {}) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+    });
+    res.write(': connected\n\n');
+
+    const client = { res, types, session };
+    const lastId = parseInt(req.get('Last-Event-ID'), 10);
+    if (!Number.isNaN(lastId)) {
+      for (const event of this.recent) {
+        if (event.id > lastId && wants(client, event)) writeEvent(res, event);
+      }
+    }
+
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL);
+    this.clients.add(client);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      this.clients.delete(client);
+    });
+  }
+
+  sign(timestamp, body) {
+    return crypto.createHmac('sha256', this.webhookSecret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  // POST an event to a webhook, retrying failures with exponential backoff and jitter
+  async deliver(url, event) {
+    const body = JSON.stringify(event);
+    this.deliveryStats.pending++;
+
+    for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+      const timestamp = Math.floor(Date.now() / 1000).toString();
+      const headers = {
+        'Content-Type': 'application/json',
+        'X-Bridge-Event': event.type,
+        'X-Bridge-Delivery': String(event.id),
+        ...(event.session && { 'X-Bridge-Session': event.session }),
+        'X-Bridge-Timestamp': timestamp,
+      };
+      if (this.webhookSecret) {
+        headers['X-Bridge-Signature'] = `sha256=${this.sign(timestamp, body)}`;
+      }
+
+      try {
+        const response = await fetch(url, {
+          method: 'POST',
+          headers,
+          body,
+          signal: AbortSignal.timeout(10000),
+        });
+        if (response.ok) {
+          this.deliveryStats.pending--;
+          this.deliveryStats.delivered++;
+          return true;
+        }
+        // Client errors other than rate limiting will not succeed on retry
+        if (response.status < 500 && response.status !== 429) {
+          log.error({ url, event_id: event.id, status: response.status }, 'Webhook rejected event');
+          break;
+        }
+        log.warn({ url, event_id: event.id, status: response.status, attempt: attempt + 1 }, 'Webhook delivery failed');
+      } catch (err) {
+        log.warn({ url, event_id: event.id, attempt: attempt + 1, err: err.message }, 'Webhook delivery failed');
+      }
+
+      if (attempt < this.maxRetries) {
+        const delay = Math.min(1000 * 2 ** attempt, 60000) * (0.5 + Math.random() / 2);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+
+    this.deliveryStats.pending--;
+    this.deliveryStats.failed++;
+    return false;
+  }
+
+  getStatus() {
+    return {
+      sse_clients: this.clients.size,
+      webhooks: this.webhookUrls.length,
+      last_event_id: this.nextId - 1,
+      deliveries: { ...this.deliveryStats },
+    };
+  }
+}
+
+function matches(types, type) {
+  return !types || types.includes(type);
+}
+
+function wants(client, event) {
+  return matches(client.types, event.type) && (!client.session || client.session === event.session);
+}
+
+function writeEvent(res, event) {
+  res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+}
+
+export default EventHub;
@@ -0,0 +1,103 @@
+import fs from 'fs';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+import { openStorage } from './storage.js';
+import ChatStore from './chat-store.js';
+import MediaStore from './media-store.js';
+import MetadataStore from './metadata-store.js';
+import SessionManager, { DEFAULT_SESSION } from './session-manager.js';
+import ChatExporter, { EXPORT_FORMATS } from './chat-export.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT_DIR = path.join(__dirname, '..');
+
+const USAGE = `Export stored chats from the bridge's data directory (the bridge does not need to run).
+
+Usage: npm run export -- (--chat <jid> ... | --all) [options]
+
+  --chat <jid>       Chat to export (repeatable)
+  --all              Every chat with stored messages
+  --format <format>  ${EXPORT_FORMATS.join(', ')} (default: txt)
+  --zip              Bundle into a zip with downloaded media
+  --locale <locale>  Date layout and HTML timestamps (default: en-US)
+  --tz <zone>        Time zone for timestamps (default: system)
+  --my-name <name>   Name for our own messages (default: You)
+  --session <id>     Session to export (default: ${DEFAULT_SESSION})
+  --out <dir>        Output directory (default: current directory)
+
+Without --zip, each chat is written to its own file.`;
+
+const OPTIONS = {
+  chat: { type: 'string', multiple: true, default: [] },
+  all: { type: 'boolean', default: false },
+  format: { type: 'string', default: 'txt' },
+  zip: { type: 'boolean', default: false },
+  locale: { type: 'string' },
+  tz: { type: 'string' },
+  'my-name': { type: 'string' },
+  session: { type: 'string', default: DEFAULT_SESSION },
+  out: { type: 'string', default: '.' },
+  help: { type: 'boolean', short: 'h', default: false },
+};
+
+async function main(argv) {
+  const { values } = parseArgs({ args: argv, options: OPTIONS });
+  if (values.help || (!values.all && values.chat.length === 0)) {
+    process.stdout.write(`${USAGE}\n`);
+    return values.help ? 0 : 1;
+  }
+  if (!EXPORT_FORMATS.includes(values.format)) {
+    throw new Error(`--format must be one of: ${EXPORT_FORMATS.join(', ')}`);
+  }
+
+  const dataDir = values.session === DEFAULT_SESSION
+    ? ROOT_DIR
+    : new SessionManager({ rootDir: ROOT_DIR }).dataDirFor(values.session);
+  if (!fs.existsSync(dataDir)) {
+    throw new Error(`No stored messages in ${dataDir}`);
+  }
+  const storage = openStorage(dataDir);
+  const chatStore = new ChatStore({ storage });
+  if (chatStore.chatJids().length === 0) {
+    throw new Error(`No stored messages in ${dataDir}`);
+  }
+
+  const exporter = new ChatExporter({
+    chatStore,
+    metadata: new MetadataStore({ storage }),
+    mediaStore: new MediaStore({ storage }),
+    ...(values.locale && { locale: values.locale }),
+    ...(values.tz && { timeZone: values.tz }),
+    ...(values['my-name'] && { ownName: values['my-name'] }),
+  });
+
+  const chatJids = values.all ? exporter.chatJids() : values.chat;
+  for (const chatJid of chatJids) {
+    if (exporter.messages(chatJid).length === 0) throw new Error(`No stored messages for ${chatJid}`);
+  }
+
+  let files;
+  if (values.zip && chatJids.length > 1) {
+    files = [exporter.exportAll({ format: values.format, chatJids })];
+  } else {
+    files = chatJids.map(chatJid => exporter.exportChat(chatJid, { format: values.format, zip: values.zip }));
+  }
+
+  fs.mkdirSync(values.out, { recursive: true });
+  for (const { fileName, body } of files) {
+    const file = path.join(values.out, fileName);
+    if (typeof body === 'string') fs.writeFileSync(file, body);
+    else await pipeline(body, fs.createWriteStream(file));
+    process.stdout.write(`${file}\n`);
+  }
+  return 0;
+}
+
+try {
+  process.exitCode = await main(process.argv.slice(2));
+} catch (err) {
+  process.stderr.write(`${err.message}\n`);
+  process.exitCode = 1;
+}
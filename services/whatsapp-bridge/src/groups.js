@@ -0,0 +1,67 @@
+// Helpers for the group administration API: participant and invite
+// normalization, and turning Baileys' per-participant answers into results
+// an API caller can act on.
+
+export const PARTICIPANT_ACTIONS = ['add', 'remove', 'promote', 'demote'];
+export const INVITE_LINK_PREFIX = 'https://chat.whatsapp.com/';
+
+// Status codes WhatsApp answers per participant in groupParticipantsUpdate
+const PARTICIPANT_ERRORS = {
+  400: ['bad_request', 'WhatsApp rejected this participant'],
+  401: ['not_authorized', 'Only group admins can do this'],
+  403: ['not_allowed', 'Their privacy settings only allow joining by invite link'],
+  404: ['not_found', 'Not a WhatsApp user or not in the group'],
+  406: ['not_acceptable', 'This participant cannot be changed (e.g. the group creator)'],
+  408: ['recently_left', 'They left recently and can only rejoin by invite link'],
+  409: ['conflict', 'Already in the group'],
+  500: ['group_full', 'The group has reached its participant limit'],
+};
+
+// Group settings and the groupSettingUpdate values for true / false
+export const GROUP_SETTINGS = {
+  announce: ['announcement', 'not_announcement'],
+  locked: ['locked', 'unlocked'],
+};
+
+// A phone number or user JID as a user JID
+export function toParticipantJid(value) {
+  if (typeof value !== 'string') return null;
+  const trimmed = value.trim();
+  if (/^\+?\d{6,15}$/.test(trimmed)) return `${trimmed.replace(/^\+/, '')}@s.whatsapp.net`;
+  if (/^[^@\s]+@(s\.whatsapp\.net|lid)$/.test(trimmed)) return trimmed;
+  return null;
+}
+
+export function isGroupJid(jid) {
+  return typeof jid === 'string' && /^[\d-]+@g\.us$/.test(jid);
+}
+
+// An invite code from a bare code or a chat.whatsapp.com link
+export function parseInviteCode(value) {
+  if (typeof value !== 'string') return null;
+  const code = value.trim().replace(/^https?:\/\/chat\.whatsapp\.com\/(invite\/)?/, '').replace(/[/?#].*$/, '');
+  return /^[A-Za-z0-9]{10,32}$/.test(code) ? code : null;
+}
+
+export function inviteLink(code) {
+  return `${INVITE_LINK_PREFIX}${code}`;
+}
+
+// Baileys' [{ status: '200', jid }] as [{ jid, success, status, error, message }]
+export function participantResults(answers) {
+  return answers.map(({ jid, status }) => {
+    const code = parseInt(status, 10);
+    if (code === 200) return { jid, success: true, status: code, error: null, message: null };
+
+    const [error, message] = PARTICIPANT_ERRORS[code] || ['failed', `WhatsApp answered ${status}`];
+    return { jid, success: false, status: code, error, message };
+  });
+}
+
+// For groupCreate, which answers with metadata: whoever is missing from it was not added
+export function createResults(requested, metadata) {
+  const members = new Set((metadata.participants || []).map(p => p.id));
+  return requested.map(jid => (members.has(jid)
+    ? { jid, success: true, status: 200, error: null, message: null }
+    : { jid, success: false, status: null, error: 'not_added', message: 'WhatsApp did not add this participant' }));
+}
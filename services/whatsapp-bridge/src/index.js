@@ -1,56 +1,129 @@
 import express from 'express';
-import BaileysClient from './baileys.js';
-import createRoutes from './routes.js';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import SessionManager from './session-manager.js';
+import createSessionRoutes from './session-routes.js';
+import EventHub from './event-hub.js';
+import Auth from './auth.js';
+import { createLogger } from './logger.js';
+import { metricsHandler } from './metrics.js';
+import requestLogger from './request-logger.js';
+import { errorHandler } from './errors.js';
+import { endpointSummaries } from './openapi.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT_DIR = path.join(__dirname, '..');
+const AUDIT_FILE = path.join(ROOT_DIR, 'store', 'audit.log');
 
 const PORT = process.env.WHATSAPP_BRIDGE_PORT || 3456;
+const HOST = process.env.WHATSAPP_BRIDGE_HOST || '127.0.0.1';
+const LOCAL_HOSTS = ['127.0.0.1', 'localhost', '::1'];
+// Exit anyway if a graceful shutdown hangs
+const SHUTDOWN_TIMEOUT_MS = 10000;
+
+const log = createLogger('server');
 
 async function main() {
-  console.log('=================================');
-  console.log('  WhatsApp Bridge for PumaBot');
-  console.log('=================================\n');
+  log.info('Starting WhatsApp Bridge for PumaBot');
+
+  // Refuse to expose an unauthenticated API beyond localhost
+  const auth = Auth.fromEnv(process.env, { auditFile: AUDIT_FILE });
+  if (!auth.enabled && !LOCAL_HOSTS.includes(HOST)) {
+    throw new Error(`Refusing to bind to ${HOST} without WHATSAPP_BRIDGE_TOKEN or WHATSAPP_BRIDGE_TOKENS set`);
+  }
+  if (!auth.enabled) {
+    log.warn('No API tokens configured; authentication disabled (localhost only)');
+  }
+
+  // One Baileys client per linked account; the default session is always present
+  const sessions = new SessionManager({ rootDir: ROOT_DIR });
 
-  // Initialize Baileys client
-  const client = new BaileysClient();
-  await client.connect();
+  // Push live events from every session to SSE clients and configured webhooks
+  const eventHub = EventHub.fromEnv();
+  sessions.on('event', ({ session, type, data }) => eventHub.publish(type, data, session));
+
+  await sessions.start();
 
   // Initialize Express server
   const app = express();
-  app.use(express.json());
 
-  // Mount API routes
-  app.use('/api', createRoutes(client));
+  // Request ids, access logs and HTTP metrics, for rejected requests too
+  app.use(requestLogger);
+
+  // Every endpoint requires a valid token when tokens are configured
+  // (checked before parsing bodies, so unauthenticated uploads are rejected early)
+  app.use(auth.authenticate);
+
+  // Large enough for base64-encoded media sends
+  app.use(express.json({ limit: '64mb' }));
+
+  // Mount API routes (session management, then per-session routes)
+  app.use('/api', createSessionRoutes(sessions, eventHub, auth));
+
+  // Prometheus metrics for every session
+  app.get('/metrics', auth.requireScope('read'), metricsHandler(
+    () => Array.from(sessions.sessions.values(), session => session.client)
+  ));
 
   // Root endpoint with detailed status
-  app.get('/', (req, res) => {
-    const status = client.getStatus();
+  app.get('/', auth.requireScope('read'), (req, res) => {
+    const status = sessions.default.client.getStatus();
     res.json({
       name: 'WhatsApp Bridge',
       version: '1.0.0',
       status: status,
+      sessions: sessions.list(),
+      openapi: 'GET /api/openapi.json',
       endpoints: {
-        status: 'GET /api/status',
-        qr: 'GET /api/qr',
-        chats: 'GET /api/chats',
-        buffer: 'GET /api/messages/buffer',
-        peek: 'GET /api/messages/peek',
-        messages: 'GET /api/messages/:chatJid',
-        send: 'POST /api/messages/send',
+        ...endpointSummaries(),
+        '/api/sessions/:id/...': 'Any session-scoped route above, for that session',
+        'GET /metrics': 'Prometheus metrics',
       },
       usage: {
-        step1: 'Scan QR code when prompted',
+        step1: 'Scan QR code when prompted (or POST /api/auth/pairing-code on headless servers)',
         step2: 'Wait for history sync to complete',
         step3: 'Run: ./launcher.sh import',
       },
     });
   });
 
+  // Malformed JSON, oversized bodies and unexpected exceptions, in the API's error model
+  app.use(errorHandler);
+
   // Start server
-  app.listen(PORT, () => {
-    console.log(`\n[Server] WhatsApp Bridge running on http://localhost:${PORT}`);
-    console.log(`[Server] API: http://localhost:${PORT}/api/status`);
-    console.log('\nWaiting for WhatsApp connection...');
-    console.log('After connecting, history sync will begin automatically.\n');
+  const server = app.listen(PORT, HOST, () => {
+    log.info({ url: `http://${HOST}:${PORT}`, status: `http://${HOST}:${PORT}/api/status` }, 'Listening; waiting for WhatsApp connection');
   });
+
+  // Stop accepting requests, flush buffers and queues to disk and close sockets.
+  // The process exits within SHUTDOWN_TIMEOUT_MS even if closing hangs or fails.
+  const shutdown = async (signal) => {
+    log.info({ signal }, 'Shutting down');
+    let timer;
+    const timedOut = new Promise((resolve) => {
+      timer = setTimeout(() => resolve(true), SHUTDOWN_TIMEOUT_MS);
+    });
+
+    server.close();
+    server.closeIdleConnections();
+    let exitCode = 0;
+    try {
+      if (await Promise.race([sessions.closeAll().then(() => false), timedOut])) {
+        log.error({ timeout_ms: SHUTDOWN_TIMEOUT_MS }, 'Shutdown timed out');
+        exitCode = 1;
+      }
+    } catch (err) {
+      log.error({ err }, 'Shutdown failed');
+      exitCode = 1;
+    }
+    clearTimeout(timer);
+    process.exit(exitCode);
+  };
+  process.once('SIGTERM', () => shutdown('SIGTERM'));
+  process.once('SIGINT', () => shutdown('SIGINT'));
 }
 
-main().catch(console.error);
+main().catch((err) => {
+  log.fatal({ err }, 'Bridge failed to start');
+  process.exit(1);
+});
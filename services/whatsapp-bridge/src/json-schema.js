@@ -0,0 +1,116 @@
+// WhatsApp JIDs: user@s.whatsapp.net, group@g.us, id@lid, status@broadcast, ...
+export const JID_PATTERN = /^[^@\s]+@[a-z.]+$/;
+
+const FORMATS = {
+  'date-time': { test: isDateTime, message: 'must be an ISO 8601 date-time' },
+  jid: { test: value => JID_PATTERN.test(value), message: 'must be a WhatsApp JID' },
+};
+
+// Small JSON Schema validator covering the keywords the bridge's schemas use:
+// type, enum, const, properties, required, additionalProperties, items,
+// anyOf, minimum, maximum, minLength, maxLength, minItems, maxItems, pattern,
+// formats "date-time" and "jid", and local "#/..." references. Returns a list
+// of errors (empty when valid), each as { path, message } with a
+// JSON-pointer-like path; format errors also name the `format`.
+export function validate(schema, value, root = schema, path = '') {
+  if (schema.$ref) {
+    return validate(resolveRef(root, schema.$ref), value, root, path);
+  }
+
+  const errors = [];
+  const fail = (message, extra) => errors.push({ path: path || '/', message, ...extra });
+
+  if (schema.const !== undefined && value !== schema.const) {
+    fail(`must be ${JSON.stringify(schema.const)}`);
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`must be one of ${schema.enum.join(', ')}`);
+  }
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(type, value))) {
+      fail(`must be ${types.join(' or ')}`);
+      return errors;
+    }
+  }
+  if (schema.anyOf) {
+    const matched = schema.anyOf.some(option => validate(option, value, root, path).length === 0);
+    if (!matched) fail('does not match any allowed shape');
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) fail(`must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail(`must be <= ${schema.maximum}`);
+  }
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail(`must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail(`must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      fail(`must match ${schema.pattern}`);
+    }
+    const format = FORMATS[schema.format];
+    if (format && !format.test(value)) {
+      fail(format.message, { format: schema.format });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(`must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail(`must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validate(schema.items, item, root, `${path}/${i}`)));
+    }
+  }
+
+  if (isObject(value)) {
+    for (const key of schema.required || []) {
+      if (!(key in value)) fail(`missing required property ${key}`);
+    }
+    for (const [key, child] of Object.entries(value)) {
+      const propertySchema = schema.properties?.[key];
+      if (propertySchema) {
+        errors.push(...validate(propertySchema, child, root, `${path}/${key}`));
+      } else if (schema.additionalProperties === false) {
+        fail(`unexpected property ${key}`);
+      } else if (isObject(schema.additionalProperties)) {
+        errors.push(...validate(schema.additionalProperties, child, root, `${path}/${key}`));
+      }
+    }
+  }
+
+  return errors;
+}
+
+function resolveRef(root, ref) {
+  if (!ref.startsWith('#/')) throw new Error(`Unsupported $ref: ${ref}`);
+  const target = ref.slice(2).split('/').reduce((node, key) => node?.[key], root);
+  if (!target) throw new Error(`Unresolved $ref: ${ref}`);
+  return target;
+}
+
+function matchesType(type, value) {
+  switch (type) {
+    case 'null': return value === null;
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'array': return Array.isArray(value);
+    case 'object': return isObject(value);
+    default: return typeof value === type;
+  }
+}
+
+function isObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function isDateTime(value) {
+  return /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/.test(value) && !Number.isNaN(Date.parse(value));
+}
@@ -0,0 +1,19 @@
+import pino from 'pino';
+
+// Structured logs: one JSON object per line on stdout, with an ISO `time`,
+// a `level` label and the `component` that wrote it. WHATSAPP_LOG_LEVEL sets
+// the level (trace, debug, info, warn, error, fatal, silent; default info).
+export const logger = pino({
+  level: process.env.WHATSAPP_LOG_LEVEL || 'info',
+  base: { service: 'whatsapp-bridge' },
+  timestamp: pino.stdTimeFunctions.isoTime,
+  formatters: {
+    level: label => ({ level: label }),
+  },
+});
+
+// A logger for one part of the bridge, e.g. createLogger('outbox') or
+// createLogger('whatsapp', { session: 'default' })
+export function createLogger(component, bindings = {}, options = {}) {
+  return logger.child({ component, ...bindings }, options);
+}
@@ -0,0 +1,169 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { apiError } from './errors.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('media');
+
+// Media files, the index and the settings
+export const MEDIA_PREFIX = 'store/media/';
+const INDEX_DOCUMENT = 'store/media/index';
+const SETTINGS_DOCUMENT = 'store/media/settings';
+
+// Content-addressed store for downloaded media, kept in storage (so it is
+// encrypted along with the rest of the session when a key is set).
+//
+// Each file is a blob named `store/media/<sha256[0:2]>/<sha256>` and is
+// identified by the hex sha256 of its content, so the same photo forwarded to
+// ten chats is stored once. An index document keeps the mimetype and original
+// file name, and a settings document keeps the chats that have opted out of
+// media downloads.
+//
+// Outgoing media may name a local file only inside `uploadDir`; without one,
+// senders have to upload the content (base64). Uploaded content is stored
+// here too, flagged `upload` so it can be removed once no job needs it; a
+// download of the same content clears the flag and keeps the file.
+class MediaStore {
+  constructor({ storage, maxBytes = 25 * 1024 * 1024, optOutChats = [], uploadDir = null }) {
+    this.storage = storage;
+    this.maxBytes = maxBytes;
+    this.uploadDir = uploadDir && path.resolve(uploadDir);
+    this.index = {};
+    this.optOut = new Set(optOutChats);
+
+    try {
+      for (const [id, record] of Object.entries(this.storage.readDocument(INDEX_DOCUMENT) || {})) {
+        // Records written before media moved into storage carry a file path
+        const { path: _path, ...fields } = record;
+        this.index[id] = fields;
+      }
+      const settings = this.storage.readDocument(SETTINGS_DOCUMENT) || {};
+      for (const jid of settings.opted_out_chats || []) this.optOut.add(jid);
+    } catch (err) {
+      log.error({ err: err.message }, 'Failed to load media index');
+    }
+  }
+
+  saveIndex() {
+    try {
+      this.storage.writeDocument(INDEX_DOCUMENT, this.index);
+    } catch (err) {
+      log.error({ err: err.message }, 'Failed to write media index');
+    }
+  }
+
+  saveSettings() {
+    try {
+      this.storage.writeDocument(SETTINGS_DOCUMENT, { opted_out_chats: Array.from(this.optOut) });
+    } catch (err) {
+      log.error({ err: err.message }, 'Failed to write media settings');
+    }
+  }
+
+  // Store a downloaded (or with `upload`, an uploaded) buffer and return its record
+  save(buffer, { mimetype = null, fileName = null, upload = false } = {}) {
+    const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+    const existing = this.index[sha256];
+    if (existing) {
+      if (existing.upload && !upload) {
+        delete existing.upload;
+        this.saveIndex();
+      }
+      return existing;
+    }
+
+    this.storage.writeBlob(blobName(sha256), buffer);
+    const record = {
+      id: sha256,
+      sha256,
+      mimetype,
+      size: buffer.length,
+      file_name: fileName,
+      ...(upload && { upload: true }),
+    };
+    this.index[sha256] = record;
+    this.saveIndex();
+    return record;
+  }
+
+  // Real path of a file to send, relative to (or absolute inside) the upload
+  // directory; throws (invalid_request) for anything else, including symlinks
+  // that lead outside it
+  resolveUpload(file) {
+    if (!this.uploadDir) {
+      throw apiError('invalid_request', 'media.path is disabled (WHATSAPP_MEDIA_UPLOAD_DIR is not set); send base64 instead');
+    }
+
+    let root;
+    let resolved;
+    try {
+      root = fs.realpathSync(this.uploadDir);
+      resolved = fs.realpathSync(path.resolve(this.uploadDir, file));
+    } catch {
+      throw apiError('invalid_request', `media.path not found: ${file}`);
+    }
+    if (!resolved.startsWith(root + path.sep)) {
+      throw apiError('invalid_request', 'media.path must be inside the upload directory');
+    }
+    if (!fs.statSync(resolved).isFile()) {
+      throw apiError('invalid_request', `media.path is not a file: ${file}`);
+    }
+    return resolved;
+  }
+
+  get(id) {
+    return Object.hasOwn(this.index, id) ? this.index[id] : null;
+  }
+
+  // A stored file's content, or null if it is unknown or missing
+  read(id) {
+    if (!this.get(id)) return null;
+    return this.storage.readBlob(blobName(id));
+  }
+
+  // Delete an uploaded file; downloaded media is kept
+  removeUpload(id) {
+    const record = this.get(id);
+    if (!record?.upload) return false;
+
+    this.storage.deleteBlob(blobName(id));
+    delete this.index[id];
+    this.saveIndex();
+    return true;
+  }
+
+  isOptedOut(chatJid) {
+    return this.optOut.has(chatJid);
+  }
+
+  setOptOut(chatJid, optOut) {
+    if (optOut) {
+      this.optOut.add(chatJid);
+    } else {
+      this.optOut.delete(chatJid);
+    }
+    this.saveSettings();
+    return { chat_jid: chatJid, opted_out: this.optOut.has(chatJid) };
+  }
+
+  getOptOuts() {
+    return Array.from(this.optOut);
+  }
+
+  getStatus() {
+    const records = Object.values(this.index);
+    return {
+      files: records.length,
+      bytes: records.reduce((total, r) => total + r.size, 0),
+      max_bytes: this.maxBytes,
+      opted_out_chats: this.optOut.size,
+    };
+  }
+}
+
+function blobName(sha256) {
+  return `${MEDIA_PREFIX}${sha256.slice(0, 2)}/${sha256}`;
+}
+
+export default MediaStore;
@@ -0,0 +1,412 @@
+import fs from 'fs';
+import { createLogger } from './logger.js';
+import { readLines } from './storage.js';
+
+const log = createLogger('message-log');
+
+const SEGMENT_PATTERN = /\/(\d+)$/;
+
+// Durable, sequence-numbered log of formatted messages.
+//
+// Every appended message gets a monotonically increasing `seq`. Consumers read
+// pages after a sequence number and acknowledge up to the last sequence they
+// have safely stored. Entries are only compacted away once every known
+// consumer has acknowledged them, so a crashed import can simply re-read.
+// Consumers become known on their first ack or by register(); reading alone
+// does not pin anything. Consumers idle (no ack) for `consumerTtlMs` are
+// forgotten so an abandoned cursor cannot hold the buffer forever.
+//
+// In storage the log is a set of segment logs (`<name>/<first seq>`) plus a
+// `<name>.cursors` document. Whole segments are deleted once acknowledged, or
+// once the log holds more than `maxEntries` (oldest first), so storage obeys
+// the same bound as memory. Acks only drop entries from memory; segment
+// compaction runs periodically. Messages are indexed by (chat_jid,
+// message_id) for dedup.
+class MessageLog {
+  constructor({
+    storage,
+    name = 'store/buffer',
+    legacyLogFile = null,
+    maxEntries = 50000,
+    segmentSize = Math.max(1, Math.ceil(maxEntries / 10)),
+    compactIntervalMs = 60000,
+    consumerTtlMs = 7 * 24 * 60 * 60 * 1000,
+  }) {
+    this.storage = storage;
+    this.name = name;
+    this.cursorName = `${name}.cursors`;
+    this.legacyLogFile = legacyLogFile;
+    this.maxEntries = maxEntries;
+    this.segmentSize = segmentSize;
+    this.consumerTtlMs = consumerTtlMs;
+    this.entries = [];
+    this.index = new Map();
+    this.segments = [];
+    this.diskEntries = 0;
+    this.lastSeq = 0;
+    this.consumers = {};
+    this.compactTimer = null;
+
+    this.loadCursors();
+    this.loadSegments();
+    this.migrateLegacyLog();
+
+    if (compactIntervalMs > 0) {
+      this.compactTimer = setInterval(() => this.compactFiles(), compactIntervalMs);
+      this.compactTimer.unref();
+    }
+  }
+
+  // Load consumer cursors and the last issued sequence number
+  loadCursors() {
+    try {
+      const state = this.storage.readDocument(this.cursorName);
+      if (state) {
+        this.lastSeq = state.last_seq || 0;
+        this.consumers = state.consumers || {};
+      }
+      // Cursors saved before registration was tracked start their idle time now
+      const now = new Date().toISOString();
+      for (const cursor of Object.values(this.consumers)) {
+        if (!cursor.acked_at && !cursor.registered_at) cursor.registered_at = now;
+      }
+    } catch (err) {
+      log.error({ err: err.message }, 'Failed to load cursors');
+    }
+  }
+
+  // Stream persisted segments into memory, skipping entries every consumer has acknowledged
+  loadSegments() {
+    let names;
+    try {
+      names = this.storage.listLogs(`${this.name}/`)
+        .map(name => ({ name, match: name.match(SEGMENT_PATTERN) }))
+        .filter(({ match }) => match)
+        .sort((a, b) => Number(a.match[1]) - Number(b.match[1]));
+    } catch (err) {
+      log.error({ err: err.message }, 'Failed to list segments');
+      return;
+    }
+
+    const floor = this.safeSeq();
+    for (const { name, match } of names) {
+      const segment = { name, firstSeq: Number(match[1]), lastSeq: 0, count: 0 };
+      try {
+        for (const entry of this.storage.readLog(name)) {
+          segment.count++;
+          segment.lastSeq = Math.max(segment.lastSeq, entry.seq);
+          if (entry.seq > floor) this.addToMemory(entry);
+        }
+      } catch (err) {
+        log.error({ segment: name, err: err.message }, 'Failed to load segment');
+        continue;
+      }
+      this.segments.push(segment);
+      this.diskEntries += segment.count;
+      this.lastSeq = Math.max(this.lastSeq, segment.lastSeq);
+      this.enforceBound();
+    }
+
+    if (this.segments.length > 0) {
+      log.info({ messages: this.entries.length, segments: this.segments.length, last_seq: this.lastSeq }, 'Loaded buffer');
+    }
+  }
+
+  // Move a pre-segment buffer.jsonl into segments, assigning seqs to lines without one
+  migrateLegacyLog() {
+    if (!this.legacyLogFile || !fs.existsSync(this.legacyLogFile)) return;
+
+    try {
+      const floor = this.safeSeq();
+      let pending = [];
+      const flush = () => {
+        if (pending.length === 0) return;
+        this.writeSegment(pending);
+        pending = [];
+        this.enforceBound();
+      };
+
+      for (const line of readLines(this.legacyLogFile)) {
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch {
+          continue;
+        }
+        if (typeof entry.seq !== 'number') entry = { seq: this.lastSeq + 1, ...entry };
+        if (entry.seq <= floor || this.has(entry.chat_jid, entry.message_id)) continue;
+
+        this.lastSeq = Math.max(this.lastSeq, entry.seq);
+        this.addToMemory(entry);
+        pending.push(entry);
+        if (pending.length >= this.segmentSize) flush();
+      }
+      flush();
+
+      this.saveCursors();
+      fs.unlinkSync(this.legacyLogFile);
+      log.info({ file: this.legacyLogFile, segments: this.segments.length }, 'Migrated legacy log file');
+    } catch (err) {
+      log.error({ err: err.message }, 'Failed to migrate legacy log file');
+    }
+  }
+
+  saveCursors() {
+    try {
+      this.storage.writeDocument(this.cursorName, { last_seq: this.lastSeq, consumers: this.consumers });
+    } catch (err) {
+      log.error({ err: err.message }, 'Failed to write cursors');
+    }
+  }
+
+  // Write a complete segment holding `entries` (already in memory) and track it
+  writeSegment(entries) {
+    const segment = this.segmentFor(entries[0].seq);
+    this.storage.writeLog(segment.name, entries);
+
+    segment.count = entries.length;
+    segment.lastSeq = entries[entries.length - 1].seq;
+    this.segments.push(segment);
+    this.diskEntries += entries.length;
+  }
+
+  segmentFor(firstSeq) {
+    const name = `${this.name}/${String(firstSeq).padStart(12, '0')}`;
+    return { name, firstSeq, lastSeq: firstSeq - 1, count: 0 };
+  }
+
+  addToMemory(entry) {
+    const key = indexKey(entry.chat_jid, entry.message_id);
+    if (this.index.has(key)) return;
+    this.index.set(key, entry.seq);
+    this.entries.push(entry);
+  }
+
+  get size() {
+    return this.entries.length;
+  }
+
+  has(chatJid, messageId) {
+    return this.index.has(indexKey(chatJid, messageId));
+  }
+
+  // Append a message, persisting it before it becomes visible to readers
+  append(message) {
+    const entry = { seq: this.lastSeq + 1, ...message };
+
+    let segment = this.segments[this.segments.length - 1];
+    if (!segment || segment.count >= this.segmentSize) {
+      segment = this.segmentFor(entry.seq);
+      this.segments.push(segment);
+    }
+
+    try {
+      this.storage.appendLog(segment.name, entry);
+    } catch (err) {
+      log.error({ err: err.message }, 'Failed to write to log');
+    }
+    segment.count++;
+    segment.lastSeq = entry.seq;
+    this.diskEntries++;
+    this.lastSeq = entry.seq;
+    this.addToMemory(entry);
+
+    this.enforceBound();
+    return entry;
+  }
+
+  // Keep at most maxEntries on disk (and so in memory) by dropping the oldest segments
+  enforceBound() {
+    while (this.diskEntries > this.maxEntries && this.segments.length > 1) {
+      const segment = this.segments[0];
+      const unacked = this.indexAfter(segment.lastSeq) - this.indexAfter(this.safeSeq());
+      if (unacked > 0) {
+        log.warn({ dropped: unacked }, 'Buffer full; dropping unacknowledged messages');
+      }
+      this.dropFromMemory(segment.lastSeq);
+      this.deleteSegment(segment);
+    }
+  }
+
+  deleteSegment(segment) {
+    try {
+      this.storage.deleteLog(segment.name);
+    } catch (err) {
+      log.error({ segment: segment.name, err: err.message }, 'Failed to delete segment');
+    }
+    this.segments = this.segments.filter(s => s !== segment);
+    this.diskEntries -= segment.count;
+  }
+
+  // Remove entries with seq <= `seq` from memory and the dedup index
+  dropFromMemory(seq) {
+    const count = this.indexAfter(seq);
+    if (count === 0) return 0;
+
+    for (const entry of this.entries.slice(0, count)) {
+      this.index.delete(indexKey(entry.chat_jid, entry.message_id));
+    }
+    this.entries = this.entries.slice(count);
+    return count;
+  }
+
+  // Read up to `limit` entries with seq > after. When `after` is omitted and a
+  // consumer is named, reading resumes from that consumer's acknowledged seq
+  // (from the start for consumers that are not known yet).
+  read({ after, limit = 100, consumer } = {}) {
+    const from = after ?? (this.consumers[consumer]?.acked_seq || 0);
+    const start = this.indexAfter(from);
+    const messages = this.entries.slice(start, start + limit);
+    const nextAfter = messages.length > 0 ? messages[messages.length - 1].seq : from;
+
+    return {
+      messages,
+      next_after: nextAfter,
+      last_seq: this.lastSeq,
+      has_more: start + messages.length < this.entries.length,
+    };
+  }
+
+  peek() {
+    return [...this.entries];
+  }
+
+  // Acknowledge everything up to and including `seq` for a consumer
+  ack(consumer, seq) {
+    const current = this.consumers[consumer]?.acked_seq || 0;
+    const ackedSeq = Math.max(current, Math.min(seq, this.lastSeq));
+
+    this.consumers[consumer] = {
+      ...this.consumers[consumer],
+      acked_seq: ackedSeq,
+      acked_at: new Date().toISOString(),
+    };
+    this.saveCursors();
+    const compacted = this.compact();
+
+    return { consumer, acked_seq: ackedSeq, compacted };
+  }
+
+  // Start retaining entries for a consumer before its first ack. Returns
+  // whether it is new; registering a known consumer leaves its cursor alone.
+  register(consumer) {
+    if (this.consumers[consumer]) return false;
+
+    this.consumers[consumer] = { acked_seq: 0, acked_at: null, registered_at: new Date().toISOString() };
+    this.saveCursors();
+    return true;
+  }
+
+  // Forget a consumer, releasing what only it was holding. Returns whether it existed.
+  removeConsumer(consumer) {
+    if (!this.consumers[consumer]) return false;
+
+    delete this.consumers[consumer];
+    this.saveCursors();
+    this.compact();
+    return true;
+  }
+
+  // Forget consumers that have not acked (or registered) within consumerTtlMs
+  expireConsumers(now = Date.now()) {
+    if (!(this.consumerTtlMs > 0)) return [];
+
+    const expired = Object.entries(this.consumers)
+      .filter(([, cursor]) => now - Date.parse(cursor.acked_at || cursor.registered_at) > this.consumerTtlMs)
+      .map(([name]) => name);
+    for (const name of expired) {
+      log.warn({ consumer: name, acked_seq: this.consumers[name].acked_seq }, 'Forgetting idle consumer');
+      delete this.consumers[name];
+    }
+    return expired;
+  }
+
+  // Highest seq every consumer has acknowledged (0 with no consumers)
+  safeSeq() {
+    const cursors = Object.values(this.consumers).map(c => c.acked_seq);
+    return cursors.length > 0 ? Math.min(...cursors) : 0;
+  }
+
+  // Drop entries that every consumer has acknowledged from memory.
+  // Their segments are cleaned up by the next compactFiles().
+  compact() {
+    return this.dropFromMemory(this.safeSeq());
+  }
+
+  // Expire idle consumers, delete fully acknowledged segments and rewrite the
+  // oldest remaining one when most of it has been acknowledged. Runs on a timer.
+  compactFiles() {
+    this.expireConsumers();
+    this.compact();
+    const safeSeq = this.safeSeq();
+
+    for (const segment of [...this.segments]) {
+      if (segment.lastSeq > safeSeq) break;
+      this.deleteSegment(segment);
+    }
+
+    const head = this.segments[0];
+    if (head && head.firstSeq <= safeSeq) {
+      const remaining = this.entries.slice(0, this.indexAfter(head.lastSeq));
+      if (remaining.length < head.count / 2) {
+        this.rewriteSegment(head, remaining);
+      }
+    }
+
+    // Persist last_seq so it survives even when every segment has been deleted
+    this.saveCursors();
+  }
+
+  // Atomically replace a segment's contents with `entries`
+  rewriteSegment(segment, entries) {
+    try {
+      this.storage.writeLog(segment.name, entries);
+      this.diskEntries += entries.length - segment.count;
+      segment.count = entries.length;
+    } catch (err) {
+      log.error({ segment: segment.name, err: err.message }, 'Failed to rewrite segment');
+    }
+  }
+
+  // Stop periodic compaction, compacting once more
+  close() {
+    clearInterval(this.compactTimer);
+    this.compactTimer = null;
+    this.compactFiles();
+  }
+
+  // Per-consumer position and lag, in sequence numbers behind the head
+  getConsumerStatus() {
+    const status = {};
+    for (const [name, cursor] of Object.entries(this.consumers)) {
+      status[name] = {
+        acked_seq: cursor.acked_seq,
+        acked_at: cursor.acked_at,
+        registered_at: cursor.registered_at || null,
+        lag: this.lastSeq - cursor.acked_seq,
+      };
+    }
+    return status;
+  }
+
+  // Binary search for the index of the first entry with seq > after
+  indexAfter(after) {
+    let lo = 0;
+    let hi = this.entries.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >>> 1;
+      if (this.entries[mid].seq <= after) {
+        lo = mid + 1;
+      } else {
+        hi = mid;
+      }
+    }
+    return lo;
+  }
+}
+
+function indexKey(chatJid, messageId) {
+  return `${chatJid}\u0000${messageId}`;
+}
+
+export default MessageLog;
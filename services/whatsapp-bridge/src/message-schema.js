@@ -0,0 +1,19 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { validate } from './json-schema.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Bumped whenever a field is removed or changes meaning; new optional
+// fields do not change the version
+export const MESSAGE_SCHEMA_VERSION = 1;
+
+export const messageSchema = JSON.parse(
+  fs.readFileSync(path.join(__dirname, '..', 'schema', `message.v${MESSAGE_SCHEMA_VERSION}.json`), 'utf8')
+);
+
+// Errors for a formatted message against the current schema (empty when valid)
+export function validateMessage(message) {
+  return validate(messageSchema, message);
+}
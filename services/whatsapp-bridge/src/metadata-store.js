@@ -0,0 +1,174 @@
+import { createLogger } from './logger.js';
+
+const log = createLogger('metadata');
+
+const SAVE_DELAY = 1000;
+const CHATS_DOCUMENT = 'store/chats';
+const CONTACTS_DOCUMENT = 'store/contacts';
+
+// Chat and contact metadata, persisted across restarts.
+//
+// Chats carry their display name and, for groups, participants, admins and
+// description. Contacts carry push name, saved name, verified business name
+// and the phone number <-> LID mapping. Writes are debounced since history
+// sync can touch thousands of entries in a burst.
+class MetadataStore {
+  constructor({ storage }) {
+    this.storage = storage;
+    this.chats = new Map();
+    this.contacts = new Map();
+    this.saveTimer = null;
+
+    this.loadMap(CHATS_DOCUMENT, this.chats, 'jid');
+    this.loadMap(CONTACTS_DOCUMENT, this.contacts, 'jid');
+  }
+
+  loadMap(document, map, keyField) {
+    try {
+      const entries = this.storage.readDocument(document);
+      if (!entries) return;
+      for (const entry of entries) {
+        map.set(entry[keyField], entry);
+      }
+      log.info({ document, entries: map.size }, 'Loaded metadata');
+    } catch (err) {
+      log.error({ document, err: err.message }, 'Failed to load metadata');
+    }
+  }
+
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => this.save(), SAVE_DELAY);
+  }
+
+  save() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    this.write(CHATS_DOCUMENT, Array.from(this.chats.values()));
+    this.write(CONTACTS_DOCUMENT, Array.from(this.contacts.values()));
+  }
+
+  write(document, data) {
+    try {
+      this.storage.writeDocument(document, data);
+    } catch (err) {
+      log.error({ document, err: err.message }, 'Failed to write metadata');
+    }
+  }
+
+  // Merge fields into a chat, deriving type and name flags
+  upsertChat(jid, fields = {}) {
+    const existing = this.chats.get(jid);
+    const chat = {
+      jid,
+      name: jid,
+      hasRealName: false,
+      type: jid.endsWith('@g.us') ? 'group' : 'individual',
+      ...existing,
+    };
+
+    for (const [key, value] of Object.entries(fields)) {
+      if (value !== undefined) chat[key] = value;
+    }
+    if (fields.name) {
+      chat.hasRealName = fields.name !== jid;
+    }
+    chat.updated_at = new Date().toISOString();
+
+    this.chats.set(jid, chat);
+    this.scheduleSave();
+    return chat;
+  }
+
+  // Apply full GroupMetadata from Baileys (groups.upsert / groupMetadata())
+  upsertGroupMetadata(metadata) {
+    const participants = (metadata.participants || []).map(p => ({
+      jid: p.id,
+      admin: p.admin || null,
+    }));
+
+    return this.upsertChat(metadata.id, {
+      name: metadata.subject || undefined,
+      description: metadata.desc ?? undefined,
+      owner: metadata.owner ?? undefined,
+      created_at: metadata.creation ? new Date(metadata.creation * 1000).toISOString() : undefined,
+      announce: metadata.announce ?? undefined,
+      restrict: metadata.restrict ?? undefined,
+      participants,
+      admins: participants.filter(p => p.admin).map(p => p.jid),
+    });
+  }
+
+  // Apply a group-participants.update event
+  updateParticipants(groupJid, participantJids, action) {
+    const chat = this.chats.get(groupJid) || this.upsertChat(groupJid);
+    const participants = [...(chat.participants || [])];
+    const jids = participantJids.map(p => (typeof p === 'string' ? p : p.id));
+
+    for (const jid of jids) {
+      const index = participants.findIndex(p => p.jid === jid);
+      if (action === 'add' && index === -1) {
+        participants.push({ jid, admin: null });
+      } else if (action === 'remove' && index !== -1) {
+        participants.splice(index, 1);
+      } else if (action === 'promote' && index !== -1) {
+        participants[index] = { ...participants[index], admin: 'admin' };
+      } else if (action === 'demote' && index !== -1) {
+        participants[index] = { ...participants[index], admin: null };
+      }
+    }
+
+    return this.upsertChat(groupJid, {
+      participants,
+      admins: participants.filter(p => p.admin).map(p => p.jid),
+    });
+  }
+
+  // Merge a Baileys Contact (contacts.upsert / contacts.update / history sync)
+  upsertContact(contact) {
+    const jid = contact.id;
+    if (!jid) return null;
+
+    const existing = this.contacts.get(jid) || { jid };
+    const merged = { ...existing };
+    const fields = {
+      name: contact.name,
+      push_name: contact.notify,
+      verified_name: contact.verifiedName,
+      lid: contact.lid,
+      phone_number: contact.phoneNumber ?? (jid.endsWith('@s.whatsapp.net') ? jid.split('@')[0] : undefined),
+    };
+    for (const [key, value] of Object.entries(fields)) {
+      if (value !== undefined && value !== null) merged[key] = value;
+    }
+    merged.updated_at = new Date().toISOString();
+
+    this.contacts.set(jid, merged);
+    this.scheduleSave();
+    return merged;
+  }
+
+  getContact(jid) {
+    return this.contacts.get(jid) || this.findByLid(jid);
+  }
+
+  findByLid(lid) {
+    for (const contact of this.contacts.values()) {
+      if (contact.lid === lid) return contact;
+    }
+    return null;
+  }
+
+  listContacts({ query } = {}) {
+    const contacts = Array.from(this.contacts.values());
+    if (!query) return contacts;
+
+    const q = query.toLowerCase();
+    return contacts.filter(c =>
+      [c.jid, c.name, c.push_name, c.verified_name, c.phone_number]
+        .some(value => value && value.toLowerCase().includes(q))
+    );
+  }
+}
+
+export default MetadataStore;
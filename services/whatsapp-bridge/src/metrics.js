@@ -0,0 +1,199 @@
+// Minimal Prometheus metrics: counters, gauges and histograms with labels,
+// rendered in the text exposition format for GET /metrics.
+//
+// Values that already live elsewhere (buffer size, history sync progress)
+// are not tracked twice: gauges are filled from the clients on each scrape
+// (see metricsHandler).
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+class Metric {
+  constructor(type, { name, help, labelNames = [] }) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.values = new Map();
+  }
+
+  key(labels = {}) {
+    return JSON.stringify(this.labelNames.map(name => String(labels[name] ?? '')));
+  }
+
+  labelsFor(key, extra = {}) {
+    const values = JSON.parse(key);
+    const pairs = this.labelNames.map((name, index) => [name, values[index]]);
+    pairs.push(...Object.entries(extra));
+    if (pairs.length === 0) return '';
+    return `{${pairs.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+  }
+
+  reset() {
+    this.values.clear();
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    for (const [key, value] of this.values) {
+      lines.push(`${this.name}${this.labelsFor(key)} ${value}`);
+    }
+    return lines;
+  }
+}
+
+export class Counter extends Metric {
+  constructor(options) {
+    super('counter', options);
+  }
+
+  inc(labels, value = 1) {
+    const key = this.key(labels);
+    this.values.set(key, (this.values.get(key) || 0) + value);
+  }
+}
+
+export class Gauge extends Metric {
+  constructor(options) {
+    super('gauge', options);
+  }
+
+  set(labels, value) {
+    this.values.set(this.key(labels), Number(value) || 0);
+  }
+}
+
+export class Histogram extends Metric {
+  constructor({ buckets = DEFAULT_BUCKETS, ...options }) {
+    super('histogram', options);
+    this.buckets = buckets;
+  }
+
+  observe(labels, value) {
+    const key = this.key(labels);
+    let entry = this.values.get(key);
+    if (!entry) {
+      entry = { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+      this.values.set(key, entry);
+    }
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) entry.counts[index]++;
+    });
+    entry.sum += value;
+    entry.count++;
+  }
+
+  // Observe the seconds between now and a process.hrtime.bigint() start
+  observeSince(labels, start) {
+    this.observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+    for (const [key, { counts, sum, count }] of this.values) {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${this.labelsFor(key, { le: bound })} ${counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${this.labelsFor(key, { le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${this.labelsFor(key)} ${sum}`);
+      lines.push(`${this.name}_count${this.labelsFor(key)} ${count}`);
+    }
+    return lines;
+  }
+}
+
+export class Registry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  render() {
+    return this.metrics.flatMap(metric => metric.render()).join('\n') + '\n';
+  }
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+export const registry = new Registry();
+
+// Everything the bridge exports; `session` is the client id
+export const metrics = {
+  messagesReceived: registry.register(new Counter({
+    name: 'whatsapp_messages_received_total',
+    help: 'Messages stored, by message type and source (live, history or backfill)',
+    labelNames: ['session', 'type', 'source'],
+  })),
+  dedupHits: registry.register(new Counter({
+    name: 'whatsapp_dedup_hits_total',
+    help: 'Messages dropped because they were already stored',
+    labelNames: ['session'],
+  })),
+  reconnects: registry.register(new Counter({
+    name: 'whatsapp_reconnects_total',
+    help: 'Reconnects scheduled after the socket closed, by disconnect status code',
+    labelNames: ['session', 'status_code'],
+  })),
+  sendDuration: registry.register(new Histogram({
+    name: 'whatsapp_send_duration_seconds',
+    help: 'Time to perform an outbound action against WhatsApp, by kind',
+    labelNames: ['session', 'kind'],
+  })),
+  sendFailures: registry.register(new Counter({
+    name: 'whatsapp_send_failures_total',
+    help: 'Failed outbound attempts, by kind',
+    labelNames: ['session', 'kind'],
+  })),
+  connected: registry.register(new Gauge({
+    name: 'whatsapp_connected',
+    help: '1 while the session is connected to WhatsApp',
+    labelNames: ['session'],
+  })),
+  bufferSize: registry.register(new Gauge({
+    name: 'whatsapp_buffer_messages',
+    help: 'Messages in the buffer waiting for consumers to acknowledge them',
+    labelNames: ['session'],
+  })),
+  outboxJobs: registry.register(new Gauge({
+    name: 'whatsapp_outbox_jobs',
+    help: 'Outbox jobs by status',
+    labelNames: ['session', 'status'],
+  })),
+  historySyncMessages: registry.register(new Gauge({
+    name: 'whatsapp_history_sync_messages',
+    help: 'Messages received from history sync since the session connected',
+    labelNames: ['session'],
+  })),
+  historySyncChats: registry.register(new Gauge({
+    name: 'whatsapp_history_sync_chats',
+    help: 'Chats received from history sync since the session connected',
+    labelNames: ['session'],
+  })),
+  historySyncComplete: registry.register(new Gauge({
+    name: 'whatsapp_history_sync_complete',
+    help: '1 once the initial history sync has finished',
+    labelNames: ['session'],
+  })),
+  httpDuration: registry.register(new Histogram({
+    name: 'http_request_duration_seconds',
+    help: 'API request durations, by method, route and status code',
+    labelNames: ['method', 'route', 'status'],
+  })),
+};
+
+// Express handler for GET /metrics. Gauges are reset and refilled from
+// getClients() first, so deleted sessions drop out of the output.
+export function metricsHandler(getClients) {
+  return (req, res) => {
+    for (const metric of registry.metrics) {
+      if (metric instanceof Gauge) metric.reset();
+    }
+    for (const client of getClients()) client.collectMetrics();
+    res.type('text/plain; version=0.0.4').send(registry.render());
+  };
+}
@@ -0,0 +1,66 @@
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+import { openStorage, storageKey } from './storage.js';
+import { migrateStorage } from './storage-migration.js';
+import SessionManager, { DEFAULT_SESSION } from './session-manager.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT_DIR = path.join(__dirname, '..');
+
+const USAGE = `Move a session's state into the storage configured by the environment.
+Stop the bridge first.
+
+Usage: npm run migrate-storage -- [options]
+
+  --session <id>  Session to migrate (default: ${DEFAULT_SESSION})
+  --keep          Keep the original files after copying them into SQLite
+
+Moves auth/ credentials and keys, the message buffer (store/buffer/ and a
+legacy buffer.jsonl), chat history, chat/contact metadata, the outbox,
+scheduled jobs, privacy rules and downloaded media into the store selected
+by WHATSAPP_STORAGE (file or sqlite). With WHATSAPP_STORAGE_KEY or
+WHATSAPP_STORAGE_KEY_FILE set, everything is encrypted on the way; for the
+file backend the files are encrypted in place.`;
+
+const OPTIONS = {
+  session: { type: 'string', default: DEFAULT_SESSION },
+  keep: { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false },
+};
+
+function main(argv) {
+  const { values } = parseArgs({ args: argv, options: OPTIONS });
+  if (values.help) {
+    process.stdout.write(`${USAGE}\n`);
+    return 0;
+  }
+
+  const dataDir = values.session === DEFAULT_SESSION
+    ? ROOT_DIR
+    : new SessionManager({ rootDir: ROOT_DIR }).dataDirFor(values.session);
+  if (!fs.existsSync(dataDir)) {
+    throw new Error(`No data directory for session ${values.session}`);
+  }
+
+  const target = openStorage(dataDir);
+  try {
+    const moved = migrateStorage({ dataDir, target, key: storageKey(), keep: values.keep });
+    const backend = process.env.WHATSAPP_STORAGE || 'file';
+    process.stdout.write(
+      `Moved ${moved.documents} documents, ${moved.logs} logs and ${moved.blobs} media files into ${target.encrypted ? 'encrypted ' : ''}${backend} storage in ${dataDir}\n`
+    );
+    if (moved.legacy_buffer) process.stdout.write('Migrated buffer.jsonl into the buffer\n');
+  } finally {
+    target.close();
+  }
+  return 0;
+}
+
+try {
+  process.exitCode = main(process.argv.slice(2));
+} catch (err) {
+  process.stderr.write(`${err.message}\n`);
+  process.exitCode = 1;
+}
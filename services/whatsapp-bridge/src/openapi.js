@@ -0,0 +1,545 @@
+import { validate as validateSchema } from './json-schema.js';
+import { ERROR_CODES, apiError, sendError } from './errors.js';
+import { messageSchema } from './message-schema.js';
+import { EXPORT_FORMATS } from './chat-export.js';
+import { MISSED_POLICIES } from './scheduler.js';
+import { PARTICIPANT_ACTIONS } from './groups.js';
+import { PRESENCE_TYPES } from './constants.js';
+import { BUILTIN_REDACTIONS } from './privacy-filter.js';
+
+// The bridge API contract. OPERATIONS describes the inputs of every route
+// (keyed by method and Express path, as registered in routes.js and
+// session-routes.js); the `validate` middleware checks requests against it
+// and buildOpenApi() turns it into the document served at /api/openapi.json.
+//
+// Each operation has a summary, the token scope it needs and optionally
+// `params` and `query` (schemas per name) and a `body` schema. Checks that
+// span fields ("text or media") stay in the handlers.
+
+const jid = { $ref: '#/components/schemas/Jid' };
+const jids = { type: 'array', items: jid };
+const timestamp = { type: 'string', format: 'date-time' };
+const limit = (max, fallback) => ({ type: 'integer', minimum: 1, maximum: max, default: fallback });
+const raw = { type: 'boolean', default: false, description: 'Include the Baileys protobuf' };
+const jobId = { type: 'string', pattern: '^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$' };
+const stringList = { type: 'array', items: { type: 'string' } };
+const wait = { type: 'boolean', default: true, description: 'Wait for the send while connected instead of answering 202' };
+
+const messageFields = {
+  chat_jid: jid,
+  text: { type: 'string' },
+  reply_to: { type: 'string', description: 'Id of the message to quote' },
+  mentions: jids,
+  media: { $ref: '#/components/schemas/Media' },
+  simulate_typing: { type: 'boolean' },
+};
+
+// Privacy filter rules as PUT /filters takes them; omitted lists are empty
+const filterRules = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    chats: { type: 'object', additionalProperties: false, properties: { allow: stringList, deny: stringList } },
+    senders: { type: 'object', additionalProperties: false, properties: { deny: stringList } },
+    message_types: { type: 'object', additionalProperties: false, properties: { allow: stringList, deny: stringList } },
+    deny_patterns: stringList,
+    redact: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        builtin: { type: 'array', items: { type: 'string', enum: BUILTIN_REDACTIONS } },
+        patterns: stringList,
+        replacement: { type: 'string' },
+      },
+    },
+    drop_raw_data: { type: 'boolean' },
+  },
+};
+
+const exportQuery = {
+  format: { type: 'string', enum: EXPORT_FORMATS, default: 'txt' },
+  locale: { type: 'string', description: 'BCP 47 locale for the date layout' },
+  tz: { type: 'string', description: 'IANA time zone' },
+  my_name: { type: 'string', description: 'Name our own messages are attributed to' },
+};
+
+export const COMPONENTS = {
+  schemas: {
+    Jid: {
+      type: 'string',
+      format: 'jid',
+      description: 'WhatsApp JID: user@s.whatsapp.net, group@g.us, id@lid, ...',
+    },
+    Error: {
+      type: 'object',
+      required: ['error', 'code'],
+      properties: {
+        error: { type: 'string' },
+        code: { type: 'string', enum: Object.keys(ERROR_CODES) },
+        details: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              in: { type: 'string', enum: ['params', 'query', 'body'] },
+              path: { type: 'string' },
+              message: { type: 'string' },
+            },
+          },
+        },
+      },
+    },
+    Media: {
+      type: 'object',
+      required: ['type'],
+      properties: {
+        type: { type: 'string', enum: ['image', 'video', 'document', 'audio', 'voice'] },
+        path: { type: 'string', description: 'File to send, relative to (and inside) WHATSAPP_MEDIA_UPLOAD_DIR' },
+        base64: { type: 'string', description: 'Content to send; kept in the media store until the message is sent or fails, or its schedule ends' },
+        mimetype: { type: 'string' },
+        file_name: { type: 'string' },
+      },
+    },
+    Message: messageSchema,
+  },
+};
+
+export const OPERATIONS = {
+  'GET /sessions': { summary: 'List sessions', scope: 'read' },
+  'POST /sessions': {
+    summary: 'Create a session',
+    scope: 'admin',
+    body: { type: 'object', properties: { id: { type: 'string' } } },
+  },
+  'GET /sessions/:id': { summary: 'Get a session', scope: 'read' },
+  'DELETE /sessions/:id': { summary: 'Log a session out and delete its data', scope: 'admin' },
+
+  'GET /openapi.json': { summary: 'This document', scope: 'read' },
+  'GET /status': { summary: 'Connection and sync status', scope: 'read' },
+  'GET /events': {
+    summary: 'Live events (Server-Sent Events)',
+    scope: 'read',
+    query: { types: { type: 'array', items: { type: 'string' } } },
+  },
+  'GET /qr': { summary: 'Current login QR code', scope: 'admin' },
+  'POST /auth/pairing-code': {
+    summary: 'Link by phone number',
+    scope: 'admin',
+    body: {
+      type: 'object',
+      required: ['phone_number'],
+      properties: { phone_number: { type: 'string', minLength: 1 } },
+    },
+  },
+  'POST /auth/logout': { summary: 'Unlink the device and wipe credentials', scope: 'admin' },
+  'POST /auth/restart': { summary: 'Restart the socket', scope: 'admin' },
+
+  'GET /chats': { summary: 'List chats', scope: 'read' },
+  'GET /chats/:jid': { summary: 'Get a chat with group metadata', scope: 'read', params: { jid } },
+  'GET /chats/:jid/export': {
+    summary: 'Export a chat',
+    scope: 'read',
+    params: { jid },
+    query: { ...exportQuery, zip: { type: 'boolean', default: false } },
+  },
+  'GET /export': { summary: 'Export every chat as a zip', scope: 'admin', query: exportQuery },
+  'POST /chats/:jid/backfill': {
+    summary: 'Fetch older history for a chat',
+    scope: 'send',
+    params: { jid },
+    body: {
+      type: 'object',
+      properties: { count: { type: 'integer', minimum: 1 }, until: timestamp },
+    },
+  },
+  'GET /chats/:jid/presence': { summary: 'Presence seen in a chat', scope: 'read', params: { jid } },
+  'POST /chats/:jid/presence': {
+    summary: 'Send our presence to a chat',
+    scope: 'send',
+    params: { jid },
+    body: {
+      type: 'object',
+      required: ['presence'],
+      properties: { presence: { type: 'string', enum: PRESENCE_TYPES } },
+    },
+  },
+  'POST /chats/:jid/presence/subscribe': { summary: 'Subscribe to presence updates', scope: 'read', params: { jid } },
+  'GET /chats/:jid/receipts': {
+    summary: 'Receipts for our messages in a chat',
+    scope: 'read',
+    params: { jid },
+    query: { ids: { type: 'array', items: { type: 'string' } } },
+  },
+  'POST /chats/:jid/read': { summary: 'Mark a chat as read', scope: 'send', params: { jid } },
+  'POST /chats/fetch-names': { summary: 'Fetch names of groups without one', scope: 'read' },
+  'POST /chats/fetch-names-for-jids': {
+    summary: 'Fetch names of the given groups',
+    scope: 'read',
+    body: {
+      type: 'object',
+      required: ['jids'],
+      properties: { jids: { ...jids, minItems: 1 } },
+    },
+  },
+  'GET /contacts': { summary: 'List contacts', scope: 'read', query: { q: { type: 'string' } } },
+
+  'GET /backfill': { summary: 'List backfill jobs', scope: 'read' },
+  'GET /backfill/:id': { summary: 'Get a backfill job', scope: 'read', params: { id: jobId } },
+
+  'POST /groups': {
+    summary: 'Create a group',
+    scope: 'admin',
+    body: {
+      type: 'object',
+      required: ['subject'],
+      properties: {
+        subject: { type: 'string', minLength: 1 },
+        participants: { type: 'array', items: { type: 'string' } },
+      },
+    },
+  },
+  'POST /groups/join': {
+    summary: 'Join a group by invite',
+    scope: 'admin',
+    body: {
+      type: 'object',
+      required: ['code'],
+      properties: { code: { type: 'string', description: 'Invite code or chat.whatsapp.com link' } },
+    },
+  },
+  'GET /groups/invite/:code': {
+    summary: 'Preview the group behind an invite code',
+    scope: 'read',
+    params: { code: { type: 'string', pattern: '^[A-Za-z0-9]{10,32}$' } },
+  },
+  'GET /groups/:jid': { summary: 'Fresh group metadata', scope: 'read', params: { jid } },
+  'PATCH /groups/:jid': {
+    summary: 'Change group settings',
+    scope: 'admin',
+    params: { jid },
+    body: {
+      type: 'object',
+      properties: {
+        subject: { type: 'string', minLength: 1 },
+        description: { type: ['string', 'null'] },
+        announce: { type: 'boolean' },
+        locked: { type: 'boolean' },
+      },
+    },
+  },
+  'POST /groups/:jid/participants/:action': {
+    summary: 'Add, remove, promote or demote participants',
+    scope: 'admin',
+    params: { jid, action: { type: 'string', enum: PARTICIPANT_ACTIONS } },
+    body: {
+      type: 'object',
+      required: ['participants'],
+      properties: { participants: { type: 'array', items: { type: 'string' }, minItems: 1 } },
+    },
+  },
+  'GET /groups/:jid/invite': { summary: 'Get the invite link', scope: 'admin', params: { jid } },
+  'POST /groups/:jid/invite/revoke': { summary: 'Replace the invite link', scope: 'admin', params: { jid } },
+  'POST /groups/:jid/leave': { summary: 'Leave a group', scope: 'admin', params: { jid } },
+
+  'GET /messages/buffer': {
+    summary: 'Read buffered messages after a sequence number',
+    scope: 'read',
+    query: {
+      after: { type: 'integer', minimum: 0 },
+      limit: limit(1000, 100),
+      consumer: { type: 'string', minLength: 1 },
+      raw,
+    },
+  },
+  'POST /messages/ack': {
+    summary: 'Acknowledge buffered messages',
+    scope: 'read',
+    body: {
+      type: 'object',
+      required: ['consumer', 'seq'],
+      properties: {
+        consumer: { type: 'string', minLength: 1 },
+        seq: { type: 'integer', minimum: 0 },
+      },
+    },
+  },
+  'PUT /messages/consumers/:consumer': {
+    summary: 'Register a buffer consumer before its first ack',
+    scope: 'read',
+    params: { consumer: { type: 'string', minLength: 1 } },
+  },
+  'DELETE /messages/consumers/:consumer': {
+    summary: 'Forget a buffer consumer',
+    scope: 'admin',
+    params: { consumer: { type: 'string', minLength: 1 } },
+  },
+  'GET /messages/peek': { summary: 'Peek at buffered messages', scope: 'read', query: { raw } },
+  'GET /schema/message': { summary: 'JSON Schema of message records', scope: 'read' },
+  'GET /search': {
+    summary: 'Full-text search over stored messages',
+    scope: 'read',
+    query: {
+      q: { type: 'string' },
+      chat_jid: jid,
+      sender_jid: jid,
+      message_type: { type: 'array', items: { type: 'string' } },
+      is_from_me: { type: 'boolean' },
+      after: timestamp,
+      before: timestamp,
+      limit: limit(100, 20),
+      offset: { type: 'integer', minimum: 0, default: 0 },
+    },
+  },
+  'GET /messages/:chatJid': {
+    summary: 'Stored messages of a chat',
+    scope: 'read',
+    params: { chatJid: jid },
+    query: { limit: limit(1000, 100), before: timestamp, after: timestamp, raw },
+  },
+  'POST /messages/send': {
+    summary: 'Send a message',
+    scope: 'send',
+    query: { wait },
+    body: { type: 'object', required: ['chat_jid'], properties: messageFields },
+  },
+  'POST /messages/read': {
+    summary: 'Send read receipts',
+    scope: 'send',
+    body: {
+      type: 'object',
+      required: ['chat_jid', 'message_ids'],
+      properties: {
+        chat_jid: jid,
+        message_ids: { type: 'array', items: { type: 'string' }, minItems: 1 },
+      },
+    },
+  },
+  'POST /messages/react': {
+    summary: 'React to a message',
+    scope: 'send',
+    query: { wait },
+    body: {
+      type: 'object',
+      required: ['chat_jid', 'message_id', 'emoji'],
+      properties: {
+        chat_jid: jid,
+        message_id: { type: 'string', minLength: 1 },
+        emoji: { type: 'string', description: 'Empty removes the reaction' },
+      },
+    },
+  },
+  'POST /messages/edit': {
+    summary: 'Edit one of our messages',
+    scope: 'send',
+    query: { wait },
+    body: {
+      type: 'object',
+      required: ['chat_jid', 'message_id', 'text'],
+      properties: {
+        chat_jid: jid,
+        message_id: { type: 'string', minLength: 1 },
+        text: { type: 'string', minLength: 1 },
+      },
+    },
+  },
+  'POST /messages/delete': {
+    summary: 'Delete one of our messages for everyone',
+    scope: 'send',
+    query: { wait },
+    body: {
+      type: 'object',
+      required: ['chat_jid', 'message_id'],
+      properties: { chat_jid: jid, message_id: { type: 'string', minLength: 1 } },
+    },
+  },
+
+  'GET /media/opt-out': { summary: 'Chats opted out of media downloads', scope: 'read' },
+  'PUT /media/opt-out/:chatJid': {
+    summary: 'Opt a chat out of media downloads',
+    scope: 'admin',
+    params: { chatJid: jid },
+    body: { type: 'object', required: ['opt_out'], properties: { opt_out: { type: 'boolean' } } },
+  },
+  'GET /media/:id': {
+    summary: 'Download a media file',
+    scope: 'read',
+    params: { id: { type: 'string', pattern: '^[a-f0-9]{64}$', description: 'sha256 hex digest' } },
+  },
+  'GET /filters': { summary: 'Privacy filter rules', scope: 'read' },
+  'PUT /filters': { summary: 'Replace the privacy filter rules', scope: 'admin', body: filterRules },
+
+  'GET /scheduled': {
+    summary: 'List scheduled jobs',
+    scope: 'read',
+    query: { status: { type: 'string' }, chat_jid: jid },
+  },
+  'POST /scheduled': {
+    summary: 'Schedule a message',
+    scope: 'send',
+    body: {
+      type: 'object',
+      required: ['chat_jid'],
+      properties: {
+        ...messageFields,
+        send_at: timestamp,
+        cron: { type: 'string' },
+        timezone: { type: 'string' },
+        missed_policy: { type: 'string', enum: MISSED_POLICIES },
+      },
+    },
+  },
+  'GET /scheduled/:id': { summary: 'Get a scheduled job', scope: 'read', params: { id: jobId } },
+  'DELETE /scheduled/:id': { summary: 'Cancel a scheduled job', scope: 'send', params: { id: jobId } },
+
+  'GET /outbox': { summary: 'List outbound jobs', scope: 'read', query: { status: { type: 'string' } } },
+  'GET /outbox/:id': { summary: 'Get an outbound job', scope: 'read', params: { id: jobId } },
+};
+
+// Express middleware checking params, query and body against the route's
+// operation. Query values are coerced to their schema types (and defaults
+// filled in) in place, so handlers read numbers and booleans.
+export function validate(req, res, next) {
+  const key = `${req.method === 'HEAD' ? 'GET' : req.method} ${req.route.path}`;
+  const operation = OPERATIONS[key];
+  if (!operation) throw new Error(`No API operation for ${key}`);
+
+  if (operation.query) Object.assign(req.query, coerceQuery(operation.query, req.query));
+
+  const errors = [
+    ...check('params', objectSchema(operation.params, true), req.params),
+    ...check('query', objectSchema(operation.query), req.query),
+    ...(operation.body ? check('body', operation.body, req.body ?? {}) : []),
+  ];
+  if (errors.length === 0) return next();
+
+  const code = errors.some(error => error.format === 'jid') ? 'invalid_jid' : 'invalid_request';
+  const details = errors.map(error => ({ in: error.in, path: error.path, message: error.message }));
+  const message = details.map(detail => `${detail.in}${detail.path === '/' ? '' : detail.path} ${detail.message}`).join('; ');
+  sendError(res, apiError(code, message, details));
+}
+
+function check(location, schema, value) {
+  if (!schema) return [];
+  return validateSchema(schema, value, { components: COMPONENTS }).map(error => ({ ...error, in: location }));
+}
+
+function objectSchema(properties, required = false) {
+  if (!properties) return null;
+  return { type: 'object', properties, ...(required && { required: Object.keys(properties) }) };
+}
+
+// Query strings as their schema types; values that do not convert are left
+// as strings for validation to reject
+function coerceQuery(properties, query) {
+  const coerced = {};
+  for (const [name, schema] of Object.entries(properties)) {
+    const value = query[name];
+    if (value === undefined || value === '') {
+      if (schema.default !== undefined) coerced[name] = schema.default;
+      continue;
+    }
+    if (typeof value !== 'string') continue;
+
+    switch (schema.type) {
+      case 'integer':
+      case 'number':
+        if (/^-?\d+(\.\d+)?$/.test(value)) coerced[name] = Number(value);
+        break;
+      case 'boolean':
+        if (value === 'true' || value === 'false') coerced[name] = value === 'true';
+        break;
+      case 'array':
+        coerced[name] = value.split(',').map(item => item.trim()).filter(Boolean);
+        break;
+    }
+  }
+  return coerced;
+}
+
+const ERROR_RESPONSES = {
+  400: 'Invalid parameters, query or body (code invalid_request or invalid_jid)',
+  401: 'Missing or invalid token',
+  403: 'Token lacks the required scope',
+};
+
+// The OpenAPI 3.1 document for OPERATIONS. Session-scoped routes are listed
+// once and served both at /api (default session) and /api/sessions/{session}.
+export function buildOpenApi() {
+  const paths = {};
+
+  for (const [key, operation] of Object.entries(OPERATIONS)) {
+    const [method, route] = key.split(' ');
+    const managesSessions = route.startsWith('/sessions');
+    const pathKey = route.replace(/:(\w+)/g, '{$1}');
+    const pathParams = [...route.matchAll(/:(\w+)/g)].map(([, name]) => ({
+      name,
+      in: 'path',
+      required: true,
+      schema: operation.params?.[name] || { type: 'string' },
+    }));
+    const queryParams = Object.entries(operation.query || {}).map(([name, schema]) => ({
+      name,
+      in: 'query',
+      schema,
+      ...(schema.type === 'array' && { style: 'form', explode: false }),
+    }));
+    const takesInput = operation.params || operation.query || operation.body;
+
+    paths[pathKey] ??= managesSessions ? { servers: [{ url: '/api' }] } : {};
+    paths[pathKey][method.toLowerCase()] = {
+      summary: operation.summary,
+      'x-scope': operation.scope,
+      ...(pathParams.length + queryParams.length > 0 && { parameters: [...pathParams, ...queryParams] }),
+      ...(operation.body && {
+        requestBody: {
+          required: Boolean(operation.body.required),
+          content: { 'application/json': { schema: operation.body } },
+        },
+      }),
+      responses: {
+        200: { description: 'Success' },
+        ...Object.fromEntries(
+          Object.entries(ERROR_RESPONSES)
+            .filter(([status]) => status !== '400' || takesInput)
+            .map(([status, description]) => [status, errorResponse(description)])
+        ),
+        default: errorResponse('Other failures: not_found, conflict, rate_limited, not_connected, ...'),
+      },
+    };
+  }
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'WhatsApp Bridge',
+      version: '1.0.0',
+      description: 'Errors are answered as { error, code, details? }; see the Error schema for the codes.',
+    },
+    servers: [
+      { url: '/api', description: 'Default session' },
+      { url: '/api/sessions/{session}', variables: { session: { default: 'default' } } },
+    ],
+    security: [{ bearer: [] }],
+    paths,
+    components: {
+      ...COMPONENTS,
+      securitySchemes: { bearer: { type: 'http', scheme: 'bearer' } },
+    },
+  };
+}
+
+// "METHOD /api/path" to summary for every operation, as listed by the
+// bridge's root endpoint
+export function endpointSummaries() {
+  return Object.fromEntries(Object.entries(OPERATIONS).map(([key, { summary }]) => {
+    const [method, route] = key.split(' ');
+    return [`${method} /api${route}`, summary];
+  }));
+}
+
+function errorResponse(description) {
+  return {
+    description,
+    content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } },
+  };
+}
@@ -0,0 +1,297 @@
+import crypto from 'crypto';
+import { createLogger } from './logger.js';
+
+const log = createLogger('outbox');
+
+const OUTBOX_DOCUMENT = 'store/outbox';
+// Retries and receipts are written at most this often
+const SAVE_DELAY = 1000;
+// Receipt statuses from Baileys' WebMessageInfo.Status, mapped to our lifecycle
+const RECEIPT_STATUS = { 2: 'sent', 3: 'delivered', 4: 'read', 5: 'read' };
+const LIFECYCLE = ['queued', 'sending', 'sent', 'delivered', 'read'];
+const FINISHED_RETENTION = 7 * 24 * 60 * 60 * 1000;
+
+// Outbound send queue, persisted in storage.
+//
+// Jobs are accepted while disconnected and flushed once the socket is open.
+// Sends are throttled globally and per chat, and only the oldest pending job
+// of each chat is eligible so per-chat ordering survives retries. Transient
+// failures (and WhatsApp's 429 rate limits) back off exponentially; errors
+// carrying another 4xx `status` fail the job immediately. Delivery and read receipts advance the job's status.
+//
+// New jobs, and jobs that end (sent or failed), are written right away so a
+// crash neither loses an accepted send nor repeats a finished one; retries
+// and receipts are batched, and stop() writes whatever is still pending.
+// `onFinish(job)` runs once a job has ended.
+class Outbox {
+  constructor({
+    storage,
+    send,
+    isConnected,
+    onFinish = () => {},
+    globalIntervalMs = 1000,
+    perChatIntervalMs = 3000,
+    maxAttempts = 5,
+  }) {
+    this.storage = storage;
+    this.send = send;
+    this.isConnected = isConnected;
+    this.onFinish = onFinish;
+    this.globalIntervalMs = globalIntervalMs;
+    this.perChatIntervalMs = perChatIntervalMs;
+    this.maxAttempts = maxAttempts;
+
+    this.jobs = new Map();
+    this.byMessageId = new Map();
+    this.waiters = new Map();
+    this.lastSendAt = 0;
+    this.lastChatSendAt = new Map();
+    this.processing = false;
+    this.timer = null;
+    this.saveTimer = null;
+
+    this.load();
+  }
+
+  load() {
+    try {
+      const jobs = this.storage.readDocument(OUTBOX_DOCUMENT);
+      if (!jobs) return;
+      for (const job of jobs) {
+        // A send interrupted by a restart may or may not have gone out; retry it
+        if (job.status === 'sending') job.status = 'queued';
+        this.jobs.set(job.id, job);
+        if (job.message_id) this.byMessageId.set(job.message_id, job.id);
+      }
+      log.info({ jobs: this.jobs.size, pending: this.pending().length }, 'Loaded outbox');
+    } catch (err) {
+      log.error({ err: err.message }, 'Failed to load outbox');
+    }
+  }
+
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => this.save(), SAVE_DELAY);
+  }
+
+  // Persist all jobs, dropping finished ones past the retention window
+  save() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    const cutoff = Date.now() - FINISHED_RETENTION;
+    for (const [id, job] of this.jobs) {
+      if (!isPending(job) && Date.parse(job.updated_at) < cutoff) {
+        this.jobs.delete(id);
+        if (job.message_id) this.byMessageId.delete(job.message_id);
+      }
+    }
+
+    try {
+      this.storage.writeDocument(OUTBOX_DOCUMENT, Array.from(this.jobs.values()));
+    } catch (err) {
+      log.error({ err: err.message }, 'Failed to write outbox');
+    }
+  }
+
+  enqueue(kind, chatJid, payload) {
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      kind,
+      chat_jid: chatJid,
+      payload,
+      status: 'queued',
+      attempts: 0,
+      next_attempt_at: now,
+      message_id: null,
+      key: null,
+      error: null,
+      error_status: null,
+      error_code: null,
+      created_at: now,
+      updated_at: now,
+      sent_at: null,
+    };
+
+    this.jobs.set(job.id, job);
+    this.save();
+    this.kick();
+    return job;
+  }
+
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  list({ status } = {}) {
+    const jobs = Array.from(this.jobs.values());
+    return status ? jobs.filter(job => job.status === status) : jobs;
+  }
+
+  // A job as exposed over the API, without inline base64 media
+  describe(job) {
+    const media = job.payload?.media;
+    if (!media?.base64) return job;
+    return { ...job, payload: { ...job.payload, media: { ...media, base64: `[${media.base64.length} chars]` } } };
+  }
+
+  pending() {
+    return Array.from(this.jobs.values())
+      .filter(isPending)
+      .sort((a, b) => a.created_at.localeCompare(b.created_at));
+  }
+
+  // Resolve once the job is sent or failed, or after `timeoutMs`
+  waitFor(id, timeoutMs) {
+    const job = this.jobs.get(id);
+    if (!job || !isPending(job)) return Promise.resolve(job);
+
+    return new Promise(resolve => {
+      const timer = setTimeout(() => finish(), timeoutMs);
+      const finish = () => {
+        clearTimeout(timer);
+        const waiters = (this.waiters.get(id) || []).filter(w => w !== finish);
+        if (waiters.length > 0) this.waiters.set(id, waiters);
+        else this.waiters.delete(id);
+        resolve(this.jobs.get(id));
+      };
+      this.waiters.set(id, [...(this.waiters.get(id) || []), finish]);
+    });
+  }
+
+  notify(id) {
+    for (const finish of this.waiters.get(id) || []) finish();
+  }
+
+  // Apply a delivery receipt from messages.update; statuses only move forward
+  updateReceipt(messageId, receiptStatus) {
+    const jobId = this.byMessageId.get(messageId);
+    const status = RECEIPT_STATUS[receiptStatus];
+    const job = jobId && this.jobs.get(jobId);
+    if (!job || !status) return;
+
+    if (LIFECYCLE.indexOf(status) > LIFECYCLE.indexOf(job.status)) {
+      job.status = status;
+      job.updated_at = new Date().toISOString();
+      this.scheduleSave();
+    }
+  }
+
+  // Start processing soon (on enqueue, on connect)
+  kick() {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.process(), 0);
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (this.saveTimer) this.save();
+  }
+
+  async process() {
+    if (this.processing) return;
+    this.processing = true;
+
+    try {
+      while (this.isConnected()) {
+        const job = this.nextDueJob(Date.now());
+        if (!job) break;
+        await this.attempt(job);
+      }
+    } finally {
+      this.processing = false;
+      this.scheduleNext();
+    }
+  }
+
+  // The oldest pending job per chat that is due and not rate limited
+  nextDueJob(now) {
+    if (now - this.lastSendAt < this.globalIntervalMs) return null;
+
+    const seenChats = new Set();
+    for (const job of this.pending()) {
+      if (seenChats.has(job.chat_jid)) continue;
+      seenChats.add(job.chat_jid);
+
+      const chatReadyAt = (this.lastChatSendAt.get(job.chat_jid) || 0) + this.perChatIntervalMs;
+      if (Date.parse(job.next_attempt_at) <= now && chatReadyAt <= now) return job;
+    }
+    return null;
+  }
+
+  scheduleNext() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (!this.isConnected()) return;
+
+    const pending = this.pending();
+    if (pending.length === 0) return;
+
+    const now = Date.now();
+    const readyTimes = pending.map(job => Math.max(
+      Date.parse(job.next_attempt_at),
+      (this.lastChatSendAt.get(job.chat_jid) || 0) + this.perChatIntervalMs,
+      this.lastSendAt + this.globalIntervalMs,
+    ));
+    const delay = Math.max(0, Math.min(...readyTimes) - now);
+    this.timer = setTimeout(() => this.process(), delay);
+  }
+
+  async attempt(job) {
+    const now = Date.now();
+    job.status = 'sending';
+    job.attempts++;
+    job.updated_at = new Date(now).toISOString();
+    this.lastSendAt = now;
+    this.lastChatSendAt.set(job.chat_jid, now);
+
+    try {
+      const result = await this.send(job);
+      job.status = 'sent';
+      job.key = result.key;
+      job.message_id = result.key?.id || null;
+      job.sent_at = new Date().toISOString();
+      job.error = null;
+      if (job.message_id) this.byMessageId.set(job.message_id, job.id);
+    } catch (err) {
+      job.error = err.message;
+      const permanent = err.status >= 400 && err.status < 500 && err.status !== 429;
+
+      if (permanent || job.attempts >= this.maxAttempts) {
+        job.status = 'failed';
+        job.error_status = err.status || null;
+        job.error_code = err.code || null;
+        log.error({ job_id: job.id, kind: job.kind, chat_jid: job.chat_jid, err: err.message }, 'Outbox job failed');
+      } else {
+        const delay = Math.min(2000 * 2 ** (job.attempts - 1), 5 * 60 * 1000);
+        job.status = 'queued';
+        job.next_attempt_at = new Date(Date.now() + delay).toISOString();
+        log.warn({ job_id: job.id, attempt: job.attempts, retry_in_ms: delay, err: err.message }, 'Outbox attempt failed; retrying');
+      }
+    }
+
+    job.updated_at = new Date().toISOString();
+    if (isPending(job)) {
+      this.scheduleSave();
+      return;
+    }
+    this.save();
+    this.notify(job.id);
+    this.onFinish(job);
+  }
+
+  getStatus() {
+    const counts = {};
+    for (const job of this.jobs.values()) {
+      counts[job.status] = (counts[job.status] || 0) + 1;
+    }
+    return counts;
+  }
+}
+
+function isPending(job) {
+  return job.status === 'queued' || job.status === 'sending';
+}
+
+export default Outbox;
@@ -0,0 +1,261 @@
+import { createLogger } from './logger.js';
+
+const log = createLogger('filters');
+
+const FILTERS_DOCUMENT = 'store/filters';
+
+export const BUILTIN_REDACTIONS = ['otp', 'card', 'email', 'phone'];
+
+const DEFAULT_RULES = {
+  chats: { allow: [], deny: [] },
+  senders: { deny: [] },
+  message_types: { allow: [], deny: [] },
+  deny_patterns: [],
+  redact: { builtin: [], patterns: [], replacement: '[redacted]' },
+  drop_raw_data: false,
+};
+
+// Text-bearing fields of a message record, as [field, subfield] paths;
+// poll options are a list of strings
+const TEXT_FIELDS = [
+  ['content'],
+  ['quoted_content'],
+  ['location', 'name'],
+  ['location', 'address'],
+  ['poll', 'name'],
+  ['poll', 'options'],
+  ['media', 'file_name'],
+];
+
+// Built-in redactions, applied in this order (cards before phone numbers,
+// since a card number also looks like a long phone number)
+const REDACTORS = {
+  // Digits following a "code" / "OTP" / "PIN" style keyword, and G-123456 style codes
+  otp: (text, replacement) => text
+    .replace(
+      /(\b(?:code|otp|pin|passcode|password|verification|verify|one[- ]time)\b\D{0,20}?)\d(?:[\d -]{2,8})\d\b/gi,
+      (_, prefix) => `${prefix}${replacement}`
+    )
+    .replace(/\b[A-Z]-\d{5,8}\b/g, replacement),
+  card: (text, replacement) => text.replace(/\b\d(?:[ -]?\d){12,18}\b/g, (match) => (
+    luhnValid(match.replace(/\D/g, '')) ? replacement : match
+  )),
+  email: (text, replacement) => text.replace(/[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g, replacement),
+  phone: (text, replacement) => text.replace(/(?<![\w+])\+?\d[\d ().-]{6,}\d\b/g, (match) => {
+    const digits = match.replace(/\D/g, '').length;
+    return digits >= 8 && digits <= 15 ? replacement : match;
+  }),
+};
+
+// Privacy rules applied to every formatted message before it is stored,
+// buffered or published.
+//
+// Rules (JSON, persisted in storage and editable through the API):
+//   chats.allow / chats.deny   chat JIDs; "*@g.us" style patterns match a suffix.
+//                              With an allow list, only those chats are kept.
+//   senders.deny               sender JIDs (patterns as above)
+//   message_types.allow/deny   e.g. ["text", "image"]
+//   deny_patterns              regexes; matching messages are dropped
+//   redact.builtin             any of "otp", "card", "email", "phone"
+//   redact.patterns            regexes replaced by redact.replacement
+//   drop_raw_data              never keep the raw protobuf
+// Redacted messages never keep the raw protobuf, since it holds the original text.
+// Denied chats are dropped entirely, including their metadata and chat events.
+class PrivacyFilter {
+  constructor({ storage }) {
+    this.storage = storage;
+    this.rules = structuredClone(DEFAULT_RULES);
+    this.compiled = compile(this.rules);
+    this.load();
+  }
+
+  load() {
+    try {
+      const rules = this.storage.readDocument(FILTERS_DOCUMENT);
+      if (!rules) return;
+      this.setRules(rules, { persist: false });
+      log.info('Loaded privacy rules');
+    } catch (err) {
+      log.error({ err: err.message }, 'Failed to load privacy rules');
+    }
+  }
+
+  getRules() {
+    return this.rules;
+  }
+
+  // Validate and apply new rules immediately; throws (status 400) on invalid rules
+  setRules(input, { persist = true } = {}) {
+    const rules = normalize(input);
+    const compiled = compile(rules);
+
+    this.rules = rules;
+    this.compiled = compiled;
+    if (persist) this.save();
+    return rules;
+  }
+
+  save() {
+    try {
+      this.storage.writeDocument(FILTERS_DOCUMENT, this.rules);
+    } catch (err) {
+      log.error({ err: err.message }, 'Failed to write privacy rules');
+    }
+  }
+
+  // Whether anything about this chat (messages, metadata, events) may be kept
+  allowsChat(jid) {
+    const { chats } = this.rules;
+
+    if (chats.allow.length > 0 && !matchesAny(chats.allow, jid)) return false;
+    return !matchesAny(chats.deny, jid);
+  }
+
+  // Whether a message from this chat/sender/type may be kept at all
+  allows(message) {
+    const { senders, message_types } = this.rules;
+
+    if (!this.allowsChat(message.chat_jid)) return false;
+    if (matchesAny(senders.deny, message.sender_jid)) return false;
+    if (message_types.allow.length > 0 && !message_types.allow.includes(message.message_type)) return false;
+    if (message_types.deny.includes(message.message_type)) return false;
+    if (this.compiled.denyPatterns.some(re => re.test(message.content || ''))) return false;
+    return true;
+  }
+
+  // Return the message as it may be stored (redacted), or null to drop it.
+  // `vcards` are the contact cards of a contact message: they only live in the
+  // raw protobuf, so a match there marks the message redacted (dropping raw).
+  apply(message, { vcards = [] } = {}) {
+    if (!this.allows(message)) return null;
+
+    const result = { ...message };
+    let redacted = false;
+    const clean = (value) => {
+      if (typeof value !== 'string') return value;
+      const cleaned = this.redact(value);
+      if (cleaned !== value) redacted = true;
+      return cleaned;
+    };
+
+    for (const [field, subfield] of TEXT_FIELDS) {
+      if (!subfield) {
+        result[field] = clean(result[field]);
+      } else if (result[field] && result[field][subfield] !== undefined) {
+        const value = result[field][subfield];
+        result[field] = { ...result[field], [subfield]: Array.isArray(value) ? value.map(clean) : clean(value) };
+      }
+    }
+    vcards.forEach(clean);
+
+    if (redacted) result.is_redacted = true;
+    return result;
+  }
+
+  // Whether the raw protobuf may be stored alongside a filtered message
+  keepsRaw(message) {
+    return !message.is_redacted && !this.rules.drop_raw_data;
+  }
+
+  redact(text) {
+    const { replacement } = this.rules.redact;
+    let result = text;
+    for (const name of BUILTIN_REDACTIONS) {
+      if (this.rules.redact.builtin.includes(name)) result = REDACTORS[name](result, replacement);
+    }
+    for (const re of this.compiled.redactPatterns) {
+      result = result.replace(re, replacement);
+    }
+    return result;
+  }
+}
+
+// Fill defaults and check the shape of user-supplied rules
+function normalize(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw filterError('rules must be a JSON object');
+  }
+
+  const stringList = (value, name) => {
+    if (value === undefined) return [];
+    if (!Array.isArray(value) || !value.every(v => typeof v === 'string')) {
+      throw filterError(`${name} must be an array of strings`);
+    }
+    return value;
+  };
+
+  const rules = {
+    chats: {
+      allow: stringList(input.chats?.allow, 'chats.allow'),
+      deny: stringList(input.chats?.deny, 'chats.deny'),
+    },
+    senders: { deny: stringList(input.senders?.deny, 'senders.deny') },
+    message_types: {
+      allow: stringList(input.message_types?.allow, 'message_types.allow'),
+      deny: stringList(input.message_types?.deny, 'message_types.deny'),
+    },
+    deny_patterns: stringList(input.deny_patterns, 'deny_patterns'),
+    redact: {
+      builtin: stringList(input.redact?.builtin, 'redact.builtin'),
+      patterns: stringList(input.redact?.patterns, 'redact.patterns'),
+      replacement: input.redact?.replacement ?? DEFAULT_RULES.redact.replacement,
+    },
+    drop_raw_data: input.drop_raw_data ?? false,
+  };
+
+  const unknown = rules.redact.builtin.filter(name => !BUILTIN_REDACTIONS.includes(name));
+  if (unknown.length > 0) {
+    throw filterError(`Unknown built-in redaction(s): ${unknown.join(', ')} (expected ${BUILTIN_REDACTIONS.join(', ')})`);
+  }
+  if (typeof rules.redact.replacement !== 'string') {
+    throw filterError('redact.replacement must be a string');
+  }
+  if (typeof rules.drop_raw_data !== 'boolean') {
+    throw filterError('drop_raw_data must be a boolean');
+  }
+  return rules;
+}
+
+function compile(rules) {
+  const regex = (source, flags, name) => {
+    try {
+      return new RegExp(source, flags);
+    } catch (err) {
+      throw filterError(`Invalid regex in ${name}: ${err.message}`);
+    }
+  };
+
+  return {
+    denyPatterns: rules.deny_patterns.map(source => regex(source, 'i', 'deny_patterns')),
+    redactPatterns: rules.redact.patterns.map(source => regex(source, 'gi', 'redact.patterns')),
+  };
+}
+
+// Exact JID match, or a "*suffix" pattern such as "*@g.us"
+function matchesAny(patterns, jid) {
+  if (!jid) return false;
+  return patterns.some(pattern => (
+    pattern.startsWith('*') ? jid.endsWith(pattern.slice(1)) : pattern === jid
+  ));
+}
+
+function luhnValid(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+function filterError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+export default PrivacyFilter;
@@ -0,0 +1,303 @@
+import fs from 'fs';
+import { BufferJSON, proto } from '@whiskeysockets/baileys';
+import { createLogger } from './logger.js';
+
+const log = createLogger('replay');
+
+const ON_DEMAND_SYNC = proto.HistorySync.HistorySyncType.ON_DEMAND;
+
+// Socket events captured in record mode and fed back in replay mode
+export const RECORDED_EVENTS = [
+  'connection.update',
+  'messaging-history.set',
+  'messages.upsert',
+  'messages.update',
+  'messages.reaction',
+  'chats.upsert',
+  'chats.update',
+  'groups.upsert',
+  'groups.update',
+  'group-participants.update',
+  'contacts.upsert',
+  'contacts.update',
+  'presence.update',
+  'message-receipt.update',
+];
+
+// Append every recorded socket event to a JSONL fixture file as
+// { t: <ms since recording started>, event, data }. Buffers and Longs are
+// serialized with Baileys' BufferJSON so they survive the round trip.
+export function recordSocketEvents(ev, fixtureFile) {
+  const startedAt = Date.now();
+  log.info({ fixture: fixtureFile }, 'Recording socket events');
+
+  for (const event of RECORDED_EVENTS) {
+    ev.on(event, (data) => {
+      const line = JSON.stringify({ t: Date.now() - startedAt, event, data }, BufferJSON.replacer);
+      try {
+        fs.appendFileSync(fixtureFile, line + '\n');
+      } catch (err) {
+        log.error({ err: err.message }, 'Failed to write fixture');
+      }
+    });
+  }
+}
+
+export function loadFixture(fixtureFile) {
+  return fs.readFileSync(fixtureFile, 'utf8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => JSON.parse(line, BufferJSON.reviver));
+}
+
+// Minimal event emitter matching the parts of Baileys' `sock.ev` we use.
+// `emit` awaits async listeners so a replay is fully processed, in order,
+// by the time it resolves.
+class ReplayEventEmitter {
+  constructor() {
+    this.listeners = new Map();
+  }
+
+  on(event, listener) {
+    if (!this.listeners.has(event)) this.listeners.set(event, []);
+    this.listeners.get(event).push(listener);
+  }
+
+  off(event, listener) {
+    const listeners = this.listeners.get(event) || [];
+    this.listeners.set(event, listeners.filter(l => l !== listener));
+  }
+
+  removeAllListeners(event) {
+    if (event) this.listeners.delete(event);
+    else this.listeners.clear();
+  }
+
+  async emit(event, data) {
+    for (const listener of this.listeners.get(event) || []) {
+      await listener(data);
+    }
+  }
+}
+
+// Stand-in for a Baileys socket that plays back a recorded fixture.
+//
+// Outbound calls are answered locally: sendMessage() fabricates a WAMessage
+// and echoes it through messages.upsert like WhatsApp does for our own sends,
+// and every call is kept in `sent` so tests can assert on it. On-demand
+// history sets in the fixture are not replayed by start(); they hold the
+// older messages fetchMessageHistory() answers from.
+export class ReplaySocket {
+  constructor({ events = [], fixtureFile = null, speed = 0, user = { id: '10000000000:1@s.whatsapp.net' } } = {}) {
+    this.ev = new ReplayEventEmitter();
+    const allEvents = fixtureFile ? loadFixture(fixtureFile) : events;
+    const isOnDemand = e => e.event === 'messaging-history.set' && e.data.syncType === ON_DEMAND_SYNC;
+    this.events = allEvents.filter(e => !isOnDemand(e));
+    this.history = allEvents.filter(isOnDemand).flatMap(e => e.data.messages);
+    this.speed = speed;
+    this.user = user;
+    this.sent = [];
+    this.groups = new Map();
+    this.inviteCodes = new Map();
+    this.ended = false;
+    this.nextId = 1;
+  }
+
+  // Emit the fixture's events in order. With speed > 0 the original timing
+  // is reproduced (speed 2 = twice as fast); with 0 events follow immediately.
+  async start() {
+    let previous = 0;
+    for (const { t = 0, event, data } of this.events) {
+      if (this.ended) break;
+      if (this.speed > 0 && t > previous) {
+        await new Promise(resolve => setTimeout(resolve, (t - previous) / this.speed));
+      }
+      previous = t;
+      await this.ev.emit(event, data);
+    }
+  }
+
+  async sendMessage(jid, content, options = {}) {
+    this.sent.push({ jid, content, options });
+
+    const message = {
+      key: { remoteJid: jid, fromMe: true, id: `REPLAY${String(this.nextId++).padStart(6, '0')}` },
+      message: toProtoMessage(content),
+      messageTimestamp: Math.floor(Date.now() / 1000),
+      status: 1,
+    };
+    await this.ev.emit('messages.upsert', { messages: [message], type: 'append' });
+    return message;
+  }
+
+  async groupMetadata(jid) {
+    if (this.groups.has(jid)) return this.groups.get(jid);
+    const upsert = this.events.find(e => e.event === 'groups.upsert' && e.data.some(g => g.id === jid));
+    if (!upsert) throw queryError('item-not-found', 404);
+    return upsert.data.find(g => g.id === jid);
+  }
+
+  // Groups created or joined during the replay live in `groups`; admin calls
+  // on them answer the way WhatsApp does, per participant where it does so.
+  async groupCreate(subject, participants) {
+    this.sent.push({ groupCreate: { subject, participants } });
+    const ownJid = this.user.id.replace(/:\d+@/, '@');
+    const metadata = {
+      id: `1203630000000${String(this.nextId++).padStart(5, '0')}@g.us`,
+      subject,
+      owner: ownJid,
+      creation: Math.floor(Date.now() / 1000),
+      announce: false,
+      restrict: false,
+      participants: [
+        { id: ownJid, admin: 'superadmin' },
+        // Numbers starting 1555999 stand in for users whose privacy settings refuse adds
+        ...participants.filter(jid => !jid.startsWith('1555999')).map(id => ({ id, admin: null })),
+      ],
+    };
+    this.groups.set(metadata.id, metadata);
+    return metadata;
+  }
+
+  async groupParticipantsUpdate(jid, participants, action) {
+    this.sent.push({ groupParticipants: { jid, participants, action } });
+    const group = this.ownGroup(jid);
+
+    return participants.map(participant => {
+      const index = group.participants.findIndex(p => p.id === participant);
+      if (action === 'add') {
+        if (index !== -1) return { status: '409', jid: participant };
+        if (participant.startsWith('1555999')) return { status: '403', jid: participant };
+        group.participants.push({ id: participant, admin: null });
+      } else if (index === -1) {
+        return { status: '404', jid: participant };
+      } else if (action === 'remove') {
+        group.participants.splice(index, 1);
+      } else {
+        group.participants[index].admin = action === 'promote' ? 'admin' : null;
+      }
+      return { status: '200', jid: participant };
+    });
+  }
+
+  async groupUpdateSubject(jid, subject) {
+    this.sent.push({ groupSubject: { jid, subject } });
+    this.ownGroup(jid).subject = subject;
+  }
+
+  async groupUpdateDescription(jid, description) {
+    this.sent.push({ groupDescription: { jid, description } });
+    this.ownGroup(jid).desc = description;
+  }
+
+  async groupSettingUpdate(jid, setting) {
+    this.sent.push({ groupSetting: { jid, setting } });
+    const group = this.ownGroup(jid);
+    if (setting.endsWith('announcement')) group.announce = setting === 'announcement';
+    else group.restrict = setting === 'locked';
+  }
+
+  async groupInviteCode(jid) {
+    this.ownGroup(jid);
+    if (!this.inviteCodes.has(jid)) this.inviteCodes.set(jid, `REPLAYINVITE${this.nextId++}`);
+    return this.inviteCodes.get(jid);
+  }
+
+  async groupRevokeInvite(jid) {
+    this.sent.push({ groupRevokeInvite: jid });
+    this.ownGroup(jid);
+    this.inviteCodes.set(jid, `REPLAYINVITE${this.nextId++}`);
+    return this.inviteCodes.get(jid);
+  }
+
+  async groupGetInviteInfo(code) {
+    const jid = [...this.inviteCodes].find(([, invite]) => invite === code)?.[0];
+    if (!jid) throw queryError('item-not-found', 404);
+    return this.groups.get(jid);
+  }
+
+  async groupAcceptInvite(code) {
+    this.sent.push({ groupAcceptInvite: code });
+    const { id } = await this.groupGetInviteInfo(code);
+    return id;
+  }
+
+  async groupLeave(jid) {
+    this.sent.push({ groupLeave: jid });
+    const group = this.ownGroup(jid);
+    group.participants = group.participants.filter(p => p.id !== this.user.id.replace(/:\d+@/, '@'));
+  }
+
+  ownGroup(jid) {
+    const group = this.groups.get(jid);
+    if (!group) throw queryError('item-not-found', 404);
+    return group;
+  }
+
+  // Answer with up to `count` fixture messages of the chat older than the anchor
+  async fetchMessageHistory(count, oldestMsgKey, oldestMsgTimestamp) {
+    this.sent.push({ history: { count, key: oldestMsgKey, timestamp: oldestMsgTimestamp } });
+
+    const messages = this.history
+      .filter(msg => msg.key.remoteJid === oldestMsgKey.remoteJid && Number(msg.messageTimestamp) < Number(oldestMsgTimestamp))
+      .sort((a, b) => Number(b.messageTimestamp) - Number(a.messageTimestamp))
+      .slice(0, count);
+
+    setImmediate(() => this.ev.emit('messaging-history.set', {
+      chats: [],
+      contacts: [],
+      messages,
+      isLatest: false,
+      syncType: ON_DEMAND_SYNC,
+    }));
+    return `REPLAYHISTORY${this.sent.length}`;
+  }
+
+  async sendPresenceUpdate(presence, jid) {
+    this.sent.push({ presence, jid });
+  }
+
+  async presenceSubscribe(jid) {
+    this.sent.push({ presenceSubscribe: jid });
+  }
+
+  async readMessages(keys) {
+    this.sent.push({ read: keys });
+  }
+
+  async requestPairingCode(phoneNumber) {
+    this.sent.push({ pairing: phoneNumber });
+    return 'REPL4YCD';
+  }
+
+  async updateMediaMessage(message) {
+    return message;
+  }
+
+  async logout() {
+    this.ended = true;
+  }
+
+  end() {
+    this.ended = true;
+  }
+}
+
+// Failed socket queries reject with a Boom error carrying WhatsApp's code
+function queryError(text, code) {
+  return Object.assign(new Error(text), { output: { statusCode: code } });
+}
+
+// Rough protobuf shape for content passed to sendMessage, enough for formatMessage
+function toProtoMessage(content) {
+  if (content.react) return { reactionMessage: { key: content.react.key, text: content.react.text } };
+  if (content.delete) return { protocolMessage: { type: 0, key: content.delete } };
+  if (content.edit) {
+    return { protocolMessage: { type: 14, key: content.edit, editedMessage: { conversation: content.text } } };
+  }
+  if (content.image) return { imageMessage: { caption: content.caption, mimetype: content.mimetype } };
+  if (content.video) return { videoMessage: { caption: content.caption, mimetype: content.mimetype } };
+  if (content.document) return { documentMessage: { fileName: content.fileName, mimetype: content.mimetype } };
+  if (content.audio) return { audioMessage: { mimetype: content.mimetype, ptt: !!content.ptt } };
+  return { conversation: content.text };
+}
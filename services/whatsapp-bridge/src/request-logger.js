@@ -0,0 +1,48 @@
+import crypto from 'crypto';
+import { createLogger } from './logger.js';
+import { metrics } from './metrics.js';
+
+const log = createLogger('http');
+
+// Polled constantly by PumaBot and Prometheus; only logged at debug level when they succeed
+const QUIET_ROUTES = new Set(['/api/status', '/api/sessions/:id/status', '/metrics']);
+
+// Express middleware: give every request an id (a sane incoming X-Request-Id
+// is kept so callers can correlate), expose a request-scoped logger as
+// `req.log`, and log and time the request once the response is finished.
+export default function requestLogger(req, res, next) {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && /^[\w.:-]{1,128}$/.test(incoming) ? incoming : crypto.randomUUID();
+  req.log = log.child({ request_id: req.id });
+  res.set('X-Request-Id', req.id);
+
+  const start = process.hrtime.bigint();
+  res.on('finish', () => {
+    const route = routeLabel(req);
+    const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+    metrics.httpDuration.observe({ method: req.method, route, status: res.statusCode }, seconds);
+
+    const level = res.statusCode >= 500 ? 'error'
+      : res.statusCode >= 400 ? 'warn'
+        : QUIET_ROUTES.has(route) ? 'debug' : 'info';
+    req.log[level]({
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      route,
+      status: res.statusCode,
+      duration_ms: Math.round(seconds * 1000),
+      principal: req.principal?.name,
+    }, 'HTTP request');
+  });
+
+  next();
+}
+
+// The route pattern that handled a request, e.g. /api/sessions/:id/chats/:jid,
+// so metrics do not get a label per JID
+function routeLabel(req) {
+  if (!req.route) return 'unmatched';
+  const sessionScoped = /^\/api\/sessions\/[^/]+\/./.test(req.originalUrl) && !req.route.path.startsWith('/sessions');
+  if (sessionScoped) return `/api/sessions/:id${req.route.path}`;
+  return req.originalUrl.startsWith('/api/') ? `/api${req.route.path}` : req.route.path;
+}
@@ -1,18 +1,64 @@
+import { pipeline } from 'stream';
 import { Router } from 'express';
+import { messageSchema } from './message-schema.js';
+import { isValidTimeZone } from './cron.js';
+import { apiError, errorBody, sendError } from './errors.js';
+import { validate } from './openapi.js';
 
-export default function createRoutes(client) {
+// How long a send request waits for its queued job before answering 202
+const SEND_WAIT_MS = 30000;
+
+// Routes for one session's client: mounted at /api for the default session
+// and at /api/sessions/:id for the others (see session-routes.js). Inputs
+// are described and checked by the operations in openapi.js; failures are
+// answered with the error model of errors.js.
+export default function createRoutes(client, eventHub, auth) {
   const router = Router();
 
+  // Scope guards: read for queries and import, send for outbound messages,
+  // admin for login, configuration and the full export
+  const read = auth.requireScope('read');
+  const send = auth.requireScope('send');
+  const admin = auth.requireScope('admin');
+
+  // Queue an outbound action. While connected, wait for the send so the caller
+  // gets the message key back; otherwise (or with ?wait=false) answer 202.
+  async function queueAndRespond(req, res, kind, chatJid, payload) {
+    const job = client.enqueueSend(kind, chatJid, payload);
+    const wait = req.query.wait && client.getStatus().connected;
+    const done = wait ? await client.outbox.waitFor(job.id, SEND_WAIT_MS) : job;
+
+    if (done.status === 'failed') {
+      const err = Object.assign(new Error(done.error), { status: done.error_status, code: done.error_code });
+      return res.status(err.status || 500).json({ ...errorBody(err), outbox_id: done.id });
+    }
+    if (done.status === 'queued' || done.status === 'sending') {
+      return res.status(202).json({ success: true, queued: true, outbox_id: done.id, status: done.status });
+    }
+    res.json({
+      success: true,
+      outbox_id: done.id,
+      status: done.status,
+      key: done.key,
+      message: done.message_id ? client.getMessage(chatJid, done.message_id) : null,
+    });
+  }
+
   // Health check / status
-  router.get('/status', (req, res) => {
-    res.json(client.getStatus());
+  router.get('/status', read, (req, res) => {
+    res.json({ session: client.id, ...client.getStatus(), events: eventHub.getStatus() });
+  });
+
+  // Live event stream (Server-Sent Events) for this session, optionally filtered by ?types=a,b
+  router.get('/events', read, validate, (req, res) => {
+    eventHub.addClient(req, res, { types: req.query.types || null, session: client.id });
   });
 
-  // Get QR code for authentication
-  router.get('/qr', (req, res) => {
+  // Get QR code for authentication. Codes expire; fetch again after expires_at.
+  router.get('/qr', admin, (req, res) => {
     const qr = client.getQRCode();
     if (qr) {
-      res.json({ qr, status: 'waiting_for_scan' });
+      res.json({ qr, status: 'waiting_for_scan', expires_at: client.getQRExpiresAt() });
     } else if (client.getStatus().connected) {
       res.json({ qr: null, status: 'already_connected' });
     } else {
@@ -20,8 +66,37 @@ export default function createRoutes(client) {
     }
   });
 
+  // Link by phone number: returns a code to enter on that phone
+  router.post('/auth/pairing-code', admin, validate, async (req, res) => {
+    try {
+      res.json(await client.requestPairingCode(req.body.phone_number));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  // Unlink the device and wipe credentials; a new QR / pairing code follows
+  router.post('/auth/logout', admin, async (req, res) => {
+    try {
+      await client.logout();
+      res.json({ success: true, status: client.getStatus().status });
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  // Restart the socket, keeping credentials
+  router.post('/auth/restart', admin, async (req, res) => {
+    try {
+      await client.restart();
+      res.json({ success: true, status: client.getStatus().status });
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
   // Get list of chats
-  router.get('/chats', async (req, res) => {
+  router.get('/chats', read, async (req, res) => {
     try {
       const chats = await client.getChats();
       const withNames = chats.filter(c => c.hasRealName);
@@ -31,84 +106,537 @@ export default function createRoutes(client) {
         with_names: withNames.length,
       });
     } catch (err) {
-      res.status(500).json({ error: err.message });
+      sendError(res, err);
+    }
+  });
+
+  // Get a single chat with group metadata (participants, admins, description)
+  router.get('/chats/:jid', read, validate, (req, res) => {
+    const chat = client.getChat(req.params.jid);
+    if (!chat) {
+      return sendError(res, apiError('not_found', 'Chat not found'));
+    }
+    res.json(chat);
+  });
+
+  // Export a chat as WhatsApp's "Export chat" text, JSONL or HTML; see
+  // parseExport for the options. ?zip=true bundles it with its media.
+  router.get('/chats/:jid/export', read, validate, (req, res) => {
+    const chatJid = req.params.jid;
+    const { error, options } = parseExport(req.query);
+    if (error) {
+      return sendError(res, apiError('invalid_request', error));
+    }
+
+    const exporter = client.createExporter(options);
+    if (exporter.messages(chatJid).length === 0) {
+      return sendError(res, apiError('not_found', 'No stored messages for this chat'));
+    }
+    try {
+      sendExport(res, exporter.exportChat(chatJid, { format: req.query.format, zip: req.query.zip }), client.log);
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  // Every chat with stored messages, a folder each, in one zip. Needs the
+  // admin scope: it hands out the whole account's history at once.
+  router.get('/export', admin, validate, (req, res) => {
+    const { error, options } = parseExport(req.query);
+    if (error) {
+      return sendError(res, apiError('invalid_request', error));
+    }
+    try {
+      sendExport(res, client.createExporter(options).exportAll({ format: req.query.format }), client.log);
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  // List contacts, optionally filtered by ?q= (name, push name, number)
+  router.get('/contacts', read, validate, (req, res) => {
+    const contacts = client.getContacts({ query: req.query.q });
+    res.json({ contacts, count: contacts.length });
+  });
+
+  // Fetch older history for one chat from the phone, back to a depth (count of
+  // new messages) or a date. Progress shows in /status and backfill.update events.
+  // Needs the send scope: the request goes out to the phone on the account's behalf.
+  router.post('/chats/:jid/backfill', send, validate, (req, res) => {
+    const { count, until } = req.body;
+
+    if (count === undefined && until === undefined) {
+      return sendError(res, apiError('invalid_request', 'count or until is required'));
+    }
+
+    try {
+      const job = client.backfillChat(req.params.jid, {
+        count: count ?? null,
+        until: until !== undefined ? new Date(until).toISOString() : null,
+      });
+      res.status(202).json(job);
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  // Presence seen in a chat (typing, recording, online, last seen)
+  router.get('/chats/:jid/presence', read, validate, (req, res) => {
+    const chatJid = req.params.jid;
+    res.json({ chat_jid: chatJid, presences: client.activity.getPresence(chatJid) });
+  });
+
+  // Send our presence to a chat: composing, recording, paused, available, unavailable
+  router.post('/chats/:jid/presence', send, validate, async (req, res) => {
+    try {
+      res.json(await client.sendPresence(req.params.jid, req.body.presence));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  // Subscribe to a chat's presence updates (WhatsApp only sends them on request)
+  router.post('/chats/:jid/presence/subscribe', read, validate, async (req, res) => {
+    try {
+      res.json(await client.subscribePresence(req.params.jid));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  // Delivery/read receipts for our messages in a chat, optionally ?ids=a,b
+  router.get('/chats/:jid/receipts', read, validate, (req, res) => {
+    const chatJid = req.params.jid;
+    const receipts = client.activity.getReceipts(chatJid, req.query.ids || null);
+    res.json({ chat_jid: chatJid, receipts, count: receipts.length });
+  });
+
+  // Mark everything received in a chat since the last call as read
+  router.post('/chats/:jid/read', send, validate, async (req, res) => {
+    try {
+      res.json(await client.markChatRead(req.params.jid));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  router.get('/backfill', read, (req, res) => {
+    const jobs = client.backfill.list();
+    res.json({ jobs, count: jobs.length });
+  });
+
+  router.get('/backfill/:id', read, validate, (req, res) => {
+    const job = client.backfill.get(req.params.id);
+    if (!job) {
+      return sendError(res, apiError('not_found', 'Backfill job not found'));
+    }
+    res.json(job);
+  });
+
+  // Group administration acts on behalf of the account (and invite links
+  // let anyone in), so everything but reading metadata needs admin scope.
+  // Participants are phone numbers or user JIDs.
+  router.post('/groups', admin, validate, async (req, res) => {
+    const { subject, participants = [] } = req.body;
+
+    if (!subject.trim()) {
+      return sendError(res, apiError('invalid_request', 'subject must not be blank'));
+    }
+
+    try {
+      res.status(201).json(await client.createGroup(subject.trim(), participants));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  // Join by { code } (an invite code or chat.whatsapp.com link)
+  router.post('/groups/join', admin, validate, async (req, res) => {
+    try {
+      res.json(await client.joinGroup(req.body.code));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  // Preview the group behind an invite code
+  router.get('/groups/invite/:code', read, validate, async (req, res) => {
+    try {
+      res.json(await client.getInviteInfo(req.params.code));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  // Fresh metadata from WhatsApp (also refreshes the cached chat)
+  router.get('/groups/:jid', read, validate, async (req, res) => {
+    try {
+      res.json(await client.getGroup(req.params.jid));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  // Change any of subject, description, announce (only admins send) and locked (only admins edit info)
+  router.patch('/groups/:jid', admin, validate, async (req, res) => {
+    const { subject, description, announce, locked } = req.body;
+
+    if (subject !== undefined && !subject.trim()) {
+      return sendError(res, apiError('invalid_request', 'subject must not be blank'));
+    }
+    if ([subject, description, announce, locked].every(value => value === undefined)) {
+      return sendError(res, apiError('invalid_request', 'Nothing to change: send subject, description, announce or locked'));
+    }
+
+    try {
+      res.json(await client.updateGroup(req.params.jid, {
+        subject: subject?.trim(),
+        description,
+        announce,
+        locked,
+      }));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  // add, remove, promote or demote { participants }; answers with a result per participant
+  router.post('/groups/:jid/participants/:action', admin, validate, async (req, res) => {
+    try {
+      res.json(await client.updateGroupParticipants(req.params.jid, req.body.participants, req.params.action));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  router.get('/groups/:jid/invite', admin, validate, async (req, res) => {
+    try {
+      res.json(await client.getGroupInvite(req.params.jid));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  // Invalidate the invite link; the response carries the new one
+  router.post('/groups/:jid/invite/revoke', admin, validate, async (req, res) => {
+    try {
+      res.json(await client.revokeGroupInvite(req.params.jid));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  router.post('/groups/:jid/leave', admin, validate, async (req, res) => {
+    try {
+      res.json(await client.leaveGroup(req.params.jid));
+    } catch (err) {
+      sendError(res, err);
     }
   });
 
   // Fetch missing group names from WhatsApp (for groups in bridge's cache)
-  router.post('/chats/fetch-names', async (req, res) => {
+  router.post('/chats/fetch-names', read, async (req, res) => {
     try {
       const result = await client.fetchMissingGroupNames();
       res.json(result);
     } catch (err) {
-      res.status(500).json({ error: err.message });
+      sendError(res, err);
     }
   });
 
   // Fetch group names for specific JIDs (provided by caller)
-  router.post('/chats/fetch-names-for-jids', async (req, res) => {
-    const { jids } = req.body;
-
-    if (!jids || !Array.isArray(jids)) {
-      return res.status(400).json({ error: 'jids array is required' });
-    }
-
+  router.post('/chats/fetch-names-for-jids', read, validate, async (req, res) => {
     try {
-      const result = await client.fetchGroupNamesForJids(jids);
+      const result = await client.fetchGroupNamesForJids(req.body.jids);
       res.json(result);
     } catch (err) {
-      res.status(500).json({ error: err.message });
+      sendError(res, err);
     }
   });
 
-  // Get buffered messages (clears buffer after fetch)
-  router.get('/messages/buffer', (req, res) => {
-    const clear = req.query.clear !== 'false';
-    const messages = client.getBufferedMessages(clear);
+  // Read buffered messages after a sequence number (nothing is removed until acked).
+  // Messages follow schema/message.v1.json; ?raw=true adds the Baileys protobuf.
+  router.get('/messages/buffer', read, validate, (req, res) => {
+    const { after, limit, consumer, raw } = req.query;
+    const page = client.readBufferedMessages({ after, limit, consumer, raw });
     res.json({
-      messages,
-      count: messages.length,
-      cleared: clear,
+      ...page,
+      count: page.messages.length,
     });
   });
 
+  // JSON Schema for the message records returned by the endpoints below
+  router.get('/schema/message', read, (req, res) => {
+    res.json(messageSchema);
+  });
+
+  // Acknowledge buffered messages up to a sequence number for a consumer
+  router.post('/messages/ack', read, validate, (req, res) => {
+    const { consumer, seq } = req.body;
+    res.json(client.ackBufferedMessages(consumer, seq));
+  });
+
+  // Register a consumer so the buffer is kept for it before its first ack
+  // (consumers are otherwise registered by their first ack)
+  router.put('/messages/consumers/:consumer', read, validate, (req, res) => {
+    const result = client.registerBufferConsumer(req.params.consumer);
+    res.status(result.created ? 201 : 200).json(result);
+  });
+
+  // Forget a consumer; messages only it had not acknowledged become compactable
+  router.delete('/messages/consumers/:consumer', admin, validate, (req, res) => {
+    if (!client.removeBufferConsumer(req.params.consumer)) {
+      return sendError(res, apiError('not_found', 'Consumer not found'));
+    }
+    res.json({ success: true, consumer: req.params.consumer });
+  });
+
   // Peek at buffered messages (doesn't clear)
-  router.get('/messages/peek', (req, res) => {
-    const messages = client.peekBufferedMessages();
+  router.get('/messages/peek', read, validate, (req, res) => {
+    const messages = client.peekBufferedMessages({ raw: req.query.raw });
     res.json({
       messages,
       count: messages.length,
     });
   });
 
-  // Fetch messages from a specific chat (from store)
-  router.get('/messages/:chatJid', async (req, res) => {
-    const { chatJid } = req.params;
-    const limit = parseInt(req.query.limit) || 100;
+  // Full-text search over stored messages, ranked when ?q= is given and
+  // newest first otherwise. Filters: chat_jid, sender_jid, message_type
+  // (comma-separated), is_from_me and after / before; paged by limit and offset.
+  router.get('/search', read, validate, (req, res) => {
+    const { q, chat_jid, sender_jid, message_type, is_from_me, after, before, limit, offset } = req.query;
+    const options = {
+      query: q?.trim() || undefined,
+      chatJid: chat_jid,
+      senderJid: sender_jid,
+      messageTypes: message_type,
+      isFromMe: is_from_me,
+      after: after !== undefined ? Date.parse(after) : undefined,
+      before: before !== undefined ? Date.parse(before) : undefined,
+    };
+
+    const result = client.searchMessages(options, { limit, offset });
+    res.json({ ...result, count: result.results.length });
+  });
+
+  // Fetch messages from a specific chat (from store), paged by ISO timestamp
+  router.get('/messages/:chatJid', read, validate, async (req, res) => {
+    const { limit, before, after, raw } = req.query;
+
+    try {
+      const page = await client.fetchMessagesFromChat(req.params.chatJid, {
+        limit,
+        before: before !== undefined ? Date.parse(before) : undefined,
+        after: after !== undefined ? Date.parse(after) : undefined,
+        raw,
+      });
+      res.json({ ...page, count: page.messages.length });
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  // Chats that have opted out of media downloads
+  router.get('/media/opt-out', read, (req, res) => {
+    res.json({ chats: client.mediaStore.getOptOuts() });
+  });
+
+  // Opt a chat out of (or back into) media downloads
+  router.put('/media/opt-out/:chatJid', admin, validate, (req, res) => {
+    res.json(client.mediaStore.setOptOut(req.params.chatJid, req.body.opt_out));
+  });
+
+  // Current privacy filter rules
+  router.get('/filters', read, (req, res) => {
+    res.json(client.filter.getRules());
+  });
 
+  // Replace the privacy filter rules; they apply to the next incoming message
+  router.put('/filters', admin, validate, (req, res) => {
     try {
-      const messages = await client.fetchMessagesFromChat(decodeURIComponent(chatJid), limit);
-      res.json({ messages, count: messages.length });
+      res.json(client.filter.setRules(req.body));
     } catch (err) {
-      res.status(500).json({ error: err.message });
+      sendError(res, err);
     }
   });
 
-  // Send a message
-  router.post('/messages/send', async (req, res) => {
-    const { chat_jid, text } = req.body;
+  // Serve a downloaded media file by its sha256 id
+  router.get('/media/:id', read, validate, (req, res) => {
+    const record = client.mediaStore.get(req.params.id);
+    const content = record && client.mediaStore.read(record.id);
+    if (!content) {
+      return sendError(res, apiError('not_found', 'Media not found'));
+    }
+
+    res.type(record.mimetype || 'application/octet-stream');
+    res.send(content);
+  });
 
-    if (!chat_jid || !text) {
-      return res.status(400).json({ error: 'chat_jid and text are required' });
+  // Send a message: text and/or media, optionally as a quoted reply with mentions.
+  // simulate_typing shows "typing…" for a time proportional to the text first.
+  router.post('/messages/send', send, validate, async (req, res) => {
+    const { message, error } = parseMessage(req.body, client.mediaStore);
+    if (error) {
+      return sendError(res, apiError('invalid_request', error));
+    }
+
+    await queueAndRespond(req, res, 'message', req.body.chat_jid, message);
+  });
+
+  // Schedule a message (same fields as /messages/send) for send_at, or on a
+  // cron expression in timezone (default UTC). missed_policy decides what
+  // happens to fires missed while offline: fire_once (default) or skip.
+  router.post('/scheduled', send, validate, (req, res) => {
+    const { chat_jid, send_at, cron, timezone, missed_policy } = req.body;
+
+    const { message, error } = parseMessage(req.body, client.mediaStore);
+    if (error) {
+      return sendError(res, apiError('invalid_request', error));
     }
 
     try {
-      const result = await client.sendMessage(chat_jid, text);
-      res.json(result);
+      const job = client.scheduler.create(chat_jid, message, { send_at, cron, timezone, missed_policy });
+      res.status(201).json(client.outbox.describe(job));
+    } catch (err) {
+      client.releaseUpload(message);
+      sendError(res, err);
+    }
+  });
+
+  // Scheduled jobs, optionally filtered by ?status= and ?chat_jid=
+  router.get('/scheduled', read, validate, (req, res) => {
+    const jobs = client.scheduler.list({ status: req.query.status, chatJid: req.query.chat_jid });
+    res.json({ jobs: jobs.map(job => client.outbox.describe(job)), count: jobs.length });
+  });
+
+  router.get('/scheduled/:id', read, validate, (req, res) => {
+    const job = client.scheduler.get(req.params.id);
+    if (!job) {
+      return sendError(res, apiError('not_found', 'Scheduled job not found'));
+    }
+    res.json(client.outbox.describe(job));
+  });
+
+  // Cancel a scheduled job; messages it already queued are not recalled
+  router.delete('/scheduled/:id', send, validate, (req, res) => {
+    const job = client.scheduler.get(req.params.id);
+    if (!job) {
+      return sendError(res, apiError('not_found', 'Scheduled job not found'));
+    }
+    if (job.status !== 'scheduled') {
+      return res.status(409).json({ ...errorBody(apiError('conflict', `Job already ${job.status}`)), job: client.outbox.describe(job) });
+    }
+    res.json(client.outbox.describe(client.scheduler.cancel(job.id)));
+  });
+
+  // Send read receipts for specific messages
+  router.post('/messages/read', send, validate, async (req, res) => {
+    const { chat_jid, message_ids } = req.body;
+
+    try {
+      res.json(await client.markRead(chat_jid, message_ids));
     } catch (err) {
-      res.status(500).json({ error: err.message });
+      sendError(res, err);
+    }
+  });
+
+  // React to a message with an emoji (empty emoji removes the reaction)
+  router.post('/messages/react', send, validate, async (req, res) => {
+    const { chat_jid, message_id, emoji } = req.body;
+    await queueAndRespond(req, res, 'reaction', chat_jid, { message_id, emoji });
+  });
+
+  // Edit one of our own messages
+  router.post('/messages/edit', send, validate, async (req, res) => {
+    const { chat_jid, message_id, text } = req.body;
+    await queueAndRespond(req, res, 'edit', chat_jid, { message_id, text });
+  });
+
+  // Delete one of our own messages for everyone
+  router.post('/messages/delete', send, validate, async (req, res) => {
+    const { chat_jid, message_id } = req.body;
+    await queueAndRespond(req, res, 'delete', chat_jid, { message_id });
+  });
+
+  // Outbound queue: job status (queued/sending/sent/delivered/read/failed)
+  router.get('/outbox', read, validate, (req, res) => {
+    const jobs = client.outbox.list({ status: req.query.status }).map(job => client.outbox.describe(job));
+    res.json({ jobs, count: jobs.length });
+  });
+
+  router.get('/outbox/:id', read, validate, (req, res) => {
+    const job = client.outbox.get(req.params.id);
+    if (!job) {
+      return sendError(res, apiError('not_found', 'Outbox job not found'));
     }
+    res.json(client.outbox.describe(job));
   });
 
   return router;
 }
+
+// The message to queue from a /messages/send style body, or { error }; the
+// field types are checked by its operation. media.path is resolved against
+// the upload directory here, so nothing outside it is ever queued.
+function parseMessage({ text, reply_to, mentions, media, simulate_typing }, mediaStore) {
+  if (!text && !media) return { error: 'text or media is required' };
+  if (media && !media.path && !media.base64) return { error: 'media requires a path or base64 payload' };
+
+  let resolved = media;
+  if (media?.path) {
+    try {
+      resolved = { ...media, path: mediaStore.resolveUpload(media.path) };
+    } catch (err) {
+      return { error: err.message };
+    }
+  } else if (media) {
+    // Uploaded content goes to the media store, so queued jobs only carry its id
+    const { base64, ...fields } = media;
+    const buffer = Buffer.from(base64, 'base64');
+    if (buffer.length > mediaStore.maxBytes) {
+      return { error: `media is larger than ${mediaStore.maxBytes} bytes` };
+    }
+    const record = mediaStore.save(buffer, { mimetype: media.mimetype || null, fileName: media.file_name || null, upload: true });
+    resolved = { ...fields, id: record.id };
+  }
+  return { message: { text, reply_to, mentions, media: resolved, simulate_typing } };
+}
+
+// Exporter options from a query string, or { error }: locale (date layout
+// and HTML timestamps), tz and my_name (how our own messages are attributed)
+function parseExport(query) {
+  if (query.locale !== undefined && !isValidLocale(query.locale)) {
+    return { error: `Unknown locale: ${query.locale}` };
+  }
+  if (query.tz !== undefined && !isValidTimeZone(query.tz)) {
+    return { error: `Unknown timezone: ${query.tz}` };
+  }
+
+  return {
+    options: {
+      ...(query.locale && { locale: query.locale }),
+      ...(query.tz && { timeZone: query.tz }),
+      ...(query.my_name && { ownName: query.my_name }),
+    },
+  };
+}
+
+function isValidLocale(locale) {
+  try {
+    return Intl.DateTimeFormat.supportedLocalesOf(locale).length > 0;
+  } catch {
+    return false;
+  }
+}
+
+// Send an export; zips are streamed, and one that fails part way through
+// ends the connection (the status has already gone out)
+function sendExport(res, { fileName, contentType, body }, log) {
+  res.attachment(fileName);
+  res.type(contentType);
+  if (typeof body === 'string') return res.send(body);
+
+  pipeline(body, res, (err) => {
+    if (err) log.warn({ err: err.message, file: fileName }, 'Export stream failed');
+  });
+}
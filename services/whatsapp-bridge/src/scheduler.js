@@ -0,0 +1,236 @@
+import crypto from 'crypto';
+import { parseCron, nextRun, isValidTimeZone } from './cron.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('scheduler');
+
+export const MISSED_POLICIES = ['fire_once', 'skip'];
+const FINISHED_RETENTION = 7 * 24 * 60 * 60 * 1000;
+const SCHEDULED_DOCUMENT = 'store/scheduled';
+// setTimeout cannot wait longer than ~24.8 days; re-check at least hourly
+const MAX_TIMER_MS = 60 * 60 * 1000;
+
+// Scheduled and recurring messages, persisted in storage.
+//
+// A job fires once at `send_at` or repeatedly on a `cron` expression (in
+// `timezone`, UTC by default). Firing hands the message to `send(job)`,
+// which queues it in the outbox, so rate limits, retries and receipts work
+// as for any other send. Jobs only fire while connected. A fire that comes
+// more than `graceMs` late (the bridge was down or disconnected) is missed
+// and handled by the job's `missed_policy`:
+//
+//   fire_once - send once now, however many occurrences were missed
+//   skip      - drop it; a one-off job ends as `missed`, a recurring one
+//               waits for its next occurrence
+class Scheduler {
+  constructor({
+    storage,
+    send,
+    isConnected,
+    onUpdate = () => {},
+    missedPolicy = 'fire_once',
+    graceMs = 60000,
+  }) {
+    this.storage = storage;
+    this.send = send;
+    this.isConnected = isConnected;
+    this.onUpdate = onUpdate;
+    this.missedPolicy = MISSED_POLICIES.includes(missedPolicy) ? missedPolicy : 'fire_once';
+    this.graceMs = graceMs;
+
+    this.jobs = new Map();
+    this.timer = null;
+
+    this.load();
+  }
+
+  load() {
+    try {
+      for (const job of this.storage.readDocument(SCHEDULED_DOCUMENT) || []) {
+        this.jobs.set(job.id, job);
+      }
+      log.info({ jobs: this.jobs.size, scheduled: this.list({ status: 'scheduled' }).length }, 'Loaded scheduled jobs');
+    } catch (err) {
+      log.error({ err: err.message }, 'Failed to load scheduled jobs');
+    }
+  }
+
+  // Persist all jobs, dropping finished ones past the retention window
+  save() {
+    const cutoff = Date.now() - FINISHED_RETENTION;
+    for (const [id, job] of this.jobs) {
+      if (job.status !== 'scheduled' && Date.parse(job.updated_at) < cutoff) this.jobs.delete(id);
+    }
+
+    try {
+      this.storage.writeDocument(SCHEDULED_DOCUMENT, Array.from(this.jobs.values()));
+    } catch (err) {
+      log.error({ err: err.message }, 'Failed to write scheduled jobs');
+    }
+  }
+
+  // Schedule `payload` (as for POST /messages/send) for `send_at` or on `cron`
+  create(chatJid, payload, { send_at, cron, timezone = 'UTC', missed_policy } = {}) {
+    if ((send_at === undefined) === (cron === undefined)) {
+      throw scheduleError('Exactly one of send_at or cron is required');
+    }
+    if (!isValidTimeZone(timezone)) throw scheduleError(`Unknown timezone: ${timezone}`);
+    if (missed_policy !== undefined && !MISSED_POLICIES.includes(missed_policy)) {
+      throw scheduleError(`missed_policy must be one of ${MISSED_POLICIES.join(', ')}`);
+    }
+
+    const now = Date.now();
+    let nextRunAt;
+    if (send_at !== undefined) {
+      nextRunAt = Date.parse(send_at);
+      if (Number.isNaN(nextRunAt)) throw scheduleError('send_at must be an ISO 8601 timestamp');
+      if (nextRunAt < now - this.graceMs) throw scheduleError('send_at is in the past');
+    } else {
+      nextRunAt = nextRun(parseCron(cron), now, timezone);
+      if (nextRunAt === null) throw scheduleError(`cron never matches: ${cron}`);
+    }
+
+    const timestamp = new Date(now).toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      chat_jid: chatJid,
+      payload,
+      send_at: send_at !== undefined ? new Date(nextRunAt).toISOString() : null,
+      cron: cron !== undefined ? cron.trim() : null,
+      timezone,
+      missed_policy: missed_policy || null,
+      status: 'scheduled',
+      next_run_at: new Date(nextRunAt).toISOString(),
+      last_run_at: null,
+      runs: 0,
+      missed_runs: 0,
+      last_outbox_id: null,
+      error: null,
+      created_at: timestamp,
+      updated_at: timestamp,
+    };
+
+    this.jobs.set(job.id, job);
+    this.save();
+    this.kick();
+    return job;
+  }
+
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  list({ status, chatJid } = {}) {
+    return Array.from(this.jobs.values())
+      .filter(job => (!status || job.status === status) && (!chatJid || job.chat_jid === chatJid))
+      .sort((a, b) => (a.next_run_at || a.updated_at).localeCompare(b.next_run_at || b.updated_at));
+  }
+
+  // Stop a scheduled job; returns null if it is unknown, the job as is if it already ended
+  cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job || job.status !== 'scheduled') return job || null;
+
+    this.finish(job, 'cancelled');
+    this.save();
+    this.kick();
+    return job;
+  }
+
+  // Fire whatever is due (on create, on connect, on the timer)
+  kick() {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.process(), 0);
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  process() {
+    this.timer = null;
+    if (!this.isConnected()) return;
+
+    const now = Date.now();
+    let changed = false;
+    for (const job of this.list({ status: 'scheduled' })) {
+      if (Date.parse(job.next_run_at) > now) break;
+      this.run(job, now);
+      changed = true;
+    }
+    if (changed) this.save();
+    this.scheduleNext();
+  }
+
+  run(job, now) {
+    const late = now - Date.parse(job.next_run_at) > this.graceMs;
+    const policy = job.missed_policy || this.missedPolicy;
+
+    if (late) {
+      job.missed_runs++;
+      log.warn({ job_id: job.id, due_at: job.next_run_at, policy }, 'Scheduled job missed its run');
+    }
+
+    let outcome = 'missed';
+    if (!late || policy === 'fire_once') {
+      try {
+        const outboxJob = this.send(job);
+        job.runs++;
+        job.last_run_at = new Date(now).toISOString();
+        job.last_outbox_id = outboxJob.id;
+        job.error = null;
+        outcome = 'completed';
+      } catch (err) {
+        job.error = err.message;
+        outcome = 'failed';
+        log.error({ job_id: job.id, err: err.message }, 'Scheduled job could not be queued');
+      }
+    }
+
+    // Recurring jobs continue from now: missed occurrences in between are not repeated
+    const next = job.cron ? nextRun(parseCron(job.cron), now, job.timezone) : null;
+    if (next !== null) {
+      job.next_run_at = new Date(next).toISOString();
+      job.updated_at = new Date(now).toISOString();
+      this.onUpdate(job);
+    } else {
+      this.finish(job, outcome);
+    }
+  }
+
+  finish(job, status) {
+    job.status = status;
+    job.next_run_at = null;
+    job.updated_at = new Date().toISOString();
+    this.onUpdate(job);
+  }
+
+  scheduleNext() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (!this.isConnected()) return;
+
+    const [next] = this.list({ status: 'scheduled' });
+    if (!next) return;
+    const delay = Math.max(0, Math.min(Date.parse(next.next_run_at) - Date.now(), MAX_TIMER_MS));
+    this.timer = setTimeout(() => this.process(), delay);
+  }
+
+  getStatus() {
+    const [next] = this.list({ status: 'scheduled' });
+    const counts = {};
+    for (const job of this.jobs.values()) {
+      counts[job.status] = (counts[job.status] || 0) + 1;
+    }
+    return { ...counts, next_run_at: next?.next_run_at || null };
+  }
+}
+
+function scheduleError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+export default Scheduler;
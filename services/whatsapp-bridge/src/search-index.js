@@ -0,0 +1,186 @@
+// Record types that never show up in search results on their own: edits and
+// revokes are applied to their target, reactions and votes carry no text
+const UNSEARCHABLE_TYPES = new Set(['edit', 'revoke', 'reaction', 'poll_vote']);
+
+// Words are runs of letters and digits (combining marks included, so "é"
+// written as e + U+0301 stays one word)
+const WORD_PATTERN = /[\p{L}\p{N}][\p{L}\p{N}\p{M}]*/gu;
+
+// A query word shorter than this only matches whole words
+const MIN_PREFIX_LENGTH = 2;
+const PREFIX_WEIGHT = 0.5;
+const PHRASE_BOOST = 1.5;
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+const SNIPPET_LENGTH = 160;
+const SNIPPET_CONTEXT = 40;
+
+// Case- and diacritic-insensitive form of a word: "Ñandú" -> "nandu"
+export function normalizeWord(word) {
+  return word.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+}
+
+// Words of a text with their offsets in it
+export function tokenize(text) {
+  const words = [];
+  for (const match of (text || '').matchAll(WORD_PATTERN)) {
+    const token = normalizeWord(match[0]);
+    if (token) words.push({ token, start: match.index, end: match.index + match[0].length });
+  }
+  return words;
+}
+
+// The text a message is searched by: its content, plus a document's file name
+export function searchableText(message) {
+  return [message.content, message.media?.file_name].filter(Boolean).join('\n');
+}
+
+// In-memory inverted index over stored messages, for GET /search.
+//
+// Every query word has to match (exact words, or word prefixes for words of
+// two letters or more, which count for less). Matches are ranked with BM25,
+// boosted when the query words appear as a phrase, and newest first on ties.
+// Messages are indexed by object identity so the chat store can re-index a
+// message in place when an edit changes its content.
+class SearchIndex {
+  constructor() {
+    this.postings = new Map(); // token -> Map<message, count>
+    this.documents = new Map(); // message -> { tokens: string[], text }
+    this.totalLength = 0;
+  }
+
+  get size() {
+    return this.documents.size;
+  }
+
+  // Index a message, or re-index it after its content changed
+  add(message) {
+    this.remove(message);
+    if (UNSEARCHABLE_TYPES.has(message.message_type) || message.is_deleted) return;
+
+    const text = searchableText(message);
+    const tokens = tokenize(text).map(word => word.token);
+    if (tokens.length === 0) return;
+
+    this.documents.set(message, { tokens, text });
+    this.totalLength += tokens.length;
+    for (const token of tokens) {
+      let posting = this.postings.get(token);
+      if (!posting) {
+        posting = new Map();
+        this.postings.set(token, posting);
+      }
+      posting.set(message, (posting.get(message) || 0) + 1);
+    }
+  }
+
+  remove(message) {
+    const document = this.documents.get(message);
+    if (!document) return;
+
+    this.documents.delete(message);
+    this.totalLength -= document.tokens.length;
+    for (const token of new Set(document.tokens)) {
+      const posting = this.postings.get(token);
+      posting.delete(message);
+      if (posting.size === 0) this.postings.delete(token);
+    }
+  }
+
+  // Ranked matches for `query` among messages accepted by `filter`, as
+  // { message, score, snippet, highlights } with highlights as
+  // [start, end] offsets into the snippet
+  search(query, { filter = () => true } = {}) {
+    const queryTokens = [...new Set(tokenize(query).map(word => word.token))];
+    if (queryTokens.length === 0) return [];
+
+    const weights = queryTokens.map(token => this.matchWeights(token));
+    // Intersect, starting from the rarest word
+    const [rarest, ...others] = [...weights].sort((a, b) => a.size - b.size);
+    const candidates = [...rarest.keys()].filter(message =>
+      others.every(weight => weight.has(message)) && filter(message)
+    );
+
+    const averageLength = this.totalLength / this.documents.size;
+    const results = candidates.map(message => {
+      const { tokens, text } = this.documents.get(message);
+      let score = 0;
+      for (const weight of weights) {
+        const idf = Math.log(1 + (this.documents.size - weight.size + 0.5) / (weight.size + 0.5));
+        const tf = weight.get(message);
+        score += idf * (tf * (K1 + 1)) / (tf + K1 * (1 - B + B * tokens.length / averageLength));
+      }
+      if (queryTokens.length > 1 && containsPhrase(tokens, queryTokens)) score *= PHRASE_BOOST;
+      return { message, score: Math.round(score * 1000) / 1000, ...snippet(text, queryTokens) };
+    });
+
+    return results.sort((a, b) =>
+      b.score - a.score || Date.parse(b.message.timestamp) - Date.parse(a.message.timestamp)
+    );
+  }
+
+  // message -> weighted term frequency for one query word
+  matchWeights(queryToken) {
+    const weights = new Map();
+    const addPosting = (posting, weight) => {
+      for (const [message, count] of posting) {
+        weights.set(message, (weights.get(message) || 0) + count * weight);
+      }
+    };
+
+    const exact = this.postings.get(queryToken);
+    if (exact) addPosting(exact, 1);
+    if (queryToken.length >= MIN_PREFIX_LENGTH) {
+      for (const [token, posting] of this.postings) {
+        if (token !== queryToken && token.startsWith(queryToken)) addPosting(posting, PREFIX_WEIGHT);
+      }
+    }
+    return weights;
+  }
+}
+
+function matchesQuery(token, queryTokens) {
+  return queryTokens.some(queryToken =>
+    token === queryToken || (queryToken.length >= MIN_PREFIX_LENGTH && token.startsWith(queryToken))
+  );
+}
+
+function containsPhrase(tokens, queryTokens) {
+  for (let i = 0; i + queryTokens.length <= tokens.length; i++) {
+    if (queryTokens.every((queryToken, j) => tokens[i + j] === queryToken)) return true;
+  }
+  return false;
+}
+
+// A window of the text around the first match, cut at word boundaries
+function snippet(text, queryTokens) {
+  const matches = tokenize(text).filter(word => matchesQuery(word.token, queryTokens));
+  const first = matches[0]?.start ?? 0;
+
+  let start = 0;
+  let end = text.length;
+  if (text.length > SNIPPET_LENGTH) {
+    start = Math.max(0, Math.min(first - SNIPPET_CONTEXT, text.length - SNIPPET_LENGTH));
+    if (start > 0) {
+      const space = text.indexOf(' ', start);
+      start = space !== -1 && space < first ? space + 1 : start;
+    }
+    end = Math.min(text.length, start + SNIPPET_LENGTH);
+    if (end < text.length) {
+      const space = text.lastIndexOf(' ', end);
+      end = space > first ? space : end;
+    }
+  }
+
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+  const highlights = matches
+    .filter(word => word.start >= start && word.end <= end)
+    .map(word => [word.start - start + prefix.length, word.end - start + prefix.length]);
+  return { snippet: prefix + text.slice(start, end) + suffix, highlights };
+}
+
+export default SearchIndex;
@@ -0,0 +1,164 @@
+import fs from 'fs';
+import path from 'path';
+import { EventEmitter } from 'events';
+import BaileysClient from './baileys.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('sessions');
+
+export const DEFAULT_SESSION = 'default';
+
+const SESSION_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/i;
+
+// Named WhatsApp sessions (one linked account each) running in one bridge.
+//
+// The default session keeps the bridge's original layout (auth/ and store/ in
+// the root directory, both git-ignored) so existing installs carry on unchanged.
+// Other sessions live under sessions/<id>/ and are listed in
+// sessions/sessions.json so they are restarted with the bridge.
+//
+// Emits 'event' ({ session, type, data }) for every event of every session.
+class SessionManager extends EventEmitter {
+  constructor({ rootDir, createClient = options => new BaileysClient(options) }) {
+    super();
+    this.rootDir = rootDir;
+    this.sessionsDir = path.join(rootDir, 'sessions');
+    this.registryFile = path.join(this.sessionsDir, 'sessions.json');
+    this.createClient = createClient;
+    this.sessions = new Map();
+  }
+
+  loadRegistry() {
+    try {
+      if (!fs.existsSync(this.registryFile)) return [];
+      return JSON.parse(fs.readFileSync(this.registryFile, 'utf8'));
+    } catch (err) {
+      log.error({ err: err.message }, 'Failed to load session registry');
+      return [];
+    }
+  }
+
+  saveRegistry() {
+    const entries = Array.from(this.sessions.values())
+      .filter(session => session.id !== DEFAULT_SESSION)
+      .map(({ id, created_at }) => ({ id, created_at }));
+
+    try {
+      fs.mkdirSync(this.sessionsDir, { recursive: true });
+      const tmpFile = `${this.registryFile}.tmp`;
+      fs.writeFileSync(tmpFile, JSON.stringify(entries, null, 2));
+      fs.renameSync(tmpFile, this.registryFile);
+    } catch (err) {
+      log.error({ err: err.message }, 'Failed to write session registry');
+    }
+  }
+
+  // Start the default session and every registered one. A named session that
+  // fails to connect is logged and left disconnected; the default must connect.
+  async start() {
+    await this.open(DEFAULT_SESSION, { dataDir: this.rootDir });
+
+    for (const { id, created_at } of this.loadRegistry()) {
+      try {
+        await this.open(id, { dataDir: this.dataDirFor(id), created_at });
+      } catch (err) {
+        log.error({ session: id, err: err.message }, 'Failed to start session');
+      }
+    }
+  }
+
+  dataDirFor(id) {
+    return path.join(this.sessionsDir, id);
+  }
+
+  // The session is listed while it connects, which keeps its id taken; one
+  // that fails to connect is closed and removed again
+  async open(id, { dataDir, created_at = new Date().toISOString() }) {
+    const client = this.createClient({ id, dataDir });
+    client.on('event', ({ type, data }) => this.emit('event', { session: id, type, data }));
+
+    const session = { id, client, created_at };
+    this.sessions.set(id, session);
+    try {
+      await client.connect();
+    } catch (err) {
+      this.sessions.delete(id);
+      await client.close().catch(closeErr => {
+        log.error({ session: id, err: closeErr.message }, 'Failed to close session');
+      });
+      throw err;
+    }
+    return session;
+  }
+
+  // Create and connect a new named session; it starts in the QR flow
+  async create(id) {
+    if (typeof id !== 'string' || !SESSION_ID_PATTERN.test(id)) {
+      throw sessionError('Session id must be 1-32 letters, digits, "-" or "_"', 400);
+    }
+    if (this.sessions.has(id)) {
+      throw sessionError(`Session ${id} already exists`, 409);
+    }
+
+    const session = await this.open(id, { dataDir: this.dataDirFor(id) });
+    this.saveRegistry();
+    log.info({ session: id }, 'Created session');
+    return session;
+  }
+
+  // Log a named session out of WhatsApp and delete its data
+  async delete(id) {
+    if (id === DEFAULT_SESSION) {
+      throw sessionError('The default session cannot be deleted', 400);
+    }
+    const session = this.sessions.get(id);
+    if (!session) {
+      throw sessionError(`Session ${id} not found`, 404);
+    }
+
+    await session.client.close({ logout: true });
+    this.sessions.delete(id);
+    this.saveRegistry();
+    fs.rmSync(this.dataDirFor(id), { recursive: true, force: true });
+    log.info({ session: id }, 'Deleted session');
+  }
+
+  get(id) {
+    return this.sessions.get(id) || null;
+  }
+
+  get default() {
+    return this.sessions.get(DEFAULT_SESSION);
+  }
+
+  describe(session) {
+    const { status, connected, has_qr, buffered_messages, history_sync_complete } = session.client.getStatus();
+    return {
+      id: session.id,
+      created_at: session.created_at,
+      status,
+      connected,
+      has_qr,
+      buffered_messages,
+      history_sync_complete,
+    };
+  }
+
+  list() {
+    return Array.from(this.sessions.values()).map(session => this.describe(session));
+  }
+
+  async closeAll() {
+    for (const session of this.sessions.values()) {
+      await session.client.close();
+    }
+  }
+}
+
+function sessionError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+export default SessionManager;
@@ -0,0 +1,77 @@
+import { Router } from 'express';
+import createRoutes from './routes.js';
+import { DEFAULT_SESSION } from './session-manager.js';
+import { apiError, sendError } from './errors.js';
+import { buildOpenApi, validate } from './openapi.js';
+
+// Session management plus dispatch of session-scoped routes.
+//
+//   /api/openapi.json       the API contract (see openapi.js)
+//   /api/sessions/...       create, list and delete sessions
+//   /api/sessions/:id/...   any client route, for that session
+//   /api/...                any client route, for the default session
+export default function createSessionRoutes(sessions, eventHub, auth) {
+  const router = Router();
+  const read = auth.requireScope('read');
+  const admin = auth.requireScope('admin');
+  const openApi = buildOpenApi();
+
+  // One client router per session, built on first use
+  const routers = new Map();
+  const routerFor = (session) => {
+    if (!routers.has(session.id)) {
+      routers.set(session.id, createRoutes(session.client, eventHub, auth));
+    }
+    return routers.get(session.id);
+  };
+
+  router.get('/openapi.json', read, (req, res) => {
+    res.json(openApi);
+  });
+
+  router.get('/sessions', read, (req, res) => {
+    const list = sessions.list();
+    res.json({ sessions: list, count: list.length });
+  });
+
+  // Create a session; scan its QR from GET /api/sessions/:id/qr
+  router.post('/sessions', admin, validate, async (req, res) => {
+    try {
+      const session = await sessions.create(req.body.id);
+      res.status(201).json(sessions.describe(session));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  router.get('/sessions/:id', read, (req, res) => {
+    const session = sessions.get(req.params.id);
+    if (!session) {
+      return sendError(res, apiError('not_found', 'Session not found'));
+    }
+    res.json(sessions.describe(session));
+  });
+
+  // Log the session out of WhatsApp and delete its auth state, buffer and stores
+  router.delete('/sessions/:id', admin, async (req, res) => {
+    try {
+      await sessions.delete(req.params.id);
+      routers.delete(req.params.id);
+      res.json({ success: true, id: req.params.id });
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  router.use('/sessions/:id', (req, res, next) => {
+    const session = sessions.get(req.params.id);
+    if (!session) {
+      return sendError(res, apiError('not_found', 'Session not found'));
+    }
+    routerFor(session)(req, res, next);
+  });
+
+  router.use((req, res, next) => routerFor(sessions.get(DEFAULT_SESSION))(req, res, next));
+
+  return router;
+}
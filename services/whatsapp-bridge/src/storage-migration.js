@@ -0,0 +1,81 @@
+import fs from 'fs';
+import path from 'path';
+import { FileStorage } from './storage.js';
+import { AUTH_PREFIX } from './auth-state.js';
+import MessageLog from './message-log.js';
+import { MEDIA_PREFIX } from './media-store.js';
+import { dataPaths } from './baileys.js';
+
+// Bridge state that lives in storage: every record under these prefixes,
+// and these documents
+const STATE_PREFIXES = [AUTH_PREFIX, 'store/buffer/', 'store/messages/', MEDIA_PREFIX];
+const STATE_DOCUMENTS = [
+  'store/buffer.cursors',
+  'store/chats',
+  'store/contacts',
+  'store/outbox',
+  'store/scheduled',
+  'store/filters',
+];
+
+// Move a data directory's file-based state (auth/, store/buffer/, a legacy
+// buffer.jsonl, store/messages/, chats and contacts, the outbox, scheduled
+// jobs, privacy rules and store/media/) into `target`.
+//
+// When `target` is a file storage on `dataDir` itself, every record is
+// rewritten in place, which encrypts it when the target has a key. Otherwise
+// the files are read (with `key` if they were encrypted) and deleted once
+// copied, unless `keep` is set. Safe to run again; copies replace records.
+// Returns { documents, logs, blobs, legacy_buffer } counts of what was moved.
+export function migrateStorage({ dataDir, target, key = null, keep = false }) {
+  const inPlace = target instanceof FileStorage && path.resolve(target.dir) === path.resolve(dataDir);
+  const source = inPlace ? target : openFiles(dataDir, key);
+  const moved = { documents: 0, logs: 0, blobs: 0, legacy_buffer: false };
+
+  const documents = [
+    ...STATE_PREFIXES.flatMap(prefix => source.listDocuments(prefix)),
+    ...STATE_DOCUMENTS,
+  ];
+  const logs = STATE_PREFIXES.flatMap(prefix => source.listLogs(prefix));
+  const blobs = source.listBlobs(MEDIA_PREFIX);
+
+  target.transaction(() => {
+    for (const name of documents) {
+      const value = source.readDocument(name);
+      if (value === null) continue;
+      target.writeDocument(name, value);
+      moved.documents++;
+    }
+    for (const name of logs) {
+      target.writeLog(name, [...source.readLog(name)]);
+      moved.logs++;
+    }
+    for (const name of blobs) {
+      target.writeBlob(name, source.readBlob(name));
+      moved.blobs++;
+    }
+  });
+
+  if (!inPlace && !keep) {
+    for (const prefix of STATE_PREFIXES) source.deletePrefix(prefix);
+    for (const name of STATE_DOCUMENTS) source.deleteDocument(name);
+  }
+
+  // The pre-segment buffer file moves through MessageLog, which assigns seqs
+  const { legacyBufferFile: legacyLogFile } = dataPaths(dataDir);
+  if (fs.existsSync(legacyLogFile)) {
+    new MessageLog({ storage: target, legacyLogFile, compactIntervalMs: 0 });
+    moved.legacy_buffer = !fs.existsSync(legacyLogFile);
+  }
+
+  return moved;
+}
+
+// The data directory as a file storage; an encrypted one needs `key`
+function openFiles(dataDir, key) {
+  try {
+    return new FileStorage({ dir: dataDir });
+  } catch {
+    return new FileStorage({ dir: dataDir, key });
+  }
+}
@@ -0,0 +1,550 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import { StringDecoder } from 'string_decoder';
+
+export const STORAGE_BACKENDS = ['file', 'sqlite'];
+
+const READ_CHUNK_SIZE = 64 * 1024;
+// Encrypted records are "enc:v1:" + base64(iv | auth tag | ciphertext)
+const ENCRYPTED_PREFIX = 'enc:v1:';
+// Encrypted blobs carry the same prefix as raw bytes, then iv | auth tag | ciphertext
+const ENCRYPTED_BLOB_PREFIX = Buffer.from(ENCRYPTED_PREFIX);
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const SALT_LENGTH = 16;
+// Encrypted when encryption is first enabled, so a wrong key fails on open
+const KEY_CHECK = 'whatsapp-bridge-storage';
+// The store's own settings (encryption salt and key check), never encrypted.
+// Like all bridge state they live under store/ (or auth/) of the data directory.
+const META_DOCUMENT = 'store/storage';
+const SQLITE_FILE = path.join('store', 'storage.db');
+
+const SQLITE_SCHEMA = `
+  CREATE TABLE IF NOT EXISTS documents (
+    name TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS log_entries (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    log TEXT NOT NULL,
+    value TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS log_entries_log ON log_entries (log, id);
+  CREATE TABLE IF NOT EXISTS blobs (
+    name TEXT PRIMARY KEY,
+    value BLOB NOT NULL
+  );
+`;
+
+// Persistent bridge state (auth credentials and keys, the message buffer,
+// chat history and metadata, outbox, scheduled jobs, privacy rules and
+// media) behind one interface, so it can live in plain files or in an
+// embedded SQLite database.
+//
+// Records are addressed by slash-separated names and come in three kinds:
+// documents, a single JSON value replaced atomically; logs, an append-only
+// sequence of JSON values; and blobs, binary content such as media files.
+// Listing takes a directory-like prefix ('auth/') and only returns names
+// directly under it, except for blobs, which are listed at any depth. The
+// API is synchronous like the fs calls it replaces.
+//
+// Given a key, every document, log line and blob is encrypted with
+// AES-256-GCM under a key derived (scrypt) from the secret and a per-store
+// salt. Plaintext written before encryption was enabled stays readable and
+// is encrypted when next rewritten; `npm run migrate-storage` rewrites it all.
+//
+// Backends implement the raw operations: readText / writeText / deleteText /
+// listTexts for documents, readLines / appendLines / writeLines / deleteLines
+// / listLines for logs, readBytes / writeBytes / deleteBytes / listBytes for
+// blobs, plus deletePrefix, transaction and close.
+export class Storage {
+  constructor() {
+    this.cipher = null;
+  }
+
+  get encrypted() {
+    return this.cipher !== null;
+  }
+
+  // Derive the cipher from `secret`, checking it against (or recording it in)
+  // the store's settings. Called by backends once they are ready.
+  setupEncryption(secret) {
+    const meta = this.readMeta();
+
+    if (!secret) {
+      if (meta.encryption) {
+        throw new Error('Storage is encrypted; set WHATSAPP_STORAGE_KEY or WHATSAPP_STORAGE_KEY_FILE');
+      }
+      return;
+    }
+
+    if (meta.encryption) {
+      this.cipher = new Cipher(secret, Buffer.from(meta.encryption.salt, 'base64'));
+      let check;
+      try {
+        check = this.cipher.decrypt(meta.encryption.check);
+      } catch {
+        check = null;
+      }
+      if (check !== KEY_CHECK) {
+        this.cipher = null;
+        throw new Error('Storage key does not match the key this store was encrypted with');
+      }
+      return;
+    }
+
+    const salt = crypto.randomBytes(SALT_LENGTH);
+    this.cipher = new Cipher(secret, salt);
+    this.writeMeta({
+      ...meta,
+      encryption: {
+        cipher: 'aes-256-gcm',
+        kdf: 'scrypt',
+        salt: salt.toString('base64'),
+        check: this.cipher.encrypt(KEY_CHECK),
+      },
+    });
+  }
+
+  readMeta() {
+    const text = this.readText(META_DOCUMENT);
+    return text ? JSON.parse(text) : {};
+  }
+
+  writeMeta(meta) {
+    this.writeText(META_DOCUMENT, JSON.stringify(meta, null, 2));
+  }
+
+  encode(text) {
+    return this.cipher ? this.cipher.encrypt(text) : text;
+  }
+
+  decode(text) {
+    if (!text.startsWith(ENCRYPTED_PREFIX)) return text;
+    if (!this.cipher) throw new Error('Encrypted record but no storage key');
+    return this.cipher.decrypt(text);
+  }
+
+  encodeBytes(bytes) {
+    return this.cipher ? Buffer.concat([ENCRYPTED_BLOB_PREFIX, this.cipher.seal(bytes)]) : bytes;
+  }
+
+  decodeBytes(bytes) {
+    if (!bytes.subarray(0, ENCRYPTED_BLOB_PREFIX.length).equals(ENCRYPTED_BLOB_PREFIX)) return bytes;
+    if (!this.cipher) throw new Error('Encrypted record but no storage key');
+    return this.cipher.open(bytes.subarray(ENCRYPTED_BLOB_PREFIX.length));
+  }
+
+  // The document's value, or null if there is none
+  readDocument(name, { reviver } = {}) {
+    const text = this.readText(name);
+    return text === null ? null : JSON.parse(this.decode(text), reviver);
+  }
+
+  writeDocument(name, value, { replacer } = {}) {
+    this.writeText(name, this.encode(JSON.stringify(value, replacer)));
+  }
+
+  deleteDocument(name) {
+    this.deleteText(name);
+  }
+
+  listDocuments(prefix = '') {
+    return directChildren(this.listTexts(prefix), prefix);
+  }
+
+  // Yield a log's values in order, skipping lines that do not decode
+  *readLog(name) {
+    for (const line of this.readLines(name)) {
+      let value;
+      try {
+        value = JSON.parse(this.decode(line));
+      } catch {
+        continue;
+      }
+      yield value;
+    }
+  }
+
+  appendLog(name, value) {
+    this.appendLines(name, [this.encode(JSON.stringify(value))]);
+  }
+
+  // Atomically replace a log's contents
+  writeLog(name, values) {
+    this.writeLines(name, values.map(value => this.encode(JSON.stringify(value))));
+  }
+
+  deleteLog(name) {
+    this.deleteLines(name);
+  }
+
+  listLogs(prefix = '') {
+    return directChildren(this.listLines(prefix), prefix);
+  }
+
+  // The blob's content as a Buffer, or null if there is none
+  readBlob(name) {
+    const bytes = this.readBytes(name);
+    return bytes === null ? null : this.decodeBytes(bytes);
+  }
+
+  writeBlob(name, bytes) {
+    this.writeBytes(name, this.encodeBytes(bytes));
+  }
+
+  deleteBlob(name) {
+    this.deleteBytes(name);
+  }
+
+  // Every blob under `prefix`, however deeply nested
+  listBlobs(prefix = '') {
+    return this.listBytes(prefix).sort();
+  }
+
+  transaction(fn) {
+    return fn();
+  }
+
+  close() {}
+}
+
+// Documents as <dir>/<name>.json, logs as <dir>/<name>.jsonl and blobs as
+// <dir>/<name>: the layout the bridge used before storage was pluggable, so
+// existing data directories (auth/, store/, store/media/) are read as they are.
+export class FileStorage extends Storage {
+  constructor({ dir, key = null }) {
+    super();
+    this.dir = dir;
+    fs.mkdirSync(this.dir, { recursive: true });
+    this.setupEncryption(key);
+  }
+
+  documentFile(name) {
+    return path.join(this.dir, `${name}.json`);
+  }
+
+  logFile(name) {
+    return path.join(this.dir, `${name}.jsonl`);
+  }
+
+  blobFile(name) {
+    return path.join(this.dir, name);
+  }
+
+  ensureDir(file) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+  }
+
+  readText(name) {
+    try {
+      return fs.readFileSync(this.documentFile(name), 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  }
+
+  writeText(name, text) {
+    const file = this.documentFile(name);
+    this.ensureDir(file);
+    writeAtomic(file, text);
+  }
+
+  deleteText(name) {
+    fs.rmSync(this.documentFile(name), { force: true });
+  }
+
+  listTexts(prefix) {
+    return this.namesIn(prefix, '.json');
+  }
+
+  *readLines(name) {
+    const file = this.logFile(name);
+    if (fs.existsSync(file)) yield* readLines(file);
+  }
+
+  appendLines(name, lines) {
+    const file = this.logFile(name);
+    this.ensureDir(file);
+    fs.appendFileSync(file, lines.map(line => line + '\n').join(''));
+  }
+
+  writeLines(name, lines) {
+    const file = this.logFile(name);
+    this.ensureDir(file);
+    writeAtomic(file, lines.map(line => line + '\n').join(''));
+  }
+
+  deleteLines(name) {
+    fs.rmSync(this.logFile(name), { force: true });
+  }
+
+  listLines(prefix) {
+    return this.namesIn(prefix, '.jsonl');
+  }
+
+  readBytes(name) {
+    try {
+      return fs.readFileSync(this.blobFile(name));
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  }
+
+  writeBytes(name, bytes) {
+    const file = this.blobFile(name);
+    this.ensureDir(file);
+    writeAtomic(file, bytes);
+  }
+
+  deleteBytes(name) {
+    fs.rmSync(this.blobFile(name), { force: true });
+  }
+
+  // Files at any depth that are not documents, logs or unfinished writes
+  listBytes(prefix) {
+    const dir = path.join(this.dir, prefix);
+    let files;
+    try {
+      files = fs.readdirSync(dir, { recursive: true });
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+    return files
+      .filter(file => !/\.(json|jsonl|tmp)$/.test(file) && fs.statSync(path.join(dir, file)).isFile())
+      .map(file => prefix + file.split(path.sep).join('/'));
+  }
+
+  deletePrefix(prefix) {
+    fs.rmSync(path.join(this.dir, prefix), { recursive: true, force: true });
+  }
+
+  namesIn(prefix, extension) {
+    let files;
+    try {
+      files = fs.readdirSync(path.join(this.dir, prefix));
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+    return files
+      .filter(file => file.endsWith(extension))
+      .map(file => prefix + file.slice(0, -extension.length));
+  }
+}
+
+// Everything in one SQLite database (better-sqlite3, loaded on first use so
+// file-backed installs do not need the native module).
+export class SQLiteStorage extends Storage {
+  constructor({ file, key = null }) {
+    super();
+    const Database = loadSqlite();
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+
+    this.file = file;
+    this.db = new Database(file);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(SQLITE_SCHEMA);
+    this.statements = {
+      readText: this.db.prepare('SELECT value FROM documents WHERE name = ?').pluck(),
+      writeText: this.db.prepare(
+        'INSERT INTO documents (name, value) VALUES (?, ?) ON CONFLICT (name) DO UPDATE SET value = excluded.value'
+      ),
+      deleteText: this.db.prepare('DELETE FROM documents WHERE name = ?'),
+      listTexts: this.db.prepare('SELECT name FROM documents WHERE substr(name, 1, length($prefix)) = $prefix').pluck(),
+      deleteTexts: this.db.prepare('DELETE FROM documents WHERE substr(name, 1, length($prefix)) = $prefix'),
+      readLines: this.db.prepare('SELECT value FROM log_entries WHERE log = ? ORDER BY id').pluck(),
+      appendLine: this.db.prepare('INSERT INTO log_entries (log, value) VALUES (?, ?)'),
+      deleteLines: this.db.prepare('DELETE FROM log_entries WHERE log = ?'),
+      listLines: this.db.prepare(
+        'SELECT DISTINCT log FROM log_entries WHERE substr(log, 1, length($prefix)) = $prefix'
+      ).pluck(),
+      deleteLogs: this.db.prepare('DELETE FROM log_entries WHERE substr(log, 1, length($prefix)) = $prefix'),
+      readBytes: this.db.prepare('SELECT value FROM blobs WHERE name = ?').pluck(),
+      writeBytes: this.db.prepare(
+        'INSERT INTO blobs (name, value) VALUES (?, ?) ON CONFLICT (name) DO UPDATE SET value = excluded.value'
+      ),
+      deleteBytes: this.db.prepare('DELETE FROM blobs WHERE name = ?'),
+      listBytes: this.db.prepare('SELECT name FROM blobs WHERE substr(name, 1, length($prefix)) = $prefix').pluck(),
+      deleteBlobs: this.db.prepare('DELETE FROM blobs WHERE substr(name, 1, length($prefix)) = $prefix'),
+    };
+
+    try {
+      this.setupEncryption(key);
+    } catch (err) {
+      this.db.close();
+      throw err;
+    }
+  }
+
+  readText(name) {
+    return this.statements.readText.get(name) ?? null;
+  }
+
+  writeText(name, text) {
+    this.statements.writeText.run(name, text);
+  }
+
+  deleteText(name) {
+    this.statements.deleteText.run(name);
+  }
+
+  listTexts(prefix) {
+    return this.statements.listTexts.all({ prefix });
+  }
+
+  readLines(name) {
+    return this.statements.readLines.all(name);
+  }
+
+  appendLines(name, lines) {
+    this.transaction(() => {
+      for (const line of lines) this.statements.appendLine.run(name, line);
+    });
+  }
+
+  writeLines(name, lines) {
+    this.transaction(() => {
+      this.statements.deleteLines.run(name);
+      for (const line of lines) this.statements.appendLine.run(name, line);
+    });
+  }
+
+  deleteLines(name) {
+    this.statements.deleteLines.run(name);
+  }
+
+  listLines(prefix) {
+    return this.statements.listLines.all({ prefix });
+  }
+
+  readBytes(name) {
+    return this.statements.readBytes.get(name) ?? null;
+  }
+
+  writeBytes(name, bytes) {
+    this.statements.writeBytes.run(name, bytes);
+  }
+
+  deleteBytes(name) {
+    this.statements.deleteBytes.run(name);
+  }
+
+  listBytes(prefix) {
+    return this.statements.listBytes.all({ prefix });
+  }
+
+  deletePrefix(prefix) {
+    this.transaction(() => {
+      this.statements.deleteTexts.run({ prefix });
+      this.statements.deleteLogs.run({ prefix });
+      this.statements.deleteBlobs.run({ prefix });
+    });
+  }
+
+  transaction(fn) {
+    return this.db.transaction(fn)();
+  }
+
+  close() {
+    if (this.db.open) this.db.close();
+  }
+}
+
+// Open a data directory's storage as configured by the environment:
+//   WHATSAPP_STORAGE           'file' (default) or 'sqlite'
+//   WHATSAPP_STORAGE_KEY       secret to encrypt records with
+//   WHATSAPP_STORAGE_KEY_FILE  file holding that secret instead
+export function openStorage(dataDir, env = process.env) {
+  const backend = env.WHATSAPP_STORAGE || 'file';
+  const key = storageKey(env);
+
+  if (backend === 'file') return new FileStorage({ dir: dataDir, key });
+  if (backend === 'sqlite') return new SQLiteStorage({ file: path.join(dataDir, SQLITE_FILE), key });
+  throw new Error(`WHATSAPP_STORAGE must be one of: ${STORAGE_BACKENDS.join(', ')}`);
+}
+
+// The encryption secret configured in the environment, or null
+export function storageKey(env = process.env) {
+  if (env.WHATSAPP_STORAGE_KEY) return env.WHATSAPP_STORAGE_KEY;
+  if (!env.WHATSAPP_STORAGE_KEY_FILE) return null;
+
+  const key = fs.readFileSync(env.WHATSAPP_STORAGE_KEY_FILE, 'utf8').trim();
+  if (!key) throw new Error(`WHATSAPP_STORAGE_KEY_FILE ${env.WHATSAPP_STORAGE_KEY_FILE} is empty`);
+  return key;
+}
+
+function loadSqlite() {
+  try {
+    return createRequire(import.meta.url)('better-sqlite3');
+  } catch (err) {
+    throw new Error(`WHATSAPP_STORAGE=sqlite needs the better-sqlite3 package (${err.message})`);
+  }
+}
+
+class Cipher {
+  constructor(secret, salt) {
+    this.key = crypto.scryptSync(secret, salt, 32);
+  }
+
+  encrypt(text) {
+    return ENCRYPTED_PREFIX + this.seal(Buffer.from(text, 'utf8')).toString('base64');
+  }
+
+  decrypt(text) {
+    return this.open(Buffer.from(text.slice(ENCRYPTED_PREFIX.length), 'base64')).toString('utf8');
+  }
+
+  // iv | auth tag | ciphertext of `bytes`
+  seal(bytes) {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.key, iv);
+    const ciphertext = Buffer.concat([cipher.update(bytes), cipher.final()]);
+    return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]);
+  }
+
+  open(data) {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.key, data.subarray(0, IV_LENGTH));
+    decipher.setAuthTag(data.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+    return Buffer.concat([decipher.update(data.subarray(IV_LENGTH + TAG_LENGTH)), decipher.final()]);
+  }
+}
+
+// Names listed under `prefix` that are not further nested
+function directChildren(names, prefix) {
+  return names.filter(name => !name.slice(prefix.length).includes('/')).sort();
+}
+
+function writeAtomic(file, content) {
+  const tmpFile = `${file}.tmp`;
+  fs.writeFileSync(tmpFile, content);
+  fs.renameSync(tmpFile, file);
+}
+
+// Yield a file's non-empty lines, reading it in fixed-size chunks
+export function* readLines(file) {
+  const fd = fs.openSync(file, 'r');
+  const buffer = Buffer.alloc(READ_CHUNK_SIZE);
+  const decoder = new StringDecoder('utf8');
+  let partial = '';
+
+  try {
+    let bytesRead;
+    while ((bytesRead = fs.readSync(fd, buffer, 0, READ_CHUNK_SIZE, null)) > 0) {
+      const lines = (partial + decoder.write(buffer.subarray(0, bytesRead))).split('\n');
+      partial = lines.pop();
+      for (const line of lines) {
+        if (line.trim()) yield line;
+      }
+    }
+    partial += decoder.end();
+    if (partial.trim()) yield partial;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
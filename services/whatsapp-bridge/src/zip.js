@@ -0,0 +1,136 @@
+import fs from 'fs';
+import zlib from 'zlib';
+import { Readable, pipeline } from 'stream';
+import { apiError } from './errors.js';
+
+// Minimal streaming zip writer for export bundles: deflated entries, UTF-8
+// names, sizes in data descriptors so nothing is buffered whole. There is no
+// zip64, so an archive holds at most 65535 entries and 4 GiB.
+
+const MAX_ENTRIES = 0xffff;
+const MAX_SIZE = 0xffffffff;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+// CRC-32 of `buffer`, continuing from the CRC of everything before it
+function crc32(buffer, previous = 0) {
+  let crc = previous ^ 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// MS-DOS date and time fields, in local time as zip tools expect
+function dosDateTime(date) {
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+  const day = ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  return { time, day };
+}
+
+// A zip archive as a readable stream, from [{ name, date, and either data
+// (a Buffer or string, or a function returning one when the entry is
+// written) or file (a path streamed from disk, with its size if known) }].
+// Archives that are known up front to exceed the format's limits are
+// rejected (payload_too_large); one that outgrows them while being written
+// fails the stream.
+export function createZip(entries) {
+  if (entries.length > MAX_ENTRIES) {
+    throw apiError('payload_too_large', `A zip holds at most ${MAX_ENTRIES} files, this export has ${entries.length}`);
+  }
+  const knownSize = entries.reduce((total, entry) => total + (entry.size || 0), 0);
+  if (knownSize > MAX_SIZE) {
+    throw apiError('payload_too_large', 'The export is larger than 4 GiB; export fewer chats at a time');
+  }
+  return Readable.from(generateZip(entries));
+}
+
+async function* generateZip(entries) {
+  const central = [];
+  let offset = 0;
+
+  for (const { name, data, file, date = new Date() } of entries) {
+    const nameBuffer = Buffer.from(name, 'utf8');
+    const { time, day } = dosDateTime(date);
+    const flags = 0x0808; // UTF-8 names, sizes in a data descriptor
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4); // version needed
+    local.writeUInt16LE(flags, 6);
+    local.writeUInt16LE(8, 8); // deflate
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(day, 12);
+    local.writeUInt16LE(nameBuffer.length, 26);
+    yield Buffer.concat([local, nameBuffer]);
+
+    const sums = { crc: 0, size: 0, compressed: 0 };
+    const input = file ? fs.createReadStream(file) : Readable.from([toBuffer(typeof data === 'function' ? data() : data)]);
+    yield* deflate(input, sums);
+
+    const descriptor = Buffer.alloc(16);
+    descriptor.writeUInt32LE(0x08074b50, 0);
+    descriptor.writeUInt32LE(sums.crc, 4);
+    descriptor.writeUInt32LE(sums.compressed, 8);
+    descriptor.writeUInt32LE(sums.size, 12);
+    yield descriptor;
+
+    const header = Buffer.alloc(46);
+    header.writeUInt32LE(0x02014b50, 0);
+    header.writeUInt16LE(20, 4); // version made by
+    header.writeUInt16LE(20, 6);
+    header.writeUInt16LE(flags, 8);
+    header.writeUInt16LE(8, 10);
+    header.writeUInt16LE(time, 12);
+    header.writeUInt16LE(day, 14);
+    header.writeUInt32LE(sums.crc, 16);
+    header.writeUInt32LE(sums.compressed, 20);
+    header.writeUInt32LE(sums.size, 24);
+    header.writeUInt16LE(nameBuffer.length, 28);
+    header.writeUInt32LE(offset, 42);
+    central.push(header, nameBuffer);
+
+    offset += local.length + nameBuffer.length + sums.compressed + descriptor.length;
+    if (sums.size > MAX_SIZE || offset > MAX_SIZE) {
+      throw new Error('Zip export is larger than 4 GiB');
+    }
+  }
+
+  const centralSize = central.reduce((size, chunk) => size + chunk.length, 0);
+  if (offset + centralSize > MAX_SIZE) {
+    throw new Error('Zip export is larger than 4 GiB');
+  }
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+  yield Buffer.concat([...central, end]);
+}
+
+// Deflated chunks of `input`, tallying its CRC and sizes into `sums`
+async function* deflate(input, sums) {
+  const output = pipeline(
+    input,
+    async function* (source) {
+      for await (const chunk of source) {
+        sums.crc = crc32(chunk, sums.crc);
+        sums.size += chunk.length;
+        yield chunk;
+      }
+    },
+    zlib.createDeflateRaw(),
+    () => {}
+  );
+  for await (const chunk of output) {
+    sums.compressed += chunk.length;
+    yield chunk;
+  }
+}
+
+function toBuffer(data) {
+  return Buffer.isBuffer(data) ? data : Buffer.from(data, 'utf8');
+}
@@ -0,0 +1,69 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import Backfill from '../src/backfill.js';
+import { replayClient } from './helpers.js';
+
+const ALICE = '15550000001@s.whatsapp.net';
+const GROUP = '120363000000000001@g.us';
+
+test('backfills a chat to a depth through the normal buffer path', async (t) => {
+  const client = await replayClient(t);
+  const before = client.messageLog.lastSeq;
+
+  const job = client.backfillChat(ALICE, { count: 3 });
+  assert.equal(client.backfillChat(ALICE, { count: 3 }).id, job.id);
+  const done = await client.backfill.waitFor(job.id);
+
+  assert.equal(done.status, 'completed');
+  assert.equal(done.reason, 'count_reached');
+  assert.equal(done.fetched, 3);
+  assert.equal(done.oldest_timestamp, '2025-10-09T06:07:40.000Z');
+
+  // Anchored at the oldest stored message, asking for exactly what is missing
+  assert.deepEqual(client.sock.sent.map(s => s.history), [
+    { count: 3, key: { remoteJid: ALICE, id: 'HIST0001', fromMe: false }, timestamp: 1760000000 },
+  ]);
+  assert.deepEqual(
+    client.readBufferedMessages({ after: before }).messages.map(m => m.message_id),
+    ['OLD0004', 'OLD0003', 'OLD0002']
+  );
+  assert.equal(client.chatStore.oldest(ALICE).message_id, 'OLD0002');
+});
+
+test('stops at a date or when the phone has nothing older', async (t) => {
+  const client = await replayClient(t);
+
+  const until = await client.backfill.waitFor(client.backfillChat(ALICE, { until: '2025-10-09T06:07:00Z' }).id);
+  assert.equal(until.reason, 'until_reached');
+  assert.equal(until.fetched, 4);
+
+  const exhausted = await client.backfill.waitFor(client.backfillChat(ALICE, { count: 10 }).id);
+  assert.equal(exhausted.status, 'completed');
+  assert.equal(exhausted.reason, 'no_more_history');
+  assert.equal(exhausted.fetched, 0);
+  assert.equal(client.sock.sent.at(-1).history.key.id, 'OLD0001');
+  assert.equal(client.getStatus().backfill.active, null);
+});
+
+test('rejects chats without an anchor and disconnected sessions', async (t) => {
+  const client = await replayClient(t);
+
+  assert.throws(() => client.backfillChat('15559999999@s.whatsapp.net', { count: 5 }), err => err.status === 404);
+  client.status = 'reconnecting';
+  assert.throws(() => client.backfillChat(GROUP, { count: 5 }), err => err.status === 503);
+});
+
+test('fails a job when the phone does not answer', async (t) => {
+  const requests = [];
+  const backfill = new Backfill({
+    fetchHistory: async (count, anchor) => requests.push({ count, anchor: anchor.message_id }),
+    oldestMessage: () => ({ chat_jid: ALICE, message_id: 'A1', timestamp: '2025-10-09T08:53:20.000Z' }),
+    isConnected: () => true,
+    responseTimeoutMs: 20,
+  });
+
+  const job = await backfill.waitFor(backfill.enqueue(ALICE, { count: 100 }).id);
+  assert.equal(job.status, 'failed');
+  assert.match(job.error, /Timed out/);
+  assert.deepEqual(requests, [{ count: 50, anchor: 'A1' }]);
+});
@@ -0,0 +1,88 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createClient, replayClient, textMessage } from './helpers.js';
+
+const ALICE = '15550000001@s.whatsapp.net';
+const BOB = '15550000002@s.whatsapp.net';
+const GROUP = '120363000000000001@g.us';
+
+test('records incoming presence and receipts per chat', async (t) => {
+  const client = await replayClient(t);
+
+  const [presence] = client.activity.getPresence(ALICE);
+  assert.equal(presence.jid, ALICE);
+  assert.equal(presence.presence, 'composing');
+
+  const [status] = client.activity.getReceipts(ALICE);
+  assert.equal(status.message_id, 'HIST0002');
+  assert.equal(status.status, 'read');
+  // Levels only move forward
+  assert.equal(client.activity.updateStatus({ remoteJid: ALICE, id: 'HIST0002' }, 3), null);
+
+  const [group] = client.activity.getReceipts(GROUP, ['GRP0001', 'UNKNOWN']);
+  assert.deepEqual(group.users[BOB], {
+    delivered_at: '2025-10-09T08:58:50.000Z',
+    read_at: '2025-10-09T08:59:00.000Z',
+    played_at: null,
+  });
+});
+
+test('marks a chat read once per incoming message', async (t) => {
+  const client = await replayClient(t);
+
+  const first = await client.markChatRead(ALICE);
+  // HIST0001 and LIVE0001 are incoming; our reply, the edit and the reaction are skipped
+  assert.equal(first.marked, 2);
+  assert.deepEqual(client.sock.sent.at(-1).read.map(key => key.id), ['HIST0001', 'LIVE0001']);
+
+  assert.equal((await client.markChatRead(ALICE)).marked, 0);
+
+  await client.ingestMessage(textMessage({ id: 'NEW1', timestamp: 1760000400 }));
+  assert.equal((await client.markChatRead(ALICE)).marked, 1);
+  assert.equal(client.chats.get(ALICE).read_up_to, '2025-10-09T09:00:00.000Z');
+
+  // Long unread runs are sent in batches and all marked, not just the newest page
+  for (let i = 0; i < 250; i++) {
+    await client.ingestMessage(textMessage({ id: `BULK${i}`, timestamp: 1760001000 + i }));
+  }
+  const sentBefore = client.sock.sent.length;
+  assert.equal((await client.markChatRead(ALICE)).marked, 250);
+  assert.deepEqual(client.sock.sent.slice(sentBefore).map(call => call.read.length), [100, 100, 50]);
+
+  // The position is persisted with the chat metadata
+  client.metadata.save();
+  const reloaded = createClient(t, { dataDir: client.dataDir, fixture: null });
+  assert.equal(reloaded.chats.get(ALICE).read_up_to, new Date((1760001000 + 249) * 1000).toISOString());
+
+  // Messages arriving in the second of the last one marked are still marked, once
+  await client.ingestMessage(textMessage({ id: 'SAME1', timestamp: 1760001000 + 249 }));
+  await client.ingestMessage(textMessage({ id: 'SAME2', timestamp: 1760001000 + 249 }));
+  assert.equal((await client.markChatRead(ALICE)).marked, 2);
+  assert.deepEqual(client.sock.sent.at(-1).read.map(key => key.id), ['SAME1', 'SAME2']);
+  assert.deepEqual(client.chats.get(ALICE).read_ids, ['BULK249', 'SAME1', 'SAME2']);
+  assert.equal((await client.markChatRead(ALICE)).marked, 0);
+
+  const group = await client.markRead(GROUP, ['HIST0003']);
+  assert.equal(group.marked, 1);
+  assert.deepEqual(client.sock.sent.at(-1).read, [{ remoteJid: GROUP, id: 'HIST0003', fromMe: false, participant: BOB }]);
+  await assert.rejects(client.markRead(GROUP, ['MISSING']), err => err.status === 404);
+});
+
+test('sends presence and simulates typing before a send', async (t) => {
+  const client = await replayClient(t);
+  client.typing = { msPerChar: 2, minMs: 5, maxMs: 30 };
+
+  await assert.rejects(client.sendPresence(ALICE, 'dancing'), err => err.status === 400);
+  await client.sendPresence(ALICE, 'composing');
+  assert.deepEqual(client.sock.sent.at(-1), { presence: 'composing', jid: ALICE });
+
+  const startedAt = Date.now();
+  await client.sendMessage(ALICE, { text: 'On my way', simulate_typing: true });
+  assert.ok(Date.now() - startedAt >= 18);
+  assert.deepEqual(client.sock.sent.slice(-3).map(s => s.presence || s.content?.text), ['composing', 'paused', 'On my way']);
+
+  assert.equal(await client.simulateTyping(ALICE, 'x'.repeat(500)), 30);
+
+  client.status = 'reconnecting';
+  await assert.rejects(client.sendPresence(ALICE, 'paused'), err => err.status === 503);
+});
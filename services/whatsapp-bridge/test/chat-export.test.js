@@ -0,0 +1,206 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { buffer } from 'stream/consumers';
+import ChatExporter from '../src/chat-export.js';
+import ChatStore from '../src/chat-store.js';
+import MediaStore from '../src/media-store.js';
+import MetadataStore from '../src/metadata-store.js';
+import { FileStorage } from '../src/storage.js';
+import { createZip } from '../src/zip.js';
+import { tempDir } from './helpers.js';
+
+const ALICE = '15550000001@s.whatsapp.net';
+const BOB = '15550000002@s.whatsapp.net';
+const GROUP = '120363000000000001@g.us';
+
+// The line patterns of PumaBot.Importers.WhatsAppExportImporter
+const IMPORTER_PATTERNS = [
+  /^\[(\d{1,2}\/\d{1,2}\/\d{2,4}),\s*(\d{1,2}:\d{2}(?::\d{2})?\s*(?:AM|PM)?)\]\s*([^:]+):\s*(.*)$/i,
+  /^(\d{1,2}\/\d{1,2}\/\d{2,4}),\s*(\d{1,2}:\d{2}(?::\d{2})?)\s*-\s*([^:]+):\s*(.*)$/i,
+  /^\[(\d{4}-\d{2}-\d{2}),\s*(\d{2}:\d{2}(?::\d{2})?)\]\s*([^:]+):\s*(.*)$/i,
+];
+
+function message(id, content, fields = {}) {
+  return {
+    message_id: id,
+    chat_jid: ALICE,
+    sender_jid: ALICE,
+    is_from_me: false,
+    message_type: 'text',
+    content,
+    timestamp: '2024-01-15T14:05:09.000Z',
+    media: null,
+    ...fields,
+  };
+}
+
+function setup(t, messages) {
+  const dir = tempDir(t);
+  const storage = new FileStorage({ dir });
+  const chatStore = new ChatStore({ storage });
+  const metadata = new MetadataStore({ storage });
+  const mediaStore = new MediaStore({ storage });
+  t.after(() => clearTimeout(metadata.saveTimer));
+
+  metadata.upsertContact({ id: ALICE, name: 'Alice' });
+  metadata.upsertChat(GROUP, { name: 'Hiking Club' });
+  for (const m of messages) chatStore.add(typeof m === 'function' ? m({ mediaStore }) : m);
+
+  const create = (overrides = {}) =>
+    new ChatExporter({ chatStore, metadata, mediaStore, timeZone: 'UTC', ownName: 'Me', ...overrides });
+  return { exporter: create(), create };
+}
+
+// Entries of a zip streamed by createZip, as { name: Buffer }
+async function readZip(stream) {
+  const data = await buffer(stream);
+  const end = data.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  let offset = data.readUInt32LE(end + 16);
+  const entries = {};
+  for (let i = 0; i < data.readUInt16LE(end + 10); i++) {
+    const nameLength = data.readUInt16LE(offset + 28);
+    const name = data.toString('utf8', offset + 46, offset + 46 + nameLength);
+    const local = data.readUInt32LE(offset + 42);
+    const size = data.readUInt32LE(offset + 20);
+    const start = local + 30 + data.readUInt16LE(local + 26);
+    entries[name] = zlib.inflateRawSync(data.subarray(start, start + size));
+    offset += 46 + nameLength;
+  }
+  return entries;
+}
+
+test('text exports follow the locale date order', (t) => {
+  const { create } = setup(t, [message('A1', 'Hello')]);
+  const line = locale => create({ locale }).exportChat(ALICE).body;
+
+  assert.equal(line('en-US'), '[1/15/24, 2:05:09 PM] Alice: Hello\n');
+  assert.equal(line('en-GB'), '15/01/2024, 14:05 - Alice: Hello\n');
+  assert.equal(line('sv-SE'), '[2024-01-15, 14:05:09] Alice: Hello\n');
+
+  const berlin = create({ locale: 'de-DE', timeZone: 'Europe/Berlin' });
+  assert.equal(berlin.exportChat(ALICE).body, '15/01/2024, 15:05 - Alice: Hello\n');
+});
+
+test('text exports mirror WhatsApp for senders, edits, deletions and media', (t) => {
+  const { exporter, create } = setup(t, [
+    message('A1', 'Line one\nline two'),
+    message('A2', 'Hi all', { chat_jid: GROUP, sender_jid: BOB, push_name: 'Bobby' }),
+    message('A3', 'Ok', { is_from_me: true, sender_jid: 'me@s.whatsapp.net', timestamp: '2024-01-15T14:06:00.000Z' }),
+    message('A4', 'Look', { message_type: 'image', media: { id: null, mimetype: 'image/jpeg' }, timestamp: '2024-01-15T14:07:00.000Z' }),
+    message('A5', 'Typo', { timestamp: '2024-01-15T14:08:00.000Z' }),
+    message('E1', 'Fixed', { message_type: 'edit', target_message_id: 'A5', timestamp: '2024-01-15T14:09:00.000Z' }),
+    message('A6', 'Oops', { timestamp: '2024-01-15T14:10:00.000Z' }),
+    message('R1', '', { message_type: 'revoke', target_message_id: 'A6', timestamp: '2024-01-15T14:11:00.000Z' }),
+    message('X1', '👍', { message_type: 'reaction', reaction_target_id: 'A1', timestamp: '2024-01-15T14:12:00.000Z' }),
+    message('L1', 'Trailhead', { message_type: 'location', location: { latitude: 47.1, longitude: 8.2 }, timestamp: '2024-01-15T14:13:00.000Z' }),
+  ]);
+
+  assert.equal(exporter.exportChat(ALICE).body, [
+    '[1/15/24, 2:05:09 PM] Alice: Line one',
+    'line two',
+    '[1/15/24, 2:06:00 PM] Me: Ok',
+    '[1/15/24, 2:07:00 PM] Alice: image omitted',
+    'Look',
+    '[1/15/24, 2:08:00 PM] Alice: Fixed <This message was edited>',
+    '[1/15/24, 2:10:00 PM] Alice: This message was deleted',
+    '[1/15/24, 2:13:00 PM] Alice: location: https://maps.google.com/?q=47.1,8.2',
+    '',
+  ].join('\n'));
+
+  const group = exporter.exportChat(GROUP);
+  assert.equal(group.fileName, 'WhatsApp Chat with Hiking Club.txt');
+  assert.equal(group.body, '[1/15/24, 2:05:09 PM] Bobby: Hi all\n');
+  assert.equal(create({ locale: 'en-GB' }).messageText(message('M', 'Look', { message_type: 'image', media: {} })), '<Media omitted>\nLook');
+});
+
+test('every exported line parses with the importer patterns', (t) => {
+  const { create } = setup(t, [
+    message('A1', 'Morning'),
+    message('A2', 'Evening', { timestamp: '2024-01-15T23:59:59.000Z', is_from_me: true }),
+    message('A3', 'Midnight', { timestamp: '2024-12-31T00:00:00.000Z' }),
+  ]);
+
+  for (const locale of ['en-US', 'en-GB', 'sv-SE']) {
+    const lines = create({ locale }).exportChat(ALICE).body.trim().split('\n');
+    assert.equal(lines.length, 3);
+    for (const line of lines) {
+      const match = IMPORTER_PATTERNS.map(pattern => line.match(pattern)).find(Boolean);
+      assert.ok(match, `${locale}: ${line}`);
+      assert.ok(['Alice', 'Me'].includes(match[3]));
+    }
+  }
+});
+
+test('zip bundles carry media under native attachment names', async (t) => {
+  let record;
+  const { exporter } = setup(t, [
+    ({ mediaStore }) => {
+      record = mediaStore.save(Buffer.from('jpeg bytes'), { mimetype: 'image/jpeg' });
+      return message('A1', '[Image]', { message_type: 'image', media: { id: record.id, mimetype: 'image/jpeg' } });
+    },
+    message('A2', 'Nice'),
+  ]);
+
+  const { fileName, contentType, body } = exporter.exportChat(ALICE, { zip: true });
+  assert.equal(fileName, 'WhatsApp Chat with Alice.zip');
+  assert.equal(contentType, 'application/zip');
+
+  const entries = await readZip(body);
+  assert.deepEqual(Object.keys(entries), ['WhatsApp Chat with Alice.txt', 'IMG-20240115-WA0001.jpg']);
+  assert.equal(entries['IMG-20240115-WA0001.jpg'].toString(), 'jpeg bytes');
+  assert.match(entries['WhatsApp Chat with Alice.txt'].toString(), /Alice: <attached: IMG-20240115-WA0001\.jpg>\n/);
+
+  const html = (await readZip(exporter.exportChat(ALICE, { format: 'html', zip: true }).body))['WhatsApp Chat with Alice.html'].toString();
+  assert.match(html, /<img src="IMG-20240115-WA0001\.jpg"/);
+});
+
+test('exportAll puts each chat in its own folder', async (t) => {
+  const { exporter } = setup(t, [
+    message('A1', 'Hello'),
+    message('G1', 'Hi', { chat_jid: GROUP, sender_jid: BOB }),
+  ]);
+
+  const entries = await readZip(exporter.exportAll({ format: 'jsonl' }).body);
+  assert.deepEqual(Object.keys(entries).sort(), [
+    'WhatsApp Chat with Alice/WhatsApp Chat with Alice.jsonl',
+    'WhatsApp Chat with Hiking Club/WhatsApp Chat with Hiking Club.jsonl',
+  ]);
+  const [record] = entries['WhatsApp Chat with Hiking Club/WhatsApp Chat with Hiking Club.jsonl'].toString().trim().split('\n').map(JSON.parse);
+  assert.equal(record.message_id, 'G1');
+  assert.equal(record.sender_jid, BOB);
+});
+
+test('HTML exports escape message content', (t) => {
+  const { exporter } = setup(t, [message('A1', '<script>alert(1)</script>')]);
+  const html = exporter.exportChat(ALICE, { format: 'html' }).body;
+
+  assert.match(html, /&lt;script&gt;alert\(1\)&lt;\/script&gt;/);
+  assert.doesNotMatch(html, /<script>/);
+  assert.match(html, /<title>WhatsApp Chat with Alice<\/title>/);
+});
+
+test('createZip stores UTF-8 names and round-trips content', async (t) => {
+  const file = path.join(tempDir(t), 'large.bin');
+  fs.writeFileSync(file, Buffer.alloc(200 * 1024, 3));
+
+  const entries = await readZip(createZip([
+    { name: 'Überblick/naïve.txt', data: 'héllo' },
+    { name: 'b.bin', data: () => Buffer.alloc(1000, 7) },
+    { name: 'large.bin', file },
+  ]));
+  assert.equal(entries['Überblick/naïve.txt'].toString(), 'héllo');
+  assert.deepEqual(entries['b.bin'], Buffer.alloc(1000, 7));
+  assert.deepEqual(entries['large.bin'], Buffer.alloc(200 * 1024, 3));
+});
+
+test('createZip rejects archives beyond the zip limits', async (t) => {
+  const tooMany = Array.from({ length: 65536 }, (_, i) => ({ name: `${i}.txt`, data: '' }));
+  assert.throws(() => createZip(tooMany), err => err.status === 413);
+  assert.throws(() => createZip([{ name: 'huge.bin', file: '/dev/null', size: 2 ** 32 }]), err => err.status === 413);
+
+  const missing = createZip([{ name: 'gone.jpg', file: path.join(tempDir(t), 'gone.jpg') }]);
+  await assert.rejects(buffer(missing), err => err.code === 'ENOENT');
+});
@@ -0,0 +1,136 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import BaileysClient from '../src/baileys.js';
+import { ReplaySocket } from '../src/replay.js';
+import { tempDir } from './helpers.js';
+
+// A live-mode client wired to a fake socket, with connect() stubbed out
+function createLiveClient(t) {
+  const client = new BaileysClient({ dataDir: tempDir(t), mode: 'live' });
+  client.connects = 0;
+  client.connect = async function () {
+    this.connects++;
+    this.sock = new ReplaySocket();
+    this.attachHandlers();
+  };
+  client.reconnectBaseMs = 5;
+  client.sock = new ReplaySocket();
+  client.attachHandlers();
+  t.after(() => client.close());
+  return client;
+}
+
+function disconnect(client, statusCode) {
+  const error = new Error(`closed with ${statusCode}`);
+  if (statusCode) error.output = { statusCode };
+  return client.sock.ev.emit('connection.update', { connection: 'close', lastDisconnect: { error } });
+}
+
+test('reconnects with exponential backoff after a dropped connection', async (t) => {
+  const client = createLiveClient(t);
+  const events = [];
+  client.on('event', ({ data }) => events.push(data));
+
+  await disconnect(client, 428);
+  assert.equal(client.status, 'reconnecting');
+  assert.equal(client.reconnectAttempts, 1);
+  assert.ok(client.nextReconnectAt);
+  assert.equal(events.at(-1).attempt, 1);
+
+  await new Promise(resolve => setTimeout(resolve, 20));
+  assert.equal(client.connects, 1);
+
+  // Errors without a status code (not Boom) reconnect too, and back off further
+  await disconnect(client, null);
+  assert.equal(client.status, 'reconnecting');
+  assert.equal(client.reconnectAttempts, 2);
+
+  await new Promise(resolve => setTimeout(resolve, 30));
+  await client.sock.ev.emit('connection.update', { connection: 'open' });
+  assert.equal(client.status, 'connected');
+  assert.equal(client.reconnectAttempts, 0);
+});
+
+test('backoff delay grows exponentially, with jitter, up to the maximum', (t) => {
+  const client = createLiveClient(t);
+  client.reconnectBaseMs = 1000;
+  client.reconnectMaxMs = 8000;
+
+  const delays = [];
+  for (let i = 0; i < 6; i++) {
+    const before = Date.now();
+    client.scheduleReconnect();
+    delays.push(Date.parse(client.nextReconnectAt) - before);
+  }
+  clearTimeout(client.reconnectTimer);
+
+  const ceilings = [1000, 2000, 4000, 8000, 8000, 8000];
+  delays.forEach((delay, i) => {
+    assert.ok(delay >= ceilings[i] / 2 - 5 && delay <= ceilings[i] + 5, `attempt ${i}: ${delay}ms`);
+  });
+});
+
+test('restartRequired reconnects immediately', async (t) => {
+  const client = createLiveClient(t);
+  await disconnect(client, 515);
+
+  assert.equal(client.connects, 1);
+  assert.equal(client.reconnectAttempts, 0);
+  assert.equal(client.lastDisconnect.status_code, 515);
+});
+
+test('connectionReplaced and badSession stop reconnecting', async (t) => {
+  const replaced = createLiveClient(t);
+  await disconnect(replaced, 440);
+  assert.equal(replaced.status, 'connection_replaced');
+  assert.equal(replaced.reconnectTimer, null);
+
+  const bad = createLiveClient(t);
+  await disconnect(bad, 500);
+  assert.equal(bad.status, 'bad_session');
+  assert.equal(bad.reconnectTimer, null);
+
+  await new Promise(resolve => setTimeout(resolve, 20));
+  assert.equal(replaced.connects + bad.connects, 0);
+});
+
+test('loggedOut clears credentials and starts a new login', async (t) => {
+  const client = createLiveClient(t);
+  await disconnect(client, 401);
+
+  assert.equal(client.connects, 1);
+  assert.equal(client.reconnectAttempts, 0);
+});
+
+test('events from a replaced socket are ignored', async (t) => {
+  const client = createLiveClient(t);
+  const oldSocket = client.sock;
+  await client.restart();
+
+  await oldSocket.ev.emit('connection.update', { connection: 'close', lastDisconnect: { error: new Error('late') } });
+  assert.equal(client.status, 'connecting');
+  assert.equal(client.reconnectTimer, null);
+});
+
+test('close() flushes state and stops reconnecting', async (t) => {
+  const client = createLiveClient(t);
+  await disconnect(client, 428);
+  await client.close();
+
+  await new Promise(resolve => setTimeout(resolve, 20));
+  assert.equal(client.connects, 0);
+  assert.equal(client.status, 'disconnected');
+});
+
+test('credential updates from a live socket are written to storage', async (t) => {
+  const client = new BaileysClient({ dataDir: tempDir(t), mode: 'live' });
+  client.resolveVersion = async () => null;
+  client.createSocket = () => new ReplaySocket();
+  t.after(() => client.close());
+
+  await client.connect();
+  assert.equal(client.storage.readDocument('auth/creds'), null);
+
+  await client.sock.ev.emit('creds.update', { registered: true });
+  assert.ok(client.storage.readDocument('auth/creds'));
+});
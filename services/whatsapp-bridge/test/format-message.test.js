@@ -0,0 +1,171 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createClient, textMessage } from './helpers.js';
+
+test('formats a plain text message', (t) => {
+  const client = createClient(t);
+  client.metadata.upsertChat('15550000001@s.whatsapp.net', { name: 'Alice' });
+
+  const formatted = client.formatMessage({ ...textMessage({ id: 'A1', text: 'hi there' }), pushName: 'Alice' });
+
+  assert.equal(formatted.message_id, 'A1');
+  assert.equal(formatted.chat_jid, '15550000001@s.whatsapp.net');
+  assert.equal(formatted.chat_name, 'Alice');
+  assert.equal(formatted.sender_jid, '15550000001@s.whatsapp.net');
+  assert.equal(formatted.is_from_me, false);
+  assert.equal(formatted.content, 'hi there');
+  assert.equal(formatted.message_type, 'text');
+  assert.equal(formatted.timestamp, '2025-10-09T08:53:20.000Z');
+  assert.equal(formatted.push_name, 'Alice');
+  assert.equal(formatted.media, null);
+});
+
+test('uses the participant as sender in groups', (t) => {
+  const client = createClient(t);
+  const formatted = client.formatMessage(textMessage({
+    id: 'G1',
+    chat: '120363000000000001@g.us',
+    participant: '15550000002@s.whatsapp.net',
+  }));
+
+  assert.equal(formatted.chat_jid, '120363000000000001@g.us');
+  assert.equal(formatted.sender_jid, '15550000002@s.whatsapp.net');
+});
+
+test('reads Long and string timestamps', (t) => {
+  const client = createClient(t);
+  const long = client.formatMessage({ ...textMessage({ id: 'L1' }), messageTimestamp: { low: 1760000000, high: 0 } });
+  const string = client.formatMessage({ ...textMessage({ id: 'S1' }), messageTimestamp: '1760000000' });
+
+  assert.equal(long.timestamp, '2025-10-09T08:53:20.000Z');
+  assert.equal(string.timestamp, '2025-10-09T08:53:20.000Z');
+});
+
+test('extracts quoted message details from replies', (t) => {
+  const client = createClient(t);
+  const formatted = client.formatMessage({
+    key: { remoteJid: '15550000001@s.whatsapp.net', fromMe: true, id: 'R1' },
+    messageTimestamp: 1760000060,
+    message: {
+      extendedTextMessage: {
+        text: 'Yes',
+        contextInfo: {
+          stanzaId: 'Q1',
+          participant: '15550000001@s.whatsapp.net',
+          quotedMessage: { conversation: 'Coming?' },
+        },
+      },
+    },
+  });
+
+  assert.equal(formatted.content, 'Yes');
+  assert.equal(formatted.is_from_me, true);
+  assert.equal(formatted.quoted_message_id, 'Q1');
+  assert.equal(formatted.quoted_content, 'Coming?');
+  assert.equal(formatted.quoted_sender, '15550000001@s.whatsapp.net');
+});
+
+test('unwraps ephemeral and view-once messages', (t) => {
+  const client = createClient(t);
+  const ephemeral = client.formatMessage({
+    key: { remoteJid: '15550000001@s.whatsapp.net', id: 'E1' },
+    messageTimestamp: 1760000000,
+    message: { ephemeralMessage: { message: { extendedTextMessage: { text: 'gone soon' } } } },
+  });
+  const viewOnce = client.formatMessage({
+    key: { remoteJid: '15550000001@s.whatsapp.net', id: 'V1' },
+    messageTimestamp: 1760000000,
+    message: {
+      viewOnceMessageV2: {
+        message: { imageMessage: { caption: 'look', mimetype: 'image/jpeg', fileLength: 2048, fileSha256: 'AQID' } },
+      },
+    },
+  });
+
+  assert.equal(ephemeral.content, 'gone soon');
+  assert.equal(ephemeral.is_ephemeral, true);
+  assert.equal(ephemeral.is_view_once, false);
+
+  assert.equal(viewOnce.message_type, 'image');
+  assert.equal(viewOnce.content, 'look');
+  assert.equal(viewOnce.is_view_once, true);
+  assert.deepEqual(viewOnce.media, {
+    id: null,
+    mimetype: 'image/jpeg',
+    size: 2048,
+    sha256: '010203',
+    file_name: null,
+    path: null,
+  });
+});
+
+test('formats reactions with their target', (t) => {
+  const client = createClient(t);
+  const formatted = client.formatMessage({
+    key: { remoteJid: '15550000001@s.whatsapp.net', id: 'RX1' },
+    messageTimestamp: 1760000000,
+    message: { reactionMessage: { key: { id: 'A1' }, text: '❤️' } },
+  });
+
+  assert.equal(formatted.message_type, 'reaction');
+  assert.equal(formatted.content, '❤️');
+  assert.equal(formatted.reaction_target_id, 'A1');
+});
+
+test('turns edits and revokes into update records', (t) => {
+  const client = createClient(t);
+  const edit = client.formatMessage({
+    key: { remoteJid: '15550000001@s.whatsapp.net', id: 'P1' },
+    messageTimestamp: 1760000100,
+    message: { protocolMessage: { type: 14, key: { id: 'A1' }, editedMessage: { conversation: 'fixed typo' } } },
+  });
+  const revoke = client.formatMessage({
+    key: { remoteJid: '15550000001@s.whatsapp.net', id: 'P2' },
+    messageTimestamp: 1760000200,
+    message: { protocolMessage: { type: 'REVOKE', key: { id: 'A1' } } },
+  });
+
+  assert.equal(edit.message_type, 'edit');
+  assert.equal(edit.content, 'fixed typo');
+  assert.equal(edit.target_message_id, 'A1');
+  assert.equal(revoke.message_type, 'revoke');
+  assert.equal(revoke.target_message_id, 'A1');
+});
+
+test('formats locations and polls', (t) => {
+  const client = createClient(t);
+  const location = client.formatMessage({
+    key: { remoteJid: '15550000001@s.whatsapp.net', id: 'LOC1' },
+    messageTimestamp: 1760000000,
+    message: { locationMessage: { degreesLatitude: 46.5, degreesLongitude: 7.9, name: 'Trailhead' } },
+  });
+  const poll = client.formatMessage({
+    key: { remoteJid: '120363000000000001@g.us', id: 'POLL1', participant: '15550000002@s.whatsapp.net' },
+    messageTimestamp: 1760000000,
+    message: {
+      pollCreationMessageV3: {
+        name: 'Which trail?',
+        options: [{ optionName: 'North' }, { optionName: 'South' }],
+        selectableOptionsCount: 1,
+      },
+    },
+  });
+
+  assert.equal(location.message_type, 'location');
+  assert.equal(location.content, 'Trailhead');
+  assert.deepEqual(location.location, { latitude: 46.5, longitude: 7.9, name: 'Trailhead', address: null });
+
+  assert.equal(poll.message_type, 'poll');
+  assert.deepEqual(poll.poll, { name: 'Which trail?', options: ['North', 'South'], selectable_count: 1 });
+});
+
+test('skips messages without displayable content', (t) => {
+  const client = createClient(t);
+
+  assert.equal(client.formatMessage({ key: { remoteJid: '15550000001@s.whatsapp.net', id: 'N1' } }), null);
+  assert.equal(client.formatMessage({
+    key: { remoteJid: '15550000001@s.whatsapp.net', id: 'N2' },
+    messageTimestamp: 1760000000,
+    message: { protocolMessage: { type: 3 } },
+  }), null);
+});
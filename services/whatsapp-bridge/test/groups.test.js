@@ -0,0 +1,98 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseInviteCode, toParticipantJid } from '../src/groups.js';
+import { replayClient } from './helpers.js';
+
+const ME = '10000000000@s.whatsapp.net';
+const ALICE = '15550000001@s.whatsapp.net';
+const BOB = '15550000002@s.whatsapp.net';
+const PRIVATE = '15559990000@s.whatsapp.net';
+
+test('creates a group and reports participants WhatsApp refused', async (t) => {
+  const client = await replayClient(t);
+
+  const created = await client.createGroup('Trip planning', [ALICE, '+15559990000']);
+  assert.equal(created.group.name, 'Trip planning');
+  assert.deepEqual(created.group.admins, [ME]);
+  assert.deepEqual(created.results.map(r => [r.jid, r.success]), [[ALICE, true], [PRIVATE, false]]);
+  assert.equal(client.getChat(created.group.jid).participants.length, 2);
+
+  await assert.rejects(client.createGroup('Bad', ['not a number']), err => err.status === 400);
+});
+
+test('participant changes report a result each and update the cache', async (t) => {
+  const client = await replayClient(t);
+  const { group } = await client.createGroup('Trip planning', [ALICE]);
+
+  const added = await client.updateGroupParticipants(group.jid, [BOB, ALICE, PRIVATE], 'add');
+  assert.equal(added.success, false);
+  assert.equal(added.succeeded, 1);
+  assert.deepEqual(added.results.map(r => r.error), [null, 'conflict', 'not_allowed']);
+  assert.ok(client.getChat(group.jid).participants.some(p => p.jid === BOB));
+
+  await client.updateGroupParticipants(group.jid, [BOB], 'promote');
+  assert.deepEqual(client.getChat(group.jid).admins, [ME, BOB]);
+  await client.updateGroupParticipants(group.jid, [BOB], 'demote');
+  await client.updateGroupParticipants(group.jid, [ALICE], 'remove');
+  assert.deepEqual(client.getChat(group.jid).participants, [{ jid: ME, admin: 'superadmin' }, { jid: BOB, admin: null }]);
+
+  const missing = await client.updateGroupParticipants(group.jid, [ALICE], 'remove');
+  assert.equal(missing.results[0].error, 'not_found');
+  await assert.rejects(client.updateGroupParticipants(group.jid, [BOB], 'ban'), err => err.status === 400);
+  await assert.rejects(client.updateGroupParticipants(ALICE, [BOB], 'add'), err => err.status === 400);
+  await assert.rejects(client.updateGroupParticipants('999@g.us', [BOB], 'add'), err => err.status === 404);
+});
+
+test('subject, description and settings changes are cached', async (t) => {
+  const client = await replayClient(t);
+  const { group } = await client.createGroup('Trip planning', []);
+
+  const { group: updated } = await client.updateGroup(group.jid, {
+    subject: 'Trip to Lisbon',
+    description: 'Flights and hotels',
+    announce: true,
+    locked: true,
+  });
+  assert.equal(updated.name, 'Trip to Lisbon');
+  assert.equal(updated.description, 'Flights and hotels');
+  assert.equal(updated.announce, true);
+  assert.equal(updated.restrict, true);
+  assert.deepEqual(client.sock.sent.filter(s => s.groupSetting).map(s => s.groupSetting.setting), ['announcement', 'locked']);
+
+  await client.updateGroup(group.jid, { description: null, announce: false });
+  assert.equal(client.getChat(group.jid).description, null);
+  assert.equal(client.getChat(group.jid).announce, false);
+});
+
+test('invite links can be fetched, revoked, previewed and joined', async (t) => {
+  const client = await replayClient(t);
+  const { group } = await client.createGroup('Trip planning', []);
+
+  const invite = await client.getGroupInvite(group.jid);
+  assert.equal(invite.link, `https://chat.whatsapp.com/${invite.code}`);
+  const revoked = await client.revokeGroupInvite(group.jid);
+  assert.notEqual(revoked.code, invite.code);
+  await assert.rejects(client.getInviteInfo(invite.code), err => err.status === 404);
+
+  const info = await client.getInviteInfo(revoked.link);
+  assert.equal(info.group_jid, group.jid);
+  assert.equal(info.subject, 'Trip planning');
+
+  const left = await client.leaveGroup(group.jid);
+  assert.ok(left.group.left_at);
+  assert.ok(!left.group.participants.some(p => p.jid === ME));
+
+  const joined = await client.joinGroup(revoked.link);
+  assert.equal(joined.group.jid, group.jid);
+  assert.equal(joined.group.left_at, null);
+  await assert.rejects(client.joinGroup('nope'), err => err.status === 400);
+});
+
+test('parses participants and invite codes', () => {
+  assert.equal(toParticipantJid('+15550000001'), ALICE);
+  assert.equal(toParticipantJid(ALICE), ALICE);
+  assert.equal(toParticipantJid('120363000000000001@g.us'), null);
+  assert.equal(parseInviteCode('https://chat.whatsapp.com/AbCdEf123456?x=1'), 'AbCdEf123456');
+  assert.equal(parseInviteCode('AbCdEf123456'), 'AbCdEf123456');
+  assert.equal(parseInviteCode('https://example.com/x'), null);
+});
@@ -0,0 +1,50 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import BaileysClient from '../src/baileys.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+// A fresh data directory under the OS temp dir, removed when the test ends
+export function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'whatsapp-bridge-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+// A WAMessage as Baileys delivers it for a plain text message
+export function textMessage({ id, chat = '15550000001@s.whatsapp.net', text = 'hello', fromMe = false, participant, timestamp = 1760000000 }) {
+  return {
+    key: { remoteJid: chat, fromMe, id, ...(participant && { participant }) },
+    messageTimestamp: timestamp,
+    message: { conversation: text },
+  };
+}
+
+// A replay-mode client on a temp data directory (or `dataDir`), not yet connected
+export function createClient(t, { dataDir = tempDir(t), fixture = 'session.jsonl' } = {}) {
+  const client = new BaileysClient({
+    dataDir,
+    mode: 'replay',
+    fixtureFile: fixture && path.join(FIXTURES_DIR, fixture),
+  });
+  t.after(() => {
+    clearTimeout(client.outbox.saveTimer);
+    client.outbox.saveTimer = null;
+    client.outbox.stop();
+    client.scheduler.stop();
+    clearTimeout(client.metadata.saveTimer);
+  });
+  return client;
+}
+
+// A client that has replayed the whole fixture
+export async function replayClient(t, options) {
+  const client = createClient(t, options);
+  await client.connect();
+  await client.replayFinished;
+  return client;
+}
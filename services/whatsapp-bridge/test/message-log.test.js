@@ -0,0 +1,175 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import MessageLog from '../src/message-log.js';
+import { FileStorage } from '../src/storage.js';
+import { tempDir } from './helpers.js';
+
+function createLog(dir, options = {}) {
+  return new MessageLog({
+    storage: new FileStorage({ dir }),
+    legacyLogFile: path.join(dir, 'buffer.jsonl'),
+    compactIntervalMs: 0,
+    ...options,
+  });
+}
+
+function message(id, chatJid = 'c@s.whatsapp.net') {
+  return { message_id: id, chat_jid: chatJid, content: id, timestamp: '2025-10-09T08:53:20.000Z' };
+}
+
+// Every line across the log's segment files, oldest first
+function diskEntries(dir) {
+  const logDir = path.join(dir, 'store', 'buffer');
+  return fs.readdirSync(logDir)
+    .filter(name => name.endsWith('.jsonl'))
+    .sort()
+    .flatMap(name => fs.readFileSync(path.join(logDir, name), 'utf8').trim().split('\n').filter(Boolean))
+    .map(line => JSON.parse(line));
+}
+
+test('pages through entries by sequence number', (t) => {
+  const log = createLog(tempDir(t));
+  for (const id of ['a', 'b', 'c']) log.append(message(id));
+
+  const first = log.read({ limit: 2 });
+  assert.deepEqual(first.messages.map(m => m.message_id), ['a', 'b']);
+  assert.equal(first.has_more, true);
+
+  const second = log.read({ after: first.next_after, limit: 2 });
+  assert.deepEqual(second.messages.map(m => m.message_id), ['c']);
+  assert.equal(second.has_more, false);
+  assert.equal(second.last_seq, 3);
+});
+
+test('detects duplicates by chat and message id', (t) => {
+  const log = createLog(tempDir(t));
+  log.append(message('a'));
+
+  assert.equal(log.has('c@s.whatsapp.net', 'a'), true);
+  assert.equal(log.has('c@s.whatsapp.net', 'b'), false);
+  assert.equal(log.has('other@s.whatsapp.net', 'a'), false);
+});
+
+test('persists entries and consumer cursors across restarts', (t) => {
+  const dir = tempDir(t);
+  const log = createLog(dir);
+  for (const id of ['a', 'b', 'c']) log.append(message(id));
+  log.register('archiver');
+  log.ack('importer', 2);
+
+  const reloaded = createLog(dir);
+  assert.equal(reloaded.size, 3);
+  assert.equal(reloaded.has('c@s.whatsapp.net', 'c'), true);
+  assert.deepEqual(reloaded.read({ after: 2 }).messages.map(m => m.message_id), ['c']);
+
+  const consumers = reloaded.getConsumerStatus();
+  assert.equal(consumers.importer.acked_seq, 2);
+  assert.equal(consumers.archiver.acked_seq, 0);
+});
+
+test('compacts entries acknowledged by every consumer', (t) => {
+  const dir = tempDir(t);
+  const log = createLog(dir);
+  for (const id of ['a', 'b', 'c']) log.append(message(id));
+  log.register('importer');
+  log.register('archiver');
+
+  // Not compacted until the slowest consumer catches up
+  log.ack('importer', 3);
+  assert.equal(log.size, 3);
+
+  log.ack('archiver', 2);
+  assert.equal(log.size, 1);
+  assert.equal(log.has('c@s.whatsapp.net', 'a'), false);
+
+  // Files are compacted separately from acks
+  assert.equal(diskEntries(dir).length, 3);
+  log.compactFiles();
+  assert.deepEqual(diskEntries(dir).map(entry => entry.message_id), ['c']);
+
+  // Sequence numbers keep counting after compaction, across restarts
+  log.ack('archiver', 3);
+  log.compactFiles();
+  assert.deepEqual(diskEntries(dir), []);
+  const reloaded = createLog(dir);
+  assert.equal(reloaded.append(message('d')).seq, 4);
+});
+
+test('consumers are known from their first ack or registration, not from reads', (t) => {
+  const log = createLog(tempDir(t));
+  for (const id of ['a', 'b', 'c']) log.append(message(id));
+
+  assert.equal(log.read({ consumer: 'curious' }).messages.length, 3);
+  assert.deepEqual(Object.keys(log.getConsumerStatus()), []);
+
+  assert.equal(log.register('importer'), true);
+  assert.equal(log.register('importer'), false);
+  log.ack('archiver', 3);
+  // The registered importer still holds everything
+  assert.equal(log.size, 3);
+
+  assert.equal(log.removeConsumer('importer'), true);
+  assert.equal(log.removeConsumer('importer'), false);
+  assert.equal(log.size, 0);
+  assert.deepEqual(Object.keys(log.getConsumerStatus()), ['archiver']);
+});
+
+test('idle consumers expire and stop holding the buffer', (t) => {
+  const log = createLog(tempDir(t), { consumerTtlMs: 1000 });
+  for (const id of ['a', 'b']) log.append(message(id));
+  log.register('abandoned');
+  log.ack('importer', 2);
+  assert.equal(log.size, 2);
+
+  assert.deepEqual(log.expireConsumers(Date.now() + 500), []);
+  assert.deepEqual(log.expireConsumers(Date.now() + 5000), ['abandoned', 'importer']);
+  log.register('abandoned');
+  log.consumers.abandoned.registered_at = new Date(Date.now() - 5000).toISOString();
+  log.ack('importer', 2);
+  log.compactFiles();
+  assert.deepEqual(Object.keys(log.getConsumerStatus()), ['importer']);
+  assert.equal(log.size, 0);
+});
+
+test('keeps at most maxEntries on disk and in memory', (t) => {
+  const dir = tempDir(t);
+  const log = createLog(dir, { maxEntries: 10, segmentSize: 3 });
+  for (let i = 1; i <= 25; i++) log.append(message(`m${i}`));
+
+  assert.ok(log.size <= 10);
+  assert.ok(diskEntries(dir).length <= 10);
+  assert.equal(log.read({ limit: 100 }).messages.at(-1).message_id, 'm25');
+  assert.equal(log.has('c@s.whatsapp.net', 'm1'), false);
+
+  const reloaded = createLog(dir, { maxEntries: 10, segmentSize: 3 });
+  assert.equal(reloaded.size, log.size);
+  assert.equal(reloaded.lastSeq, 25);
+});
+
+test('loads segments with lines larger than the read chunk', (t) => {
+  const dir = tempDir(t);
+  const log = createLog(dir);
+  const long = { ...message('long'), content: 'é'.repeat(100000) };
+  log.append(message('a'));
+  log.append(long);
+  log.append(message('b'));
+
+  const reloaded = createLog(dir);
+  assert.deepEqual(reloaded.peek().map(m => m.message_id), ['a', 'long', 'b']);
+  assert.equal(reloaded.peek()[1].content, long.content);
+});
+
+test('migrates a legacy buffer.jsonl into segments', (t) => {
+  const dir = tempDir(t);
+  fs.writeFileSync(
+    path.join(dir, 'buffer.jsonl'),
+    [message('a'), message('b'), message('a')].map(m => JSON.stringify(m)).join('\n') + '\n'
+  );
+
+  const log = createLog(dir);
+  assert.deepEqual(log.read().messages.map(m => [m.seq, m.message_id]), [[1, 'a'], [2, 'b']]);
+  assert.equal(fs.existsSync(path.join(dir, 'buffer.jsonl')), false);
+  assert.deepEqual(diskEntries(dir).map(entry => entry.seq), [1, 2]);
+});
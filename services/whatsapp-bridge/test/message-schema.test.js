@@ -0,0 +1,109 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { messageSchema, validateMessage } from '../src/message-schema.js';
+import { createClient, replayClient } from './helpers.js';
+
+const ALICE = '15550000001@s.whatsapp.net';
+const BOB = '15550000002@s.whatsapp.net';
+const GROUP = '120363000000000001@g.us';
+
+function wa(id, message, extra = {}) {
+  return {
+    key: { remoteJid: GROUP, fromMe: false, id, participant: BOB },
+    messageTimestamp: 1760000000,
+    pushName: 'Bob',
+    message,
+    ...extra,
+  };
+}
+
+// One WAMessage per message_type the bridge produces
+const SAMPLES = {
+  text: wa('T1', {
+    extendedTextMessage: {
+      text: 'hi @15550000001',
+      contextInfo: { mentionedJid: [ALICE], isForwarded: true, forwardingScore: 6 },
+    },
+  }),
+  image: wa('I1', { imageMessage: { caption: 'view', mimetype: 'image/jpeg', fileLength: { low: 2048, high: 0 }, fileSha256: 'AQID' } }),
+  video: wa('V1', { videoMessage: { mimetype: 'video/mp4', fileLength: '4096' } }),
+  audio: wa('AU1', { audioMessage: { mimetype: 'audio/ogg', ptt: true } }),
+  document: wa('D1', { documentWithCaptionMessage: { message: { documentMessage: { fileName: 'map.pdf', mimetype: 'application/pdf' } } } }),
+  sticker: wa('S1', { stickerMessage: { mimetype: 'image/webp' } }),
+  contact: wa('C1', { contactMessage: { displayName: 'Carol' } }),
+  location: wa('L1', { locationMessage: { degreesLatitude: 46.5, degreesLongitude: 7.9 } }),
+  live_location: wa('LL1', { liveLocationMessage: { degreesLatitude: 46.5, degreesLongitude: 7.9, accuracyInMeters: 12 } }),
+  poll: wa('P1', { pollCreationMessageV3: { name: 'Trail?', options: [{ optionName: 'North' }], selectableOptionsCount: 1 } }),
+  poll_vote: wa('PV1', { pollUpdateMessage: { pollCreationMessageKey: { id: 'P1' } } }),
+  button_response: wa('B1', { buttonsResponseMessage: { selectedButtonId: 'yes', selectedDisplayText: 'Yes' } }),
+  reaction: wa('R1', { reactionMessage: { key: { id: 'T1' }, text: '🔥', senderTimestampMs: 1760000005000 } }, { messageTimestamp: undefined }),
+  edit: wa('E1', { protocolMessage: { type: 14, key: { id: 'T1' }, editedMessage: { conversation: 'hello' } } }),
+  revoke: wa('X1', { protocolMessage: { type: 'REVOKE', key: { id: 'T1' } } }),
+};
+
+test('every message type the bridge produces conforms to the schema', (t) => {
+  const client = createClient(t);
+  const types = messageSchema.properties.message_type.enum;
+  assert.deepEqual(Object.keys(SAMPLES).sort(), [...types].sort());
+
+  for (const [type, msg] of Object.entries(SAMPLES)) {
+    const formatted = client.formatMessage(msg);
+    assert.equal(formatted.message_type, type);
+    assert.deepEqual(validateMessage(formatted), [], type);
+    assert.equal('raw_data' in formatted, false);
+  }
+});
+
+test('records mentions, forwarding and ephemeral expiry', (t) => {
+  const client = createClient(t);
+  const text = client.formatMessage(SAMPLES.text);
+  assert.deepEqual(text.mentions, [ALICE]);
+  assert.equal(text.is_forwarded, true);
+  assert.equal(text.forwarding_score, 6);
+  assert.equal(text.is_ephemeral, false);
+  assert.equal(text.expires_at, null);
+
+  const ephemeral = client.formatMessage(wa('EP1', {
+    ephemeralMessage: { message: { extendedTextMessage: { text: 'gone soon', contextInfo: { expiration: 86400 } } } },
+  }));
+  assert.equal(ephemeral.is_ephemeral, true);
+  assert.equal(ephemeral.ephemeral_expiration, 86400);
+  assert.equal(ephemeral.expires_at, '2025-10-10T08:53:20.000Z');
+  assert.deepEqual(validateMessage(ephemeral), []);
+});
+
+test('reactions use their own timestamp and target', (t) => {
+  const client = createClient(t);
+  const fallback = client.formatMessage(SAMPLES.reaction);
+  assert.equal(fallback.timestamp, '2025-10-09T08:53:25.000Z');
+  assert.equal(fallback.target_message_id, 'T1');
+
+  const timed = client.formatMessage({ ...SAMPLES.reaction, messageTimestamp: 1760000100 });
+  assert.equal(timed.timestamp, '2025-10-09T08:55:00.000Z');
+});
+
+test('reports schema violations', () => {
+  const errors = validateMessage({ schema_version: 2, message_id: '', chat_jid: 'nobody', extra: 1 });
+  const paths = errors.map(e => e.path);
+  assert.ok(paths.includes('/schema_version'));
+  assert.ok(paths.includes('/message_id'));
+  assert.ok(paths.includes('/chat_jid'));
+  assert.ok(errors.some(e => e.message === 'unexpected property extra'));
+  assert.ok(errors.some(e => e.message === 'missing required property timestamp'));
+});
+
+test('stored, buffered and raw reads conform to the schema', async (t) => {
+  const client = await replayClient(t);
+
+  const buffered = client.readBufferedMessages().messages;
+  const stored = (await client.fetchMessagesFromChat(ALICE)).messages;
+  assert.ok(buffered.length > 0 && stored.length > 0);
+  for (const message of [...buffered, ...stored]) {
+    assert.deepEqual(validateMessage(message), [], message.message_id);
+    assert.equal('raw_data' in message, false);
+  }
+
+  const raw = client.readBufferedMessages({ raw: true }).messages;
+  assert.deepEqual(raw.map(m => validateMessage(m)).flat(), []);
+  assert.equal(raw[0].raw_data.key.id, raw[0].message_id);
+});
@@ -0,0 +1,71 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { Counter, Gauge, Histogram, Registry, metrics } from '../src/metrics.js';
+import { createClient, replayClient, textMessage } from './helpers.js';
+
+// Current value of a counter or gauge (0 when the series does not exist yet)
+function value(metric, labels) {
+  return metric.values.get(metric.key(labels)) || 0;
+}
+
+test('Registry renders the Prometheus text format', () => {
+  const registry = new Registry();
+  const counter = registry.register(new Counter({ name: 'things_total', help: 'Things', labelNames: ['kind'] }));
+  const gauge = registry.register(new Gauge({ name: 'level', help: 'Level' }));
+  counter.inc({ kind: 'a' });
+  counter.inc({ kind: 'a' }, 2);
+  counter.inc({ kind: 'say "hi"\n' });
+  gauge.set({}, 7);
+
+  assert.equal(registry.render(), [
+    '# HELP things_total Things',
+    '# TYPE things_total counter',
+    'things_total{kind="a"} 3',
+    'things_total{kind="say \\"hi\\"\\n"} 1',
+    '# HELP level Level',
+    '# TYPE level gauge',
+    'level 7',
+    '',
+  ].join('\n'));
+});
+
+test('Histogram buckets are cumulative with sum and count', () => {
+  const histogram = new Histogram({ name: 'took_seconds', help: 'Took', labelNames: ['op'], buckets: [0.1, 1] });
+  histogram.observe({ op: 'x' }, 0.05);
+  histogram.observe({ op: 'x' }, 0.5);
+  histogram.observe({ op: 'x' }, 3);
+
+  assert.deepEqual(histogram.render().slice(2), [
+    'took_seconds_bucket{op="x",le="0.1"} 1',
+    'took_seconds_bucket{op="x",le="1"} 2',
+    'took_seconds_bucket{op="x",le="+Inf"} 3',
+    'took_seconds_sum{op="x"} 3.55',
+    'took_seconds_count{op="x"} 3',
+  ]);
+});
+
+test('ingesting messages counts new messages by type and source, and duplicates', async (t) => {
+  const client = createClient(t, { fixture: null });
+  const labels = { session: client.id, type: 'text', source: 'live' };
+  const received = value(metrics.messagesReceived, labels);
+  const dedup = value(metrics.dedupHits, { session: client.id });
+
+  await client.ingestMessage(textMessage({ id: 'M1' }));
+  await client.ingestMessage(textMessage({ id: 'M2' }));
+  await client.ingestMessage(textMessage({ id: 'M1' }));
+
+  assert.equal(value(metrics.messagesReceived, labels), received + 2);
+  assert.equal(value(metrics.dedupHits, { session: client.id }), dedup + 1);
+});
+
+test('collectMetrics reports connection, buffer and history sync gauges', async (t) => {
+  const client = await replayClient(t);
+  client.collectMetrics();
+  const session = { session: client.id };
+
+  assert.equal(value(metrics.connected, session), 1);
+  assert.equal(value(metrics.bufferSize, session), client.messageLog.size);
+  assert.equal(value(metrics.historySyncComplete, session), 1);
+  assert.equal(value(metrics.historySyncMessages, session), client.historySyncProgress.messages);
+  assert.ok(value(metrics.historySyncMessages, session) > 0);
+});
@@ -0,0 +1,69 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import createRoutes from '../src/routes.js';
+import createSessionRoutes from '../src/session-routes.js';
+import Auth from '../src/auth.js';
+import { OPERATIONS, buildOpenApi, validate } from '../src/openapi.js';
+
+// "METHOD /path" for every route a router registers
+function routeKeys(router) {
+  return router.stack
+    .filter(layer => layer.route)
+    .flatMap(layer => Object.keys(layer.route.methods).map(method => `${method.toUpperCase()} ${layer.route.path}`));
+}
+
+// Run the validate middleware on a fake request for an operation
+function run(key, { params = {}, query = {}, body } = {}) {
+  const [method, path] = key.split(' ');
+  const req = { method, route: { path }, params, query, body };
+  const res = {
+    status(code) { this.statusCode = code; return this; },
+    json(payload) { this.payload = payload; return this; },
+  };
+  let passed = false;
+  validate(req, res, () => { passed = true; });
+  return { req, res, passed };
+}
+
+test('every route has an operation and every operation a route', () => {
+  const auth = new Auth({});
+  const keys = [
+    ...routeKeys(createRoutes({}, {}, auth)),
+    ...routeKeys(createSessionRoutes({}, {}, auth)),
+  ];
+  assert.deepEqual([...keys].sort(), Object.keys(OPERATIONS).sort());
+});
+
+test('query strings are coerced to their schema types with defaults', () => {
+  const { req, passed } = run('GET /search', {
+    query: { q: 'lake', message_type: 'text, image', is_from_me: 'false', offset: '20' },
+  });
+  assert.ok(passed);
+  assert.deepEqual(req.query, { q: 'lake', message_type: ['text', 'image'], is_from_me: false, offset: 20, limit: 20 });
+
+  const { res } = run('GET /search', { query: { limit: 'ten', after: 'yesterday' } });
+  assert.equal(res.statusCode, 400);
+  assert.deepEqual(res.payload.details.map(detail => detail.path), ['/limit', '/after']);
+});
+
+test('body and path errors name their location', () => {
+  const { res } = run('POST /messages/ack', { body: { seq: -1 } });
+  assert.equal(res.payload.code, 'invalid_request');
+  assert.equal(res.payload.error, 'body missing required property consumer; body/seq must be >= 0');
+
+  const media = run('GET /media/:id', { params: { id: 'abc' } }).res;
+  assert.equal(media.payload.details[0].in, 'params');
+  assert.equal(run('GET /chats/:jid', { params: { jid: 'group@g.us' } }).passed, true);
+});
+
+test('the OpenAPI document lists each route once with its inputs', () => {
+  const spec = buildOpenApi();
+  const send = spec.paths['/messages/send'].post;
+
+  assert.equal(send['x-scope'], 'send');
+  assert.deepEqual(send.requestBody.content['application/json'].schema.required, ['chat_jid']);
+  assert.equal(send.responses[400].content['application/json'].schema.$ref, '#/components/schemas/Error');
+  assert.deepEqual(spec.paths['/groups/{jid}/participants/{action}'].post.parameters.map(p => p.name), ['jid', 'action']);
+  assert.equal(spec.paths['/status'].get.responses[400], undefined);
+  assert.ok(spec.components.schemas.Message.properties.message_id);
+});
@@ -0,0 +1,162 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import PrivacyFilter from '../src/privacy-filter.js';
+import { ReplaySocket } from '../src/replay.js';
+import { FileStorage } from '../src/storage.js';
+import { createClient, tempDir, textMessage } from './helpers.js';
+
+const ALICE = '15550000001@s.whatsapp.net';
+const GROUP = '120363000000000001@g.us';
+
+function message(fields) {
+  return {
+    message_id: 'MSG1',
+    chat_jid: ALICE,
+    sender_jid: ALICE,
+    content: 'hello',
+    message_type: 'text',
+    quoted_content: null,
+    ...fields,
+  };
+}
+
+function filterWith(t, rules) {
+  const filter = new PrivacyFilter({ storage: new FileStorage({ dir: tempDir(t) }) });
+  filter.setRules(rules);
+  return filter;
+}
+
+test('chat allow/deny lists and suffix patterns', (t) => {
+  const denyGroups = filterWith(t, { chats: { deny: ['*@g.us'] } });
+  assert.ok(denyGroups.apply(message({})));
+  assert.equal(denyGroups.apply(message({ chat_jid: GROUP })), null);
+
+  const allowAlice = filterWith(t, { chats: { allow: [ALICE] }, senders: { deny: ['15550000009@s.whatsapp.net'] } });
+  assert.ok(allowAlice.apply(message({})));
+  assert.equal(allowAlice.apply(message({ chat_jid: GROUP })), null);
+  assert.equal(allowAlice.apply(message({ sender_jid: '15550000009@s.whatsapp.net' })), null);
+});
+
+test('message types and deny patterns drop messages', (t) => {
+  const filter = filterWith(t, { message_types: { deny: ['sticker'] }, deny_patterns: ['^secret:'] });
+  assert.equal(filter.apply(message({ message_type: 'sticker' })), null);
+  assert.equal(filter.apply(message({ content: 'Secret: the code' })), null);
+  assert.ok(filter.apply(message({ content: 'no secrets here' })));
+
+  const textOnly = filterWith(t, { message_types: { allow: ['text'] } });
+  assert.equal(textOnly.apply(message({ message_type: 'image' })), null);
+});
+
+test('built-in redactions replace OTPs, cards, emails and phone numbers', (t) => {
+  const filter = filterWith(t, { redact: { builtin: ['otp', 'card', 'email', 'phone'] } });
+
+  const redact = content => filter.apply(message({ content })).content;
+  assert.equal(redact('Your verification code is 482913.'), 'Your verification code is [redacted].');
+  assert.equal(redact('G-482913 is your Google code'), '[redacted] is your Google code');
+  assert.equal(redact('card 4111 1111 1111 1111 exp 12/29'), 'card [redacted] exp 12/29');
+  assert.equal(redact('mail me at alice@example.com'), 'mail me at [redacted]');
+  assert.equal(redact('call +1 (555) 000-0001 later'), 'call [redacted] later');
+  // Short numbers and non-Luhn digit runs are left alone
+  assert.equal(redact('meet at 9am, room 1204'), 'meet at 9am, room 1204');
+
+  const result = filter.apply(message({ content: 'alice@example.com' }));
+  assert.equal(result.is_redacted, true);
+  assert.equal(filter.keepsRaw(result), false);
+  // Unredacted messages keep the raw protobuf unless drop_raw_data is set
+  assert.equal(filter.keepsRaw(filter.apply(message({}))), true);
+  assert.equal(filterWith(t, { drop_raw_data: true }).keepsRaw(message({})), false);
+});
+
+test('custom redaction patterns and replacement', (t) => {
+  const filter = filterWith(t, { redact: { patterns: ['acct-\\d+'], replacement: '***' } });
+  const result = filter.apply(message({ content: 'ACCT-991 is overdue', quoted_content: 'acct-12' }));
+  assert.equal(result.content, '*** is overdue');
+  assert.equal(result.quoted_content, '***');
+});
+
+test('redaction covers every text field, including contact cards', (t) => {
+  const filter = filterWith(t, { redact: { builtin: ['email'] } });
+  const result = filter.apply(message({
+    message_type: 'poll',
+    content: 'Who mails bob@example.com?',
+    poll: { name: 'Who mails bob@example.com?', options: ['alice@example.com', 'nobody'], selectable_count: 1 },
+    location: { latitude: 1, longitude: 2, name: 'carol@example.com', address: null },
+    media: { id: null, mimetype: 'application/pdf', file_name: 'dave@example.com.pdf' },
+  }));
+  assert.equal(result.poll.name, 'Who mails [redacted]?');
+  assert.deepEqual(result.poll.options, ['[redacted]', 'nobody']);
+  assert.equal(result.location.name, '[redacted]');
+  assert.equal(result.location.address, null);
+  assert.equal(result.media.file_name, '[redacted]');
+
+  // A match only inside a vcard still drops the raw protobuf that holds it
+  const vcard = 'BEGIN:VCARD\nEMAIL:erin@example.com\nEND:VCARD';
+  const contact = filter.apply(message({ message_type: 'contact', content: 'Erin' }), { vcards: [vcard] });
+  assert.equal(contact.content, 'Erin');
+  assert.equal(filter.keepsRaw(contact), false);
+});
+
+test('invalid rules are rejected and the previous rules stay active', (t) => {
+  const filter = filterWith(t, { chats: { deny: [GROUP] } });
+
+  for (const rules of [
+    { deny_patterns: ['('] },
+    { redact: { builtin: ['ssn'] } },
+    { chats: { deny: 'all' } },
+    { drop_raw_data: 'yes' },
+    [],
+  ]) {
+    assert.throws(() => filter.setRules(rules), err => err.status === 400, JSON.stringify(rules));
+  }
+  assert.deepEqual(filter.getRules().chats.deny, [GROUP]);
+});
+
+test('rules persist and are reloaded', (t) => {
+  const dir = tempDir(t);
+  new PrivacyFilter({ storage: new FileStorage({ dir }) }).setRules({ chats: { deny: [GROUP] } });
+  assert.ok(fs.existsSync(path.join(dir, 'store', 'filters.json')));
+  assert.deepEqual(new PrivacyFilter({ storage: new FileStorage({ dir }) }).getRules().chats.deny, [GROUP]);
+});
+
+test('rules are encrypted with the rest of the store', (t) => {
+  const dir = tempDir(t);
+  new PrivacyFilter({ storage: new FileStorage({ dir, key: 'secret' }) }).setRules({ chats: { deny: [GROUP] } });
+  assert.doesNotMatch(fs.readFileSync(path.join(dir, 'store', 'filters.json'), 'utf8'), /g\.us/);
+  assert.deepEqual(new PrivacyFilter({ storage: new FileStorage({ dir, key: 'secret' }) }).getRules().chats.deny, [GROUP]);
+});
+
+test('filtered messages never reach the chat store or buffer', async (t) => {
+  const client = createClient(t, { fixture: null });
+  client.filter.setRules({ chats: { deny: [GROUP] }, redact: { builtin: ['email'] } });
+
+  assert.equal(await client.ingestMessage(textMessage({ id: 'G1', chat: GROUP, participant: ALICE })), null);
+  const kept = await client.ingestMessage(textMessage({ id: 'A1', text: 'alice@example.com' }));
+  assert.equal(kept.content, '[redacted]');
+
+  assert.deepEqual(client.messageLog.peek().map(e => e.message_id), ['A1']);
+  assert.equal(client.chatStore.get(ALICE, 'A1').content, '[redacted]');
+  assert.equal(client.getMessage(ALICE, 'A1', { raw: true }).raw_data, null);
+  assert.equal(client.chatStore.get(GROUP, 'G1'), null);
+});
+
+test('denied chats leave no metadata and publish no chat events', async (t) => {
+  const client = createClient(t, { fixture: null });
+  client.sock = new ReplaySocket();
+  client.attachHandlers();
+  client.filter.setRules({ chats: { deny: [GROUP] } });
+  const events = [];
+  client.on('event', event => events.push(event));
+
+  await client.sock.ev.emit('chats.upsert', [{ id: GROUP, name: 'Secret group' }, { id: ALICE, name: 'Alice' }]);
+  await client.sock.ev.emit('groups.update', [{ id: GROUP, subject: 'Still secret' }]);
+  await client.sock.ev.emit('group-participants.update', { id: GROUP, participants: [ALICE], action: 'add' });
+  await client.sock.ev.emit('presence.update', { id: GROUP, presences: {} });
+  await client.sock.ev.emit('contacts.upsert', [{ id: ALICE, notify: 'Alice' }]);
+
+  assert.equal(client.chats.get(GROUP), undefined);
+  assert.equal(client.chats.get(ALICE).name, 'Alice');
+  assert.deepEqual(events.map(e => e.type), ['chat.upsert']);
+  assert.deepEqual(events[0].data.map(chat => chat.jid), [ALICE]);
+});
@@ -0,0 +1,97 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { EventEmitter } from 'events';
+import { ReplaySocket, loadFixture, recordSocketEvents } from '../src/replay.js';
+import { createClient, replayClient, tempDir } from './helpers.js';
+
+const ALICE = '15550000001@s.whatsapp.net';
+const GROUP = '120363000000000001@g.us';
+
+test('replays a recorded session into the stores', async (t) => {
+  const client = await replayClient(t);
+  const status = client.getStatus();
+
+  assert.equal(status.status, 'connected');
+  assert.equal(status.history_sync_complete, true);
+  assert.equal(client.getChat(GROUP).name, 'Hiking Club');
+  assert.deepEqual(client.getChat(GROUP).participants.map(p => p.jid), ['15550000003@s.whatsapp.net']);
+  assert.equal(client.metadata.getContact(ALICE).push_name, 'Alice');
+});
+
+test('deduplicates messages seen in history sync and live upserts', async (t) => {
+  const client = await replayClient(t);
+  const buffered = client.peekBufferedMessages().map(m => m.message_id);
+
+  // HIST0001 arrives three times across two history batches and a live upsert
+  assert.deepEqual(buffered, ['HIST0001', 'HIST0002', 'HIST0003', 'LIVE0001', 'LIVE0002', 'LIVE0003']);
+
+  const { messages } = await client.fetchMessagesFromChat(ALICE);
+  assert.deepEqual(messages.map(m => m.message_id), ['HIST0001', 'HIST0002', 'LIVE0001', 'LIVE0002', 'LIVE0003']);
+});
+
+test('applies edits to stored messages', async (t) => {
+  const client = await replayClient(t);
+  const edited = client.chatStore.get(ALICE, 'LIVE0001');
+
+  assert.equal(edited.content, 'See you there!');
+  assert.equal(edited.edited_at, '2025-10-09T08:58:30.000Z');
+});
+
+test('publishes live messages but not history', async (t) => {
+  const client = createClient(t);
+  const events = [];
+  client.on('event', event => events.push(event));
+  await client.connect();
+  await client.replayFinished;
+
+  const messageEvents = events.filter(e => e.type === 'message.new' || e.type === 'message.reaction');
+  assert.deepEqual(messageEvents.map(e => [e.type, e.data.message_id]), [
+    ['message.new', 'LIVE0001'],
+    ['message.new', 'LIVE0002'],
+    ['message.reaction', 'LIVE0003'],
+  ]);
+});
+
+test('persists the buffer and chat store across restarts', async (t) => {
+  const dataDir = tempDir(t);
+  const first = await replayClient(t, { dataDir });
+  first.ackBufferedMessages('importer', 2);
+
+  const second = createClient(t, { dataDir, fixture: null });
+  assert.equal(second.getStatus().buffer_last_seq, 6);
+  assert.deepEqual(
+    second.readBufferedMessages({ consumer: 'importer' }).messages.map(m => m.message_id),
+    ['HIST0003', 'LIVE0001', 'LIVE0002', 'LIVE0003']
+  );
+  assert.equal(second.chatStore.get(ALICE, 'LIVE0001').content, 'See you there!');
+});
+
+test('records socket events that replay identically', async (t) => {
+  const fixtureFile = path.join(tempDir(t), 'recorded.jsonl');
+  const ev = new EventEmitter();
+  recordSocketEvents(ev, fixtureFile);
+
+  const upsert = {
+    type: 'notify',
+    messages: [{
+      key: { remoteJid: ALICE, id: 'REC1' },
+      messageTimestamp: 1760000000,
+      message: { imageMessage: { caption: 'summit', fileSha256: Buffer.from([1, 2, 3]) } },
+    }],
+  };
+  ev.emit('messages.upsert', upsert);
+  ev.emit('creds.update', { me: { id: 'not recorded' } });
+
+  const events = loadFixture(fixtureFile);
+  assert.deepEqual(events.map(e => e.event), ['messages.upsert']);
+  assert.ok(Buffer.isBuffer(events[0].data.messages[0].message.imageMessage.fileSha256));
+
+  const socket = new ReplaySocket({ fixtureFile });
+  const received = [];
+  socket.ev.on('messages.upsert', data => received.push(data));
+  await socket.start();
+  assert.equal(received[0].messages[0].key.id, 'REC1');
+  assert.ok(fs.existsSync(fixtureFile));
+});
@@ -0,0 +1,630 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import express from 'express';
+import BaileysClient from '../src/baileys.js';
+import SessionManager from '../src/session-manager.js';
+import createSessionRoutes from '../src/session-routes.js';
+import EventHub from '../src/event-hub.js';
+import Auth from '../src/auth.js';
+import { metricsHandler } from '../src/metrics.js';
+import requestLogger from '../src/request-logger.js';
+import { errorHandler } from '../src/errors.js';
+import { FIXTURES_DIR, tempDir, textMessage } from './helpers.js';
+
+const ALICE = '15550000001@s.whatsapp.net';
+
+// Serve the API for replayed sessions the same way index.js does
+async function startServer(t, { tokens = [], fixture = 'session.jsonl' } = {}) {
+  const rootDir = tempDir(t);
+  const sessions = new SessionManager({
+    rootDir,
+    createClient: options => new BaileysClient({
+      ...options,
+      mode: 'replay',
+      fixtureFile: path.join(FIXTURES_DIR, fixture),
+    }),
+  });
+  t.after(() => sessions.closeAll());
+  await sessions.start();
+  await sessions.default.client.replayFinished;
+
+  const client = sessions.default.client;
+  const eventHub = new EventHub({});
+  const auth = new Auth({ tokens });
+
+  const app = express();
+  app.use(requestLogger);
+  app.use(auth.authenticate);
+  app.use(express.json());
+  app.get('/metrics', auth.requireScope('read'), metricsHandler(
+    () => Array.from(sessions.sessions.values(), session => session.client)
+  ));
+  app.use('/api', createSessionRoutes(sessions, eventHub, auth));
+  app.use(errorHandler);
+
+  const server = await new Promise(resolve => {
+    const s = app.listen(0, '127.0.0.1', () => resolve(s));
+  });
+  t.after(() => server.close());
+
+  const origin = `http://127.0.0.1:${server.address().port}`;
+  const baseUrl = `${origin}/api`;
+  const request = async (method, route, { body, token } = {}) => {
+    const res = await fetch(baseUrl + route, {
+      method,
+      headers: {
+        ...(body && { 'Content-Type': 'application/json' }),
+        ...(token && { Authorization: `Bearer ${token}` }),
+      },
+      body: body && JSON.stringify(body),
+    });
+    return { status: res.status, body: await res.json() };
+  };
+  return { client, sessions, rootDir, origin, request };
+}
+
+test('GET /status reports the replayed session', async (t) => {
+  const { request } = await startServer(t);
+  const { status, body } = await request('GET', '/status');
+
+  assert.equal(status, 200);
+  assert.equal(body.connected, true);
+  assert.equal(body.buffered_messages, 6);
+  assert.equal(body.history_sync_complete, true);
+  assert.ok(body.events);
+});
+
+test('GET /chats and /chats/:jid return chat metadata', async (t) => {
+  const { request } = await startServer(t);
+
+  const list = await request('GET', '/chats');
+  assert.equal(list.status, 200);
+  assert.equal(list.body.count, 2);
+
+  const chat = await request('GET', `/chats/${encodeURIComponent(ALICE)}`);
+  assert.equal(chat.body.name, 'Alice');
+
+  const missing = await request('GET', `/chats/${encodeURIComponent('nobody@s.whatsapp.net')}`);
+  assert.equal(missing.status, 404);
+});
+
+test('GET /messages/:chatJid pages by timestamp', async (t) => {
+  const { request } = await startServer(t);
+  const jid = encodeURIComponent(ALICE);
+
+  const latest = await request('GET', `/messages/${jid}?limit=2`);
+  assert.deepEqual(latest.body.messages.map(m => m.message_id), ['LIVE0002', 'LIVE0003']);
+  assert.equal(latest.body.has_more, true);
+
+  const older = await request('GET', `/messages/${jid}?limit=2&before=${latest.body.messages[0].timestamp}`);
+  assert.deepEqual(older.body.messages.map(m => m.message_id), ['HIST0002', 'LIVE0001']);
+
+  const invalid = await request('GET', `/messages/${jid}?before=yesterday`);
+  assert.equal(invalid.status, 400);
+});
+
+test('buffer reads resume from the consumer acknowledgement', async (t) => {
+  const { request } = await startServer(t);
+
+  const page = await request('GET', '/messages/buffer?consumer=importer&limit=4');
+  assert.equal(page.body.count, 4);
+  assert.equal(page.body.has_more, true);
+
+  const ack = await request('POST', '/messages/ack', { body: { consumer: 'importer', seq: page.body.next_after } });
+  assert.equal(ack.body.acked_seq, 4);
+
+  const rest = await request('GET', '/messages/buffer?consumer=importer');
+  assert.deepEqual(rest.body.messages.map(m => m.seq), [5, 6]);
+
+  const invalid = await request('POST', '/messages/ack', { body: { consumer: 'importer', seq: 'all' } });
+  assert.equal(invalid.status, 400);
+});
+
+test('buffer consumers are registered and removed explicitly', async (t) => {
+  const { client, request } = await startServer(t);
+
+  await request('GET', '/messages/buffer?consumer=reader');
+  assert.equal(client.messageLog.consumers.reader, undefined);
+
+  const created = await request('PUT', '/messages/consumers/archiver');
+  assert.equal(created.status, 201);
+  assert.equal(created.body.acked_seq, 0);
+  assert.equal((await request('PUT', '/messages/consumers/archiver')).status, 200);
+  assert.ok((await request('GET', '/status')).body.consumers.archiver);
+
+  assert.equal((await request('DELETE', '/messages/consumers/archiver')).status, 200);
+  assert.equal((await request('DELETE', '/messages/consumers/archiver')).body.code, 'not_found');
+});
+
+test('POST /messages/send sends through the socket and stores the message', async (t) => {
+  const { client, request } = await startServer(t);
+
+  const { status, body } = await request('POST', '/messages/send', {
+    body: { chat_jid: ALICE, text: 'On my way', reply_to: 'LIVE0001' },
+  });
+
+  assert.equal(status, 200);
+  assert.equal(body.status, 'sent');
+  assert.equal(body.message.content, 'On my way');
+  assert.equal(client.sock.sent.length, 1);
+  assert.equal(client.sock.sent[0].options.quoted.key.id, 'LIVE0001');
+
+  const invalid = await request('POST', '/messages/send', { body: { chat_jid: ALICE } });
+  assert.equal(invalid.status, 400);
+});
+
+test('media.path is only sent from inside the upload directory', async (t) => {
+  const { client, rootDir, request } = await startServer(t);
+  const sendMedia = media => request('POST', '/messages/send', { body: { chat_jid: ALICE, media: { type: 'document', ...media } } });
+
+  const disabled = await sendMedia({ path: '/etc/passwd' });
+  assert.equal(disabled.status, 400);
+  assert.match(disabled.body.error, /WHATSAPP_MEDIA_UPLOAD_DIR/);
+
+  const uploadDir = path.join(rootDir, 'uploads');
+  fs.mkdirSync(uploadDir);
+  fs.writeFileSync(path.join(uploadDir, 'report.pdf'), 'pdf');
+  fs.symlinkSync('/etc/passwd', path.join(uploadDir, 'passwd'));
+  client.mediaStore.uploadDir = uploadDir;
+
+  for (const file of ['/etc/passwd', '../store/filters.json', 'passwd', 'missing.pdf', '.']) {
+    const rejected = await sendMedia({ path: file });
+    assert.equal(rejected.status, 400, file);
+    assert.equal(rejected.body.code, 'invalid_request');
+  }
+  assert.equal(client.sock.sent.length, 0);
+
+  const sent = await sendMedia({ path: 'report.pdf' });
+  assert.equal(sent.status, 200);
+  assert.equal(client.sock.sent[0].content.document.url, fs.realpathSync(path.join(uploadDir, 'report.pdf')));
+});
+
+test('uploaded media is kept in the media store until its job ends', async (t) => {
+  const { client, request } = await startServer(t);
+  const content = Buffer.from('%PDF-1.4 quarterly report');
+  const media = { type: 'document', base64: content.toString('base64'), file_name: 'report.pdf' };
+
+  const sent = await request('POST', '/messages/send', { body: { chat_jid: ALICE, media } });
+  assert.equal(sent.status, 200);
+
+  const job = await client.outbox.waitFor(sent.body.outbox_id, 5000);
+  assert.equal(job.payload.media.base64, undefined);
+  assert.ok(job.payload.media.id);
+  assert.deepEqual(client.sock.sent[0].content.document, content);
+  assert.equal(client.sock.sent[0].content.fileName, 'report.pdf');
+  // A finished job is written at once, so a crash cannot send it again
+  const stored = client.storage.readDocument('store/outbox');
+  assert.equal(stored.find(saved => saved.id === job.id).status, 'sent');
+  assert.doesNotMatch(JSON.stringify(stored), new RegExp(media.base64));
+
+  // The upload is removed once sent; the same content downloaded earlier stays
+  assert.equal(client.mediaStore.get(job.payload.media.id), null);
+  assert.equal(client.mediaStore.read(job.payload.media.id), null);
+
+  const downloaded = client.mediaStore.save(content, { mimetype: 'application/pdf' });
+  const resent = await request('POST', '/messages/send', { body: { chat_jid: ALICE, media } });
+  await client.outbox.waitFor(resent.body.outbox_id, 5000);
+  assert.deepEqual(client.mediaStore.read(downloaded.id), content);
+
+  // A scheduled upload stays until the schedule ends; a rejected one is not kept
+  const photo = { type: 'image', base64: Buffer.from('JPEG weekly chart').toString('base64') };
+  const { files } = client.mediaStore.getStatus();
+  const rejected = await request('POST', '/scheduled', { body: { chat_jid: ALICE, media: photo, cron: 'often' } });
+  assert.equal(rejected.status, 400);
+  assert.equal(client.mediaStore.getStatus().files, files);
+
+  const scheduled = await request('POST', '/scheduled', { body: { chat_jid: ALICE, media: photo, cron: '0 9 * * mon' } });
+  const photoId = scheduled.body.payload.media.id;
+  assert.ok(client.mediaStore.get(photoId));
+  await request('DELETE', `/scheduled/${scheduled.body.id}`);
+  assert.equal(client.mediaStore.get(photoId), null);
+
+  client.mediaStore.maxBytes = 4;
+  const tooLarge = await request('POST', '/messages/send', { body: { chat_jid: ALICE, media } });
+  assert.equal(tooLarge.status, 400);
+});
+
+test('tokens and scopes are enforced', async (t) => {
+  const { request } = await startServer(t, {
+    tokens: [{ name: 'importer', token: 'read-token', scopes: ['read'] }],
+  });
+
+  assert.equal((await request('GET', '/status')).status, 401);
+  assert.equal((await request('GET', '/status', { token: 'wrong' })).status, 401);
+  assert.equal((await request('GET', '/status', { token: 'read-token' })).status, 200);
+
+  const send = await request('POST', '/messages/send', { token: 'read-token', body: { chat_jid: ALICE, text: 'hi' } });
+  assert.equal(send.status, 403);
+  assert.equal((await request('GET', '/export', { token: 'read-token' })).status, 403);
+});
+
+test('sessions can be created, used and deleted', async (t) => {
+  const { sessions, rootDir, request } = await startServer(t);
+
+  const created = await request('POST', '/sessions', { body: { id: 'business' } });
+  assert.equal(created.status, 201);
+  assert.equal(created.body.id, 'business');
+  await sessions.get('business').client.replayFinished;
+
+  const duplicate = await request('POST', '/sessions', { body: { id: 'business' } });
+  assert.equal(duplicate.status, 409);
+  const invalid = await request('POST', '/sessions', { body: { id: '../etc' } });
+  assert.equal(invalid.status, 400);
+
+  const list = await request('GET', '/sessions');
+  assert.deepEqual(list.body.sessions.map(s => s.id), ['default', 'business']);
+
+  // Session-scoped routes use the session's own buffer and cursors
+  await request('POST', '/sessions/business/messages/ack', { body: { consumer: 'importer', seq: 6 } });
+  const scoped = await request('GET', '/sessions/business/messages/buffer?consumer=importer');
+  assert.equal(scoped.body.count, 0);
+  const unscoped = await request('GET', '/messages/buffer?consumer=importer');
+  assert.equal(unscoped.body.count, 6);
+
+  const status = await request('GET', '/sessions/business/status');
+  assert.equal(status.body.session, 'business');
+  assert.ok(fs.existsSync(path.join(rootDir, 'sessions', 'business', 'store', 'buffer')));
+
+  assert.equal((await request('DELETE', '/sessions/default')).status, 400);
+  assert.equal((await request('DELETE', '/sessions/business')).status, 200);
+  assert.equal((await request('GET', '/sessions/business/status')).status, 404);
+  assert.equal(fs.existsSync(path.join(rootDir, 'sessions', 'business')), false);
+});
+
+test('named sessions are restarted from the registry', async (t) => {
+  const rootDir = tempDir(t);
+  const createClient = options => new BaileysClient({ ...options, mode: 'replay', fixtureFile: path.join(FIXTURES_DIR, 'session.jsonl') });
+
+  const first = new SessionManager({ rootDir, createClient });
+  await first.start();
+  await first.create('personal');
+  await first.closeAll();
+
+  const second = new SessionManager({ rootDir, createClient });
+  t.after(() => second.closeAll());
+  await second.start();
+  assert.deepEqual(second.list().map(s => s.id), ['default', 'personal']);
+});
+
+test('a session that fails to connect is closed and its id freed', async (t) => {
+  const clients = [];
+  let fixtureFile = null;
+  const sessions = new SessionManager({
+    rootDir: tempDir(t),
+    createClient: options => {
+      const client = new BaileysClient({ ...options, mode: 'replay', fixtureFile });
+      clients.push(client);
+      return client;
+    },
+  });
+  t.after(() => sessions.closeAll());
+
+  await assert.rejects(sessions.create('business'), /WHATSAPP_FIXTURE_FILE/);
+  assert.equal(sessions.get('business'), null);
+  assert.equal(clients[0].closing, true);
+
+  fixtureFile = path.join(FIXTURES_DIR, 'session.jsonl');
+  const session = await sessions.create('business');
+  await session.client.replayFinished;
+  assert.deepEqual(sessions.list().map(s => s.id), ['business']);
+});
+
+test('the login QR expires and is replaced on restart', async (t) => {
+  const { client, request } = await startServer(t, { fixture: 'login.jsonl' });
+
+  const qr = await request('GET', '/qr');
+  assert.equal(qr.body.qr, '2@first-qr');
+  assert.ok(Date.parse(qr.body.expires_at) > Date.now());
+
+  client.qrExpiresAt = Date.now() - 1;
+  const expired = await request('GET', '/qr');
+  assert.equal(expired.body.qr, null);
+  assert.equal((await request('GET', '/status')).body.has_qr, false);
+
+  const restarted = await request('POST', '/auth/restart');
+  assert.equal(restarted.status, 200);
+  await client.replayFinished;
+  assert.equal((await request('GET', '/qr')).body.qr, '2@first-qr');
+});
+
+test('POST /auth/pairing-code links by phone number', async (t) => {
+  const { client, request } = await startServer(t, { fixture: 'login.jsonl' });
+
+  const invalid = await request('POST', '/auth/pairing-code', { body: { phone_number: '12' } });
+  assert.equal(invalid.status, 400);
+
+  const { status, body } = await request('POST', '/auth/pairing-code', { body: { phone_number: '+1 (555) 000-0001' } });
+  assert.equal(status, 200);
+  assert.deepEqual(body, { pairing_code: 'REPL-4YCD', phone_number: '15550000001' });
+  assert.deepEqual(client.sock.sent, [{ pairing: '15550000001' }]);
+  assert.equal(client.getStatus().status, 'waiting_for_pairing');
+});
+
+test('POST /auth/logout wipes credentials and starts a new login', async (t) => {
+  const { client, request } = await startServer(t);
+  const authDir = path.join(client.dataDir, 'auth');
+  client.storage.writeDocument('auth/creds', {});
+  assert.ok(fs.existsSync(path.join(authDir, 'creds.json')));
+  const oldSocket = client.sock;
+
+  const { status } = await request('POST', '/auth/logout');
+  assert.equal(status, 200);
+  assert.equal(oldSocket.ended, true);
+  assert.notEqual(client.sock, oldSocket);
+  assert.equal(fs.existsSync(authDir), false);
+
+  // The fixture replays onto the new socket, which connects again
+  await client.replayFinished;
+  const paired = await request('POST', '/auth/pairing-code', { body: { phone_number: '15550000001' } });
+  assert.equal(paired.status, 409);
+});
+
+test('PUT /filters applies privacy rules without a restart', async (t) => {
+  const { client, request } = await startServer(t, {
+    tokens: [
+      { name: 'importer', token: 'read-token', scopes: ['read'] },
+      { name: 'operator', token: 'admin-token', scopes: ['read', 'admin'] },
+    ],
+  });
+
+  const initial = await request('GET', '/filters', { token: 'read-token' });
+  assert.deepEqual(initial.body.chats, { allow: [], deny: [] });
+
+  const forbidden = await request('PUT', '/filters', { token: 'read-token', body: { chats: { deny: [ALICE] } } });
+  assert.equal(forbidden.status, 403);
+  const invalid = await request('PUT', '/filters', { token: 'admin-token', body: { deny_patterns: ['['] } });
+  assert.equal(invalid.status, 400);
+
+  const updated = await request('PUT', '/filters', { token: 'admin-token', body: { chats: { deny: [ALICE] } } });
+  assert.equal(updated.status, 200);
+  assert.deepEqual(updated.body.chats.deny, [ALICE]);
+
+  await client.ingestMessage(textMessage({ id: 'FILTERED1', chat: ALICE }));
+  assert.equal(client.chatStore.get(ALICE, 'FILTERED1'), null);
+});
+
+test('POST /chats/:jid/backfill queues a history fetch reported in /status', async (t) => {
+  const { client, request } = await startServer(t, {
+    tokens: [
+      { name: 'importer', token: 'read-token', scopes: ['read'] },
+      { name: 'bot', token: 'send-token', scopes: ['read', 'send'] },
+    ],
+  });
+  const route = `/chats/${encodeURIComponent(ALICE)}/backfill`;
+  const post = (body, token = 'send-token') => request('POST', route, { body, token });
+  assert.equal((await post({ count: 2 }, 'read-token')).status, 403);
+
+  const get = route => request('GET', route, { token: 'read-token' });
+
+  assert.equal((await post({})).status, 400);
+  assert.equal((await post({ count: -1 })).status, 400);
+  assert.equal((await post({ until: 'last week' })).status, 400);
+
+  const { status, body } = await post({ count: 2 });
+  assert.equal(status, 202);
+  assert.equal(body.chat_jid, ALICE);
+  assert.ok('active' in (await get('/status')).body.backfill);
+
+  await client.backfill.waitFor(body.id);
+  const job = await get(`/backfill/${body.id}`);
+  assert.equal(job.body.status, 'completed');
+  assert.equal(job.body.fetched, 2);
+  assert.equal((await get('/backfill/00000000-0000-4000-8000-000000000000')).status, 404);
+});
+
+test('presence, receipts and read endpoints', async (t) => {
+  const { client, request } = await startServer(t);
+  const chat = `/chats/${encodeURIComponent(ALICE)}`;
+
+  const presence = await request('GET', `${chat}/presence`);
+  assert.equal(presence.body.presences[0].presence, 'composing');
+  const receipts = await request('GET', `${chat}/receipts?ids=HIST0002`);
+  assert.equal(receipts.body.receipts[0].status, 'read');
+
+  assert.equal((await request('POST', `${chat}/presence`, { body: {} })).status, 400);
+  assert.equal((await request('POST', `${chat}/presence`, { body: { presence: 'paused' } })).status, 200);
+  assert.equal((await request('POST', `${chat}/presence/subscribe`)).status, 200);
+  assert.deepEqual(client.sock.sent.slice(-2), [{ presence: 'paused', jid: ALICE }, { presenceSubscribe: ALICE }]);
+
+  assert.equal((await request('POST', `${chat}/read`)).body.marked, 2);
+  const read = await request('POST', '/messages/read', { body: { chat_jid: ALICE, message_ids: ['LIVE0001'] } });
+  assert.equal(read.body.marked, 1);
+  assert.equal((await request('POST', '/messages/read', { body: { chat_jid: ALICE } })).status, 400);
+  assert.equal((await request('POST', '/messages/send', { body: { chat_jid: ALICE, text: 'hi', simulate_typing: 'yes' } })).status, 400);
+});
+
+test('group administration endpoints need admin scope', async (t) => {
+  const { client, request } = await startServer(t, {
+    tokens: [
+      { name: 'bot', token: 'send-token', scopes: ['read', 'send'] },
+      { name: 'ops', token: 'admin-token', scopes: ['admin'] },
+    ],
+  });
+  const token = 'admin-token';
+
+  assert.equal((await request('POST', '/groups', { token: 'send-token', body: { subject: 'Trip' } })).status, 403);
+  assert.equal((await request('POST', '/groups', { token, body: {} })).status, 400);
+
+  const created = await request('POST', '/groups', { token, body: { subject: 'Trip', participants: [ALICE] } });
+  assert.equal(created.status, 201);
+  const group = `/groups/${encodeURIComponent(created.body.group.jid)}`;
+
+  const added = await request('POST', `${group}/participants/add`, { token, body: { participants: ['15559990001'] } });
+  assert.equal(added.body.results[0].error, 'not_allowed');
+  assert.equal((await request('POST', `${group}/participants/ban`, { token, body: { participants: [ALICE] } })).status, 400);
+
+  assert.equal((await request('PATCH', group, { token, body: { announce: 'yes' } })).status, 400);
+  const patched = await request('PATCH', group, { token, body: { subject: 'Trip to Lisbon' } });
+  assert.equal(patched.body.group.name, 'Trip to Lisbon');
+  assert.equal((await request('GET', group, { token: 'send-token' })).body.name, 'Trip to Lisbon');
+
+  const invite = await request('GET', `${group}/invite`, { token });
+  assert.match(invite.body.link, /^https:\/\/chat\.whatsapp\.com\//);
+  assert.equal((await request('GET', `/groups/invite/${invite.body.code}`, { token: 'send-token' })).body.subject, 'Trip to Lisbon');
+  assert.equal((await request('POST', `${group}/leave`, { token })).status, 200);
+  assert.equal((await request('POST', '/groups/join', { token, body: { code: invite.body.link } })).body.pending_approval, false);
+  assert.ok(client.getChat(created.body.group.jid).left_at === null);
+});
+
+test('scheduled messages can be created, listed and cancelled', async (t) => {
+  const { request } = await startServer(t);
+  const sendAt = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+  assert.equal((await request('POST', '/scheduled', { body: { chat_jid: ALICE, send_at: sendAt } })).status, 400);
+  assert.equal((await request('POST', '/scheduled', { body: { chat_jid: ALICE, text: 'hi', cron: 'often' } })).status, 400);
+
+  const created = await request('POST', '/scheduled', { body: { chat_jid: ALICE, text: 'Stand-up', cron: '0 9 * * mon-fri' } });
+  assert.equal(created.status, 201);
+  assert.equal(created.body.status, 'scheduled');
+  await request('POST', '/scheduled', { body: { chat_jid: ALICE, text: 'Once', send_at: sendAt } });
+
+  const list = await request('GET', '/scheduled?status=scheduled');
+  assert.equal(list.body.count, 2);
+  assert.equal((await request('GET', `/scheduled/${created.body.id}`)).body.cron, '0 9 * * mon-fri');
+
+  assert.equal((await request('DELETE', `/scheduled/${created.body.id}`)).body.status, 'cancelled');
+  assert.equal((await request('DELETE', `/scheduled/${created.body.id}`)).status, 409);
+  assert.equal((await request('DELETE', '/scheduled/00000000-0000-4000-8000-000000000000')).status, 404);
+  assert.equal((await request('GET', '/status')).body.scheduled.scheduled, 1);
+});
+
+test('every response carries a request id, kept from the caller when valid', async (t) => {
+  const { origin } = await startServer(t);
+
+  const generated = await fetch(`${origin}/api/status`);
+  assert.match(generated.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+
+  const kept = await fetch(`${origin}/api/status`, { headers: { 'X-Request-Id': 'pumabot-42' } });
+  assert.equal(kept.headers.get('x-request-id'), 'pumabot-42');
+
+  const replaced = await fetch(`${origin}/api/status`, { headers: { 'X-Request-Id': 'no spaces allowed' } });
+  assert.notEqual(replaced.headers.get('x-request-id'), 'no spaces allowed');
+});
+
+test('GET /metrics exposes session gauges and HTTP durations by route pattern', async (t) => {
+  const { origin, request } = await startServer(t, { tokens: [{ name: 'bot', token: 'secret', scopes: ['read'] }] });
+  await request('GET', `/chats/${encodeURIComponent(ALICE)}`, { token: 'secret' });
+
+  assert.equal((await fetch(`${origin}/metrics`)).status, 401);
+  const res = await fetch(`${origin}/metrics`, { headers: { Authorization: 'Bearer secret' } });
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/);
+
+  const text = await res.text();
+  assert.match(text, /^whatsapp_connected\{session="default"\} 1$/m);
+  assert.match(text, /^whatsapp_buffer_messages\{session="default"\} 6$/m);
+  assert.match(text, /^whatsapp_messages_received_total\{session="default",type="text",source="history"\} \d+$/m);
+  assert.match(text, /^http_request_duration_seconds_count\{method="GET",route="\/api\/chats\/:jid",status="200"\} \d+$/m);
+});
+
+test('GET /search ranks stored messages and pages through them', async (t) => {
+  const { request } = await startServer(t);
+
+  const { status, body } = await request('GET', '/search?q=TRAIL');
+  assert.equal(status, 200);
+  assert.equal(body.count, 1);
+  const [result] = body.results;
+  assert.equal(result.message.message_id, 'HIST0002');
+  assert.equal(result.message.raw_data, undefined);
+  assert.deepEqual(result.highlights.map(([start, end]) => result.snippet.slice(start, end)), ['trailhead']);
+
+  const first = await request('GET', '/search?limit=2');
+  assert.equal(first.body.count, 2);
+  assert.equal(first.body.has_more, true);
+  assert.equal(first.body.next_offset, 2);
+  const next = await request('GET', '/search?limit=2&offset=2');
+  assert.ok(Date.parse(next.body.results[0].message.timestamp) <= Date.parse(first.body.results[1].message.timestamp));
+
+  const filtered = await request('GET', `/search?chat_jid=${encodeURIComponent(ALICE)}&is_from_me=false&message_type=text`);
+  assert.ok(filtered.body.total > 0);
+  assert.ok(filtered.body.results.every(r => r.message.chat_jid === ALICE && !r.message.is_from_me && r.message.message_type === 'text'));
+
+  assert.equal((await request('GET', '/search?q=x&after=yesterday')).status, 400);
+  assert.equal((await request('GET', '/search?limit=500')).status, 400);
+  assert.equal((await request('GET', '/search?is_from_me=yes')).status, 400);
+});
+
+test('GET /chats/:jid/export downloads the chat in the requested format', async (t) => {
+  const { origin } = await startServer(t);
+  const exportUrl = query => `${origin}/api/chats/${encodeURIComponent(ALICE)}/export${query}`;
+
+  const txt = await fetch(exportUrl('?locale=en-GB&tz=UTC&my_name=Puma'));
+  assert.equal(txt.status, 200);
+  assert.match(txt.headers.get('content-type'), /^text\/plain/);
+  assert.match(txt.headers.get('content-disposition'), /attachment; filename="WhatsApp Chat with Alice\.txt"/);
+  const lines = (await txt.text()).trim().split('\n');
+  assert.ok(lines.every(line => /^\d{2}\/\d{2}\/\d{4}, \d{2}:\d{2} - (Alice|Puma): /.test(line)), lines.join('\n'));
+
+  const jsonl = await fetch(exportUrl('?format=jsonl'));
+  const records = (await jsonl.text()).trim().split('\n').map(JSON.parse);
+  assert.ok(records.length > 0 && records.every(record => record.chat_jid === ALICE && !('raw_data' in record)));
+
+  const zip = await fetch(exportUrl('?format=html&zip=true'));
+  assert.equal(zip.headers.get('content-type'), 'application/zip');
+  const archive = Buffer.from(await zip.arrayBuffer());
+  assert.equal(archive.readUInt32LE(0), 0x04034b50);
+  assert.equal(archive.readUInt32LE(archive.length - 22), 0x06054b50);
+
+  assert.equal((await fetch(exportUrl('?format=pdf'))).status, 400);
+  assert.equal((await fetch(exportUrl('?tz=Mars/Olympus'))).status, 400);
+  const missing = await fetch(`${origin}/api/chats/${encodeURIComponent('nobody@s.whatsapp.net')}/export`);
+  assert.equal(missing.status, 404);
+
+  const all = await fetch(`${origin}/api/export`);
+  assert.equal(all.status, 200);
+  assert.match(all.headers.get('content-disposition'), /WhatsApp Chats\.zip/);
+});
+
+test('GET /openapi.json documents the API and invalid requests get typed errors', async (t) => {
+  const { request } = await startServer(t);
+
+  const spec = await request('GET', '/openapi.json');
+  assert.equal(spec.body.openapi, '3.1.0');
+  const buffer = spec.body.paths['/messages/buffer'].get;
+  assert.deepEqual(buffer.parameters.find(p => p.name === 'limit').schema, { type: 'integer', minimum: 1, maximum: 1000, default: 100 });
+  assert.equal(spec.body.paths['/sessions/{id}'].servers[0].url, '/api');
+
+  const tooMany = await request('GET', '/messages/buffer?limit=5000');
+  assert.equal(tooMany.status, 400);
+  assert.equal(tooMany.body.code, 'invalid_request');
+  assert.deepEqual(tooMany.body.details, [{ in: 'query', path: '/limit', message: 'must be <= 1000' }]);
+  assert.equal((await request('GET', '/messages/buffer?limit=2')).body.count, 2);
+
+  const badJid = await request('POST', '/chats/fetch-names-for-jids', { body: { jids: ['not a jid'] } });
+  assert.equal(badJid.status, 400);
+  assert.equal(badJid.body.code, 'invalid_jid');
+  assert.equal(badJid.body.error, 'body/jids/0 must be a WhatsApp JID');
+
+  assert.equal((await request('GET', `/chats/${encodeURIComponent(ALICE)}/receipts`)).status, 200);
+  assert.equal((await request('GET', '/chats/nobody/presence')).body.code, 'invalid_jid');
+  assert.equal((await request('GET', '/scheduled/missing')).body.code, 'invalid_request');
+  assert.equal((await request('GET', '/scheduled/00000000-0000-4000-8000-000000000000')).body.code, 'not_found');
+  assert.equal((await request('GET', '/outbox/missing')).status, 400);
+  assert.equal((await request('GET', '/groups/invite/not-a-code')).status, 400);
+  // Parameters are decoded once, by Express; a literal % must not be decoded again
+  assert.equal((await request('GET', `/chats/${encodeURIComponent('100%@s.whatsapp.net')}`)).body.code, 'not_found');
+
+  const badRules = await request('PUT', '/filters', { body: { chats: { deny: 'all' }, redact: { builtin: ['ssn'] }, extra: true } });
+  assert.equal(badRules.status, 400);
+  assert.deepEqual(badRules.body.details.map(detail => detail.path), ['/chats/deny', '/redact/builtin/0', '/']);
+});
+
+test('requests needing the socket fail with not_connected while offline', async (t) => {
+  const { client, origin, request } = await startServer(t);
+  client.status = 'disconnected';
+
+  const names = await request('POST', '/chats/fetch-names');
+  assert.equal(names.status, 503);
+  assert.deepEqual(names.body, { error: 'Not connected', code: 'not_connected' });
+  assert.equal((await request('POST', `/chats/${encodeURIComponent(ALICE)}/presence`, { body: { presence: 'composing' } })).body.code, 'not_connected');
+
+  const malformed = await fetch(`${origin}/api/messages/ack`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: '{"consumer":',
+  });
+  assert.equal(malformed.status, 400);
+  assert.equal((await malformed.json()).code, 'invalid_request');
+});
@@ -0,0 +1,109 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import Scheduler from '../src/scheduler.js';
+import { FileStorage } from '../src/storage.js';
+import { parseCron, nextRun } from '../src/cron.js';
+import { replayClient, tempDir } from './helpers.js';
+
+const ALICE = '15550000001@s.whatsapp.net';
+const HOUR = 60 * 60 * 1000;
+
+// A scheduler whose sends are recorded, on its own storage
+function createScheduler(t, { storage = new FileStorage({ dir: tempDir(t) }), connected = true, ...options } = {}) {
+  const sent = [];
+  const scheduler = new Scheduler({
+    storage,
+    send: (job) => {
+      sent.push(job.payload.text);
+      return { id: `outbox-${sent.length}` };
+    },
+    isConnected: () => connected,
+    ...options,
+  });
+  t.after(() => scheduler.stop());
+  return { scheduler, sent, storage };
+}
+
+test('computes the next cron run in a time zone', () => {
+  const after = Date.parse('2025-10-10T10:07:00Z'); // a Friday
+
+  assert.equal(new Date(nextRun(parseCron('*/15 * * * *'), after)).toISOString(), '2025-10-10T10:15:00.000Z');
+  assert.equal(new Date(nextRun(parseCron('0 9 * * mon-fri'), after)).toISOString(), '2025-10-13T09:00:00.000Z');
+  assert.equal(new Date(nextRun(parseCron('@monthly'), after)).toISOString(), '2025-11-01T00:00:00.000Z');
+  // 09:00 in Lisbon is 08:00 UTC in summer time
+  assert.equal(
+    new Date(nextRun(parseCron('0 9 * * *'), after, 'Europe/Lisbon')).toISOString(),
+    '2025-10-11T08:00:00.000Z'
+  );
+  // Both day fields restricted: either matches
+  assert.equal(new Date(nextRun(parseCron('0 0 13 * fri'), after)).toISOString(), '2025-10-13T00:00:00.000Z');
+  // Day 29 of February only comes in leap years
+  assert.equal(new Date(nextRun(parseCron('0 0 29 2 *'), after)).toISOString(), '2028-02-29T00:00:00.000Z');
+  // Across the spring-forward night, the first minutes of the day after still match
+  assert.equal(
+    new Date(nextRun(parseCron('30 0 * * mon'), Date.parse('2026-03-28T12:00:00Z'), 'Europe/Lisbon')).toISOString(),
+    '2026-03-29T23:30:00.000Z'
+  );
+
+  for (const invalid of ['* * * *', '61 * * * *', '* * * foo *', '5-1 * * * *', '0 0 31 2 *', '0 0 30,31 feb *']) {
+    assert.throws(() => parseCron(invalid), err => err.status === 400, invalid);
+  }
+});
+
+test('fires one-off and recurring jobs through send()', async (t) => {
+  const { scheduler, sent } = createScheduler(t);
+
+  const once = scheduler.create(ALICE, { text: 'soon' }, { send_at: new Date(Date.now() + 20).toISOString() });
+  const daily = scheduler.create(ALICE, { text: 'daily' }, { cron: '0 8 * * *', timezone: 'Europe/Lisbon' });
+  await new Promise(resolve => setTimeout(resolve, 60));
+
+  assert.deepEqual(sent, ['soon']);
+  assert.equal(once.status, 'completed');
+  assert.equal(once.last_outbox_id, 'outbox-1');
+  assert.equal(daily.status, 'scheduled');
+  assert.ok(Date.parse(daily.next_run_at) > Date.now());
+
+  assert.throws(() => scheduler.create(ALICE, { text: 'x' }, {}), err => err.status === 400);
+  assert.throws(() => scheduler.create(ALICE, { text: 'x' }, { send_at: '2001-01-01T00:00:00Z' }), err => err.status === 400);
+  assert.throws(() => scheduler.create(ALICE, { text: 'x' }, { cron: '@daily', timezone: 'Mars/Olympus' }), err => err.status === 400);
+});
+
+test('jobs survive restarts and missed fires follow the policy', async (t) => {
+  const { scheduler, storage } = createScheduler(t, { connected: false });
+  const sendAt = new Date(Date.now() + HOUR).toISOString();
+  const skipped = scheduler.create(ALICE, { text: 'skipped' }, { send_at: sendAt, missed_policy: 'skip' });
+  const caughtUp = scheduler.create(ALICE, { text: 'caught up' }, { send_at: sendAt });
+  const recurring = scheduler.create(ALICE, { text: 'hourly' }, { cron: '@hourly', missed_policy: 'skip' });
+
+  // The bridge was down past every fire time
+  const saved = storage.readDocument('store/scheduled');
+  for (const job of saved) job.next_run_at = new Date(Date.now() - 2 * HOUR).toISOString();
+  storage.writeDocument('store/scheduled', saved);
+
+  const restarted = createScheduler(t, { storage });
+  restarted.scheduler.process();
+
+  assert.deepEqual(restarted.sent, ['caught up']);
+  assert.equal(restarted.scheduler.get(skipped.id).status, 'missed');
+  assert.equal(restarted.scheduler.get(caughtUp.id).status, 'completed');
+  const hourly = restarted.scheduler.get(recurring.id);
+  assert.equal(hourly.status, 'scheduled');
+  assert.equal(hourly.missed_runs, 1);
+  assert.ok(Date.parse(hourly.next_run_at) > Date.now());
+
+  assert.equal(restarted.scheduler.cancel(recurring.id).status, 'cancelled');
+  assert.equal(restarted.scheduler.cancel(skipped.id).status, 'missed');
+  assert.deepEqual(restarted.scheduler.getStatus(), { missed: 1, completed: 1, cancelled: 1, next_run_at: null });
+});
+
+test('the client queues due messages in the outbox', async (t) => {
+  const client = await replayClient(t);
+
+  const job = client.scheduler.create(ALICE, { text: 'Reminder' }, { send_at: new Date().toISOString() });
+  await new Promise(resolve => setTimeout(resolve, 20));
+  assert.equal(job.status, 'completed');
+
+  const sent = await client.outbox.waitFor(job.last_outbox_id, 5000);
+  assert.equal(sent.status, 'sent');
+  assert.equal(client.sock.sent.at(-1).content.text, 'Reminder');
+});
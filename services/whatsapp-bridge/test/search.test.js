@@ -0,0 +1,142 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import SearchIndex, { normalizeWord, tokenize } from '../src/search-index.js';
+import ChatStore from '../src/chat-store.js';
+import { FileStorage } from '../src/storage.js';
+import { createClient, tempDir, textMessage } from './helpers.js';
+
+const ALICE = '15550000001@s.whatsapp.net';
+const BOB = '15550000002@s.whatsapp.net';
+
+function message(id, content, { timestamp = '2025-10-09T08:00:00.000Z', ...fields } = {}) {
+  return { message_id: id, chat_jid: ALICE, sender_jid: ALICE, is_from_me: false, message_type: 'text', content, timestamp, ...fields };
+}
+
+test('words are matched case- and diacritic-insensitively', () => {
+  assert.equal(normalizeWord('Ñandú'), 'nandu');
+  // "é" as e + combining acute accent
+  assert.deepEqual(tokenize('Cafe\u0301 café!').map(word => word.token), ['cafe', 'cafe']);
+  assert.deepEqual(tokenize('Crème brûlée'), [
+    { token: 'creme', start: 0, end: 5 },
+    { token: 'brulee', start: 6, end: 12 },
+  ]);
+});
+
+test('every query word has to match, exact words ranking above prefixes', () => {
+  const index = new SearchIndex();
+  const exact = message('A', 'We could hike on Saturday');
+  const prefix = message('B', 'Hiking on Saturday sounds good');
+  const partial = message('C', 'Saturday is the only free day');
+  [exact, prefix, partial].forEach(m => index.add(m));
+
+  const results = index.search('HIKE saturday');
+  assert.deepEqual(results.map(r => r.message.message_id), ['A']);
+
+  const prefixed = index.search('hik saturday');
+  assert.deepEqual(prefixed.map(r => r.message.message_id).sort(), ['A', 'B']);
+  assert.equal(index.search('hike').length, 1);
+});
+
+test('phrase matches and newer messages rank first', () => {
+  const index = new SearchIndex();
+  index.add(message('OLD', 'map of the trail', { timestamp: '2025-10-01T08:00:00.000Z' }));
+  index.add(message('NEW', 'map of the trail', { timestamp: '2025-10-05T08:00:00.000Z' }));
+  index.add(message('PHRASE', 'trail map at camp', { timestamp: '2025-09-25T08:00:00.000Z' }));
+
+  assert.deepEqual(index.search('trail map').map(r => r.message.message_id), ['PHRASE', 'NEW', 'OLD']);
+  assert.deepEqual(index.search('map trail').map(r => r.message.message_id), ['NEW', 'OLD', 'PHRASE']);
+});
+
+test('snippets are cut around the first match with highlight offsets', () => {
+  const index = new SearchIndex();
+  const long = `${'lorem ipsum '.repeat(20)}the Trailhead parking ${'dolor sit '.repeat(20)}`;
+  index.add(message('LONG', long));
+
+  const [result] = index.search('trailhead');
+  assert.ok(result.snippet.startsWith('…'));
+  assert.ok(result.snippet.endsWith('…'));
+  assert.ok(result.snippet.length <= 162);
+  const [[start, end]] = result.highlights;
+  assert.equal(result.snippet.slice(start, end), 'Trailhead');
+});
+
+test('edits re-index their target and revoked messages drop out', (t) => {
+  const store = new ChatStore({ storage: new FileStorage({ dir: tempDir(t) }) });
+  store.add(message('M1', 'meet at the lake'));
+  store.add(message('M2', 'bring snacks'));
+  assert.equal(store.search({ query: 'lake' }).length, 1);
+
+  store.add(message('E1', 'meet at the river', { message_type: 'edit', target_message_id: 'M1', timestamp: '2025-10-09T08:01:00.000Z' }));
+  assert.equal(store.search({ query: 'lake' }).length, 0);
+  assert.equal(store.search({ query: 'river' })[0].message.message_id, 'M1');
+
+  store.add(message('R1', '', { message_type: 'revoke', target_message_id: 'M2', timestamp: '2025-10-09T08:02:00.000Z' }));
+  assert.equal(store.search({ query: 'snacks' }).length, 0);
+});
+
+test('edits and revokes that arrive before their target are applied when it does', (t) => {
+  const store = new ChatStore({ storage: new FileStorage({ dir: tempDir(t) }) });
+  store.add(message('E2', 'third draft', { message_type: 'edit', target_message_id: 'M1', timestamp: '2025-10-09T08:02:00.000Z' }));
+  store.add(message('E1', 'second draft', { message_type: 'edit', target_message_id: 'M1', timestamp: '2025-10-09T08:01:00.000Z' }));
+  store.add(message('R1', '', { message_type: 'revoke', target_message_id: 'M2', timestamp: '2025-10-09T08:03:00.000Z' }));
+
+  store.add(message('M1', 'first draft'));
+  store.add(message('M2', 'oops'));
+  assert.equal(store.get(ALICE, 'M1').content, 'third draft');
+  assert.equal(store.get(ALICE, 'M1').edited_at, '2025-10-09T08:02:00.000Z');
+  assert.equal(store.get(ALICE, 'M2').is_deleted, true);
+  assert.equal(store.search({ query: 'third' })[0].message.message_id, 'M1');
+  assert.equal(store.search({ query: 'oops' }).length, 0);
+});
+
+test('the index covers chats that were not loaded yet and is kept current', (t) => {
+  const storage = new FileStorage({ dir: tempDir(t) });
+  const first = new ChatStore({ storage });
+  first.add(message('A1', 'sunrise hike'));
+  first.add(message('B1', 'sunset hike', { chat_jid: BOB, sender_jid: BOB }));
+
+  const store = new ChatStore({ storage });
+  assert.equal(store.search({ query: 'hike' }).length, 2);
+  assert.equal(store.search({ query: 'hike', chatJid: BOB })[0].message.message_id, 'B1');
+
+  store.add(message('A2', 'another hike', { timestamp: '2025-10-10T08:00:00.000Z' }));
+  assert.equal(store.search({ query: 'hike' }).length, 3);
+});
+
+test('raw protobufs stay in storage, out of the loaded chats and the index', (t) => {
+  const storage = new FileStorage({ dir: tempDir(t) });
+  const raw = { key: { id: 'A1' }, message: { conversation: 'sunrise hike' } };
+  new ChatStore({ storage }).add({ ...message('A1', 'sunrise hike'), raw_data: raw });
+
+  const store = new ChatStore({ storage });
+  const [result] = store.search({ query: 'hike' });
+  assert.equal('raw_data' in result.message, false);
+  store.add({ ...message('A2', 'another hike'), raw_data: raw });
+  assert.equal('raw_data' in store.get(ALICE, 'A2'), false);
+
+  assert.deepEqual(store.rawData(ALICE, ['A1', 'A2', 'MISSING']), new Map([['A1', raw], ['A2', raw]]));
+});
+
+test('filters without a query list matching messages newest first', (t) => {
+  const store = new ChatStore({ storage: new FileStorage({ dir: tempDir(t) }) });
+  store.add(message('A1', 'one', { timestamp: '2025-10-01T08:00:00.000Z' }));
+  store.add(message('A2', 'two', { timestamp: '2025-10-02T08:00:00.000Z', is_from_me: true }));
+  store.add(message('A3', '', { timestamp: '2025-10-03T08:00:00.000Z', message_type: 'image' }));
+  store.add(message('A4', '👍', { timestamp: '2025-10-04T08:00:00.000Z', message_type: 'reaction' }));
+
+  const ids = options => store.search(options).map(r => r.message.message_id);
+  assert.deepEqual(ids({ messageTypes: ['text', 'image'] }), ['A3', 'A2', 'A1']);
+  assert.deepEqual(ids({ isFromMe: true }), ['A2']);
+  assert.deepEqual(ids({ after: Date.parse('2025-10-01T08:00:00.000Z'), before: Date.parse('2025-10-03T08:00:00.000Z') }), ['A2']);
+});
+
+test('text messages from the client are searchable once ingested', async (t) => {
+  const client = createClient(t, { fixture: null });
+  await client.ingestMessage(textMessage({ id: 'S1', text: 'Está lloviendo en Zürich' }));
+
+  const { results, total } = client.searchMessages({ query: 'esta zurich' });
+  assert.equal(total, 1);
+  assert.equal(results[0].message.message_id, 'S1');
+  assert.equal(results[0].message.raw_data, undefined);
+  assert.deepEqual(results[0].highlights.map(([start, end]) => results[0].snippet.slice(start, end)), ['Está', 'Zürich']);
+});
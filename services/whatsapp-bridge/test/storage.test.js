@@ -0,0 +1,210 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import { FileStorage, SQLiteStorage, openStorage } from '../src/storage.js';
+import { useStorageAuthState } from '../src/auth-state.js';
+import { migrateStorage } from '../src/storage-migration.js';
+import ChatStore from '../src/chat-store.js';
+import MessageLog from '../src/message-log.js';
+import MetadataStore from '../src/metadata-store.js';
+import MediaStore from '../src/media-store.js';
+import PrivacyFilter from '../src/privacy-filter.js';
+import { tempDir } from './helpers.js';
+
+const CHAT = '15550000001@s.whatsapp.net';
+
+let sqliteMissing = false;
+try {
+  createRequire(import.meta.url)('better-sqlite3');
+} catch {
+  sqliteMissing = 'better-sqlite3 is not installed';
+}
+
+const BACKENDS = {
+  file: (dir, key) => new FileStorage({ dir, key }),
+  sqlite: (dir, key) => new SQLiteStorage({ file: path.join(dir, 'store', 'storage.db'), key }),
+};
+
+function open(t, backend, dir, key) {
+  const storage = BACKENDS[backend](dir, key);
+  t.after(() => storage.close());
+  return storage;
+}
+
+// Every file under `dir`, concatenated
+function rawContents(dir) {
+  return fs.readdirSync(dir, { recursive: true })
+    .map(name => path.join(dir, name))
+    .filter(file => fs.statSync(file).isFile())
+    .map(file => fs.readFileSync(file).toString('latin1'))
+    .join('\n');
+}
+
+for (const backend of Object.keys(BACKENDS)) {
+  const skip = backend === 'sqlite' && sqliteMissing;
+
+  test(`${backend}: documents and logs round-trip and list by prefix`, { skip }, (t) => {
+    const storage = open(t, backend, tempDir(t));
+
+    storage.writeDocument('auth/creds', { me: 'x' });
+    storage.writeDocument('auth/pre-key-1', { n: 1 });
+    storage.writeDocument('auth/nested/deeper', {});
+    assert.deepEqual(storage.readDocument('auth/creds'), { me: 'x' });
+    assert.equal(storage.readDocument('auth/missing'), null);
+    assert.deepEqual(storage.listDocuments('auth/'), ['auth/creds', 'auth/pre-key-1']);
+
+    storage.appendLog('buffer/1', { seq: 1 });
+    storage.appendLog('buffer/1', { seq: 2 });
+    assert.deepEqual([...storage.readLog('buffer/1')], [{ seq: 1 }, { seq: 2 }]);
+    storage.writeLog('buffer/1', [{ seq: 2 }]);
+    assert.deepEqual([...storage.readLog('buffer/1')], [{ seq: 2 }]);
+    assert.deepEqual([...storage.readLog('buffer/none')], []);
+    assert.deepEqual(storage.listLogs('buffer/'), ['buffer/1']);
+
+    storage.writeBlob('store/media/ab/abc', Buffer.from([0, 1, 2]));
+    storage.writeDocument('store/media/index', {});
+    assert.deepEqual(storage.readBlob('store/media/ab/abc'), Buffer.from([0, 1, 2]));
+    assert.equal(storage.readBlob('store/media/ab/missing'), null);
+    assert.deepEqual(storage.listBlobs('store/media/'), ['store/media/ab/abc']);
+
+    storage.deleteDocument('auth/pre-key-1');
+    assert.deepEqual(storage.listDocuments('auth/'), ['auth/creds']);
+    storage.deletePrefix('auth/');
+    assert.deepEqual(storage.listDocuments('auth/'), []);
+    assert.deepEqual(storage.listLogs('buffer/'), ['buffer/1']);
+    storage.deleteBlob('store/media/ab/abc');
+    assert.deepEqual(storage.listBlobs('store/media/'), []);
+  });
+
+  test(`${backend}: records are encrypted at rest with the key`, { skip }, (t) => {
+    const dir = tempDir(t);
+    const storage = open(t, backend, dir, 'correct horse');
+    storage.writeDocument('store/chats', [{ jid: CHAT, name: 'Alice' }]);
+    storage.appendLog('store/messages/x', { content: 'meet at the lake' });
+    const media = new MediaStore({ storage });
+    const photo = media.save(Buffer.from('JPEG holiday photo'), { fileName: 'beach.jpg' });
+    storage.close();
+
+    const raw = rawContents(dir);
+    assert.doesNotMatch(raw, /Alice|lake|holiday|beach/);
+
+    const reopened = open(t, backend, dir, 'correct horse');
+    assert.equal(reopened.encrypted, true);
+    assert.equal(reopened.readDocument('store/chats')[0].name, 'Alice');
+    assert.equal([...reopened.readLog('store/messages/x')][0].content, 'meet at the lake');
+    const reopenedMedia = new MediaStore({ storage: reopened });
+    assert.equal(reopenedMedia.get(photo.id).file_name, 'beach.jpg');
+    assert.equal(reopenedMedia.read(photo.id).toString(), 'JPEG holiday photo');
+    reopened.close();
+
+    assert.throws(() => BACKENDS[backend](dir, null), /Storage is encrypted/);
+    assert.throws(() => BACKENDS[backend](dir, 'wrong'), /does not match/);
+  });
+}
+
+test('plaintext records stay readable once encryption is enabled', (t) => {
+  const dir = tempDir(t);
+  new FileStorage({ dir }).writeDocument('store/contacts', [{ jid: CHAT }]);
+
+  const storage = new FileStorage({ dir, key: 'secret' });
+  assert.deepEqual(storage.readDocument('store/contacts'), [{ jid: CHAT }]);
+  storage.writeDocument('store/contacts', [{ jid: CHAT }]);
+  assert.match(fs.readFileSync(path.join(dir, 'store', 'contacts.json'), 'utf8'), /^enc:v1:/);
+});
+
+test('openStorage follows the environment', (t) => {
+  const dir = tempDir(t);
+  const keyFile = path.join(dir, 'storage.key');
+  fs.writeFileSync(keyFile, 'from a file\n');
+
+  assert.ok(openStorage(dir, {}) instanceof FileStorage);
+  const encrypted = openStorage(dir, { WHATSAPP_STORAGE_KEY_FILE: keyFile });
+  assert.equal(encrypted.encrypted, true);
+  assert.equal(openStorage(dir, { WHATSAPP_STORAGE_KEY: 'from a file' }).encrypted, true);
+  assert.throws(() => openStorage(dir, { WHATSAPP_STORAGE: 'redis' }), /must be one of: file, sqlite/);
+});
+
+test('auth state is stored under the names useMultiFileAuthState uses', async (t) => {
+  const dir = tempDir(t);
+  const storage = new FileStorage({ dir, key: 'secret' });
+  const { state, saveCreds } = useStorageAuthState(storage);
+
+  await state.keys.set({ 'pre-key': { 1: { public: Buffer.from([1, 2, 3]) } }, session: { 'a:1/b': { id: 'x' } } });
+  await saveCreds();
+  assert.deepEqual(fs.readdirSync(path.join(dir, 'auth')).sort(), ['creds.json', 'pre-key-1.json', 'session-a-1__b.json']);
+
+  const { state: reloaded } = useStorageAuthState(new FileStorage({ dir, key: 'secret' }));
+  const keys = await reloaded.keys.get('pre-key', ['1', '2']);
+  assert.deepEqual(keys['1'].public, Buffer.from([1, 2, 3]));
+  assert.equal(keys['2'], null);
+
+  await reloaded.keys.set({ 'pre-key': { 1: null } });
+  assert.equal(fs.existsSync(path.join(dir, 'auth', 'pre-key-1.json')), false);
+});
+
+const LEGACY_MEDIA = `ab${'0'.repeat(62)}`;
+
+// A data directory as the bridge left it before storage was pluggable
+function legacyDataDir(t) {
+  const dir = tempDir(t);
+  fs.mkdirSync(path.join(dir, 'auth'));
+  fs.writeFileSync(path.join(dir, 'auth', 'creds.json'), JSON.stringify({ registrationId: 7 }));
+  fs.writeFileSync(path.join(dir, 'buffer.jsonl'), [
+    { message_id: 'B1', chat_jid: CHAT, content: 'one' },
+    { message_id: 'B2', chat_jid: CHAT, content: 'two' },
+  ].map(entry => JSON.stringify(entry) + '\n').join(''));
+  fs.mkdirSync(path.join(dir, 'store', 'messages'), { recursive: true });
+  fs.writeFileSync(
+    path.join(dir, 'store', 'messages', `${encodeURIComponent(CHAT)}.jsonl`),
+    JSON.stringify({ message_id: 'M1', chat_jid: CHAT, content: 'meet at the lake', timestamp: '2025-10-09T08:00:00.000Z' }) + '\n'
+  );
+  fs.writeFileSync(path.join(dir, 'store', 'chats.json'), JSON.stringify([{ jid: CHAT, name: 'Alice' }]));
+  fs.writeFileSync(path.join(dir, 'store', 'filters.json'), JSON.stringify({ chats: { deny: ['secret-group@g.us'] } }));
+  fs.mkdirSync(path.join(dir, 'store', 'media', 'ab'), { recursive: true });
+  fs.writeFileSync(path.join(dir, 'store', 'media', 'ab', LEGACY_MEDIA), 'JPEG holiday photo');
+  fs.writeFileSync(path.join(dir, 'store', 'media', 'index.json'), JSON.stringify({
+    [LEGACY_MEDIA]: { id: LEGACY_MEDIA, sha256: LEGACY_MEDIA, size: 18, file_name: 'beach.jpg', path: '/old/path' },
+  }));
+  return dir;
+}
+
+test('migration moves legacy files into encrypted SQLite', { skip: sqliteMissing }, (t) => {
+  const dir = legacyDataDir(t);
+  const target = open(t, 'sqlite', dir, 'secret');
+
+  const moved = migrateStorage({ dataDir: dir, target });
+  assert.deepEqual(moved, { documents: 4, logs: 1, blobs: 1, legacy_buffer: true });
+  assert.deepEqual(fs.readdirSync(dir), ['store']);
+  assert.deepEqual(fs.readdirSync(path.join(dir, 'store')).sort(), ['storage.db', 'storage.db-shm', 'storage.db-wal']);
+
+  assert.equal(target.readDocument('auth/creds').registrationId, 7);
+  assert.equal(new ChatStore({ storage: target }).get(CHAT, 'M1').content, 'meet at the lake');
+  const metadata = new MetadataStore({ storage: target });
+  assert.equal(metadata.chats.get(CHAT).name, 'Alice');
+  assert.deepEqual(new PrivacyFilter({ storage: target }).getRules().chats.deny, ['secret-group@g.us']);
+  const log = new MessageLog({ storage: target, compactIntervalMs: 0 });
+  assert.deepEqual(log.read().messages.map(m => [m.seq, m.message_id]), [[1, 'B1'], [2, 'B2']]);
+  const media = new MediaStore({ storage: target });
+  assert.equal(media.read(LEGACY_MEDIA).toString(), 'JPEG holiday photo');
+  assert.equal(media.get(LEGACY_MEDIA).path, undefined);
+  assert.doesNotMatch(rawContents(dir), /lake|Alice|secret-group|holiday|beach/);
+});
+
+test('migration with the file backend encrypts in place', (t) => {
+  const dir = legacyDataDir(t);
+  const target = new FileStorage({ dir, key: 'secret' });
+
+  const moved = migrateStorage({ dataDir: dir, target });
+  assert.deepEqual(moved, { documents: 4, logs: 1, blobs: 1, legacy_buffer: true });
+  // The legacy buffer was migrated after the copy, so it lands encrypted too
+  assert.ok(fs.existsSync(path.join(dir, 'store', 'buffer', '000000000001.jsonl')));
+  assert.doesNotMatch(rawContents(dir), /lake|Alice|"one"|secret-group|holiday|beach/);
+  assert.equal(new ChatStore({ storage: new FileStorage({ dir, key: 'secret' }) }).get(CHAT, 'M1').content, 'meet at the lake');
+  assert.equal(new MediaStore({ storage: target }).read(LEGACY_MEDIA).toString(), 'JPEG holiday photo');
+
+  // Running it again changes nothing
+  assert.deepEqual(migrateStorage({ dataDir: dir, target }), { documents: 5, logs: 2, blobs: 1, legacy_buffer: false });
+  assert.equal(new MessageLog({ storage: target, compactIntervalMs: 0 }).size, 2);
+});
@@ -0,0 +1,144 @@
+defmodule PumaBotWeb.ChatBrowserLiveTest do
+  use PumaBotWeb.ConnCase
+
+  import Phoenix.LiveViewTest
+
+  alias PumaBot.Repo
+  alias PumaBot.Data.WhatsAppMessage
+
+  @chat "15550000001@s.whatsapp.net"
+
+  # Messages MSG0001 (the oldest) to MSG<count>, a minute apart; `fields`
+  # overrides the row of message n
+  defp insert_messages(range, fields \\ fn _n -> %{} end) do
+    now = DateTime.utc_now() |> DateTime.truncate(:second)
+
+    range
+    |> Enum.map(fn n ->
+      Map.merge(
+        %{
+          id: Ecto.UUID.generate(),
+          message_id: message_id(n),
+          chat_jid: @chat,
+          sender_jid: @chat,
+          content: "message #{n}",
+          message_type: :text,
+          is_from_me: false,
+          is_group: false,
+          timestamp: DateTime.add(~U[2025-01-01 00:00:00Z], n * 60),
+          raw_data: %{},
+          inserted_at: now,
+          updated_at: now
+        },
+        fields.(n)
+      )
+    end)
+    |> Enum.chunk_every(1000)
+    |> Enum.each(&Repo.insert_all(WhatsAppMessage, &1))
+  end
+
+  defp message_id(n), do: "MSG" <> String.pad_leading(to_string(n), 4, "0")
+
+  defp open_chat(conn) do
+    {:ok, view, html} = live(conn, ~p"/chat/whatsapp/#{@chat}")
+    {view, html}
+  end
+
+  # Message ids of the rows in the timeline, top to bottom
+  defp shown(html) do
+    ~r/data-message-id="(MSG\d+)"/
+    |> Regex.scan(html, capture: :all_but_first)
+    |> List.flatten()
+  end
+
+  defp ids(range), do: Enum.map(range, &message_id/1)
+
+  test "opens on the newest page and pages back by cursor", %{conn: conn} do
+    insert_messages(1..450)
+    {view, html} = open_chat(conn)
+
+    assert shown(html) == ids(251..450)
+    assert html =~ "data-timeline-top"
+
+    # A message arriving meanwhile doesn't shift the next page
+    insert_messages(451..451)
+
+    html = render_hook(view, "load_older", %{})
+    assert_reply(view, %{loaded: 200})
+    assert shown(html) == ids(51..450)
+
+    html = render_hook(view, "load_older", %{})
+    assert_reply(view, %{loaded: 50})
+    assert shown(html) == ids(1..450)
+    refute html =~ "data-timeline-top"
+  end
+
+  test "the timeline keeps at most a window of messages", %{conn: conn} do
+    insert_messages(1..1300)
+    {view, _html} = open_chat(conn)
+
+    for _ <- 1..5, do: render_hook(view, "load_older", %{})
+    html = render(view)
+
+    # The newest rows dropped out and can be paged back in
+    assert shown(html) == ids(101..1100)
+    assert html =~ "data-timeline-bottom"
+
+    html = render_hook(view, "load_newer", %{})
+    assert_reply(view, %{loaded: 200})
+    assert shown(html) == ids(301..1300)
+    refute html =~ "data-timeline-bottom"
+  end
+
+  test "load_older with until loads back to the quoted message", %{conn: conn} do
+    insert_messages(1..450, fn
+      450 -> %{quoted_message_id: "MSG0100"}
+      _ -> %{}
+    end)
+
+    {view, html} = open_chat(conn)
+    assert html =~ ~s(data-quoted-id="MSG0100")
+
+    html = render_hook(view, "load_older", %{"until" => "MSG0100"})
+    assert_reply(view, %{loaded: 151})
+    assert shown(html) == ids(100..450)
+    assert html =~ "data-timeline-top"
+
+    render_hook(view, "load_older", %{"until" => "UNKNOWN"})
+    assert_reply(view, %{loaded: 0})
+  end
+
+  test "load_older with until opens a window at a quoted message too far back", %{conn: conn} do
+    insert_messages(1..1300)
+    {view, _html} = open_chat(conn)
+
+    html = render_hook(view, "load_older", %{"until" => "MSG0002"})
+    assert_reply(view, %{loaded: 201})
+    assert shown(html) == ids(2..202)
+    assert html =~ "data-timeline-top"
+    assert html =~ "data-timeline-bottom"
+
+    # The bridge refresh leaves a window away from the newest messages alone
+    insert_messages(1301..1301)
+    send(view.pid, :refresh_bridge_status)
+    assert shown(render(view)) == ids(2..202)
+  end
+
+  test "the refresh appends only new messages and reactions to shown ones", %{conn: conn} do
+    insert_messages(1..10)
+    {view, _html} = open_chat(conn)
+
+    insert_messages(11..12)
+
+    insert_messages(13..13, fn _ ->
+      %{message_type: :reaction, content: "👍", raw_data: %{"target_message_id" => "MSG0005"}}
+    end)
+
+    send(view.pid, :refresh_bridge_status)
+    html = render(view)
+
+    assert shown(html) == ids(1..12)
+    assert html =~ "13 messages"
+    assert view |> element("#message-rows [data-message-id=MSG0005]") |> render() =~ "👍"
+  end
+end